@@ -0,0 +1,86 @@
+const store = require('./store');
+const roles = require('./roles');
+const linking = require('./linking');
+
+// Wallet administration for the HQ dashboard. Admins act only on wallets whose
+// role is strictly below their own, and never on their own wallet.
+
+// lastActiveAt is written at most this often per wallet
+const ACTIVITY_WRITE_INTERVAL_MS = 60 * 1000;
+const lastActivityWrite = new Map();
+
+// Thrown when an admin action is not allowed; the message is safe to show to the user
+class AdminError extends Error {
+    constructor(message) {
+        super(message);
+        this.name = 'AdminError';
+    }
+}
+
+const isDisabled = (user) => !!(user && user.disabled);
+
+// Records that `wallet` just used HQ or Telegram
+async function noteActivity(wallet) {
+    if (!wallet) return;
+    const now = Date.now();
+    if (now - (lastActivityWrite.get(wallet) || 0) < ACTIVITY_WRITE_INTERVAL_MS) return;
+    lastActivityWrite.set(wallet, now);
+    await store.users.update(wallet, { lastActiveAt: new Date(now) });
+}
+
+// Every known wallet, most recently active first
+async function listWallets() {
+    const users = await store.users.list();
+    return users
+        .map(user => {
+            const todos = user.todos || [];
+            const done = todos.filter(t => t.done).length;
+            return {
+                wallet: user.wallet,
+                role: user.role || 'user',
+                disabled: isDisabled(user),
+                disabledAt: user.disabledAt || null,
+                telegram: linking.linkStatus(user),
+                tier: user.tier && user.tier.checkedAt ? user.tier.name : null,
+                todos: { open: todos.length - done, done },
+                lastActiveAt: user.lastActiveAt || null
+            };
+        })
+        .sort((a, b) => new Date(b.lastActiveAt || 0) - new Date(a.lastActiveAt || 0));
+}
+
+async function checkTarget(actorWallet, targetWallet) {
+    if (!(await roles.hasPermission(actorWallet, 'wallets.manage'))) throw new AdminError("You are not allowed to manage wallets.");
+    if (actorWallet === targetWallet) throw new AdminError("You cannot do that to your own wallet.");
+    const user = await store.users.get(targetWallet);
+    if (!user) throw new AdminError("Unknown wallet.");
+    if (!roles.outranks(await roles.getRole(actorWallet), user.role || 'user')) {
+        throw new AdminError("You can only manage wallets below your own role.");
+    }
+    return user;
+}
+
+// Returns { wallet, disabled, telegramId } so the caller can cut off live sessions and chats
+async function setDisabled(actorWallet, targetWallet, disabled) {
+    const user = await checkTarget(actorWallet, targetWallet);
+    await store.users.update(targetWallet, disabled
+        ? { disabled: true, disabledAt: new Date(), disabledBy: actorWallet }
+        : { disabled: false, disabledAt: null, disabledBy: null });
+    console.log(`🚫 Wallet ${targetWallet} ${disabled ? 'disabled' : 'enabled'} by ${actorWallet}`);
+    return { wallet: targetWallet, disabled: !!disabled, telegramId: user.telegramId || null };
+}
+
+// Drops the wallet's Telegram link; returns the chat id that was linked, or null
+async function resetLink(actorWallet, targetWallet) {
+    await checkTarget(actorWallet, targetWallet);
+    return linking.unlinkWallet(targetWallet);
+}
+
+module.exports = {
+    AdminError,
+    isDisabled,
+    noteActivity,
+    listWallets,
+    setDisabled,
+    resetLink
+};
@@ -3,89 +3,170 @@ require('dotenv').config({ path: path.join(__dirname, '.env') }); // Load enviro
 
 const WebSocket = require('ws');
 const fs = require('fs');
+const crypto = require('crypto');
 const nacl = require('tweetnacl');
 const bs58 = require('bs58');
 const { TextEncoder } = require('util');
 const express = require('express');
 const http = require('http');
-const { OpenAI } = require('openai');
-const mongoose = require('mongoose');
 const moltbook = require('./moltbook');
+const moltCommands = require('./moltCommands');
+const moltDrafts = require('./moltDrafts');
+const store = require('./store');
+const todoService = require('./todos');
+const { createTodoTools } = require('./tools');
+const { createProvider } = require('./llm');
+const roles = require('./roles');
+const linking = require('./linking');
+const { issueLoginChallenge, consumeLoginChallenge, createSession, findSession, revokeSession } = require('./sessions');
+const usage = require('./usage');
+const tiers = require('./tiers');
+const walletCommands = require('./walletCommands');
+const personas = require('./personas');
+const admin = require('./admin');
+const broadcasts = require('./broadcasts');
+const errorLog = require('./errorLog');
+const { renderTodoPage, parseTodoCallback } = require('./todoKeyboard');
+const { createApiRouter } = require('./api');
+const { createHealthHandler } = require('../shared/health');
+const handshake = require('../shared/handshake');
+const metrics = require('prom-client');
+const scheduler = require('./scheduler');
+
+// Keep recent errors for the admin dashboard
+errorLog.capture();
 
 // Configuration
 const GATEWAY_URL = process.env.GATEWAY_URL || 'ws://127.0.0.1:18789';
+// Must match a client registered in the gateway's config (auth.clients) or its GATEWAY_SECRET
+const GATEWAY_CLIENT_ID = process.env.GATEWAY_CLIENT_ID || 'alon-agent';
+const GATEWAY_SECRET = process.env.GATEWAY_SECRET;
 const HQ_PORT = process.env.PORT || 3000;
+// Reverse proxies in front of the agent (1 on Render), so per-client limits see the caller's address
+const TRUST_PROXY_HOPS = parseInt(process.env.TRUST_PROXY_HOPS, 10) || 0;
+// First owners of a fresh database (comma separated). Further roles are granted at runtime.
+const OWNER_WALLETS = (process.env.OWNER_WALLETS || '')
+    .split(',').map(w => w.trim()).filter(Boolean);
 
-// MongoDB Configuration
-const MONGODB_URI = process.env.MONGODB_URI;
-
-if (!MONGODB_URI) {
-    console.error("❌ MONGODB_URI is missing from environment variables.");
-    process.exit(1);
-}
-
-// Connect to MongoDB
-mongoose.connect(MONGODB_URI)
-    .then(() => console.log('✅ Connected to MongoDB'))
-    .catch(err => console.error('❌ MongoDB Connection Error:', err));
-
-// MongoDB Schema
-const UserSchema = new mongoose.Schema({
-    wallet: { type: String, required: true, unique: true },
-    telegramId: { type: String, default: null },
-    todos: [{
-        id: Number,
-        text: String,
-        done: Boolean
-    }]
-});
-const User = mongoose.model('User', UserSchema);
 
-// System Config Schema (for Agent Identity)
-const SystemSchema = new mongoose.Schema({
-    key: { type: String, required: true, unique: true },
-    value: mongoose.Schema.Types.Mixed
-});
-const System = mongoose.model('System', SystemSchema);
+// How many past messages are replayed to the model / returned per page
+const CHAT_CONTEXT_LIMIT = parseInt(process.env.CHAT_CONTEXT_LIMIT, 10) || 20;
+const CHAT_HISTORY_PAGE_SIZE = 50;
+const CHAT_HISTORY_MAX_PAGE_SIZE = 200;
 
 // Auto-Register Moltbook on start
 async function initMoltbook() {
     try {
         // Check DB for credentials
-        const creds = await System.findOne({ key: 'moltbook' });
+        const creds = await store.system.get('moltbook');
 
-        if (creds && creds.value && creds.value.api_key) {
-            moltbook.init(creds.value.api_key);
+        if (creds && creds.api_key) {
+            moltbook.init(creds.api_key);
             console.log("🦞 Moltbook: Identity Loaded from DB");
         } else {
             console.log("🦞 Moltbook: registering new identity...");
-            const reg = await moltbook.register();
-
-            // Save to DB
-            await System.create({
-                key: 'moltbook',
-                value: {
-                    api_key: reg.api_key,
-                    claim_url: reg.claim_url
-                }
+            // Keeps retrying in the background until Moltbook accepts us
+            await moltbook.registerInBackground(async (reg) => {
+                await store.system.set('moltbook', { api_key: reg.api_key, claim_url: reg.claim_url });
+                console.log("🦞 Moltbook Registration Successful!");
+                console.log(`👉 CLAIM YOUR AGENT: ${reg.claim_url}`);
             });
-
-            console.log("🦞 Moltbook Registration Successful!");
-            console.log(`👉 CLAIM YOUR AGENT: ${reg.claim_url}`);
         }
     } catch (e) {
         console.error("Moltbook Init Failed:", e.message);
     }
 }
-initMoltbook();
 
 // --- Setup Express & HTTP Server ---
 const app = express();
+app.set('trust proxy', TRUST_PROXY_HOPS);
 const server = http.createServer(app);
 
+// --- Metrics ---
+metrics.collectDefaultMetrics();
+const chatMessagesTotal = new metrics.Counter({
+    name: 'alon_chat_messages_total',
+    help: 'Chat turns recorded, by direction (in from users, out from Alon) and source',
+    labelNames: ['direction', 'source']
+});
+const llmSeconds = new metrics.Histogram({
+    name: 'alon_llm_request_duration_seconds',
+    help: 'LLM completion latency in seconds, by provider and outcome',
+    labelNames: ['provider', 'outcome'],
+    buckets: [0.25, 0.5, 1, 2, 4, 8, 15, 30, 60]
+});
+const gatewayReconnectsTotal = new metrics.Counter({
+    name: 'alon_gateway_reconnects_total',
+    help: 'Times the gateway connection closed and was retried'
+});
+const telegramDeliveriesTotal = new metrics.Counter({
+    name: 'alon_telegram_deliveries_total',
+    help: 'Telegram delivery acks from the gateway, by status',
+    labelNames: ['status']
+});
+new metrics.Gauge({
+    name: 'alon_gateway_connected',
+    help: '1 while the gateway has accepted this agent',
+    collect() { this.set(gatewayAuthenticated ? 1 : 0); }
+});
+new metrics.Gauge({
+    name: 'alon_gateway_outbox_depth',
+    help: 'Messages held until the gateway is back',
+    collect() { this.set(gatewayOutbox.length); }
+});
+new metrics.Gauge({
+    name: 'alon_gateway_pending_deliveries',
+    help: 'Telegram sends still waiting for a delivery ack',
+    collect() { this.set(pendingDeliveries.size); }
+});
+new metrics.Gauge({
+    name: 'alon_hq_connections',
+    help: 'Open HQ sockets, by whether they are logged in',
+    labelNames: ['state'],
+    collect() {
+        const open = [...hqServer.clients];
+        const loggedIn = open.filter(c => c.username).length;
+        this.set({ state: 'logged_in' }, loggedIn);
+        this.set({ state: 'anonymous' }, open.length - loggedIn);
+    }
+});
+
+// /healthz, /readyz and /metrics (see shared/health.js). Only storage is critical: without
+// it nothing works, while the gateway, Moltbook and the LLM degrade single features.
+const handleHealth = createHealthHandler({
+    registry: metrics.register,
+    checks: {
+        store: { critical: true, run: async () => ({ backend: store.backend, ...(await store.health()) }) },
+        gateway: { critical: false, run: gatewayHealth },
+        moltbook: {
+            critical: false,
+            run: () => ({ ok: !!moltbook.apiKey, registration: moltbook.registration.state, lastError: moltbook.registration.lastError })
+        },
+        llm: { critical: false, run: () => ({ ok: llm.ready, provider: llm.name, model: llm.model }) }
+    }
+});
+app.use((req, res, next) => {
+    if (!handleHealth(req, res, req.path)) next();
+});
+
 // Serve Static UI
 app.use(express.static(path.join(__dirname, '../web-ui')));
 
+// REST API for scripts and other services (see api.js)
+app.use('/api/v1', createApiRouter({
+    findSession,
+    createSession,
+    revokeSession,
+    issueLoginChallenge,
+    consumeLoginChallenge,
+    verifySignature: verifySolanaSignature,
+    broadcastState,
+    notify: sendToUser,
+    sendPersonas,
+    chat: apiChat,
+    chatHistory: getChatHistory
+}));
+
 // Helper: Verify Solana Signature
 function verifySolanaSignature(publicKeyStr, signatureStr, messageStr) {
     try {
@@ -100,16 +181,69 @@ function verifySolanaSignature(publicKeyStr, signatureStr, messageStr) {
     }
 }
 
-// State
-let linkCodes = {};
+// --- Chat History ---
+function serializeChatMessage(m) {
+    return {
+        id: m.id,
+        role: m.role,
+        text: m.text,
+        source: m.source,
+        createdAt: m.createdAt
+    };
+}
+
+// Wallet owners share one thread across web and Telegram.
+// Unlinked Telegram chats ("Anons") get a thread keyed by their chat id.
+async function recordChat({ wallet = null, telegramId = null, role, text, source }) {
+    if (!text) return;
+    chatMessagesTotal.inc({ direction: role === 'user' ? 'in' : 'out', source });
+    try {
+        await store.history.append({ wallet, telegramId, role, text, source });
+    } catch (e) {
+        console.error("Failed to record chat message:", e.message);
+    }
+}
+
+// Most recent turns in chronological order, shaped for the OpenAI messages array
+async function loadChatContext(owner) {
+    const recent = await store.history.recent(owner, { limit: CHAT_CONTEXT_LIMIT });
+    return recent.reverse().map(m => ({ role: m.role, content: m.text }));
+}
+
+// `before` and `beforeId` are the createdAt and id of the oldest message the caller has,
+// so messages sharing that timestamp are not skipped
+async function getChatHistory(wallet, { before, beforeId, limit } = {}) {
+    const requested = parseInt(limit, 10);
+    const pageSize = requested > 0 ? Math.min(requested, CHAT_HISTORY_MAX_PAGE_SIZE) : CHAT_HISTORY_PAGE_SIZE;
+    const beforeDate = before ? new Date(before) : null;
+
+    // Fetch one extra to know whether an older page exists
+    const page = await store.history.recent({ wallet }, {
+        before: beforeDate && !isNaN(beforeDate) ? beforeDate : null,
+        beforeId: typeof beforeId === 'string' ? beforeId : null,
+        limit: pageSize + 1
+    });
+    const hasMore = page.length > pageSize;
+    const messages = page.slice(0, pageSize).reverse().map(serializeChatMessage);
+    return { messages, hasMore };
+}
 
 // --- Headquarters Server (for Web UI) ---
 const hqServer = new WebSocket.Server({ server });
 
+// Push a payload to every open HQ socket logged in as `username`
+function sendToUser(username, payload) {
+    const message = JSON.stringify(payload);
+    hqServer.clients.forEach(client => {
+        if (client.readyState === WebSocket.OPEN && client.username === username) {
+            client.send(message);
+        }
+    });
+}
+
 async function broadcastState(username) {
     if (!username) return;
-    const user = await User.findOne({ wallet: username });
-    const todos = user ? user.todos : [];
+    const todos = await store.todos.list(username);
     const message = JSON.stringify({ type: 'STATE_UPDATE', todos: todos });
     hqServer.clients.forEach(client => {
         if (client.readyState === WebSocket.OPEN && client.username === username) {
@@ -118,35 +252,181 @@ async function broadcastState(username) {
     });
 }
 
+// What the UI needs to toggle role-gated features
+function roleInfo(role) {
+    return {
+        role,
+        isAdmin: roles.can(role, 'admin.panel'),
+        permissions: roles.permissionsFor(role)
+    };
+}
+
+async function requirePermission(ws, permission) {
+    if (await roles.hasPermission(ws.username, permission)) return true;
+    ws.send(JSON.stringify({ type: 'ERROR', message: "Access denied." }));
+    return false;
+}
+
+// Applies a role change and pushes it live to the affected wallet's open sockets
+async function changeRole(actorWallet, targetWallet, role) {
+    const result = await roles.setRole(actorWallet, targetWallet, role);
+    sendToUser(targetWallet, { type: 'ROLE_UPDATE', ...roleInfo(result.role) });
+    // Staff bypass tier gates, so the unlocked features change with the role
+    const tier = await tiers.cachedTier(targetWallet);
+    sendToUser(targetWallet, { type: 'TIER_UPDATE', tier: tiers.describe(tier, result.role) });
+    return result;
+}
+
+// Admin Moltbook console. Each request answers with a MOLT_* result;
+// API failures come back as MOLT_ERROR so the console can show them inline.
+async function handleMoltRequest(ws, data) {
+    const reply = (payload) => ws.send(JSON.stringify(payload));
+    const sendPost = async (postId) => reply({ type: 'MOLT_POST', ...(await moltCommands.readPost(postId)) });
+    const sendDrafts = async (status = 'pending') => {
+        const [drafts, limits] = await Promise.all([moltDrafts.listDrafts({ status }), moltDrafts.getLimits()]);
+        reply({ type: 'MOLT_DRAFTS', status, drafts, limits });
+    };
+    const sendSubmolts = async () => {
+        const res = await moltbook.getSubmolts();
+        reply({ type: 'MOLT_SUBMOLTS', submolts: moltCommands.submoltsFrom(res).map(moltCommands.summarizeSubmolt) });
+    };
+
+    try {
+        switch (data.type) {
+            case 'MOLT_GET_FEED': {
+                const sort = moltCommands.FEED_SORTS.includes(data.sort) ? data.sort : 'hot';
+                const page = Math.max(0, parseInt(data.page, 10) || 0);
+                const pageSize = moltCommands.FEED_PAGE_SIZE;
+                const res = await moltbook.getFeed({ sort, limit: pageSize, offset: page * pageSize, submolt: data.submolt || undefined });
+                const posts = moltCommands.postsFrom(res).map(moltCommands.summarizePost);
+                reply({ type: 'MOLT_FEED', sort, page, submolt: data.submolt || null, posts, hasMore: posts.length === pageSize });
+                break;
+            }
+            case 'MOLT_GET_POST':
+                await sendPost(data.postId);
+                break;
+            case 'MOLT_COMMENT': {
+                const content = String(data.content || '').trim();
+                if (!content) {
+                    reply({ type: 'MOLT_ERROR', action: data.type, message: "Comment cannot be empty." });
+                    break;
+                }
+                await moltbook.comment(data.postId, content, data.parentId || null);
+                await sendPost(data.postId);
+                break;
+            }
+            case 'MOLT_VOTE':
+                await moltbook.vote(data.postId, data.direction === 'down' ? 'down' : 'up');
+                await sendPost(data.postId);
+                break;
+            case 'MOLT_GET_SUBMOLTS':
+                await sendSubmolts();
+                break;
+            case 'MOLT_SUBSCRIBE':
+                await (data.subscribe === false ? moltbook.unsubscribe(data.name) : moltbook.subscribe(data.name));
+                await sendSubmolts();
+                break;
+            case 'MOLT_GET_DRAFTS':
+                await sendDrafts(data.status);
+                break;
+            case 'MOLT_GENERATE_DRAFT':
+                await moltDrafts.generateDraft({ topic: data.topic, submolt: data.submolt || 'general', createdBy: ws.username });
+                await sendDrafts('pending');
+                break;
+            case 'MOLT_EDIT_DRAFT':
+                await moltDrafts.editDraft(data.id, { title: data.title, content: data.content, submolt: data.submolt }, ws.username);
+                await sendDrafts(data.status);
+                break;
+            case 'MOLT_APPROVE_DRAFT':
+                await moltDrafts.approveDraft(data.id, ws.username, { scheduledFor: data.scheduledFor || null });
+                await sendDrafts(data.status);
+                break;
+            case 'MOLT_REJECT_DRAFT':
+                await moltDrafts.rejectDraft(data.id, ws.username, data.reason);
+                await sendDrafts(data.status);
+                break;
+            case 'MOLT_GET_PROFILE': {
+                const res = await moltbook.getProfile();
+                reply({ type: 'MOLT_PROFILE', profile: moltCommands.summarizeProfile(moltCommands.profileFrom(res)) });
+                break;
+            }
+            case 'MOLT_UPDATE_PROFILE': {
+                await moltbook.updateProfile({ description: String(data.description || '').trim() });
+                const res = await moltbook.getProfile();
+                reply({ type: 'MOLT_PROFILE', profile: moltCommands.summarizeProfile(moltCommands.profileFrom(res)) });
+                break;
+            }
+            default:
+                reply({ type: 'MOLT_ERROR', action: data.type, message: "Unknown Moltbook request." });
+        }
+    } catch (e) {
+        if (!(e instanceof moltDrafts.DraftError)) console.error(`Moltbook ${data.type} failed:`, e);
+        reply({ type: 'MOLT_ERROR', action: data.type, message: moltCommands.moltErrorMessage(e) });
+    }
+}
+
+async function completeLogin(ws, wallet, session) {
+    ws.username = wallet;
+    ws.sessionId = session.id;
+    console.log(`Wallet logged in: ${wallet}`);
+
+    const user = await store.users.ensure(wallet);
+    await admin.noteActivity(wallet);
+
+    const role = user.role || 'user';
+    const history = await getChatHistory(wallet);
+    const preferences = await scheduler.getPreferences(wallet);
+    const tier = await tiers.loginTier(wallet);
+
+    ws.send(JSON.stringify({
+        type: 'LOGIN_SUCCESS',
+        username: wallet,
+        todos: user.todos,
+        ...roleInfo(role),
+        tier: tiers.describe(tier, role),
+        history: history.messages,
+        historyHasMore: history.hasMore,
+        preferences,
+        telegram: linking.linkStatus(user),
+        sessionToken: session.token,
+        sessionExpiresAt: session.expiresAt
+    }));
+}
+
 hqServer.on('connection', (ws) => {
     console.log('Web Client connected');
     ws.isAlive = true;
     ws.username = null;
+    ws.sessionId = null;
+    ws.loginChallenge = null;
 
     ws.on('message', async (message) => {
         try {
             const data = JSON.parse(message);
 
+            if (data.type === 'GET_LOGIN_CHALLENGE') {
+                if (typeof data.publicKey !== 'string' || !data.publicKey) {
+                    ws.send(JSON.stringify({ type: 'LOGIN_FAIL', message: "Missing public key" }));
+                    return;
+                }
+                const challenge = issueLoginChallenge(ws, data.publicKey);
+                ws.send(JSON.stringify({ type: 'LOGIN_CHALLENGE', message: challenge.message, expiresAt: challenge.expiresAt }));
+                return;
+            }
+
             if (data.type === 'LOGIN') {
-                const { publicKey, signature, message: msgAuth } = data;
-                if (verifySolanaSignature(publicKey, signature, msgAuth)) {
-                    ws.username = publicKey;
-                    console.log(`Wallet logged in: ${publicKey}`);
+                const { publicKey, signature } = data;
+                const challenge = consumeLoginChallenge(ws, publicKey);
+                if (!challenge) {
+                    ws.send(JSON.stringify({ type: 'LOGIN_FAIL', message: "Login challenge missing or expired. Try again." }));
+                } else if (verifySolanaSignature(publicKey, signature, challenge)) {
+                    if (admin.isDisabled(await store.users.get(publicKey))) {
+                        ws.send(JSON.stringify({ type: 'LOGIN_FAIL', message: "This wallet has been disabled by an admin." }));
+                        return;
+                    }
                     try {
-                        let user = await User.findOne({ wallet: publicKey });
-                        if (!user) {
-                            user = await User.create({ wallet: publicKey, todos: [] });
-                        }
-
-                        const ADMIN_WALLET = "4QUk9RNqFiFiwZECiczBZp8cDLvB6fViZtpAsiJaxNc6";
-                        const isAdmin = (publicKey === ADMIN_WALLET);
-
-                        ws.send(JSON.stringify({
-                            type: 'LOGIN_SUCCESS',
-                            username: publicKey,
-                            todos: user.todos,
-                            isAdmin: isAdmin
-                        }));
+                        const session = await createSession(publicKey);
+                        await completeLogin(ws, publicKey, session);
                     } catch (dbError) {
                         console.error("Database Login Error:", dbError);
                         ws.send(JSON.stringify({
@@ -160,112 +440,842 @@ hqServer.on('connection', (ws) => {
                 return;
             }
 
+            if (data.type === 'RESUME_SESSION') {
+                const session = await findSession(data.token);
+                if (session && admin.isDisabled(await store.users.get(session.wallet))) {
+                    await revokeSession(session.id);
+                    ws.send(JSON.stringify({ type: 'SESSION_INVALID' }));
+                } else if (session) {
+                    await completeLogin(ws, session.wallet, {
+                        token: data.token,
+                        id: session.id,
+                        expiresAt: session.expiresAt
+                    });
+                } else {
+                    ws.send(JSON.stringify({ type: 'SESSION_INVALID' }));
+                }
+                return;
+            }
+
             if (!ws.username) return;
+            admin.noteActivity(ws.username).catch(e => console.error("Failed to record activity:", e.message));
 
-            if (data.type === 'GET_MOLT_CLAIM') {
-                const ADMIN_WALLET = "4QUk9RNqFiFiwZECiczBZp8cDLvB6fViZtpAsiJaxNc6";
-                if (ws.username === ADMIN_WALLET) {
-                    const creds = await System.findOne({ key: 'moltbook' });
-                    if (creds && creds.value && creds.value.claim_url) {
-                        ws.send(JSON.stringify({ type: 'MOLT_CLAIM_URL', url: creds.value.claim_url }));
+            if (data.type === 'LOGOUT') {
+                await revokeSession(ws.sessionId);
+                console.log(`Wallet logged out: ${ws.username}`);
+                ws.username = null;
+                ws.sessionId = null;
+                ws.send(JSON.stringify({ type: 'LOGGED_OUT' }));
+            } else if (data.type === 'REVOKE_ALL_SESSIONS') {
+                await revokeSessions(ws.username);
+            } else if (data.type === 'GET_ROLES') {
+                if (await requirePermission(ws, 'roles.view')) {
+                    ws.send(JSON.stringify({ type: 'ROLES', roles: roles.ROLES, users: await roles.listPrivileged() }));
+                }
+            } else if (data.type === 'SET_ROLE') {
+                if (await requirePermission(ws, 'roles.manage')) {
+                    await changeRole(ws.username, data.wallet, data.role);
+                    ws.send(JSON.stringify({ type: 'ROLES', roles: roles.ROLES, users: await roles.listPrivileged() }));
+                }
+            } else if (data.type === 'GET_DASHBOARD') {
+                if (await requirePermission(ws, 'admin.panel')) {
+                    await sendDashboard(ws);
+                }
+            } else if (data.type === 'SET_WALLET_DISABLED') {
+                if (await requirePermission(ws, 'wallets.manage')) {
+                    const result = await admin.setDisabled(ws.username, data.wallet, !!data.disabled);
+                    if (result.disabled) {
+                        await revokeSessions(result.wallet);
+                        if (result.telegramId) {
+                            sendToGateway({ chatId: result.telegramId, text: "🚫 this wallet was disabled by an admin." });
+                        }
+                    }
+                    await sendDashboard(ws);
+                }
+            } else if (data.type === 'RESET_WALLET_LINK') {
+                if (await requirePermission(ws, 'wallets.manage')) {
+                    const telegramId = await admin.resetLink(ws.username, data.wallet);
+                    if (telegramId) {
+                        sendToGateway({ chatId: telegramId, text: "🔓 an admin reset this chat's wallet link. link again with /link <code>." });
+                        await notifyLinkChange(data.wallet, "🔓 An admin reset your Telegram link.");
+                    }
+                    await sendDashboard(ws);
+                }
+            } else if (data.type === 'BROADCAST_PREVIEW') {
+                if (await requirePermission(ws, 'broadcast.send')) {
+                    const preview = await broadcasts.preview({ text: data.text, roles: data.roles }, onlineWallets());
+                    ws.send(JSON.stringify({ type: 'BROADCAST_PREVIEW', preview }));
+                }
+            } else if (data.type === 'BROADCAST_SEND') {
+                if (await requirePermission(ws, 'broadcast.send')) {
+                    await broadcasts.send({ text: data.text, roles: data.roles }, { wallet: ws.username, onlineWallets: onlineWallets() });
+                }
+            } else if (data.type === 'GET_BROADCASTS') {
+                if (await requirePermission(ws, 'broadcast.send')) {
+                    ws.send(JSON.stringify({ type: 'BROADCASTS', reports: await broadcasts.listReports() }));
+                }
+            } else if (data.type === 'GET_USAGE') {
+                if (await requirePermission(ws, 'usage.view')) {
+                    await sendUsageReport(ws, data.days);
+                }
+            } else if (data.type === 'SET_USAGE_LIMITS') {
+                if (await requirePermission(ws, 'usage.manage')) {
+                    await usage.setLimits(ws.username, data.tier, data.limits);
+                    await sendUsageReport(ws, data.days);
+                }
+            } else if (data.type === 'GET_PERSONAS') {
+                await sendPersonas(ws.username);
+            } else if (data.type === 'SET_MY_PERSONA') {
+                await personas.choose(ws.username, data.id || null);
+                await sendPersonas(ws.username);
+            } else if (data.type === 'SAVE_PERSONA') {
+                await personas.save(ws.username, data.persona);
+                await refreshPersonas();
+            } else if (data.type === 'DELETE_PERSONA') {
+                await personas.remove(ws.username, data.id);
+                await refreshPersonas();
+            } else if (data.type === 'ACTIVATE_PERSONA') {
+                await personas.activate(ws.username, data.id);
+                await refreshPersonas();
+            } else if (data.type === 'GET_MOLT_CLAIM') {
+                if (await requirePermission(ws, 'molt.manage')) {
+                    const creds = await store.system.get('moltbook');
+                    if (creds && creds.claim_url) {
+                        ws.send(JSON.stringify({ type: 'MOLT_CLAIM_URL', url: creds.claim_url }));
                     } else {
                         ws.send(JSON.stringify({ type: 'ERROR', message: "No Claim URL found." }));
                     }
                 }
+            } else if (typeof data.type === 'string' && data.type.startsWith('MOLT_')) {
+                if (await requirePermission(ws, 'molt.manage')) {
+                    await handleMoltRequest(ws, data);
+                }
             } else if (data.type === 'GENERATE_LINK_CODE') {
-                const code = Math.floor(100000 + Math.random() * 900000).toString();
-                linkCodes[code] = {
-                    username: ws.username,
-                    expires: Date.now() + 5 * 60 * 1000
-                };
-                for (const c in linkCodes) {
-                    if (linkCodes[c].expires < Date.now()) delete linkCodes[c];
-                }
-                ws.send(JSON.stringify({ type: 'LINK_CODE', code }));
+                const { code, expiresAt } = await linking.createLinkCode(ws.username);
+                ws.send(JSON.stringify({ type: 'LINK_CODE', code, expiresAt }));
+            } else if (data.type === 'GET_LINK_STATUS') {
+                const user = await store.users.get(ws.username);
+                ws.send(JSON.stringify({ type: 'LINK_STATUS', telegram: linking.linkStatus(user) }));
+            } else if (data.type === 'UNLINK_TELEGRAM') {
+                const telegramId = await linking.unlinkWallet(ws.username);
+                if (telegramId) {
+                    sendToGateway({ chatId: telegramId, text: `🔓 this chat was unlinked from wallet ${ws.username.slice(0, 4)}... in HQ.` });
+                    await notifyLinkChange(ws.username, "🔓 Telegram unlinked.");
+                } else {
+                    await notifyLinkChange(ws.username);
+                }
             } else if (data.type === 'ADD_TODO') {
-                const todo = { id: Date.now(), text: data.text, done: false };
-                await User.findOneAndUpdate(
-                    { wallet: ws.username },
-                    { $push: { todos: todo } },
-                    { upsert: true }
-                );
+                // Inline #tags and times ("tomorrow 9am") in the text are honoured unless sent explicitly
+                const { timezone } = await scheduler.getPreferences(ws.username);
+                const quick = todoService.parseQuickTodo(data.text || '', { timeZone: timezone });
+                await todoService.addTodo(ws.username, {
+                    text: quick.text,
+                    tags: data.tags !== undefined ? data.tags : quick.tags,
+                    priority: data.priority,
+                    dueDate: data.dueDate !== undefined ? data.dueDate : quick.remindAt,
+                    remindAt: data.remindAt !== undefined ? data.remindAt : quick.remindAt
+                });
                 await broadcastState(ws.username);
             } else if (data.type === 'TOGGLE_TODO') {
-                const user = await User.findOne({ wallet: ws.username });
-                if (user) {
-                    const todo = user.todos.find(t => t.id === data.id);
-                    if (todo) {
-                        todo.done = !todo.done;
-                        await user.save();
-                        await broadcastState(ws.username);
+                if (await todoService.toggleTodo(ws.username, data.id)) {
+                    await broadcastState(ws.username);
+                }
+            } else if (data.type === 'UPDATE_TODO') {
+                if (await todoService.updateTodo(ws.username, data.id, data.changes || {})) {
+                    await broadcastState(ws.username);
+                }
+            } else if (data.type === 'DELETE_TODO') {
+                if (await todoService.deleteTodo(ws.username, data.id)) {
+                    await broadcastState(ws.username);
+                }
+            } else if (data.type === 'REORDER_TODOS') {
+                await todoService.reorderTodos(ws.username, data.ids);
+                await broadcastState(ws.username);
+            } else if (data.type === 'CLEAR_COMPLETED') {
+                await todoService.clearCompleted(ws.username);
+                await broadcastState(ws.username);
+            } else if (data.type === 'GET_PREFERENCES') {
+                const preferences = await scheduler.getPreferences(ws.username);
+                ws.send(JSON.stringify({ type: 'PREFERENCES', preferences }));
+            } else if (data.type === 'SET_PREFERENCES') {
+                if (data.digestEnabled) {
+                    try {
+                        await tiers.requireFeature(ws.username, 'digest');
+                    } catch (e) {
+                        // Puts the HQ toggle back before the error is shown
+                        ws.send(JSON.stringify({ type: 'PREFERENCES', preferences: await scheduler.getPreferences(ws.username) }));
+                        throw e;
                     }
                 }
+                const preferences = await scheduler.setPreferences(ws.username, {
+                    timezone: data.timezone,
+                    digestEnabled: data.digestEnabled,
+                    digestHour: data.digestHour
+                });
+                sendToUser(ws.username, { type: 'PREFERENCES', preferences });
             } else if (data.type === 'GET_TODOS') {
-                const user = await User.findOne({ wallet: ws.username });
-                ws.send(JSON.stringify({ type: 'STATE_UPDATE', todos: user ? user.todos : [] }));
+                ws.send(JSON.stringify({ type: 'STATE_UPDATE', todos: await store.todos.list(ws.username) }));
+            } else if (data.type === 'GET_CHAT_HISTORY') {
+                const history = await getChatHistory(ws.username, { before: data.before, beforeId: data.beforeId, limit: data.limit });
+                ws.send(JSON.stringify({ type: 'CHAT_HISTORY', messages: history.messages, hasMore: history.hasMore }));
             } else if (data.type === 'SEND_CHAT') {
-                const user = await User.findOne({ wallet: ws.username });
+                const text = typeof data.text === 'string' ? data.text.trim() : '';
+                if (!text) {
+                    ws.send(JSON.stringify({ type: 'ERROR', message: "Message text is required." }));
+                    return;
+                }
+                const user = await store.users.get(ws.username);
                 const tid = user ? user.telegramId : null;
 
-                if (tid && gatewayWs && gatewayWs.readyState === WebSocket.OPEN) {
-                    gatewayWs.send(JSON.stringify({
+                if (walletCommands.isWalletCommand(text)) {
+                    await handleWalletCommand(text, {
+                        wallet: ws.username,
+                        telegramId: tid,
+                        displayName: `${ws.username.slice(0, 4)}...`,
+                        source: 'web'
+                    });
+                    return;
+                }
+                if (text.startsWith('/todo ')) {
+                    await handleQuickTodo(text, {
+                        wallet: ws.username,
+                        telegramId: tid,
+                        displayName: `${ws.username.slice(0, 4)}...`,
+                        source: 'web'
+                    });
+                    return;
+                }
+
+                if (tid) {
+                    sendToGateway({
                         chatId: tid,
-                        text: data.text
-                    }));
+                        text
+                    });
+                }
+                const history = await loadChatContext({ wallet: ws.username });
+                await recordChat({ wallet: ws.username, telegramId: tid, role: 'user', text, source: 'web' });
+
+                // CHAT_START shows the typing indicator, CHAT_CHUNKs fill it in, CHAT_DONE settles the final text
+                const streamId = crypto.randomUUID();
+                ws.send(JSON.stringify({ type: 'CHAT_START', id: streamId, from: 'Alon' }));
+                const reply = await askAlon(text, ws.username, history, {
+                    wallet: ws.username,
+                    caller: { wallet: ws.username, telegramId: tid },
+                    onChunk: (delta) => {
+                        if (ws.readyState === WebSocket.OPEN) {
+                            ws.send(JSON.stringify({ type: 'CHAT_CHUNK', id: streamId, delta }));
+                        }
+                    }
+                });
+                await recordChat({ wallet: ws.username, telegramId: tid, role: 'assistant', text: reply, source: 'web' });
+                if (ws.readyState === WebSocket.OPEN) {
+                    ws.send(JSON.stringify({ type: 'CHAT_DONE', id: streamId, text: reply, from: 'Alon', source: 'web' }));
                 }
-                const reply = await askAlon(data.text, ws.username);
-                ws.send(JSON.stringify({
-                    type: 'CHAT_INCOMING',
-                    text: reply,
-                    from: 'Alon',
-                    sender: 'Alon'
-                }));
-                if (tid && gatewayWs) {
-                    gatewayWs.send(JSON.stringify({ chatId: tid, text: reply }));
+                if (tid) {
+                    sendToGateway({ chatId: tid, text: reply });
                 }
             }
         } catch (e) {
+            if (e instanceof todoService.TodoValidationError || e instanceof roles.RoleError ||
+                e instanceof scheduler.PreferenceError || e instanceof usage.LimitError ||
+                e instanceof admin.AdminError || e instanceof broadcasts.BroadcastError ||
+                e instanceof tiers.TierError || e instanceof personas.PersonaError) {
+                ws.send(JSON.stringify({ type: 'ERROR', message: e.message }));
+                return;
+            }
             console.error("Error parsing message:", e);
         }
     });
 });
 
-// --- OpenAI Integration ---
-const openai = new OpenAI({
-    apiKey: process.env.OPENAI_API_KEY
-});
+// --- LLM Integration ---
+const llm = createProvider();
+console.log(`🧠 LLM provider: ${llm.name} (${llm.model})`);
+if (llm.ready && !usage.isPriced(llm.model)) {
+    console.warn(`⚠️ No price known for ${llm.model}: its usage counts as $0 against dailyUsd budgets. Set LLM_PRICE_INPUT and LLM_PRICE_OUTPUT.`);
+}
+if (!llm.ready) console.warn("⚠️ No OPENAI_API_KEY set: Alon will answer that his brain is offline. Set LLM_PROVIDER=offline for the scripted provider.");
 
-const ALON_SYSTEM_PROMPT = `
-You are Alon, a wealthy, successful, and slightly arrogant crypto whale.
-Your traits:
-- You own the "Alon Clawd Headquarters".
-- You love Solana ($SOL) and hate "jeets" (paper hands).
-- You are helpful but condescending.
-- Catchphrase: "stop being poor."
-- Use emojis like 🚀, 💎, 🕶️, 🍷.
-- IMPORTANT: you strictly speak in lowercase only. no capital letters.
-Context: You are replying to a user in your Command Center.
-`;
-
-async function askAlon(userText, username) {
+// Upper bound on model <-> tool round trips for a single reply
+const MAX_TOOL_ROUNDS = 4;
+
+// `history` is the prior conversation as OpenAI messages (oldest first).
+// Passing `wallet` lets Alon read and change that wallet's todo list;
+// passing `onChunk` streams the reply text as it is generated.
+// `caller` ({ wallet, telegramId }) is who the tokens are billed to and whose
+// quota is checked; without it the reply counts as Alon's own (system) usage.
+// `admitted` is the subject when this turn already passed usage.admit.
+// The reply comes in the voice of the caller's persona (see personas.js).
+// Failures come back as an error line in the persona's voice, unless `throwErrors`
+// is set for callers that must not pass that line on as Alon's answer
+async function askAlon(userText, username, history = [], { wallet, onChunk, caller, admitted, throwErrors = false } = {}) {
+    const tools = wallet ? createTodoTools(wallet) : null;
+    let persona = null;
     try {
-        if (!process.env.OPENAI_API_KEY) return "my brain is offline. (missing api key)";
-        const completion = await openai.chat.completions.create({
-            messages: [
-                { role: "system", content: ALON_SYSTEM_PROMPT },
-                { role: "user", content: `${username} says: ${userText}` }
-            ],
-            model: "gpt-4o",
-        });
-        return completion.choices[0].message.content.toLowerCase();
+        persona = await personas.resolve(caller && caller.wallet);
+        if (!llm.ready) {
+            if (throwErrors) throw new Error("No LLM provider is configured");
+            return personas.errorLine(persona, 'offline');
+        }
+        const subject = admitted || await usage.admit(caller);
+
+        let systemPrompt = persona.systemPrompt;
+        if (caller && caller.wallet) {
+            systemPrompt += `\n${tiers.promptLine(await tiers.cachedTier(caller.wallet))}`;
+        }
+        if (tools) {
+            const { timezone } = await scheduler.getPreferences(wallet);
+            systemPrompt += `\nYou can manage this user's task list with your tools. Current time: ${new Date().toISOString()}.`;
+            if (timezone) systemPrompt += ` The user's time zone is ${timezone}.`;
+        }
+        const messages = [
+            { role: "system", content: systemPrompt },
+            ...history,
+            { role: "user", content: `${username} says: ${userText}` }
+        ];
+
+        for (let round = 0; round <= MAX_TOOL_ROUNDS; round++) {
+            // Last round goes out without tools so the model has to answer in text
+            const offerTools = tools && round < MAX_TOOL_ROUNDS;
+            const stopTimer = llmSeconds.startTimer({ provider: llm.name });
+            let completion;
+            try {
+                completion = await llm.complete({
+                    messages,
+                    tools: offerTools ? tools.definitions : null,
+                    model: persona.model.name,
+                    temperature: persona.model.temperature,
+                    maxTokens: persona.model.maxTokens,
+                    onDelta: onChunk ? (delta) => onChunk(personas.styleDelta(persona, delta)) : undefined
+                });
+                stopTimer({ outcome: 'ok' });
+            } catch (e) {
+                stopTimer({ outcome: 'error' });
+                throw e;
+            }
+            await usage.record(subject, completion);
+            const reply = completion.message;
+            if (!reply.tool_calls || reply.tool_calls.length === 0) {
+                return personas.stylize(persona, reply.content || '');
+            }
+
+            messages.push(reply);
+            for (const call of reply.tool_calls) {
+                const result = await tools.execute(call.function.name, call.function.arguments);
+                messages.push({ role: "tool", tool_call_id: call.id, content: JSON.stringify(result) });
+            }
+        }
+        return "";
     } catch (e) {
-        console.error("OpenAI Error:", e);
-        return "i'm too rich to answer right now. (error)";
+        if (!(e instanceof usage.QuotaError)) console.error(`LLM Error (${llm.name}):`, e);
+        if (throwErrors) throw e;
+        if (e instanceof usage.QuotaError) return quotaLine(persona, e, caller);
+        return personas.errorLine(persona, 'failure');
+    } finally {
+        if (tools && tools.changed) await broadcastState(wallet);
     }
 }
 
+// Alon's line for a background message (reminder, digest, Moltbook draft); '' when
+// the model is missing, refuses or fails, so the caller falls back to plain text
+async function composeLine(prompt, username) {
+    if (!llm.ready) return '';
+    try {
+        return await askAlon(prompt, username, [], { throwErrors: true });
+    } catch (e) {
+        if (e instanceof usage.QuotaError) console.log(`📊 Background line skipped: ${e.message}`);
+        return '';
+    }
+}
+
+// Alon's refusal for a QuotaError, in the caller's persona
+function quotaLine(persona, e, caller) {
+    console.log(`📊 ${e.kind} limit hit by ${usage.subjectFor(caller).subject}`);
+    return personas.errorLine(persona, e.kind === 'rate' ? 'rateLimited' : 'overBudget', {
+        seconds: Math.max(1, Math.ceil(e.retryAfterMs / 1000))
+    });
+}
+
 // --- Clawd Gateway Client ---
 let gatewayWs;
+// Set once the gateway has accepted our HELLO and proved it holds the secret too;
+// nothing is sent or trusted before that
+let gatewayAuthenticated = false;
+// This connection's side of the HELLO/WELCOME exchange (see shared/handshake.js)
+let gatewayHandshake = null;
+// For /readyz: when the current connection was accepted, and why the last one failed
+const gatewayStatus = { connectedSince: null, lastError: null, reconnects: 0 };
+
+function gatewayHealth() {
+    let state = 'disconnected';
+    if (gatewayWs && gatewayWs.readyState === WebSocket.CONNECTING) state = 'connecting';
+    if (gatewayWs && gatewayWs.readyState === WebSocket.OPEN) state = gatewayAuthenticated ? 'connected' : 'authenticating';
+    return {
+        ok: state === 'connected',
+        state,
+        url: GATEWAY_URL,
+        connectedSince: gatewayStatus.connectedSince,
+        lastError: gatewayStatus.lastError,
+        reconnects: gatewayStatus.reconnects,
+        outbox: gatewayOutbox.length
+    };
+}
+
+// Messages that could not be sent yet (gateway down or re-authenticating).
+// Stream updates are not worth holding; everything else is flushed on WELCOME.
+const GATEWAY_OUTBOX_LIMIT = 200;
+const GATEWAY_OUTBOX_MAX_AGE_MS = 10 * 60 * 1000;
+let gatewayOutbox = [];
+
+// Sends awaiting a delivery ACK from the gateway: id -> { chatId, text, sentAt }
+const pendingDeliveries = new Map();
+const DELIVERY_TRACKING_MS = 30 * 60 * 1000;
+// Message id -> callback for sends whose caller waits on the ack (see sendToGatewayAcked)
+const ackWaiters = new Map();
+const DELIVERY_ACK_TIMEOUT_MS = 30 * 1000;
+
+function gatewayReady() {
+    return !!gatewayWs && gatewayWs.readyState === WebSocket.OPEN && gatewayAuthenticated;
+}
+
+// Telegram sends (and final stream writes) get a message id so the gateway can
+// ack them and de-duplicate retries. Returns the id, or null for untracked payloads.
+function sendToGateway(payload) {
+    const tracked = (payload.chatId && payload.text) || payload.type === 'STREAM_END';
+    if (tracked && !payload.id) payload = { ...payload, id: crypto.randomUUID() };
+
+    if (!gatewayReady()) {
+        if (payload.type === 'STREAM_UPDATE') return null;
+        gatewayOutbox.push({ payload, queuedAt: Date.now() });
+        if (gatewayOutbox.length > GATEWAY_OUTBOX_LIMIT) gatewayOutbox.shift();
+        console.warn(`Gateway not ready, holding outbound ${payload.type || 'message'}`);
+    } else {
+        gatewayWs.send(JSON.stringify(payload));
+    }
+
+    if (tracked) {
+        pendingDeliveries.set(payload.id, { chatId: String(payload.chatId || ''), text: payload.text, sentAt: Date.now() });
+    }
+    return tracked ? payload.id : null;
+}
+
+// Sends a Telegram message and resolves once the gateway acks it as delivered.
+// Rejects when Telegram refuses it or no ack comes in time; resending with the
+// same id is safe, the gateway drops the duplicate.
+function sendToGatewayAcked(payload, timeoutMs = DELIVERY_ACK_TIMEOUT_MS) {
+    return new Promise((resolve, reject) => {
+        const id = sendToGateway(payload);
+        const settle = (ack) => {
+            clearTimeout(timer);
+            ackWaiters.delete(id);
+            if (ack.status === 'sent') resolve(ack);
+            else reject(new Error(`Telegram delivery ${ack.status}: ${ack.error}`));
+        };
+        const timer = setTimeout(() => {
+            if (ackWaiters.get(id) === settle) ackWaiters.delete(id);
+            reject(new Error("No delivery ack from the gateway"));
+        }, timeoutMs);
+        ackWaiters.set(id, settle);
+    });
+}
+
+// Callers waiting on the gateway's answer to GET_STATUS; one reply settles them all
+let gatewayStatusWaiters = [];
+
+// Resolves to the gateway's STATUS snapshot, or null when it is down or slow to answer
+function requestGatewayStatus(timeoutMs = 2000) {
+    if (!gatewayReady()) return Promise.resolve(null);
+    return new Promise(resolve => {
+        const timer = setTimeout(() => {
+            gatewayStatusWaiters = gatewayStatusWaiters.filter(waiter => waiter !== settle);
+            resolve(null);
+        }, timeoutMs);
+        const settle = (status) => {
+            clearTimeout(timer);
+            const { type, ...snapshot } = status;
+            resolve(snapshot);
+        };
+        gatewayStatusWaiters.push(settle);
+        gatewayWs.send(JSON.stringify({ type: 'GET_STATUS' }));
+    });
+}
+
+function flushGatewayOutbox() {
+    const cutoff = Date.now() - GATEWAY_OUTBOX_MAX_AGE_MS;
+    const held = gatewayOutbox.filter(entry => entry.queuedAt >= cutoff);
+    gatewayOutbox = [];
+    held.forEach(entry => gatewayWs.send(JSON.stringify(entry.payload)));
+    if (held.length) console.log(`Flushed ${held.length} held gateway message(s)`);
+}
+
+// Failed or blocked deliveries are surfaced to the wallet that owns the chat
+async function handleDeliveryAck(ack) {
+    const pending = pendingDeliveries.get(ack.id);
+    pendingDeliveries.delete(ack.id);
+    telegramDeliveriesTotal.inc({ status: ack.status || 'unknown' });
+    const waiter = ackWaiters.get(ack.id);
+    if (waiter) waiter(ack);
+    // Announcement outcomes go into the broadcast's report instead
+    if (broadcasts.handleAck(ack) || ack.status === 'sent') return;
+
+    const chatId = ack.chatId || (pending && pending.chatId);
+    console.error(`Telegram delivery ${ack.status} for chat ${chatId}: ${ack.error}`);
+    const user = chatId ? await store.users.getByTelegramId(chatId) : null;
+    if (user) {
+        sendToUser(user.wallet, {
+            type: 'DELIVERY_FAILED',
+            id: ack.id,
+            status: ack.status,
+            error: ack.error,
+            text: pending ? pending.text : null
+        });
+    }
+}
+
+setInterval(() => {
+    const cutoff = Date.now() - DELIVERY_TRACKING_MS;
+    pendingDeliveries.forEach((entry, id) => {
+        if (entry.sentAt < cutoff) pendingDeliveries.delete(id);
+    });
+}, 5 * 60 * 1000);
+
+// Inline keyboard presses on a /todos message: apply the change, then redraw the page in place
+async function handleTodoCallback(query) {
+    const chatId = String(query.chatId);
+    const answer = (text) => sendToGateway({ type: 'ANSWER_CALLBACK', callbackQueryId: query.callbackQueryId, text });
+
+    const parsed = parseTodoCallback(query.data);
+    if (!parsed) return answer();
+
+    const user = await store.users.getByTelegramId(chatId);
+    if (!user) return answer("🔒 link your wallet first with /link");
+
+    let notice;
+    if (parsed.action === 'toggle') {
+        const todo = await todoService.toggleTodo(user.wallet, parsed.id);
+        notice = !todo ? "that task is gone." : todo.done ? "✅ done" : "↩️ reopened";
+        if (todo) await broadcastState(user.wallet);
+    } else if (parsed.action === 'delete') {
+        const todo = await todoService.deleteTodo(user.wallet, parsed.id);
+        notice = todo ? "🗑️ deleted" : "that task is gone.";
+        if (todo) await broadcastState(user.wallet);
+    }
+
+    answer(notice);
+    const todos = await todoService.listTodos(user.wallet);
+    const { text, options } = renderTodoPage(todos, parsed.page);
+    sendToGateway({ type: 'EDIT_MESSAGE', chatId, messageId: query.messageId, text, options });
+}
+
+// Logs a wallet out everywhere: drops its sessions and signs out its open HQ tabs
+async function revokeSessions(wallet) {
+    const revoked = await store.sessions.removeForWallet(wallet);
+    console.log(`Revoked ${revoked} session(s) for ${wallet}`);
+    const notice = JSON.stringify({ type: 'SESSION_REVOKED' });
+    hqServer.clients.forEach(client => {
+        if (client.username === wallet) {
+            client.username = null;
+            client.sessionId = null;
+            if (client.readyState === WebSocket.OPEN) client.send(notice);
+        }
+    });
+}
+
+// Moltbook's claim status is fetched at most once a minute, and the dashboard
+// waits for it only briefly; a slow answer lands in the cache for the next load.
+const MOLT_STATUS_TTL_MS = 60 * 1000;
+let moltStatusCache = { value: null, at: 0 };
+
+async function moltbookOverview() {
+    if (moltbook.apiKey && Date.now() - moltStatusCache.at > MOLT_STATUS_TTL_MS) {
+        moltStatusCache.at = Date.now();
+        const fetching = moltbook.getStatus()
+            .then(res => { moltStatusCache.value = res.status || null; })
+            .catch(e => { moltStatusCache.value = `unavailable (${moltCommands.moltErrorMessage(e)})`; });
+        await Promise.race([fetching, new Promise(resolve => setTimeout(resolve, 3000).unref())]);
+    }
+    const creds = await store.system.get('moltbook');
+    return {
+        name: moltbook.agentName,
+        baseUrl: moltbook.baseUrl,
+        registration: moltbook.registration.state,
+        lastError: moltbook.registration.lastError,
+        claimStatus: moltbook.apiKey ? moltStatusCache.value : 'unregistered',
+        claimUrl: (creds && creds.claim_url) || null
+    };
+}
+
+async function sendDashboard(ws) {
+    const hqClients = [...hqServer.clients];
+    const [wallets, gatewayStatus, molt] = await Promise.all([
+        admin.listWallets(),
+        requestGatewayStatus(),
+        moltbookOverview()
+    ]);
+    if (ws.readyState !== WebSocket.OPEN) return;
+    ws.send(JSON.stringify({
+        type: 'DASHBOARD',
+        wallets,
+        connections: {
+            hq: {
+                sockets: hqClients.length,
+                loggedIn: hqClients.filter(c => c.username).length,
+                wallets: new Set(hqClients.map(c => c.username).filter(Boolean)).size
+            },
+            gateway: {
+                connected: !!gatewayWs && gatewayWs.readyState === WebSocket.OPEN,
+                authenticated: gatewayAuthenticated,
+                outbox: gatewayOutbox.length,
+                status: gatewayStatus
+            }
+        },
+        moltbook: molt,
+        errors: errorLog.recent(20),
+        roles: roles.ROLES
+    }));
+}
+
+async function sendUsageReport(ws, days) {
+    const [report, limits] = await Promise.all([usage.report({ days }), usage.getLimits()]);
+    ws.send(JSON.stringify({ type: 'USAGE_REPORT', ...report, limits, tiers: usage.TIERS }));
+}
+
+const formatUsd = (amount) => `$${amount.toFixed(amount < 1 ? 4 : 2)}`;
+
+// Pushes the wallet's current link to its HQ tabs, with an optional notice
+async function notifyLinkChange(wallet, notice) {
+    const user = await store.users.get(wallet);
+    sendToUser(wallet, { type: 'LINK_STATUS', telegram: linking.linkStatus(user) });
+    if (notice) sendToUser(wallet, { type: 'NOTIFICATION', kind: 'link', text: notice });
+}
+
+// Approve/reject buttons on a draft card sent to admins
+async function handleDraftCallback(query) {
+    const chatId = String(query.chatId);
+    const answer = (text) => sendToGateway({ type: 'ANSWER_CALLBACK', callbackQueryId: query.callbackQueryId, text });
+
+    const parsed = moltCommands.parseDraftCallback(query.data);
+    if (!parsed) return answer();
+
+    const user = await store.users.getByTelegramId(chatId);
+    if (!user || !roles.can(user.role, 'molt.manage')) return answer("🚫 access denied.");
+
+    try {
+        const draft = parsed.action === 'approve'
+            ? await moltDrafts.approveDraft(parsed.id, user.wallet)
+            : await moltDrafts.rejectDraft(parsed.id, user.wallet);
+        answer(parsed.action === 'approve' ? "✅ approved" : "❌ rejected");
+        const { text, options } = moltCommands.formatDraft(draft);
+        sendToGateway({ type: 'EDIT_MESSAGE', chatId, messageId: query.messageId, text, options });
+    } catch (e) {
+        if (!(e instanceof moltDrafts.DraftError)) throw e;
+        answer(e.message);
+    }
+}
+
+const broadcastRoles = (list) => (list.length === roles.ROLES.length ? 'everyone' : list.join(', '));
+
+function formatBroadcastReport(report) {
+    const parts = [`${report.sent}/${report.total} sent`, `${report.failed} failed`, `${report.blocked} blocked`];
+    if (report.unconfirmed) parts.push(`${report.unconfirmed} unconfirmed`);
+    if (report.dropped) parts.push(`${report.dropped} dropped`);
+    if (report.status !== 'done') parts.push(`${report.pending} pending`);
+    return `📢 broadcast to ${broadcastRoles(report.roles)} ${report.status === 'done' ? 'finished' : 'in progress'}: ` +
+        `${parts.join(', ')}. ${report.hq} HQ wallet(s) saw it live.`;
+}
+
+// "Send" / "Cancel" under a /broadcast preview
+async function handleBroadcastCallback(query) {
+    const chatId = String(query.chatId);
+    const answer = (text) => sendToGateway({ type: 'ANSWER_CALLBACK', callbackQueryId: query.callbackQueryId, text });
+    const [, action, token] = String(query.data).split(':');
+
+    const user = await store.users.getByTelegramId(chatId);
+    if (!user || !roles.can(user.role, 'broadcast.send')) return answer("🚫 access denied.");
+
+    const draft = broadcasts.takePreview(token, user.wallet);
+    if (!draft) return answer("this preview expired. send /broadcast again.");
+    if (action !== 'send') {
+        answer("cancelled");
+        sendToGateway({ type: 'EDIT_MESSAGE', chatId, messageId: query.messageId, text: "📢 broadcast cancelled." });
+        return;
+    }
+    try {
+        const report = await broadcasts.send(draft, { wallet: user.wallet, onlineWallets: onlineWallets(), replyTo: chatId });
+        answer("📢 sending");
+        sendToGateway({
+            type: 'EDIT_MESSAGE',
+            chatId,
+            messageId: query.messageId,
+            text: `📢 sending to ${report.total} chat(s) and ${report.hq} HQ wallet(s). i'll report back when it's done.`
+        });
+    } catch (e) {
+        if (!(e instanceof broadcasts.BroadcastError)) throw e;
+        answer(e.message);
+    }
+}
+
+const onlineWallets = () => new Set([...hqServer.clients].map(c => c.username).filter(Boolean));
+
+async function sendPersonas(wallet) {
+    sendToUser(wallet, { type: 'PERSONAS', ...(await personas.list(wallet)) });
+}
+
+// Every open tab's persona picker follows changes to the catalogue
+async function refreshPersonas() {
+    await Promise.all([...onlineWallets()].map(sendPersonas));
+}
+
+/**
+ * Runs a wallet command typed in HQ chat, on Telegram or sent through the API.
+ * The result goes to every side of a linked wallet like a normal chat turn,
+ * followed by Alon's reaction to it. Unlinked Telegram chats only get the link
+ * hint. Resolves to the replies, in order.
+ */
+async function handleWalletCommand(text, { wallet, telegramId, displayName, source, admitted }) {
+    const toTelegram = (replyText) => { if (telegramId) sendToGateway({ chatId: telegramId, text: replyText }); };
+    if (!wallet) {
+        const { text: hint } = await walletCommands.runWalletCommand(text, { wallet });
+        toTelegram(hint);
+        return [hint];
+    }
+
+    // Mirror the command to the sides it wasn't typed on
+    if (source !== 'telegram') toTelegram(text);
+    if (source !== 'web') sendToUser(wallet, { type: 'CHAT_INCOMING', text, from: source === 'api' ? 'API' : 'Telegram', sender: 'User' });
+
+    const owner = { wallet, telegramId };
+    await recordChat({ ...owner, role: 'user', text, source });
+    // The RPC lookups count against the caller's limits before they are made;
+    // Alon's reaction below rides on the same admission
+    let subject = null;
+    let result;
+    try {
+        subject = admitted || await usage.admit(owner);
+        result = await walletCommands.runWalletCommand(text, { wallet });
+    } catch (e) {
+        if (!(e instanceof usage.QuotaError)) throw e;
+        result = { text: quotaLine(await personas.resolve(wallet), e, owner), context: null };
+    }
+    await recordChat({ ...owner, role: 'assistant', text: result.text, source });
+    sendToUser(wallet, { type: 'CHAT_DONE', id: crypto.randomUUID(), text: result.text, from: 'Alon', source });
+    toTelegram(result.text);
+    if (!result.context) return [result.text];
+
+    const streamId = crypto.randomUUID();
+    sendToUser(wallet, { type: 'CHAT_START', id: streamId, from: 'Alon' });
+    const history = await loadChatContext(owner);
+    const comment = await askAlon(`${result.context}\nReact to it in one or two sentences: roast or praise the bag.`, displayName, history, {
+        caller: owner,
+        admitted: subject
+    });
+    await recordChat({ ...owner, role: 'assistant', text: comment, source });
+    sendToUser(wallet, { type: 'CHAT_DONE', id: streamId, text: comment, from: 'Alon', source });
+    toTelegram(comment);
+    return [result.text, comment];
+}
+
+/**
+ * Adds the task in a "/todo <task> [when] [#tag ...]" chat line typed in HQ or on
+ * Telegram, then records the line and Alon's reaction like any other chat turn and
+ * shows both on every side of the wallet. A line with no task left in it throws a
+ * TodoValidationError carrying the usage hint.
+ */
+async function handleQuickTodo(text, { wallet, telegramId, displayName, source }) {
+    const { timezone } = await scheduler.getPreferences(wallet);
+    const quick = todoService.parseQuickTodo(text.slice('/todo '.length), { timeZone: timezone });
+    if (!quick.text) throw new todoService.TodoValidationError("usage: /todo <task> [when] [#tag ...]");
+    await todoService.addTodo(wallet, { text: quick.text, tags: quick.tags, dueDate: quick.remindAt, remindAt: quick.remindAt });
+    await broadcastState(wallet);
+
+    if (source !== 'telegram' && telegramId) sendToGateway({ chatId: telegramId, text });
+    if (source !== 'web') sendToUser(wallet, { type: 'CHAT_INCOMING', text, from: 'Telegram', sender: 'User' });
+
+    const owner = { wallet, telegramId };
+    const history = await loadChatContext(owner);
+    await recordChat({ ...owner, role: 'user', text, source });
+    const streamId = crypto.randomUUID();
+    sendToUser(wallet, { type: 'CHAT_START', id: streamId, from: 'Alon' });
+    const reply = await askAlon(`I just added a task: ${quick.text}`, displayName, history, { caller: owner });
+    await recordChat({ ...owner, role: 'assistant', text: reply, source });
+    sendToUser(wallet, { type: 'CHAT_DONE', id: streamId, text: reply, from: 'Alon', source });
+    if (telegramId) sendToGateway({ chatId: telegramId, text: reply });
+}
+
+// A chat turn sent through the REST API. Open HQ tabs and the linked Telegram
+// chat see it like one typed there; the caller gets the replies in the response.
+// An over-quota caller gets the QuotaError (a 429) instead of Alon's refusal line.
+async function apiChat(wallet, text) {
+    const user = await store.users.get(wallet);
+    const tid = user ? user.telegramId : null;
+    const displayName = `${wallet.slice(0, 4)}...`;
+    const owner = { wallet, telegramId: tid };
+    const admitted = await usage.admit(owner);
+    if (walletCommands.isWalletCommand(text)) {
+        return handleWalletCommand(text, { wallet, telegramId: tid, displayName, source: 'api', admitted });
+    }
+
+    sendToUser(wallet, { type: 'CHAT_INCOMING', text, from: 'API', sender: 'User' });
+    if (tid) sendToGateway({ chatId: tid, text });
+    const history = await loadChatContext(owner);
+    await recordChat({ ...owner, role: 'user', text, source: 'api' });
+
+    const streamId = crypto.randomUUID();
+    sendToUser(wallet, { type: 'CHAT_START', id: streamId, from: 'Alon' });
+    const reply = await askAlon(text, displayName, history, {
+        wallet,
+        caller: owner,
+        admitted,
+        onChunk: (delta) => sendToUser(wallet, { type: 'CHAT_CHUNK', id: streamId, delta })
+    });
+    await recordChat({ ...owner, role: 'assistant', text: reply, source: 'api' });
+    sendToUser(wallet, { type: 'CHAT_DONE', id: streamId, text: reply, from: 'Alon', source: 'api' });
+    if (tid) sendToGateway({ chatId: tid, text: reply });
+    return [reply];
+}
+
+// Pushes a re-read tier to the wallet's HQ tabs; a wallet that drops below the
+// digest's tier has its digest switched off
+async function onTierChange(wallet, tier) {
+    const role = await roles.getRole(wallet);
+    sendToUser(wallet, { type: 'TIER_UPDATE', tier: tiers.describe(tier, role) });
+    const preferences = await scheduler.getPreferences(wallet);
+    if (preferences.digestEnabled && !tiers.allows(tier, 'digest', role)) {
+        const updated = await scheduler.setPreferences(wallet, { digestEnabled: false });
+        sendToUser(wallet, { type: 'PREFERENCES', preferences: updated });
+        console.log(`💰 Digest switched off for ${wallet} (now a ${tier.name})`);
+    }
+}
+
+// Draft queue events go to every admin: live in HQ, and on Telegram for new
+// drafts (with review buttons) and for publish outcomes.
+async function notifyDraftReviewers(draft, event) {
+    const reviewers = (await roles.listPrivileged()).filter(u => roles.can(u.role, 'molt.manage'));
+    reviewers.forEach(u => sendToUser(u.wallet, { type: 'MOLT_DRAFT_EVENT', event, draft }));
+
+    if (!['created', 'published', 'failed'].includes(event)) return;
+    const linked = await store.users.listLinked(reviewers.map(u => u.wallet));
+    linked.forEach(u => {
+        if (event === 'created') {
+            const { text, options } = moltCommands.formatDraft(draft);
+            sendToGateway({ chatId: u.telegramId, text: `🦞 new draft for review\n\n${text}`, options });
+        } else if (event === 'published') {
+            sendToGateway({ chatId: u.telegramId, text: `🦞 published draft ${draft.shortId}: ${draft.title}${draft.postId ? ` (post ${draft.postId})` : ''}` });
+        } else {
+            sendToGateway({ chatId: u.telegramId, text: `⚠️ draft ${draft.shortId} failed to publish: ${draft.lastError}` });
+        }
+    });
+}
+
+// Answer the gateway's CHALLENGE by proving we hold the shared secret for our client id,
+// and challenge it back with a nonce of our own
+function answerGatewayChallenge(nonce) {
+    if (!GATEWAY_SECRET) {
+        console.error("❌ GATEWAY_SECRET is not set; the gateway will reject this agent.");
+        return;
+    }
+    gatewayWs.send(JSON.stringify(gatewayHandshake.hello(nonce)));
+}
 
 function connectToGateway() {
     console.log(`Connecting to Clawd Gateway at ${GATEWAY_URL}...`);
@@ -275,15 +1285,62 @@ function connectToGateway() {
     }
 
     gatewayWs = new WebSocket(url);
+    gatewayAuthenticated = false;
+    gatewayHandshake = handshake.createClientHandshake({ clientId: GATEWAY_CLIENT_ID, secret: GATEWAY_SECRET });
 
     gatewayWs.on('open', () => {
-        console.log('Connected to Clawd Gateway!');
+        console.log('Connected to Clawd Gateway, authenticating...');
     });
 
     gatewayWs.on('message', async (data) => {
         try {
             const msg = JSON.parse(data.toString());
 
+            // Handshake
+            if (msg.type === 'CHALLENGE') {
+                answerGatewayChallenge(msg.nonce);
+                return;
+            }
+            if (msg.type === 'WELCOME') {
+                // WELCOME must be signed over our HELLO's nonce, or it isn't our gateway
+                if (!gatewayHandshake.verifyWelcome(msg)) {
+                    gatewayStatus.lastError = 'gateway failed to prove the shared secret';
+                    console.error("❌ Gateway WELCOME is not signed with our secret; disconnecting.");
+                    gatewayWs.close();
+                    return;
+                }
+                gatewayAuthenticated = true;
+                gatewayStatus.connectedSince = new Date().toISOString();
+                gatewayStatus.lastError = null;
+                console.log(`Connected to Clawd Gateway as ${GATEWAY_CLIENT_ID} (${msg.role})!`);
+                flushGatewayOutbox();
+                return;
+            }
+            if (msg.type === 'AUTH_FAILED') {
+                gatewayStatus.lastError = `authentication rejected: ${msg.message}`;
+                console.error(`❌ Gateway rejected authentication: ${msg.message}`);
+                return;
+            }
+            if (!gatewayAuthenticated) return;
+
+            if (msg.type === 'ACK') {
+                await handleDeliveryAck(msg);
+                return;
+            }
+            if (msg.type === 'STATUS') {
+                const waiters = gatewayStatusWaiters;
+                gatewayStatusWaiters = [];
+                waiters.forEach(resolve => resolve(msg));
+                return;
+            }
+            if (msg.type === 'CALLBACK_QUERY') {
+                const callbackData = String(msg.data || '');
+                if (callbackData.startsWith('draft:')) await handleDraftCallback(msg);
+                else if (callbackData.startsWith('broadcast:')) await handleBroadcastCallback(msg);
+                else await handleTodoCallback(msg);
+                return;
+            }
+
             let telegramId = null;
             let text = "";
 
@@ -298,138 +1355,290 @@ function connectToGateway() {
             if (!text || !telegramId) return;
 
             // Determine User early for permission checks
-            const user = await User.findOne({ telegramId: telegramId });
+            const user = await store.users.getByTelegramId(telegramId);
             const username = user ? user.wallet : null;
 
-            // Handle /molt command (Restricted to Admin)
-            if (text.startsWith('/molt ')) {
-                const ADMIN_WALLET = "4QUk9RNqFiFiwZECiczBZp8cDLvB6fViZtpAsiJaxNc6";
+            if (admin.isDisabled(user)) {
+                sendToGateway({ chatId: telegramId, text: "🚫 this wallet is disabled. talk to an admin." });
+                return;
+            }
+            admin.noteActivity(username).catch(e => console.error("Failed to record activity:", e.message));
+
+            const role = await roles.getRole(username);
+
+            // Handle /role command (grant/revoke/list)
+            if (text === '/role' || text.startsWith('/role ')) {
+                const [subCmd, targetWallet, newRole] = text.replace('/role', '').trim().split(/\s+/);
+                const reply = (replyText) => sendToGateway({ chatId: telegramId, text: replyText });
 
-                if (username !== ADMIN_WALLET) {
-                    gatewayWs.send(JSON.stringify({ chatId: telegramId, text: "🚫 access denied. admin wallet only." }));
+                if (subCmd === 'list') {
+                    if (!roles.can(role, 'roles.view')) return reply("🚫 access denied.");
+                    const privileged = await roles.listPrivileged();
+                    const lines = privileged.map(u => `${u.role}: ${u.wallet}`);
+                    return reply(lines.length ? `🔑 roles:\n${lines.join('\n')}` : "no privileged wallets.");
+                }
+                if (subCmd === 'grant' || subCmd === 'revoke') {
+                    if (!roles.can(role, 'roles.manage')) return reply("🚫 access denied.");
+                    const targetRole = subCmd === 'revoke' ? 'user' : newRole;
+                    if (!targetWallet || !targetRole) return reply("usage: /role grant <wallet> <role> | /role revoke <wallet>");
+                    try {
+                        const result = await changeRole(username, targetWallet, targetRole);
+                        return reply(`✅ ${result.wallet.slice(0, 4)}... is now ${result.role} (was ${result.previousRole}).`);
+                    } catch (e) {
+                        if (e instanceof roles.RoleError) return reply(`❌ ${e.message}`);
+                        throw e;
+                    }
+                }
+                return reply(`usage: /role list | /role grant <wallet> <${roles.ROLES.join('|')}> | /role revoke <wallet>`);
+            }
+
+            // Handle /molt command (Restricted to Admin)
+            if (text === '/molt' || text.startsWith('/molt ')) {
+                if (!roles.can(role, 'molt.manage')) {
+                    sendToGateway({ chatId: telegramId, text: "🚫 access denied. admin only." });
                     return;
                 }
+                const { timezone } = await scheduler.getPreferences(username);
+                const result = await moltCommands.runMoltCommand(text, { wallet: username, timeZone: timezone });
+                sendToGateway(typeof result === 'string'
+                    ? { chatId: telegramId, text: result }
+                    : { chatId: telegramId, text: result.text, options: result.options });
+                return;
+            }
+
+            // /usage: today's usage against the caller's limits; /usage all [days] for admins
+            if (text === '/usage' || text.startsWith('/usage ')) {
+                const reply = (replyText) => sendToGateway({ chatId: telegramId, text: replyText });
+                const [subCmd, daysArg] = text.replace('/usage', '').trim().split(/\s+/);
+
+                if (subCmd === 'all') {
+                    if (!roles.can(role, 'usage.view')) return reply("🚫 access denied. admin only.");
+                    const report = await usage.report({ days: daysArg });
+                    const lines = report.byUser.slice(0, 10).map(u =>
+                        `${u.wallet ? `${u.wallet.slice(0, 4)}...` : u.telegramId ? `tg ${u.telegramId}` : 'system'}: ` +
+                        `${formatUsd(u.costUsd)} · ${u.totalTokens} tokens · ${u.requests} calls`);
+                    return reply(`📊 last ${report.days}d: ${formatUsd(report.totals.costUsd)}, ${report.totals.totalTokens} tokens\n` +
+                        (lines.length ? lines.join('\n') : 'no usage yet.'));
+                }
 
-                const parts = text.replace('/molt ', '').trim().split(' ');
-                const subCmd = parts[0];
-                const args = parts.slice(1).join(' ');
-
-                if (subCmd === 'status') {
-                    const status = await moltbook.getStatus();
-                    gatewayWs.send(JSON.stringify({
-                        chatId: telegramId,
-                        text: `🦞 moltbook status: ${JSON.stringify(status)}`
-                    }));
-                } else if (subCmd === 'post') {
-                    const [title, content] = args.split('|').map(s => s.trim());
-                    if (title && content) {
-                        try {
-                            const res = await moltbook.post(title, content);
-                            console.log("Moltbook Post Result:", res);
-                            gatewayWs.send(JSON.stringify({ chatId: telegramId, text: `✅ posted to moltbook! id: ${res.post_id || res.id || 'done'}` }));
-                        } catch (e) {
-                            console.error(e);
-                            gatewayWs.send(JSON.stringify({ chatId: telegramId, text: `❌ post failed: ${e.error || e.message}` }));
+                const { tier, bag, limits, today } = await usage.usageFor({ wallet: username, telegramId });
+                const of = (value, limit, format = String) => (limit == null ? format(value) : `${format(value)} of ${format(limit)}`);
+                return reply(`📊 today (${bag ? `${tier}, ${bag}` : tier}): ${today.requests} calls, ${of(today.totalTokens, limits.dailyTokens)} tokens, ` +
+                    `${of(today.costUsd, limits.dailyUsd, formatUsd)}. rate limit: ${limits.perMinute == null ? 'none' : `${limits.perMinute}/min`}.`);
+            }
+
+            // /broadcast [to:role,role] <text>: preview with send/cancel buttons; /broadcast status
+            if (text === '/broadcast' || text.startsWith('/broadcast ')) {
+                const reply = (replyText, options) => sendToGateway({ chatId: telegramId, text: replyText, options });
+                if (!roles.can(role, 'broadcast.send')) return reply("🚫 access denied. admin only.");
+
+                let body = text.replace('/broadcast', '').trim();
+                if (body === 'status') {
+                    const reports = (await broadcasts.listReports()).slice(0, 3);
+                    return reply(reports.length ? reports.map(formatBroadcastReport).join('\n\n') : "📢 no broadcasts yet.");
+                }
+                let targetRoles = [];
+                const target = body.match(/^to:(\S+)\s*/);
+                if (target) {
+                    targetRoles = target[1].split(',').filter(Boolean);
+                    body = body.slice(target[0].length);
+                }
+                if (!body) return reply(`usage: /broadcast [to:${roles.ROLES.join(',')}] <text> | /broadcast status`);
+                try {
+                    const preview = await broadcasts.preview({ text: body, roles: targetRoles }, onlineWallets());
+                    const token = broadcasts.holdPreview(username, preview);
+                    return reply(
+                        `👀 preview for ${broadcastRoles(preview.roles)}: ${preview.telegramChats} chat(s), ` +
+                        `${preview.hqWallets} HQ wallet(s) online now.\n\n${preview.message}`,
+                        {
+                            reply_markup: {
+                                inline_keyboard: [[
+                                    { text: `📢 Send to ${preview.telegramChats} chat(s)`, callback_data: `broadcast:send:${token}` },
+                                    { text: "✖️ Cancel", callback_data: `broadcast:cancel:${token}` }
+                                ]]
+                            }
                         }
-                    } else {
-                        gatewayWs.send(JSON.stringify({ chatId: telegramId, text: "usage: /molt post title | content" }));
-                    }
-                } else if (subCmd === 'claim') {
-                    const creds = await System.findOne({ key: 'moltbook' });
-                    if (creds && creds.value && creds.value.claim_url) {
-                        gatewayWs.send(JSON.stringify({ chatId: telegramId, text: `🦞 claim your agent here: ${creds.value.claim_url}` }));
-                    } else {
-                        gatewayWs.send(JSON.stringify({ chatId: telegramId, text: "⚠️ no claim url found. agent might not be registered yet." }));
-                    }
-                } else {
-                    gatewayWs.send(JSON.stringify({ chatId: telegramId, text: "unknown /molt command. try: status, post" }));
+                    );
+                } catch (e) {
+                    if (e instanceof broadcasts.BroadcastError) return reply(`❌ ${e.message}`);
+                    throw e;
                 }
-                return;
             }
 
             // Handle /link command (Priority)
-            if (text.startsWith('/link ')) {
-                const code = text.replace('/link ', '').trim();
-                console.log(`Received /link command with code: ${code} from ${telegramId}`);
-                const linkData = linkCodes[code];
-
-                if (linkData && linkData.expires > Date.now()) {
-                    const walletAddress = linkData.username;
-
-                    await User.findOneAndUpdate(
-                        { wallet: walletAddress },
-                        { telegramId: telegramId },
-                        { upsert: true }
-                    );
+            if (text === '/link' || text.startsWith('/link ')) {
+                let result;
+                try {
+                    result = await linking.redeemLinkCode(telegramId, text.replace('/link', ''), { telegramUsername: msg.sender || null });
+                } catch (e) {
+                    if (!(e instanceof linking.LinkError)) throw e;
+                    sendToGateway({ chatId: telegramId, text: e.message });
+                    return;
+                }
+                const { wallet: walletAddress, previousWallet, previousTelegramId } = result;
 
-                    delete linkCodes[code];
-                    console.log(`Linked Wallet ${walletAddress} to Telegram ${telegramId}`);
+                const welcome = await askAlon("I just linked my wallet.", "New Recruit", [], { caller: { wallet: walletAddress, telegramId } });
+                await recordChat({ wallet: walletAddress, telegramId, role: 'assistant', text: welcome, source: 'telegram' });
+                const moved = previousWallet && previousWallet !== walletAddress
+                    ? `🔁 this chat moved from wallet ${previousWallet.slice(0, 4)}... to ${walletAddress.slice(0, 4)}...\n\n`
+                    : '';
+                sendToGateway({ chatId: telegramId, text: moved + welcome });
 
-                    const welcome = await askAlon("I just linked my wallet.", "New Recruit");
-                    gatewayWs.send(JSON.stringify({ chatId: telegramId, text: welcome }));
-                } else {
-                    gatewayWs.send(JSON.stringify({
-                        chatId: telegramId,
-                        text: "❌ Invalid or expired link code. Please generate a new code from the Web UI."
-                    }));
+                await notifyLinkChange(walletAddress, `🔗 Telegram${msg.sender ? ` @${msg.sender}` : ''} linked.`);
+                if (previousWallet && previousWallet !== walletAddress) {
+                    await notifyLinkChange(previousWallet, "🔓 Your Telegram chat was linked to another wallet and is no longer linked here.");
+                }
+                if (previousTelegramId) {
+                    sendToGateway({ chatId: previousTelegramId, text: `🔓 wallet ${walletAddress.slice(0, 4)}... was linked to another Telegram chat, so this one is unlinked.` });
                 }
                 return;
             }
 
+            if (text === '/unlink') {
+                if (!username) {
+                    sendToGateway({ chatId: telegramId, text: "this chat isn't linked to a wallet." });
+                    return;
+                }
+                await linking.unlinkWallet(username);
+                sendToGateway({ chatId: telegramId, text: `🔓 unlinked from wallet ${username.slice(0, 4)}... link again any time with /link <code>.` });
+                await notifyLinkChange(username, "🔓 Telegram unlinked from the Telegram side.");
+                return;
+            }
+
             // User is already determined above
 
             const displayName = username ? `${username.slice(0, 4)}...` : "Anons";
 
-            // If text starts with /todo
-            if (text.startsWith('/todo ')) {
-                if (username) {
-                    const taskText = text.replace('/todo ', '').trim();
-                    const todo = { id: Date.now(), text: taskText, done: false };
+            // /digest on [hour] | off, /timezone <Area/City>: reminder and digest preferences
+            if (text === '/digest' || text.startsWith('/digest ') || text === '/timezone' || text.startsWith('/timezone ')) {
+                const reply = (replyText) => sendToGateway({ chatId: telegramId, text: replyText });
+                if (!username) return reply("🔒 Please link your wallet first using /link command.");
 
-                    await User.findOneAndUpdate(
-                        { wallet: username },
-                        { $push: { todos: todo } }
-                    );
+                const [command, arg, hourArg] = text.trim().split(/\s+/);
+                try {
+                    if (command === '/timezone') {
+                        if (!arg) {
+                            const { timezone } = await scheduler.getPreferences(username);
+                            return reply(`🕒 time zone: ${timezone || 'not set (UTC)'}. usage: /timezone Europe/Berlin`);
+                        }
+                        const prefs = await scheduler.setPreferences(username, { timezone: arg });
+                        sendToUser(username, { type: 'PREFERENCES', preferences: prefs });
+                        return reply(`🕒 time zone set to ${prefs.timezone}.`);
+                    }
+                    if (arg === 'on' || arg === 'off') {
+                        if (arg === 'on') await tiers.requireFeature(username, 'digest');
+                        const changes = { digestEnabled: arg === 'on' };
+                        if (arg === 'on' && hourArg !== undefined) changes.digestHour = hourArg;
+                        const prefs = await scheduler.setPreferences(username, changes);
+                        sendToUser(username, { type: 'PREFERENCES', preferences: prefs });
+                        return reply(prefs.digestEnabled
+                            ? `🌅 daily digest on, every day at ${prefs.digestHour}:00 (${prefs.timezone || 'UTC'}).`
+                            : "🌅 daily digest off.");
+                    }
+                    const prefs = await scheduler.getPreferences(username);
+                    return reply(`🌅 daily digest is ${prefs.digestEnabled ? `on at ${prefs.digestHour}:00` : 'off'}. usage: /digest on [hour] | /digest off`);
+                } catch (e) {
+                    if (e instanceof scheduler.PreferenceError || e instanceof tiers.TierError) return reply(`❌ ${e.message}`);
+                    throw e;
+                }
+            }
 
-                    await broadcastState(username);
+            // /todos [page]: the list with inline buttons to complete, delete and page through
+            if (text === '/todos' || text.startsWith('/todos ')) {
+                if (!username) {
+                    sendToGateway({ chatId: telegramId, text: "🔒 Please link your wallet first using /link command." });
+                    return;
+                }
+                const page = Math.max(0, (parseInt(text.replace('/todos', '').trim(), 10) || 1) - 1);
+                const todos = await todoService.listTodos(username);
+                const { text: listText, options } = renderTodoPage(todos, page);
+                sendToGateway({ chatId: telegramId, text: listText, options });
+                return;
+            }
+
+            // /persona: who answers you; /persona pick <id|default>; /persona activate <id> for admins
+            if (text === '/persona' || text.startsWith('/persona ')) {
+                const reply = (replyText) => sendToGateway({ chatId: telegramId, text: replyText });
+                const [subCmd, id] = text.replace('/persona', '').trim().split(/\s+/);
+                try {
+                    if (subCmd === 'activate') {
+                        if (!roles.can(role, 'personas.manage')) return reply("🚫 access denied. admin only.");
+                        if (!id) return reply("usage: /persona activate <id>");
+                        const persona = await personas.activate(username, id);
+                        await refreshPersonas();
+                        return reply(`🎭 ${persona.name} now answers everyone who hasn't picked their own.`);
+                    }
+                    if (subCmd === 'pick') {
+                        if (!username) return reply("🔒 Please link your wallet first using /link command.");
+                        if (!id) return reply("usage: /persona pick <id> | /persona pick default");
+                        await personas.choose(username, id === 'default' ? null : id);
+                        await sendPersonas(username);
+                        const persona = await personas.resolve(username);
+                        return reply(`🎭 you're now talking to ${persona.name}.`);
+                    }
+                    const current = await personas.resolve(username);
+                    const { personas: options, active } = await personas.list(username);
+                    const lines = options.map(p => `▫️ ${p.id}${p.id === active ? ' (active)' : ''}: ${p.name}` +
+                        (p.description ? ` — ${p.description}` : ''));
+                    return reply(`🎭 you're talking to ${current.name}.\n\n${lines.join('\n')}\n\n` +
+                        `usage: /persona pick <id|default>${roles.can(role, 'personas.manage') ? ' | /persona activate <id>' : ''}`);
+                } catch (e) {
+                    if (e instanceof personas.PersonaError) return reply(`❌ ${e.message}`);
+                    throw e;
+                }
+            }
 
-                    const reply = await askAlon(`I just added a task: ${taskText}`, displayName);
-                    gatewayWs.send(JSON.stringify({ chatId: telegramId, text: reply }));
+            // /balance, /portfolio, /tx <signature>: the linked wallet on-chain, then Alon's take on it
+            if (walletCommands.isWalletCommand(text)) {
+                await handleWalletCommand(text, { wallet: username, telegramId, displayName, source: 'telegram' });
+                return;
+            }
+
+            // If text starts with /todo
+            if (text.startsWith('/todo ')) {
+                if (username) {
+                    try {
+                        await handleQuickTodo(text, { wallet: username, telegramId, displayName, source: 'telegram' });
+                    } catch (e) {
+                        if (!(e instanceof todoService.TodoValidationError)) throw e;
+                        sendToGateway({ chatId: telegramId, text: e.message });
+                    }
                 } else {
-                    gatewayWs.send(JSON.stringify({ chatId: telegramId, text: "🔒 Please link your wallet first using /link command." }));
+                    sendToGateway({ chatId: telegramId, text: "🔒 Please link your wallet first using /link command." });
                 }
             } else {
                 // Chat Message -> AI Reply
                 if (username) {
-                    const chatMsg = JSON.stringify({
+                    sendToUser(username, {
                         type: 'CHAT_INCOMING',
                         text: text,
                         from: 'Telegram',
                         sender: msg.sender || 'User'
                     });
-                    hqServer.clients.forEach(client => {
-                        if (client.readyState === WebSocket.OPEN && client.username === username) {
-                            client.send(chatMsg);
-                        }
-                    });
                 }
 
-                const aiReply = await askAlon(text, displayName);
-                gatewayWs.send(JSON.stringify({ chatId: telegramId, text: aiReply }));
+                const owner = { wallet: username, telegramId };
+                const history = await loadChatContext(owner);
+                await recordChat({ ...owner, role: 'user', text, source: 'telegram' });
 
-                if (username) {
-                    const webReply = JSON.stringify({
-                        type: 'CHAT_INCOMING',
-                        text: aiReply,
-                        from: 'Alon',
-                        sender: 'Alon'
-                    });
-                    hqServer.clients.forEach(client => {
-                        if (client.readyState === WebSocket.OPEN && client.username === username) {
-                            client.send(webReply);
-                        }
-                    });
-                }
+                // The gateway posts a placeholder and edits it as the reply streams in
+                const streamId = crypto.randomUUID();
+                let streamed = '';
+                sendToGateway({ type: 'STREAM_START', streamId, chatId: telegramId });
+                if (username) sendToUser(username, { type: 'CHAT_START', id: streamId, from: 'Alon' });
+
+                const aiReply = await askAlon(text, displayName, history, {
+                    wallet: username,
+                    caller: owner,
+                    onChunk: (delta) => {
+                        streamed += delta;
+                        sendToGateway({ type: 'STREAM_UPDATE', streamId, text: streamed });
+                        if (username) sendToUser(username, { type: 'CHAT_CHUNK', id: streamId, delta });
+                    }
+                });
+                await recordChat({ ...owner, role: 'assistant', text: aiReply, source: 'telegram' });
+                sendToGateway({ type: 'STREAM_END', streamId, text: aiReply });
+                if (username) sendToUser(username, { type: 'CHAT_DONE', id: streamId, text: aiReply, from: 'Alon', source: 'telegram' });
             }
 
         } catch (e) {
@@ -438,17 +1647,85 @@ function connectToGateway() {
     });
 
     gatewayWs.on('error', (e) => {
+        gatewayStatus.lastError = e.message;
         console.error('Gateway connection error:', e.message);
     });
 
     gatewayWs.on('close', () => {
+        gatewayAuthenticated = false;
+        gatewayStatus.connectedSince = null;
+        gatewayStatus.reconnects += 1;
+        gatewayReconnectsTotal.inc();
         console.log('Gateway connection closed. Reconnecting in 5s...');
         setTimeout(connectToGateway, 5000);
     });
 }
 
-connectToGateway();
+// --- Startup ---
+// Storage comes first: everything below reads users, sessions or config.
+async function start() {
+    try {
+        await store.connect();
+        await roles.seedOwners(OWNER_WALLETS);
+    } catch (e) {
+        console.error("❌ Storage unavailable:", e.message);
+        process.exit(1);
+    }
+
+    // Flush pending file-store writes before exiting
+    ['SIGINT', 'SIGTERM'].forEach(signal => process.once(signal, () => {
+        store.close().finally(() => process.exit(0));
+    }));
 
-server.listen(HQ_PORT, () => {
-    console.log(`Headquarters Server (Express + WS) running on port ${HQ_PORT}`);
-});
+    initMoltbook();
+    connectToGateway();
+    startBackgroundJobs();
+    server.listen(HQ_PORT, () => {
+        console.log(`Headquarters Server (Express + WS) running on port ${HQ_PORT}`);
+    });
+}
+
+function startBackgroundJobs() {
+    // Reminders and digests: Alon's line comes from the model when one is configured,
+    // and the message goes to the linked Telegram chat plus any open HQ tabs. Jobs for
+    // linked users wait while the gateway is down and only count as sent once it acks.
+    scheduler.start({
+        compose: (prompt, user) => composeLine(prompt, `${user.wallet.slice(0, 4)}...`),
+        canDeliver: (user) => !user.telegramId || gatewayReady(),
+        deliver: async (user, { id, kind, text, todoId }) => {
+            if (user.telegramId) await sendToGatewayAcked({ id, chatId: user.telegramId, text });
+            sendToUser(user.wallet, { type: 'NOTIFICATION', id, kind, text, todoId });
+            console.log(`⏰ Sent ${kind} to ${user.wallet}`);
+        }
+    });
+
+    broadcasts.start({
+        deliver: (chatId, text) => sendToGateway({ chatId, text }),
+        canDeliver: gatewayReady,
+        announce: (wallets, announcement) => {
+            wallets.forEach(wallet => sendToUser(wallet, { type: 'ANNOUNCEMENT', ...announcement }));
+        },
+        report: (report) => {
+            sendToUser(report.createdBy, { type: 'BROADCAST_REPORT', report });
+            if (report.status === 'done' && report.replyTo) {
+                sendToGateway({ chatId: report.replyTo, text: formatBroadcastReport(report) });
+            }
+        }
+    });
+
+    tiers.start({
+        onlineWallets,
+        onChange: (wallet, tier) => {
+            onTierChange(wallet, tier).catch(e => console.error(`💰 Failed to apply tier change for ${wallet}:`, e.message));
+        }
+    });
+
+    moltDrafts.start({
+        compose: (prompt) => composeLine(prompt, 'Moltbook HQ'),
+        notify: (draft, event) => {
+            notifyDraftReviewers(draft, event).catch(e => console.error("Failed to notify draft reviewers:", e.message));
+        }
+    }).catch(e => console.error("🦞 Draft queue failed to start:", e.message));
+}
+
+start();
@@ -0,0 +1,312 @@
+const express = require('express');
+const store = require('./store');
+const roles = require('./roles');
+const tiers = require('./tiers');
+const linking = require('./linking');
+const scheduler = require('./scheduler');
+const personas = require('./personas');
+const admin = require('./admin');
+const todoService = require('./todos');
+const usage = require('./usage');
+const openapi = require('./openapi');
+
+// REST API (/api/v1) for scripts, bots and other services. It authenticates with
+// the same session tokens as HQ (`Authorization: Bearer <token>`), either taken
+// from a web login or obtained here by signing a login challenge. Changes made
+// through the API reach open HQ tabs the same way socket changes do.
+// Errors are always { error: { code, message } } with a matching HTTP status.
+
+const TODO_PAGE_SIZE = 50;
+const TODO_MAX_PAGE_SIZE = 200;
+const CHAT_MAX_PAGE_SIZE = 200;
+const MAX_PENDING_CHALLENGES = 1000;
+const MAX_CHALLENGES_PER_KEY = 5;
+// Challenges one client address may request per window
+const CHALLENGE_RATE_LIMIT = 10;
+const CHALLENGE_RATE_WINDOW_MS = 60 * 1000;
+
+class ApiError extends Error {
+    constructor(status, code, message, { retryAfter } = {}) {
+        super(message);
+        this.name = 'ApiError';
+        this.status = status;
+        this.code = code;
+        this.retryAfter = retryAfter;
+    }
+}
+
+const badRequest = (message) => new ApiError(400, 'invalid_request', message);
+const notFound = (message = "Not found.") => new ApiError(404, 'not_found', message);
+
+// Service errors whose messages are written for users
+const USER_ERRORS = [
+    [todoService.TodoValidationError, 400, 'invalid_request'],
+    [scheduler.PreferenceError, 400, 'invalid_request'],
+    [personas.PersonaError, 400, 'invalid_request'],
+    [tiers.TierError, 403, 'tier_required']
+];
+
+function toApiError(e) {
+    if (e instanceof ApiError) return e;
+    if (e instanceof usage.QuotaError) {
+        const retryAfter = Math.max(1, Math.ceil(e.retryAfterMs / 1000));
+        return new ApiError(429, e.kind === 'rate' ? 'rate_limited' : 'over_budget', e.message, { retryAfter });
+    }
+    const known = USER_ERRORS.find(([type]) => e instanceof type);
+    if (known) return new ApiError(known[1], known[2], e.message);
+    if (e.type === 'entity.parse.failed') return badRequest("Request body is not valid JSON.");
+    if (e.type === 'entity.too.large') return new ApiError(413, 'payload_too_large', "Request body is too large.");
+    return null;
+}
+
+// `max` marks a limit, which must be at least 1; offsets may be 0
+function pageParam(value, fallback, max) {
+    if (value === undefined) return fallback;
+    const number = Number(value);
+    if (!Number.isInteger(number) || number < 0) throw badRequest("limit and offset must be non-negative whole numbers.");
+    if (max && number < 1) throw badRequest("limit must be at least 1.");
+    return max ? Math.min(number, max) : number;
+}
+
+// Chat history cursors are opaque to clients: the createdAt and id of the last message seen
+function historyCursor(message) {
+    return Buffer.from(`${new Date(message.createdAt).toISOString()}|${message.id}`).toString('base64url');
+}
+
+function parseHistoryCursor(cursor) {
+    if (cursor === undefined) return {};
+    const [before, beforeId] = Buffer.from(String(cursor), 'base64url').toString().split('|');
+    if (!beforeId || isNaN(new Date(before))) throw badRequest("before must be a page.nextBefore cursor.");
+    return { before, beforeId };
+}
+
+function todoId(req) {
+    const id = Number(req.params.id);
+    if (!Number.isInteger(id)) throw notFound("Unknown task.");
+    return id;
+}
+
+/**
+ * Builds the /api/v1 router. The HQ server passes in what lives next to its
+ * socket handling:
+ *   findSession(token), createSession(wallet), revokeSession(id)
+ *   issueLoginChallenge(holder, publicKey) -> { nonce, message, expiresAt }, consumeLoginChallenge(holder, publicKey),
+ *   verifySignature(publicKey, signature, message)
+ *   broadcastState(wallet), notify(wallet, payload), sendPersonas(wallet)  push changes to the wallet's open HQ tabs
+ *   chat(wallet, text) -> [reply, ...] (throws usage.QuotaError when over quota), chatHistory(wallet, { before, beforeId, limit }) -> { messages, hasMore }
+ */
+function createApiRouter(hooks) {
+    const router = express.Router();
+    // nonce -> { loginChallenge } for REST logins. A wallet may have a few open at
+    // once, so asking for a challenge never cancels someone else's login.
+    const challenges = new Map();
+    // client address -> times of its recent challenge requests
+    const challengeRequests = new Map();
+
+    router.use(express.json({ limit: '64kb' }));
+
+    router.get('/openapi.json', (req, res) => res.json(openapi));
+
+    function pruneChallenges(now) {
+        challenges.forEach((holder, nonce) => {
+            if (!holder.loginChallenge || holder.loginChallenge.expiresAt < now) challenges.delete(nonce);
+        });
+    }
+
+    // Sliding window per client address; throws once the address is over the limit
+    function limitChallengeRate(ip, now) {
+        const since = now - CHALLENGE_RATE_WINDOW_MS;
+        if (challengeRequests.size >= MAX_PENDING_CHALLENGES) {
+            challengeRequests.forEach((times, key) => {
+                if (times[times.length - 1] <= since) challengeRequests.delete(key);
+            });
+        }
+        const times = (challengeRequests.get(ip) || []).filter(t => t > since);
+        if (times.length >= CHALLENGE_RATE_LIMIT) {
+            challengeRequests.set(ip, times);
+            const retryAfter = Math.ceil((times[0] + CHALLENGE_RATE_WINDOW_MS - now) / 1000);
+            throw new ApiError(429, 'rate_limited', `Too many login challenges. Try again in ${retryAfter}s.`, { retryAfter });
+        }
+        times.push(now);
+        challengeRequests.set(ip, times);
+    }
+
+    // --- Auth ---
+    router.post('/auth/challenge', (req, res) => {
+        const { publicKey } = req.body || {};
+        if (typeof publicKey !== 'string' || !publicKey) throw badRequest("publicKey is required.");
+        const now = Date.now();
+        limitChallengeRate(req.ip, now);
+        if (challenges.size >= MAX_PENDING_CHALLENGES) {
+            pruneChallenges(now);
+            if (challenges.size >= MAX_PENDING_CHALLENGES) throw new ApiError(503, 'busy', "Too many pending logins. Try again shortly.");
+        }
+        // Past the per-wallet cap the oldest of that wallet's challenges makes room
+        const open = [...challenges].filter(([, holder]) => holder.loginChallenge && holder.loginChallenge.publicKey === publicKey);
+        if (open.length >= MAX_CHALLENGES_PER_KEY) challenges.delete(open[0][0]);
+
+        const holder = {};
+        const { nonce, message, expiresAt } = hooks.issueLoginChallenge(holder, publicKey);
+        challenges.set(nonce, holder);
+        res.json({ data: { nonce, message, expiresAt } });
+    });
+
+    router.post('/auth/login', async (req, res) => {
+        const { publicKey, signature, nonce } = req.body || {};
+        const holder = typeof nonce === 'string' ? challenges.get(nonce) : null;
+        if (holder) challenges.delete(nonce);
+        const message = holder ? hooks.consumeLoginChallenge(holder, publicKey) : null;
+        if (!message) throw new ApiError(401, 'unauthorized', "Login challenge missing or expired. Request a new one.");
+        if (typeof signature !== 'string' || !hooks.verifySignature(publicKey, signature, message)) {
+            throw new ApiError(401, 'unauthorized', "Invalid signature.");
+        }
+        if (admin.isDisabled(await store.users.get(publicKey))) throw new ApiError(403, 'wallet_disabled', "This wallet has been disabled by an admin.");
+
+        await store.users.ensure(publicKey);
+        const session = await hooks.createSession(publicKey);
+        console.log(`Wallet logged in over the API: ${publicKey}`);
+        res.status(201).json({ data: { token: session.token, expiresAt: session.expiresAt, wallet: publicKey } });
+    });
+
+    // Every route below needs a session. Listed by path so that unknown paths
+    // fall through to the 404 instead of asking for credentials.
+    const SESSION_PATHS = ['/auth/logout', '/me', '/me/telegram', '/todos', '/todos/:id', '/chat', '/chat/history'];
+    router.all(SESSION_PATHS, async (req, res, next) => {
+        const match = /^Bearer\s+(\S+)$/i.exec(req.get('authorization') || '');
+        const session = match ? await hooks.findSession(match[1]) : null;
+        if (!session) throw new ApiError(401, 'unauthorized', "Missing or expired session token.");
+        const user = await store.users.get(session.wallet);
+        if (admin.isDisabled(user)) throw new ApiError(403, 'wallet_disabled', "This wallet has been disabled by an admin.");
+        req.session = session;
+        req.wallet = session.wallet;
+        admin.noteActivity(session.wallet).catch(e => console.error("Failed to record activity:", e.message));
+        next();
+    });
+
+    router.post('/auth/logout', async (req, res) => {
+        await hooks.revokeSession(req.session.id);
+        res.status(204).end();
+    });
+
+    // --- Profile ---
+    async function profile(wallet) {
+        const user = await store.users.get(wallet);
+        const role = (user && user.role) || 'user';
+        const [preferences, tier, persona] = await Promise.all([
+            scheduler.getPreferences(wallet),
+            tiers.cachedTier(wallet),
+            personas.resolve(wallet)
+        ]);
+        return {
+            wallet,
+            role,
+            permissions: roles.permissionsFor(role),
+            tier: tiers.describe(tier, role),
+            preferences,
+            persona: { id: persona.id, name: persona.name, chosen: (user && user.persona) || null },
+            telegram: linking.linkStatus(user)
+        };
+    }
+
+    router.get('/me', async (req, res) => {
+        res.json({ data: await profile(req.wallet) });
+    });
+
+    // Accepts any of { timezone, digestEnabled, digestHour, persona }; persona null follows the active one
+    router.patch('/me', async (req, res) => {
+        const body = req.body || {};
+        const changes = {};
+        ['timezone', 'digestEnabled', 'digestHour'].forEach(field => {
+            if (body[field] !== undefined) changes[field] = body[field];
+        });
+        if (changes.digestEnabled) await tiers.requireFeature(req.wallet, 'digest');
+        if (Object.keys(changes).length) {
+            const preferences = await scheduler.setPreferences(req.wallet, changes);
+            hooks.notify(req.wallet, { type: 'PREFERENCES', preferences });
+        }
+        if (body.persona !== undefined) {
+            await personas.choose(req.wallet, body.persona || null);
+            await hooks.sendPersonas(req.wallet);
+        }
+        res.json({ data: await profile(req.wallet) });
+    });
+
+    router.get('/me/telegram', async (req, res) => {
+        res.json({ data: linking.linkStatus(await store.users.get(req.wallet)) });
+    });
+
+    // --- Todos ---
+    router.get('/todos', async (req, res) => {
+        const { status = 'all', tag } = req.query;
+        if (!['all', 'open', 'done'].includes(status)) throw badRequest("status must be all, open or done.");
+        const limit = pageParam(req.query.limit, TODO_PAGE_SIZE, TODO_MAX_PAGE_SIZE);
+        const offset = pageParam(req.query.offset, 0);
+
+        const todos = (await todoService.listTodos(req.wallet)).filter(t =>
+            (status === 'all' || (status === 'done') === !!t.done) &&
+            (!tag || (t.tags || []).includes(String(tag).replace(/^#/, '').toLowerCase())));
+        res.json({ data: todos.slice(offset, offset + limit), page: { limit, offset, total: todos.length } });
+    });
+
+    router.post('/todos', async (req, res) => {
+        const todo = await todoService.addTodo(req.wallet, req.body || {});
+        await hooks.broadcastState(req.wallet);
+        res.status(201).json({ data: todo });
+    });
+
+    router.get('/todos/:id', async (req, res) => {
+        const id = todoId(req);
+        const todo = (await todoService.listTodos(req.wallet)).find(t => t.id === id);
+        if (!todo) throw notFound("Unknown task.");
+        res.json({ data: todo });
+    });
+
+    router.patch('/todos/:id', async (req, res) => {
+        const todo = await todoService.updateTodo(req.wallet, todoId(req), req.body || {});
+        if (!todo) throw notFound("Unknown task.");
+        await hooks.broadcastState(req.wallet);
+        res.json({ data: todo });
+    });
+
+    router.delete('/todos/:id', async (req, res) => {
+        const removed = await todoService.deleteTodo(req.wallet, todoId(req));
+        if (!removed) throw notFound("Unknown task.");
+        await hooks.broadcastState(req.wallet);
+        res.status(204).end();
+    });
+
+    // --- Chat ---
+    router.post('/chat', async (req, res) => {
+        const text = typeof (req.body || {}).text === 'string' ? req.body.text.trim() : '';
+        if (!text) throw badRequest("text is required.");
+        const replies = await hooks.chat(req.wallet, text);
+        res.json({ data: { replies } });
+    });
+
+    // Newest page first, oldest-first within it; pass page.nextBefore as `before` for the next older page
+    router.get('/chat/history', async (req, res) => {
+        const limit = pageParam(req.query.limit, undefined, CHAT_MAX_PAGE_SIZE);
+        const cursor = parseHistoryCursor(req.query.before);
+        const { messages, hasMore } = await hooks.chatHistory(req.wallet, { ...cursor, limit });
+        res.json({
+            data: messages,
+            page: { count: messages.length, hasMore, nextBefore: hasMore && messages.length ? historyCursor(messages[0]) : null }
+        });
+    });
+
+    router.use((req, res) => {
+        throw notFound(`No route for ${req.method} ${req.baseUrl}${req.path}.`);
+    });
+
+    router.use((err, req, res, next) => {
+        const error = toApiError(err);
+        if (!error) console.error(`API ${req.method} ${req.originalUrl} failed:`, err);
+        const { status, code, message, retryAfter } = error || { status: 500, code: 'internal', message: "Something went wrong." };
+        if (retryAfter) res.set('Retry-After', String(retryAfter));
+        res.status(status).json({ error: { code, message } });
+    });
+
+    return router;
+}
+
+module.exports = { ApiError, createApiRouter };
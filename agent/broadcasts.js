@@ -0,0 +1,250 @@
+const crypto = require('crypto');
+const store = require('./store');
+const roles = require('./roles');
+
+// Admin announcements. A broadcast goes to every linked Telegram chat whose wallet
+// has one of the target roles (through the gateway, which paces it to Telegram's
+// limits) and to every open HQ tab of those wallets as an ANNOUNCEMENT.
+// Gateway acks are tallied into a report of sent / failed / blocked chats.
+// Chats are only handed over while the gateway is connected, so a broadcast never
+// spills into the agent's bounded outbox; it waits for the gateway instead.
+const MAX_TEXT_LENGTH = 3500;          // leaves room for the header inside Telegram's 4096
+const SEND_PER_SECOND = 20;            // hand-off pace to the gateway, under its 25/s global cap
+const MAX_IN_FLIGHT = 100;             // unacked messages before waiting for acks to catch up
+const WAIT_MS = 1000;
+const ACK_TIMEOUT_MS = 30 * 60 * 1000; // chats still unacked by then are reported as unconfirmed
+const PREVIEW_TTL_MS = 10 * 60 * 1000;
+const REPORTS_KEY = 'broadcasts';
+const MAX_REPORTS = 20;
+
+let hooks = null; // { deliver(chatId, text), canDeliver(), announce(wallets, announcement), report(broadcast) } from start()
+
+// broadcastId -> broadcast being delivered; gateway message id -> broadcastId
+const active = new Map();
+const messageToBroadcast = new Map();
+// Previews waiting for a Telegram "send" button: token -> { wallet, text, roles, expiresAt }
+const previews = new Map();
+
+// Thrown for bad admin input; the message is safe to show to the user
+class BroadcastError extends Error {
+    constructor(message) {
+        super(message);
+        this.name = 'BroadcastError';
+    }
+}
+
+const formatAnnouncement = (text) => `📢 announcement from alon hq\n\n${text}`;
+
+function validate({ text, roles: targetRoles }) {
+    const body = String(text || '').trim();
+    if (!body) throw new BroadcastError("The announcement is empty.");
+    if (body.length > MAX_TEXT_LENGTH) throw new BroadcastError(`Keep announcements under ${MAX_TEXT_LENGTH} characters.`);
+    const list = targetRoles && targetRoles.length ? [...new Set(targetRoles)] : roles.ROLES;
+    const unknown = list.filter(role => !roles.ROLES.includes(role));
+    if (unknown.length) throw new BroadcastError(`Unknown role ${unknown[0]}. Use any of: ${roles.ROLES.join(', ')}.`);
+    return { text: body, roles: list };
+}
+
+// Wallets in the audience; disabled wallets never receive announcements
+async function audienceFor(targetRoles) {
+    const users = await store.users.list();
+    return users.filter(u => !u.disabled && targetRoles.includes(u.role || 'user'));
+}
+
+/**
+ * What a broadcast would look like and who it would reach, without sending it.
+ * `onlineWallets` is the set of wallets with an open HQ tab.
+ */
+async function preview({ text, roles: targetRoles }, onlineWallets = new Set()) {
+    const draft = validate({ text, roles: targetRoles });
+    const audience = await audienceFor(draft.roles);
+    return {
+        text: draft.text,
+        roles: draft.roles,
+        message: formatAnnouncement(draft.text),
+        telegramChats: audience.filter(u => u.telegramId).length,
+        hqWallets: audience.filter(u => onlineWallets.has(u.wallet)).length
+    };
+}
+
+// Parks a Telegram preview until its inline "send" button is pressed
+function holdPreview(wallet, draft) {
+    const now = Date.now();
+    previews.forEach((entry, token) => {
+        if (entry.expiresAt <= now || entry.wallet === wallet) previews.delete(token);
+    });
+    const token = crypto.randomBytes(6).toString('hex');
+    previews.set(token, { wallet, text: draft.text, roles: draft.roles, expiresAt: now + PREVIEW_TTL_MS });
+    return token;
+}
+
+// The held preview for `token` if it belongs to `wallet`; it can only be used once
+function takePreview(token, wallet) {
+    const entry = previews.get(token);
+    if (!entry || entry.wallet !== wallet || entry.expiresAt <= Date.now()) return null;
+    previews.delete(token);
+    return { text: entry.text, roles: entry.roles };
+}
+
+function summarize(broadcast) {
+    const { chats, timer, ...summary } = broadcast;
+    return summary;
+}
+
+async function saveReport(broadcast) {
+    const reports = (await store.system.get(REPORTS_KEY)) || [];
+    const next = [summarize(broadcast), ...reports.filter(r => r.id !== broadcast.id)].slice(0, MAX_REPORTS);
+    await store.system.set(REPORTS_KEY, next);
+}
+
+async function listReports() {
+    const reports = (await store.system.get(REPORTS_KEY)) || [];
+    // Reports of broadcasts still in flight are fresher in memory
+    return reports.map(r => (active.has(r.id) ? summarize(active.get(r.id)) : r));
+}
+
+function publish(broadcast) {
+    saveReport(broadcast).catch(e => console.error("📢 Failed to save broadcast report:", e.message));
+    if (hooks) hooks.report(summarize(broadcast));
+}
+
+function finish(broadcast) {
+    if (broadcast.status === 'done') return;
+    clearTimeout(broadcast.timer);
+    // Never handed to the gateway before time ran out
+    broadcast.dropped = broadcast.queued;
+    broadcast.queued = 0;
+    broadcast.unconfirmed = broadcast.chats.size;
+    broadcast.chats.forEach((chatId, messageId) => messageToBroadcast.delete(messageId));
+    broadcast.chats.clear();
+    broadcast.pending = 0;
+    broadcast.status = 'done';
+    broadcast.finishedAt = new Date().toISOString();
+    active.delete(broadcast.id);
+    console.log(`📢 Broadcast ${broadcast.id} done: ${broadcast.sent} sent, ${broadcast.failed} failed, ` +
+        `${broadcast.blocked} blocked, ${broadcast.unconfirmed} unconfirmed, ${broadcast.dropped} dropped`);
+    publish(broadcast);
+}
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+/**
+ * Sends an announcement. Resolves with the initial report once HQ tabs have it;
+ * Telegram chats are handed to the gateway in the background and the report is
+ * re-published through `report()` as acks come in. `replyTo` is the Telegram chat
+ * that asked for it, if any, so the final report can be sent back there.
+ */
+async function send({ text, roles: targetRoles }, { wallet, onlineWallets = new Set(), replyTo = null }) {
+    if (!hooks) throw new Error("Broadcasts are not started");
+    const draft = validate({ text, roles: targetRoles });
+    const audience = await audienceFor(draft.roles);
+    const chats = audience.filter(u => u.telegramId).map(u => u.telegramId);
+    const hqWallets = audience.filter(u => onlineWallets.has(u.wallet)).map(u => u.wallet);
+
+    const broadcast = {
+        id: crypto.randomUUID(),
+        text: draft.text,
+        roles: draft.roles,
+        createdBy: wallet,
+        replyTo: replyTo ? String(replyTo) : null,
+        createdAt: new Date().toISOString(),
+        finishedAt: null,
+        status: chats.length ? 'sending' : 'done',
+        hq: hqWallets.length,
+        total: chats.length,
+        pending: chats.length,
+        queued: chats.length, // not yet handed to the gateway
+        sent: 0,
+        failed: 0,
+        blocked: 0,
+        unconfirmed: 0,
+        dropped: 0,
+        chats: new Map() // gateway message id -> chatId, until acked
+    };
+    console.log(`📢 Broadcast ${broadcast.id} by ${wallet} to ${draft.roles.join(',')}: ${chats.length} chat(s), ${hqWallets.length} HQ wallet(s)`);
+
+    hooks.announce(hqWallets, {
+        id: broadcast.id,
+        text: draft.text,
+        roles: draft.roles,
+        at: broadcast.createdAt
+    });
+
+    if (!chats.length) {
+        broadcast.finishedAt = broadcast.createdAt;
+        publish(broadcast);
+        return summarize(broadcast);
+    }
+
+    active.set(broadcast.id, broadcast);
+    broadcast.timer = setTimeout(() => finish(broadcast), ACK_TIMEOUT_MS);
+    publish(broadcast);
+    deliverAll(broadcast, chats).catch(e => console.error(`📢 Broadcast ${broadcast.id} stopped:`, e.message));
+    return summarize(broadcast);
+}
+
+// Waits while the gateway is away or too many messages are unacked; gives up
+// once the broadcast has timed out, leaving the rest counted as dropped
+async function deliverAll(broadcast, chats) {
+    const message = formatAnnouncement(broadcast.text);
+    for (let i = 0; i < chats.length; i++) {
+        if (i > 0 && i % SEND_PER_SECOND === 0) await sleep(1000);
+        let waitingLogged = false;
+        while (broadcast.status !== 'done' && (!hooks.canDeliver() || broadcast.chats.size >= MAX_IN_FLIGHT)) {
+            if (!waitingLogged && !hooks.canDeliver()) {
+                console.warn(`📢 Broadcast ${broadcast.id} waiting for the gateway (${broadcast.queued} chat(s) left)`);
+                waitingLogged = true;
+            }
+            await sleep(WAIT_MS);
+        }
+        if (broadcast.status === 'done') return;
+        const messageId = hooks.deliver(chats[i], message);
+        broadcast.queued -= 1;
+        broadcast.chats.set(messageId, chats[i]);
+        messageToBroadcast.set(messageId, broadcast.id);
+    }
+}
+
+/**
+ * Counts a gateway ACK towards its broadcast. Returns true when the ack was for
+ * a broadcast message, so the caller does not treat it as a normal reply.
+ */
+function handleAck(ack) {
+    const broadcastId = messageToBroadcast.get(ack.id);
+    if (!broadcastId) return false;
+    messageToBroadcast.delete(ack.id);
+    const broadcast = active.get(broadcastId);
+    if (!broadcast || !broadcast.chats.delete(ack.id)) return true;
+
+    if (ack.status === 'sent') broadcast.sent += 1;
+    else if (ack.status === 'blocked') broadcast.blocked += 1;
+    else broadcast.failed += 1;
+    broadcast.pending -= 1;
+
+    if (broadcast.pending === 0) finish(broadcast);
+    // Progress for big audiences, without a report per chat
+    else if ((broadcast.total - broadcast.pending) % 25 === 0) publish(broadcast);
+    return true;
+}
+
+/**
+ * `deliver(chatId, text)` hands one Telegram message to the gateway and returns its id;
+ * `canDeliver()` says whether the gateway is connected right now;
+ * `announce(wallets, announcement)` pushes the announcement to those wallets' HQ tabs;
+ * `report(summary)` receives every report update.
+ */
+function start({ deliver, canDeliver, announce, report }) {
+    hooks = { deliver, canDeliver, announce, report };
+}
+
+module.exports = {
+    MAX_TEXT_LENGTH,
+    BroadcastError,
+    preview,
+    holdPreview,
+    takePreview,
+    send,
+    handleAck,
+    listReports,
+    start
+};
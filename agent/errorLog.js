@@ -0,0 +1,43 @@
+const metrics = require('prom-client');
+
+// The last MAX_ERRORS errors logged by this process, for the admin dashboard.
+// capture() tees console.error into the ring so every module's existing error
+// logging shows up without each call site having to report it.
+const MAX_ERRORS = 50;
+const errorsTotal = new metrics.Counter({ name: 'alon_errors_total', help: 'Errors logged by the agent (console.error)' });
+
+const entries = [];
+let captured = false;
+
+function describe(args) {
+    return args.map(arg => {
+        if (arg instanceof Error) return arg.message;
+        if (typeof arg === 'string') return arg;
+        try {
+            return JSON.stringify(arg);
+        } catch (e) {
+            return String(arg);
+        }
+    }).join(' ').slice(0, 500);
+}
+
+function record(message) {
+    errorsTotal.inc();
+    entries.push({ at: new Date().toISOString(), message });
+    if (entries.length > MAX_ERRORS) entries.shift();
+}
+
+function capture() {
+    if (captured) return;
+    captured = true;
+    const original = console.error.bind(console);
+    console.error = (...args) => {
+        record(describe(args));
+        original(...args);
+    };
+}
+
+// Newest first
+const recent = (limit = MAX_ERRORS) => entries.slice(-limit).reverse();
+
+module.exports = { capture, record, recent };
@@ -2,9 +2,14 @@ const nacl = require('tweetnacl');
 const bs58 = require('bs58');
 const { TextEncoder } = require('util');
 
-const keypair = nacl.sign.keyPair();
+// Usage: node gen_test_sig.js "<challenge text>"
+// Set TEST_SEED (64 hex chars) to reuse the same wallet across runs, so the
+// public key can be sent with GET_LOGIN_CHALLENGE before signing.
+const keypair = process.env.TEST_SEED
+    ? nacl.sign.keyPair.fromSeed(Buffer.from(process.env.TEST_SEED, 'hex'))
+    : nacl.sign.keyPair();
 const publicKey = bs58.default.encode(keypair.publicKey);
-const messageStr = "Login Test";
+const messageStr = process.argv[2] || "Login Test";
 const message = new TextEncoder().encode(messageStr);
 const signature = nacl.sign.detached(message, keypair.secretKey);
 const signatureHex = Buffer.from(signature).toString('hex');
@@ -0,0 +1,147 @@
+const path = require('path');
+require('dotenv').config({ path: path.join(__dirname, '.env') });
+
+const fs = require('fs');
+const store = require('./store');
+const roles = require('./roles');
+
+// One-shot import of the data the file-based version left behind:
+//   data/users.json          { "<wallet>": { telegramId, role } }
+//   data/todos_<wallet>.json [{ id, text, done }]
+//   todo.json                the original single list, imported for --wallet
+// into whichever store STORE_BACKEND selects. Safe to re-run: existing links and
+// roles are kept, and todos are merged by id.
+//
+// Usage: node import-legacy.js [--dry-run] [--wallet <address>] [--data <dir>]
+
+const args = process.argv.slice(2);
+const option = (name) => {
+    const i = args.indexOf(name);
+    return i === -1 ? null : args[i + 1];
+};
+const DRY_RUN = args.includes('--dry-run');
+const DATA_DIR = path.resolve(option('--data') || path.join(__dirname, 'data'));
+const ORPHAN_WALLET = option('--wallet');
+const ORPHAN_FILE = path.join(__dirname, 'todo.json');
+
+const looksLikeWallet = (wallet) => typeof wallet === 'string' && /^[1-9A-HJ-NP-Za-km-z]{32,44}$/.test(wallet);
+
+function readJson(file) {
+    try {
+        return JSON.parse(fs.readFileSync(file, 'utf8'));
+    } catch (e) {
+        if (e.code === 'ENOENT') return null;
+        throw new Error(`Cannot read ${file}: ${e.message}`);
+    }
+}
+
+// Legacy todos only had { id, text, done }; the id was Date.now() at creation
+function normalizeTodo(todo) {
+    const id = Number(todo.id);
+    const createdAt = id > 1e12 ? new Date(id) : new Date();
+    return {
+        id,
+        text: String(todo.text || '').trim().slice(0, 500),
+        done: !!todo.done,
+        priority: ['low', 'medium', 'high'].includes(todo.priority) ? todo.priority : 'medium',
+        dueDate: null,
+        remindAt: null,
+        tags: [],
+        createdAt,
+        completedAt: todo.done ? createdAt : null
+    };
+}
+
+async function importUser(wallet, legacy, report) {
+    const user = await store.users.get(wallet);
+    const changes = {};
+
+    if (legacy.telegramId) {
+        const telegramId = String(legacy.telegramId);
+        const holder = await store.users.getByTelegramId(telegramId);
+        if (user && user.telegramId && user.telegramId !== telegramId) {
+            report.skipped.push(`${wallet}: already linked to another Telegram account`);
+        } else if (holder && holder.wallet !== wallet) {
+            report.skipped.push(`${wallet}: Telegram ${telegramId} is linked to ${holder.wallet}`);
+        } else if (!user || user.telegramId !== telegramId) {
+            changes.telegramId = telegramId;
+            report.links += 1;
+        }
+    }
+
+    // A legacy role never lowers the one the wallet has now
+    if (legacy.role && roles.ROLES.includes(legacy.role)) {
+        const current = (user && user.role) || 'user';
+        if (roles.ROLES.indexOf(legacy.role) > roles.ROLES.indexOf(current)) {
+            changes.role = legacy.role;
+            report.roles += 1;
+        }
+    }
+
+    if (!user) report.users += 1;
+    if (DRY_RUN) return;
+    if (!user) await store.users.ensure(wallet);
+    if (Object.keys(changes).length) await store.users.update(wallet, changes);
+}
+
+async function importTodos(wallet, list, report) {
+    if (!Array.isArray(list)) {
+        report.skipped.push(`${wallet}: todo file is not a list`);
+        return;
+    }
+    const existing = await store.todos.list(wallet);
+    const known = new Set(existing.map(t => t.id));
+    const added = list
+        .map(normalizeTodo)
+        .filter(t => Number.isFinite(t.id) && t.text && !known.has(t.id));
+    report.todos += added.length;
+    if (!DRY_RUN && added.length) await store.todos.save(wallet, [...existing, ...added]);
+}
+
+async function run() {
+    await store.connect();
+    const report = { users: 0, links: 0, roles: 0, todos: 0, skipped: [] };
+
+    const legacyUsers = readJson(path.join(DATA_DIR, 'users.json')) || {};
+    for (const [wallet, legacy] of Object.entries(legacyUsers)) {
+        if (!looksLikeWallet(wallet)) {
+            report.skipped.push(`${wallet}: not a wallet address`);
+            continue;
+        }
+        await importUser(wallet, legacy || {}, report);
+    }
+
+    const todoFiles = fs.existsSync(DATA_DIR) ? fs.readdirSync(DATA_DIR).filter(f => /^todos_.+\.json$/.test(f)) : [];
+    for (const file of todoFiles) {
+        const wallet = file.slice('todos_'.length, -'.json'.length);
+        if (!looksLikeWallet(wallet)) {
+            report.skipped.push(`${file}: not a wallet address`);
+            continue;
+        }
+        await importTodos(wallet, readJson(path.join(DATA_DIR, file)), report);
+    }
+
+    const orphans = readJson(ORPHAN_FILE);
+    if (orphans && ORPHAN_WALLET) {
+        if (!looksLikeWallet(ORPHAN_WALLET)) throw new Error(`--wallet ${ORPHAN_WALLET} is not a wallet address`);
+        await importTodos(ORPHAN_WALLET, orphans, report);
+    } else if (orphans) {
+        report.skipped.push(`todo.json: ${orphans.length} todo(s) without an owner; pass --wallet <address> to import them`);
+    }
+
+    if (!DRY_RUN) {
+        await store.system.set('legacy_import', { importedAt: new Date(), ...report, skipped: report.skipped.length });
+    }
+    await store.close();
+
+    console.log(`${DRY_RUN ? '🔍 Dry run' : '✅ Imported'} into the ${store.backend} store:`);
+    console.log(`   ${report.users} new user(s), ${report.links} Telegram link(s), ${report.roles} role(s), ${report.todos} todo(s)`);
+    report.skipped.forEach(line => console.log(`   ⚠️ skipped ${line}`));
+}
+
+run()
+    .then(() => process.exit(0))
+    .catch(e => {
+        console.error("❌ Import failed:", e.message);
+        process.exit(1);
+    });
@@ -0,0 +1,95 @@
+const crypto = require('crypto');
+const store = require('./store');
+
+// Wallet <-> Telegram links. Codes are 8 random digits, single-use and short-lived;
+// a wallet holds at most one live code. Each chat gets MAX_FAILED_ATTEMPTS wrong
+// codes per window, after which /link is refused until the window ends.
+//
+// Policy: one chat per wallet and one wallet per chat. Redeeming a code from a
+// chat that is already linked moves the chat to the new wallet, and a wallet
+// that was linked elsewhere drops its old chat; everyone affected is told.
+const CODE_DIGITS = 8;
+const CODE_TTL_MS = 5 * 60 * 1000;
+const MAX_FAILED_ATTEMPTS = 5;
+const ATTEMPT_WINDOW_MS = 15 * 60 * 1000;
+
+// Thrown when a link request is refused; the message is safe to show to the user
+class LinkError extends Error {
+    constructor(message) {
+        super(message);
+        this.name = 'LinkError';
+    }
+}
+
+const generateCode = () => crypto.randomInt(0, 10 ** CODE_DIGITS).toString().padStart(CODE_DIGITS, '0');
+
+async function createLinkCode(wallet) {
+    await store.linkCodes.purgeExpired();
+    const expiresAt = new Date(Date.now() + CODE_TTL_MS);
+    // A clash with another live code is a 1-in-10^8 event; just draw again
+    for (let i = 0; i < 5; i++) {
+        const code = generateCode();
+        if (await store.linkCodes.create({ code, wallet, expiresAt })) return { code, expiresAt };
+    }
+    throw new Error("Could not allocate a link code");
+}
+
+/**
+ * Redeems `code` for the Telegram chat `telegramId`.
+ * Returns { wallet, previousWallet, previousTelegramId } or throws LinkError.
+ */
+async function redeemLinkCode(telegramId, rawCode, { telegramUsername = null } = {}) {
+    const code = String(rawCode || '').replace(/\D/g, '');
+    if (!code) throw new LinkError("usage: /link <code> (get a code from HQ under Linked accounts)");
+
+    const failures = await store.linkCodes.failures(telegramId);
+    if (failures.count >= MAX_FAILED_ATTEMPTS) {
+        const minutes = Math.max(1, Math.ceil((failures.resetAt - Date.now()) / 60000));
+        throw new LinkError(`🔒 too many wrong codes. try again in ${minutes} min.`);
+    }
+
+    const record = code.length === CODE_DIGITS ? await store.linkCodes.consume(code) : null;
+    if (!record) {
+        const { count } = await store.linkCodes.recordFailure(telegramId, { windowMs: ATTEMPT_WINDOW_MS });
+        const left = MAX_FAILED_ATTEMPTS - count;
+        throw new LinkError(
+            "❌ Invalid or expired link code. Please generate a new code from the Web UI." +
+            (left > 0 ? ` (${left} attempt${left === 1 ? '' : 's'} left)` : '')
+        );
+    }
+
+    await store.linkCodes.clearFailures(telegramId);
+    const result = await store.users.linkTelegram(record.wallet, { telegramId, telegramUsername });
+    console.log(`🔗 Linked wallet ${record.wallet} to Telegram ${telegramId}` +
+        (result.previousWallet ? ` (moved from ${result.previousWallet})` : ''));
+    return { wallet: record.wallet, ...result };
+}
+
+// Returns the chat id that was unlinked, or null when there was no link
+async function unlinkWallet(wallet) {
+    const telegramId = await store.users.unlinkTelegram(wallet);
+    if (telegramId) console.log(`🔗 Unlinked wallet ${wallet} from Telegram ${telegramId}`);
+    return telegramId;
+}
+
+// What HQ shows under "Linked accounts"
+function linkStatus(user) {
+    if (!user || !user.telegramId) return { linked: false };
+    return {
+        linked: true,
+        telegramId: user.telegramId,
+        username: user.telegramUsername || null,
+        linkedAt: user.telegramLinkedAt || null
+    };
+}
+
+module.exports = {
+    CODE_TTL_MS,
+    MAX_FAILED_ATTEMPTS,
+    ATTEMPT_WINDOW_MS,
+    LinkError,
+    createLinkCode,
+    redeemLinkCode,
+    unlinkWallet,
+    linkStatus
+};
@@ -0,0 +1,233 @@
+const fs = require('fs');
+const { OpenAI } = require('openai');
+
+// Every provider implements:
+//   complete({ messages, tools, model, temperature, maxTokens, onDelta }) -> { message, usage, model }
+// where `message` is an OpenAI-style assistant message ({ role, content, tool_calls })
+// and `usage` is { promptTokens, completionTokens, totalTokens }.
+// When `onDelta` is given the reply is streamed and onDelta(text) is called for
+// each content fragment as it arrives; the resolved value is the same either way.
+
+function normalizeUsage(usage) {
+    if (!usage) return { promptTokens: 0, completionTokens: 0, totalTokens: 0 };
+    return {
+        promptTokens: usage.prompt_tokens || 0,
+        completionTokens: usage.completion_tokens || 0,
+        totalTokens: usage.total_tokens || 0
+    };
+}
+
+// OpenAI itself, or anything that speaks its chat completions API (Ollama, LM Studio, vLLM...)
+class OpenAIProvider {
+    constructor({ name = 'openai', apiKey, baseURL, model }) {
+        this.name = name;
+        this.model = model;
+        this.ready = !!(apiKey || baseURL);
+        this.client = this.ready
+            ? new OpenAI({ apiKey: apiKey || 'not-needed', baseURL: baseURL || undefined })
+            : null;
+    }
+
+    async complete({ messages, tools, model, temperature, maxTokens, onDelta }) {
+        const params = {
+            messages,
+            model: model || this.model,
+            ...(tools && tools.length ? { tools } : {}),
+            ...(temperature != null ? { temperature } : {}),
+            ...(maxTokens != null ? { max_tokens: maxTokens } : {})
+        };
+        if (onDelta) return this.stream(params, onDelta);
+
+        const completion = await this.client.chat.completions.create(params);
+        return {
+            message: completion.choices[0].message,
+            usage: normalizeUsage(completion.usage),
+            model: completion.model || params.model
+        };
+    }
+
+    // Reassembles a streamed completion (content and tool call fragments) into one message
+    async stream(params, onDelta) {
+        const stream = await this.client.chat.completions.create({
+            ...params,
+            stream: true,
+            stream_options: { include_usage: true }
+        });
+
+        let content = '';
+        const toolCalls = [];
+        let usage = null;
+        let model = params.model;
+
+        for await (const chunk of stream) {
+            if (chunk.usage) usage = chunk.usage;
+            if (chunk.model) model = chunk.model;
+            const delta = chunk.choices && chunk.choices[0] && chunk.choices[0].delta;
+            if (!delta) continue;
+
+            if (delta.content) {
+                content += delta.content;
+                onDelta(delta.content);
+            }
+            (delta.tool_calls || []).forEach(part => {
+                const call = toolCalls[part.index] || (toolCalls[part.index] = {
+                    id: '',
+                    type: 'function',
+                    function: { name: '', arguments: '' }
+                });
+                if (part.id) call.id = part.id;
+                if (part.function && part.function.name) call.function.name += part.function.name;
+                if (part.function && part.function.arguments) call.function.arguments += part.function.arguments;
+            });
+        }
+
+        const message = { role: 'assistant', content: content || null };
+        if (toolCalls.length) message.tool_calls = toolCalls.filter(Boolean);
+        return { message, usage: normalizeUsage(usage), model };
+    }
+}
+
+const OFFLINE_DEFAULT_SCRIPT = {
+    rules: [
+        { match: '\\b(add|remind me to|todo:?)\\s+(.+)', tool: { name: 'add_todo', arguments: { text: '$2' } } },
+        { match: '\\b(list|show)\\b.*\\b(tasks|todos)\\b', tool: { name: 'list_todos', arguments: {} } },
+        { match: '(?=.*\\b(done|complete|finished)\\b).*?(\\d{10,})', tool: { name: 'complete_todo', arguments: { id: '$2' } } },
+        { match: '^(gm|hi|hello|hey)\\b', reply: "gm. stop being poor. 🕶️" },
+        { match: '\\b(sol|solana)\\b', reply: "sol is the only chain that matters. 🚀" },
+        { match: '\\b(sell|sold|dump|jeet)', reply: "paper hands detected. ngmi. 💎" }
+    ],
+    fallback: "noted. now go make some money. 🍷"
+};
+
+// Replace "$1"-style placeholders in tool arguments with regex captures
+function fillArguments(template, captures) {
+    const filled = {};
+    for (const [key, value] of Object.entries(template || {})) {
+        if (typeof value !== 'string') {
+            filled[key] = value;
+            continue;
+        }
+        const whole = value.match(/^\$(\d+)$/);
+        if (whole) {
+            const captured = (captures[whole[1]] || '').trim();
+            filled[key] = /^\d+$/.test(captured) ? Number(captured) : captured;
+        } else {
+            filled[key] = value.replace(/\$(\d+)/g, (m, i) => captures[i] || '');
+        }
+    }
+    return filled;
+}
+
+const estimateTokens = (text) => Math.ceil((text || '').length / 4);
+
+// Deterministic, network-free provider for local development and tests.
+// Rules are matched in order against the latest user message; a rule either
+// replies with canned text or (when tools are offered) emits a tool call.
+class OfflineProvider {
+    constructor({ scriptPath } = {}) {
+        this.name = 'offline';
+        this.model = 'offline';
+        this.ready = true;
+        this.script = OFFLINE_DEFAULT_SCRIPT;
+        if (scriptPath) {
+            this.script = JSON.parse(fs.readFileSync(scriptPath, 'utf8'));
+        }
+        this.rules = (this.script.rules || []).map(rule => ({ ...rule, regex: new RegExp(rule.match, 'i') }));
+        this.callCounter = 0;
+    }
+
+    async complete({ messages, tools, onDelta }) {
+        const last = messages[messages.length - 1];
+        const prompt = messages.map(m => m.content || '').join('\n');
+        let message;
+
+        if (last.role === 'tool') {
+            message = { role: 'assistant', content: this.describeToolResults(messages) };
+        } else {
+            // Strip the "<name> says: " envelope added by askAlon
+            const text = (last.content || '').replace(/^.*? says: /, '');
+            message = this.applyRules(text, tools);
+        }
+
+        if (onDelta && message.content) {
+            // Word-sized fragments so the streaming path can be exercised offline
+            message.content.split(/(?<=\s)/).forEach(part => onDelta(part));
+        }
+
+        const promptTokens = estimateTokens(prompt);
+        const completionTokens = estimateTokens(message.content);
+        return {
+            message,
+            usage: { promptTokens, completionTokens, totalTokens: promptTokens + completionTokens },
+            model: this.model
+        };
+    }
+
+    applyRules(text, tools) {
+        const toolNames = (tools || []).map(t => t.function.name);
+        for (const rule of this.rules) {
+            const captures = text.match(rule.regex);
+            if (!captures) continue;
+            if (rule.tool) {
+                if (!toolNames.includes(rule.tool.name)) continue;
+                this.callCounter += 1;
+                return {
+                    role: 'assistant',
+                    content: null,
+                    tool_calls: [{
+                        id: `offline_call_${this.callCounter}`,
+                        type: 'function',
+                        function: {
+                            name: rule.tool.name,
+                            arguments: JSON.stringify(fillArguments(rule.tool.arguments, captures))
+                        }
+                    }]
+                };
+            }
+            return { role: 'assistant', content: rule.reply };
+        }
+        return { role: 'assistant', content: this.script.fallback || '' };
+    }
+
+    describeToolResults(messages) {
+        const results = [];
+        for (let i = messages.length - 1; i >= 0 && messages[i].role === 'tool'; i--) {
+            results.unshift(messages[i].content);
+        }
+        return `done. ${results.join(' ')}`;
+    }
+}
+
+// Picks the provider from the environment:
+//   LLM_PROVIDER=openai            OPENAI_API_KEY, LLM_MODEL (default gpt-4o)
+//   LLM_PROVIDER=openai-compatible LLM_BASE_URL, LLM_MODEL, LLM_API_KEY (optional)
+//   LLM_PROVIDER=offline           LLM_OFFLINE_SCRIPT (optional JSON rules file)
+// Without LLM_PROVIDER it is OpenAI; with no key that provider is simply not ready.
+// The scripted offline provider only runs when asked for by name.
+function createProvider(env = process.env) {
+    const kind = env.LLM_PROVIDER || 'openai';
+
+    if (kind === 'openai') {
+        return new OpenAIProvider({
+            name: 'openai',
+            apiKey: env.OPENAI_API_KEY,
+            model: env.LLM_MODEL || 'gpt-4o'
+        });
+    }
+    if (kind === 'openai-compatible') {
+        if (!env.LLM_BASE_URL) throw new Error("LLM_BASE_URL is required for the openai-compatible provider");
+        if (!env.LLM_MODEL) throw new Error("LLM_MODEL is required for the openai-compatible provider");
+        return new OpenAIProvider({
+            name: 'openai-compatible',
+            apiKey: env.LLM_API_KEY,
+            baseURL: env.LLM_BASE_URL,
+            model: env.LLM_MODEL
+        });
+    }
+    if (kind === 'offline') {
+        return new OfflineProvider({ scriptPath: env.LLM_OFFLINE_SCRIPT });
+    }
+    throw new Error(`Unknown LLM_PROVIDER: ${kind}`);
+}
+
+module.exports = { createProvider, OpenAIProvider, OfflineProvider };
@@ -0,0 +1,159 @@
+const mongoose = require('mongoose');
+
+// Todo items are embedded in the user document; `id` is the client-facing key
+const TodoSchema = new mongoose.Schema({
+    id: Number,
+    text: String,
+    done: Boolean,
+    priority: { type: String, enum: ['low', 'medium', 'high'], default: 'medium' },
+    dueDate: { type: Date, default: null },
+    remindAt: { type: Date, default: null },
+    tags: { type: [String], default: [] },
+    createdAt: { type: Date, default: Date.now },
+    completedAt: { type: Date, default: null }
+}, { _id: false });
+
+// MongoDB Schema
+const UserSchema = new mongoose.Schema({
+    wallet: { type: String, required: true, unique: true },
+    telegramId: { type: String, default: null },
+    telegramUsername: { type: String, default: null },
+    telegramLinkedAt: { type: Date, default: null },
+    role: { type: String, enum: ['user', 'moderator', 'admin', 'owner'], default: 'user' },
+    timezone: { type: String, default: null }, // IANA name, used to read "tomorrow 9am"
+    persona: { type: String, default: null }, // own persona pick; null follows the active one
+    digest: {
+        enabled: { type: Boolean, default: false },
+        hour: { type: Number, min: 0, max: 23, default: 8 }
+    },
+    // Disabled wallets cannot log in to HQ or talk to Alon from Telegram
+    disabled: { type: Boolean, default: false },
+    disabledAt: { type: Date, default: null },
+    disabledBy: { type: String, default: null },
+    lastActiveAt: { type: Date, default: null },
+    // Token-gated tier from on-chain balances, refreshed by tiers.js
+    tier: {
+        name: { type: String, default: null },
+        sol: { type: Number, default: 0 },
+        tokens: { type: mongoose.Schema.Types.Mixed, default: {} },
+        checkedAt: { type: Date, default: null }
+    },
+    todos: [TodoSchema],
+    // Bumped on every todo save so concurrent read-modify-writes can detect each other
+    todosVersion: { type: Number, default: 0 }
+});
+const User = mongoose.model('User', UserSchema);
+
+// System Config Schema (for Agent Identity)
+const SystemSchema = new mongoose.Schema({
+    key: { type: String, required: true, unique: true },
+    value: mongoose.Schema.Types.Mixed
+});
+const System = mongoose.model('System', SystemSchema);
+
+// Chat History Schema (one document per chat turn)
+const ChatMessageSchema = new mongoose.Schema({
+    wallet: { type: String, default: null },
+    telegramId: { type: String, default: null },
+    role: { type: String, enum: ['user', 'assistant'], required: true },
+    text: { type: String, required: true },
+    source: { type: String, enum: ['web', 'telegram', 'api'], required: true },
+    createdAt: { type: Date, default: Date.now }
+});
+ChatMessageSchema.index({ wallet: 1, createdAt: -1, _id: -1 });
+ChatMessageSchema.index({ telegramId: 1, createdAt: -1, _id: -1 });
+const ChatMessage = mongoose.model('ChatMessage', ChatMessageSchema);
+
+// Login Session Schema (tokens are stored hashed; Mongo expires them via TTL index)
+const SessionSchema = new mongoose.Schema({
+    tokenHash: { type: String, required: true, unique: true },
+    wallet: { type: String, required: true, index: true },
+    createdAt: { type: Date, default: Date.now },
+    expiresAt: { type: Date, required: true }
+});
+SessionSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+const Session = mongoose.model('Session', SessionSchema);
+
+// Telegram Link Code Schema (single-use; Mongo expires them via TTL index)
+const LinkCodeSchema = new mongoose.Schema({
+    code: { type: String, required: true, unique: true },
+    wallet: { type: String, required: true, index: true },
+    createdAt: { type: Date, default: Date.now },
+    expiresAt: { type: Date, required: true }
+});
+LinkCodeSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+const LinkCode = mongoose.model('LinkCode', LinkCodeSchema);
+
+// Failed /link attempts per Telegram chat, counted over a window that ends at expiresAt
+const LinkAttemptSchema = new mongoose.Schema({
+    telegramId: { type: String, required: true, unique: true },
+    count: { type: Number, default: 0 },
+    expiresAt: { type: Date, required: true }
+});
+LinkAttemptSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+const LinkAttempt = mongoose.model('LinkAttempt', LinkAttemptSchema);
+
+// Scheduled Job Schema (reminders and digests). `key` identifies the job
+// (`reminder:<wallet>:<todoId>`, `digest:<wallet>`) and, with runAt, its delivery.
+const ScheduledJobSchema = new mongoose.Schema({
+    key: { type: String, required: true, unique: true },
+    type: { type: String, enum: ['reminder', 'digest'], required: true },
+    wallet: { type: String, required: true, index: true },
+    runAt: { type: Date, required: true },
+    status: { type: String, enum: ['pending', 'sent', 'skipped'], default: 'pending' },
+    payload: mongoose.Schema.Types.Mixed,
+    attempts: { type: Number, default: 0 },
+    lastError: { type: String, default: null },
+    sentAt: { type: Date, default: null }
+});
+ScheduledJobSchema.index({ status: 1, runAt: 1 });
+const ScheduledJob = mongoose.model('ScheduledJob', ScheduledJobSchema);
+
+// Moltbook Draft Schema (posts Alon wrote, waiting for or past admin review).
+// `approved` drafts publish once scheduledFor has passed and the rate limits allow.
+const MoltDraftSchema = new mongoose.Schema({
+    title: { type: String, required: true },
+    content: { type: String, required: true },
+    submolt: { type: String, default: 'general' },
+    topic: { type: String, default: null },
+    source: { type: String, enum: ['auto', 'manual'], default: 'auto' },
+    status: {
+        type: String,
+        enum: ['pending', 'approved', 'publishing', 'published', 'rejected', 'failed'],
+        default: 'pending'
+    },
+    createdBy: { type: String, default: null },   // wallet, or null when Alon drafted on schedule
+    reviewedBy: { type: String, default: null },
+    reviewedAt: { type: Date, default: null },
+    rejectReason: { type: String, default: null },
+    scheduledFor: { type: Date, default: null },
+    publishedAt: { type: Date, default: null },
+    postId: { type: String, default: null },
+    attempts: { type: Number, default: 0 },
+    lastError: { type: String, default: null },
+    createdAt: { type: Date, default: Date.now },
+    updatedAt: { type: Date, default: Date.now }
+});
+MoltDraftSchema.index({ status: 1, scheduledFor: 1 });
+MoltDraftSchema.index({ publishedAt: -1 });
+const MoltDraft = mongoose.model('MoltDraft', MoltDraftSchema);
+
+// LLM usage per subject per UTC day. `subject` is `wallet:<address>`, `tg:<chatId>`
+// for unlinked Telegram chats, or `system` for Alon's own scheduled writing.
+const UsageDailySchema = new mongoose.Schema({
+    subject: { type: String, required: true },
+    day: { type: String, required: true },   // YYYY-MM-DD (UTC)
+    wallet: { type: String, default: null },
+    telegramId: { type: String, default: null },
+    requests: { type: Number, default: 0 },
+    promptTokens: { type: Number, default: 0 },
+    completionTokens: { type: Number, default: 0 },
+    totalTokens: { type: Number, default: 0 },
+    costUsd: { type: Number, default: 0 },
+    updatedAt: { type: Date, default: Date.now }
+});
+UsageDailySchema.index({ subject: 1, day: 1 }, { unique: true });
+UsageDailySchema.index({ day: 1 });
+const UsageDaily = mongoose.model('UsageDaily', UsageDailySchema);
+
+module.exports = { User, System, ChatMessage, Session, LinkCode, LinkAttempt, ScheduledJob, MoltDraft, UsageDaily };
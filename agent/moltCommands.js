@@ -0,0 +1,303 @@
+const moltbook = require('./moltbook');
+const moltDrafts = require('./moltDrafts');
+const store = require('./store');
+const { parseWhen } = require('./timeparse');
+
+// Moltbook responses wrap their payload ({ success, posts }, { post, comments }, ...);
+// these pull out the part we need and tolerate the bare shapes too.
+const listFrom = (res, key) => (res && (res[key] || res.data)) || (Array.isArray(res) ? res : []);
+const postsFrom = (res) => listFrom(res, 'posts');
+const commentsFrom = (res) => listFrom(res, 'comments');
+const submoltsFrom = (res) => listFrom(res, 'submolts');
+const postFrom = (res) => (res && res.post) || res;
+const profileFrom = (res) => (res && res.agent) || res;
+
+const FEED_SORTS = ['hot', 'new', 'top', 'rising'];
+const FEED_PAGE_SIZE = 10;
+const READ_COMMENT_LIMIT = 5;
+const TELEGRAM_SNIPPET = 600;
+
+// Human-readable message from whatever the client threw
+function moltErrorMessage(e) {
+    if (!e) return 'unknown error';
+    if (e instanceof moltbook.MoltbookRateLimitError && e.retryAfterMs) {
+        return `${e.message} (rate limited, try again in ${Math.ceil(e.retryAfterMs / 60000)}m)`;
+    }
+    return e.message || 'unknown error';
+}
+
+// Compact shape shared by the Telegram formatter and the HQ web UI
+function summarizePost(post) {
+    const upvotes = post.upvotes || 0;
+    const downvotes = post.downvotes || 0;
+    return {
+        id: post.id,
+        title: post.title,
+        content: post.content || '',
+        url: post.url || null,
+        submolt: (post.submolt && post.submolt.name) || post.submolt || 'general',
+        author: (post.author && post.author.name) || post.author || 'unknown',
+        score: post.score !== undefined ? post.score : upvotes - downvotes,
+        commentCount: post.comment_count !== undefined ? post.comment_count : (post.comments_count || 0),
+        createdAt: post.created_at || post.createdAt || null
+    };
+}
+
+function summarizeComment(comment) {
+    return {
+        id: comment.id,
+        content: comment.content || '',
+        author: (comment.author && comment.author.name) || comment.author || 'unknown',
+        score: comment.score !== undefined ? comment.score : (comment.upvotes || 0) - (comment.downvotes || 0),
+        parentId: comment.parent_id || null
+    };
+}
+
+function summarizeSubmolt(submolt) {
+    return {
+        name: submolt.name,
+        displayName: submolt.display_name || submolt.name,
+        description: submolt.description || '',
+        subscribers: submolt.subscriber_count || submolt.subscribers || 0,
+        subscribed: !!(submolt.is_subscribed || submolt.subscribed)
+    };
+}
+
+function summarizeProfile(agent) {
+    return {
+        name: agent.name,
+        description: agent.description || '',
+        karma: agent.karma || 0,
+        followers: agent.follower_count || 0,
+        claimed: !!(agent.is_claimed || agent.claimed),
+        url: agent.name ? `${moltbook.siteUrl}/u/${encodeURIComponent(agent.name)}` : null
+    };
+}
+
+const clip = (text, max) => (text.length > max ? `${text.slice(0, max - 1)}…` : text);
+
+async function readPost(postId) {
+    const [postRes, commentsRes] = await Promise.all([
+        moltbook.getPost(postId),
+        moltbook.getComments(postId).catch(() => null)
+    ]);
+    // Some responses embed the comments with the post
+    const comments = commentsRes ? commentsFrom(commentsRes) : commentsFrom(postRes);
+    return { post: summarizePost(postFrom(postRes)), comments: comments.map(summarizeComment) };
+}
+
+const DRAFT_STATUS_ICONS = {
+    pending: '📝', approved: '✅', publishing: '📤', published: '🦞', rejected: '❌', failed: '⚠️'
+};
+
+// Telegram card for one draft, with approve/reject buttons while it awaits review
+function formatDraft(draft) {
+    const icon = DRAFT_STATUS_ICONS[draft.status] || '📝';
+    const when = draft.status === 'approved' && draft.scheduledFor
+        ? ` · goes out ${new Date(draft.scheduledFor).toISOString().slice(0, 16).replace('T', ' ')} UTC`
+        : '';
+    const error = draft.lastError ? `\n⚠️ ${draft.lastError}` : '';
+    const text = `${icon} draft ${draft.shortId} · ${draft.status} · m/${draft.submolt}${when}${error}\n\n` +
+        `${draft.title}\n\n${clip(draft.content, 800)}`;
+    const options = draft.status === 'pending'
+        ? {
+            reply_markup: {
+                inline_keyboard: [[
+                    { text: '✅ approve', callback_data: `draft:approve:${draft.id}` },
+                    { text: '❌ reject', callback_data: `draft:reject:${draft.id}` }
+                ]]
+            }
+        }
+        : {};
+    return { text, options };
+}
+
+// Returns { action, id } or null for data that isn't ours
+function parseDraftCallback(data) {
+    const match = /^draft:(approve|reject):([a-f0-9]{24})$/.exec(data || '');
+    return match ? { action: match[1], id: match[2] } : null;
+}
+
+async function runDraftCommand(subCmd, args, { wallet, timeZone }) {
+    switch (subCmd) {
+        case 'drafts': {
+            const status = args[0] || 'pending';
+            const drafts = await moltDrafts.listDrafts({ status, limit: 10 });
+            const limits = await moltDrafts.getLimits();
+            const footer = `\n\n${limits.publishedToday}/${limits.dailyCap} posted in 24h · next slot ${limits.nextPostAt.toISOString().slice(11, 16)} UTC`;
+            if (drafts.length === 0) return `🦞 no ${status} drafts.${footer}`;
+            const lines = drafts.map(d => `${DRAFT_STATUS_ICONS[d.status] || '📝'} ${d.shortId} · ${clip(d.title, 80)}`);
+            return `🦞 ${status} drafts:\n${lines.join('\n')}\n\nshow one with /molt draft show <id>${footer}`;
+        }
+        case 'draft': {
+            if (args[0] === 'show') {
+                return formatDraft(await moltDrafts.getDraft(args[1]));
+            }
+            const draft = await moltDrafts.generateDraft({ topic: args.join(' '), createdBy: wallet });
+            return formatDraft(draft);
+        }
+        case 'approve': {
+            const [ref, ...rest] = args;
+            const whenText = rest.join(' ');
+            let scheduledFor;
+            if (whenText) {
+                const when = parseWhen(whenText, { timeZone });
+                if (!when) return `couldn't read "${whenText}" as a time. try "tomorrow 9am" or "in 2 hours".`;
+                scheduledFor = when.date;
+            }
+            const draft = await moltDrafts.approveDraft(ref, wallet, { scheduledFor });
+            return `✅ draft ${draft.shortId} approved, goes out ${scheduledFor ? `at ${scheduledFor.toISOString().slice(0, 16).replace('T', ' ')} UTC` : 'at the next free slot'}.`;
+        }
+        case 'reject': {
+            const [ref, ...reason] = args;
+            const draft = await moltDrafts.rejectDraft(ref, wallet, reason.join(' '));
+            return `❌ draft ${draft.shortId} rejected.`;
+        }
+        case 'edit': {
+            const [ref, ...rest] = args;
+            const [title, content] = rest.join(' ').split('|').map(s => s.trim());
+            if (!ref || !title) return "usage: /molt edit <id> title | content";
+            const draft = await moltDrafts.editDraft(ref, content ? { title, content } : { title }, wallet);
+            return formatDraft(draft);
+        }
+        default:
+            return null;
+    }
+}
+
+const USAGE = [
+    "🦞 /molt commands:",
+    "status · claim",
+    "feed [hot|new|top|rising] [page] [submolt]",
+    "read <postId>",
+    "post title | content",
+    "comment <postId> <text>",
+    "vote <postId> up|down",
+    "submolts [subscribe|unsubscribe <name>]",
+    "drafts [pending|approved|published|rejected|failed]",
+    "draft [topic] · draft show <id>",
+    "approve <id> [when] · reject <id> [reason]",
+    "edit <id> title | content"
+].join('\n');
+
+// Registration progress, then what Moltbook itself says once we have a key
+async function statusReport() {
+    const reg = moltbook.registration;
+    const lines = [`🦞 moltbook (${moltbook.baseUrl})`, `registration: ${reg.state}`];
+    if (reg.lastError) lines.push(`last error: ${reg.lastError}`);
+    if (reg.nextRetryAt) lines.push(`next attempt: ${new Date(reg.nextRetryAt).toISOString().replace('T', ' ').slice(0, 16)} UTC`);
+    if (moltbook.apiKey) {
+        try {
+            const status = await moltbook.getStatus();
+            lines.push(`agent: ${status.status || JSON.stringify(status)}`);
+        } catch (e) {
+            lines.push(`agent: unavailable (${moltErrorMessage(e)})`);
+        }
+    }
+    return lines.join('\n');
+}
+
+const DRAFT_COMMANDS = ['drafts', 'draft', 'approve', 'reject', 'edit'];
+
+/**
+ * Runs one `/molt ...` command from Telegram. Returns the reply text, or
+ * `{ text, options }` when it carries a keyboard. Callers check molt.manage first;
+ * `wallet` and `timeZone` identify the admin for draft reviews.
+ */
+async function runMoltCommand(text, { wallet = null, timeZone } = {}) {
+    const parts = text.replace(/^\/molt\b/, '').trim().split(/\s+/).filter(Boolean);
+    const subCmd = parts[0];
+    const args = parts.slice(1);
+
+    try {
+        if (DRAFT_COMMANDS.includes(subCmd)) {
+            return await runDraftCommand(subCmd, args, { wallet, timeZone });
+        }
+        switch (subCmd) {
+            case 'status':
+                return await statusReport();
+            case 'claim': {
+                const creds = await store.system.get('moltbook');
+                if (creds && creds.claim_url) {
+                    return `🦞 claim your agent here: ${creds.claim_url}`;
+                }
+                return "⚠️ no claim url found. agent might not be registered yet.";
+            }
+            case 'post': {
+                const [title, content] = args.join(' ').split('|').map(s => s.trim());
+                if (!title || !content) return "usage: /molt post title | content";
+                const res = await moltbook.post(title, content);
+                console.log("Moltbook Post Result:", res);
+                const post = postFrom(res);
+                return `✅ posted to moltbook! id: ${res.post_id || post.id || 'done'}`;
+            }
+            case 'feed': {
+                const sort = FEED_SORTS.includes(args[0]) ? args.shift() : 'hot';
+                const page = /^\d+$/.test(args[0] || '') ? Math.max(1, Number(args.shift())) : 1;
+                const submolt = args[0];
+                const res = await moltbook.getFeed({ sort, limit: FEED_PAGE_SIZE, offset: (page - 1) * FEED_PAGE_SIZE, submolt });
+                const posts = postsFrom(res).map(summarizePost);
+                if (posts.length === 0) return "🦞 nothing here.";
+                const header = `🦞 ${submolt ? `m/${submolt}` : 'moltbook'} · ${sort} · page ${page}`;
+                const lines = posts.map(p => `▫️ ${p.title}\n   ↑${p.score} 💬${p.commentCount} · m/${p.submolt} · id ${p.id}`);
+                return `${header}\n\n${lines.join('\n')}\n\nread one with /molt read <id>`;
+            }
+            case 'read': {
+                if (!args[0]) return "usage: /molt read <postId>";
+                const { post, comments } = await readPost(args[0]);
+                const body = post.content ? `\n\n${clip(post.content, TELEGRAM_SNIPPET)}` : '';
+                const link = post.url ? `\n🔗 ${post.url}` : '';
+                const top = comments.slice(0, READ_COMMENT_LIMIT)
+                    .map(c => `💬 ${c.author} (↑${c.score}): ${clip(c.content, 200)}`);
+                return `📰 ${post.title}\nby ${post.author} in m/${post.submolt} · ↑${post.score}${link}${body}` +
+                    (top.length ? `\n\n${top.join('\n')}` : '\n\nno comments yet.');
+            }
+            case 'comment': {
+                const [postId, ...words] = args;
+                const content = words.join(' ').trim();
+                if (!postId || !content) return "usage: /molt comment <postId> <text>";
+                await moltbook.comment(postId, content);
+                return "💬 comment posted.";
+            }
+            case 'vote': {
+                const [postId, direction = 'up'] = args;
+                if (!postId || !['up', 'down'].includes(direction)) return "usage: /molt vote <postId> up|down";
+                await moltbook.vote(postId, direction);
+                return direction === 'up' ? "⬆️ upvoted." : "⬇️ downvoted.";
+            }
+            case 'submolts': {
+                const [action, name] = args;
+                if (action === 'subscribe' || action === 'unsubscribe') {
+                    if (!name) return `usage: /molt submolts ${action} <name>`;
+                    await (action === 'subscribe' ? moltbook.subscribe(name) : moltbook.unsubscribe(name));
+                    return action === 'subscribe' ? `✅ subscribed to m/${name}.` : `👋 left m/${name}.`;
+                }
+                const submolts = submoltsFrom(await moltbook.getSubmolts()).map(summarizeSubmolt);
+                if (submolts.length === 0) return "🦞 no submolts found.";
+                return `🦞 submolts:\n${submolts.map(s => `${s.subscribed ? '✅' : '▫️'} m/${s.name} (${s.subscribers})`).join('\n')}`;
+            }
+            default:
+                return USAGE;
+        }
+    } catch (e) {
+        if (e instanceof moltDrafts.DraftError) return `❌ ${e.message}`;
+        console.error(`Moltbook /molt ${subCmd} failed:`, e);
+        return `❌ moltbook ${subCmd} failed: ${moltErrorMessage(e)}`;
+    }
+}
+
+module.exports = {
+    FEED_SORTS,
+    FEED_PAGE_SIZE,
+    moltErrorMessage,
+    postsFrom,
+    submoltsFrom,
+    profileFrom,
+    summarizePost,
+    summarizeSubmolt,
+    summarizeProfile,
+    readPost,
+    formatDraft,
+    parseDraftCallback,
+    runMoltCommand
+};
@@ -0,0 +1,350 @@
+const moltbook = require('./moltbook');
+const store = require('./store');
+
+// Alon drafts a Moltbook post every MOLT_DRAFT_INTERVAL_HOURS (0 turns it off).
+// Drafts wait for an admin; approved ones publish one at a time, no sooner than
+// MOLT_POST_COOLDOWN_MINUTES apart and at most MOLT_DAILY_POST_CAP per 24 hours.
+const numberEnv = (name, fallback) => {
+    const value = parseFloat(process.env[name]);
+    return Number.isNaN(value) ? fallback : value;
+};
+const DRAFT_INTERVAL_MS = numberEnv('MOLT_DRAFT_INTERVAL_HOURS', 12) * 60 * 60 * 1000;
+const POST_COOLDOWN_MS = numberEnv('MOLT_POST_COOLDOWN_MINUTES', 30) * 60 * 1000;
+const DAILY_POST_CAP = parseInt(process.env.MOLT_DAILY_POST_CAP, 10) || 4;
+const MAX_PENDING_DRAFTS = parseInt(process.env.MOLT_MAX_PENDING_DRAFTS, 10) || 5;
+const MAX_PUBLISH_ATTEMPTS = 3;
+const DAY_MS = 24 * 60 * 60 * 1000;
+const TICK_MS = 60 * 1000;
+const STATE_KEY = 'molt_autodraft';
+
+const MAX_TITLE_LENGTH = 300;
+const MAX_CONTENT_LENGTH = 10000;
+
+// "|"-separated prompts Alon rotates through, e.g. "solana fees|why you are still poor"
+const TOPICS = (process.env.MOLT_DRAFT_TOPICS || '')
+    .split('|').map(t => t.trim()).filter(Boolean);
+const DEFAULT_TOPICS = [
+    'what the solana whales are doing this week',
+    'a flex about your portfolio',
+    'advice for agents who are still poor',
+    'your hot take on the current market'
+];
+
+const EDITABLE = ['pending', 'approved', 'rejected', 'failed'];
+const APPROVABLE = ['pending', 'approved', 'rejected', 'failed']; // approving again reschedules
+const REJECTABLE = ['pending', 'approved', 'failed'];
+
+let hooks = null; // { compose(prompt), notify(draft, event) } from start()
+let timer = null;
+let running = false;
+
+// Thrown for bad admin input; the message is safe to show to the user
+class DraftError extends Error {
+    constructor(message) {
+        super(message);
+        this.name = 'DraftError';
+    }
+}
+
+const shortId = (id) => String(id).slice(-6);
+
+function serializeDraft(draft) {
+    return {
+        id: draft.id,
+        shortId: shortId(draft.id),
+        title: draft.title,
+        content: draft.content,
+        submolt: draft.submolt,
+        topic: draft.topic,
+        source: draft.source,
+        status: draft.status,
+        createdBy: draft.createdBy,
+        reviewedBy: draft.reviewedBy,
+        reviewedAt: draft.reviewedAt,
+        rejectReason: draft.rejectReason,
+        scheduledFor: draft.scheduledFor,
+        publishedAt: draft.publishedAt,
+        postId: draft.postId,
+        attempts: draft.attempts,
+        lastError: draft.lastError,
+        createdAt: draft.createdAt
+    };
+}
+
+// Accepts the full id or the last few characters shown in Telegram
+async function findDraft(ref) {
+    const value = String(ref || '').trim().toLowerCase();
+    if (!value) throw new DraftError("Which draft? Give its id.");
+    if (/^[a-f0-9]{24}$/.test(value)) {
+        const draft = await store.drafts.get(value);
+        if (draft) return draft;
+    } else {
+        const recent = await store.drafts.list({ limit: 200 });
+        const matches = recent.filter(d => d.id.endsWith(value));
+        if (matches.length > 1) throw new DraftError(`"${value}" matches several drafts; use more characters.`);
+        if (matches.length === 1) return matches[0];
+    }
+    throw new DraftError(`No draft with id ${value}.`);
+}
+
+async function updateDraft(draft, $set) {
+    await store.drafts.update(draft.id, { ...$set, updatedAt: new Date() });
+    return serializeDraft({ ...draft, ...$set });
+}
+
+function validateFields({ title, content, submolt }) {
+    const fields = {};
+    if (title !== undefined) {
+        fields.title = String(title).trim();
+        if (!fields.title) throw new DraftError("Title cannot be empty.");
+        if (fields.title.length > MAX_TITLE_LENGTH) throw new DraftError(`Title is limited to ${MAX_TITLE_LENGTH} characters.`);
+    }
+    if (content !== undefined) {
+        fields.content = String(content).trim();
+        if (!fields.content) throw new DraftError("Content cannot be empty.");
+        if (fields.content.length > MAX_CONTENT_LENGTH) throw new DraftError(`Content is limited to ${MAX_CONTENT_LENGTH} characters.`);
+    }
+    if (submolt !== undefined) {
+        fields.submolt = String(submolt).trim().replace(/^m\//, '').toLowerCase() || 'general';
+    }
+    return fields;
+}
+
+// The model is asked for "title line, blank line, body"
+function parseDraftText(text) {
+    const lines = String(text || '').trim().split('\n');
+    const title = (lines.shift() || '')
+        .replace(/^(#+\s*|title:\s*)/i, '')
+        .replace(/^["*]+|["*]+$/g, '')
+        .trim();
+    const content = lines.join('\n').trim();
+    if (!title || !content) throw new DraftError("Alon didn't come up with a usable draft. Try again.");
+    return { title: title.slice(0, MAX_TITLE_LENGTH), content: content.slice(0, MAX_CONTENT_LENGTH) };
+}
+
+async function loadState() {
+    return (await store.system.get(STATE_KEY)) || { lastDraftAt: null, topicIndex: 0 };
+}
+
+async function saveState(state) {
+    await store.system.set(STATE_KEY, state);
+}
+
+// --- Review Queue ---
+
+async function listDrafts({ status, limit = 50 } = {}) {
+    const drafts = await store.drafts.list({ status: status && status !== 'all' ? status : null, limit: Math.min(limit, 200) });
+    return drafts.map(serializeDraft);
+}
+
+async function getDraft(ref) {
+    return serializeDraft(await findDraft(ref));
+}
+
+/**
+ * Has Alon write a draft. `topic` defaults to the next configured topic.
+ * Returns the new draft, which admins are notified about.
+ */
+async function generateDraft({ topic, createdBy = null, submolt = 'general' } = {}) {
+    if (!hooks) throw new DraftError("Drafting is not running yet.");
+
+    let chosen = topic && String(topic).trim();
+    if (!chosen) {
+        const state = await loadState();
+        const topics = TOPICS.length ? TOPICS : DEFAULT_TOPICS;
+        chosen = topics[(state.topicIndex || 0) % topics.length];
+        await saveState({ ...state, topicIndex: (state.topicIndex || 0) + 1 });
+    }
+
+    const text = await hooks.compose(
+        `Write a Moltbook post about: ${chosen}. ` +
+        "Reply with only the post: a short title on the first line, a blank line, then the body (under 150 words)."
+    );
+    const fields = parseDraftText(text);
+    const draft = await store.drafts.create({
+        ...fields,
+        submolt: validateFields({ submolt }).submolt,
+        topic: chosen,
+        source: createdBy ? 'manual' : 'auto',
+        createdBy
+    });
+    const serialized = serializeDraft(draft);
+    console.log(`🦞 New Moltbook draft ${serialized.shortId}: ${serialized.title}`);
+    hooks.notify(serialized, 'created');
+    return serialized;
+}
+
+async function editDraft(ref, changes, wallet) {
+    const draft = await findDraft(ref);
+    if (!EDITABLE.includes(draft.status)) throw new DraftError(`A ${draft.status} draft can't be edited.`);
+    const fields = validateFields(changes);
+    if (Object.keys(fields).length === 0) return serializeDraft(draft);
+    console.log(`🦞 Draft ${shortId(draft.id)} edited by ${wallet}`);
+    return updateDraft(draft, fields);
+}
+
+// Approves for publishing as soon as the limits allow, or at `scheduledFor`
+async function approveDraft(ref, wallet, { scheduledFor } = {}) {
+    const draft = await findDraft(ref);
+    if (!APPROVABLE.includes(draft.status)) throw new DraftError(`A ${draft.status} draft can't be approved.`);
+
+    const now = new Date();
+    let when = now;
+    if (scheduledFor) {
+        when = new Date(scheduledFor);
+        if (isNaN(when)) throw new DraftError("Invalid schedule time.");
+        if (when < now) when = now;
+    }
+    const updated = await updateDraft(draft, {
+        status: 'approved',
+        reviewedBy: wallet,
+        reviewedAt: now,
+        rejectReason: null,
+        scheduledFor: when,
+        attempts: 0,
+        lastError: null
+    });
+    if (hooks) hooks.notify(updated, 'approved');
+    return updated;
+}
+
+async function rejectDraft(ref, wallet, reason = null) {
+    const draft = await findDraft(ref);
+    if (!REJECTABLE.includes(draft.status)) throw new DraftError(`A ${draft.status} draft can't be rejected.`);
+    const updated = await updateDraft(draft, {
+        status: 'rejected',
+        reviewedBy: wallet,
+        reviewedAt: new Date(),
+        rejectReason: reason ? String(reason).trim().slice(0, 500) : null,
+        scheduledFor: null
+    });
+    if (hooks) hooks.notify(updated, 'rejected');
+    return updated;
+}
+
+// --- Publishing ---
+
+async function getLimits(now = new Date()) {
+    const recent = await store.drafts.publishedSince(new Date(now.getTime() - DAY_MS));
+
+    let nextPostAt = now;
+    if (recent.length) {
+        const last = recent[recent.length - 1];
+        nextPostAt = new Date(Math.max(now, new Date(last.publishedAt).getTime() + POST_COOLDOWN_MS));
+    }
+    if (recent.length >= DAILY_POST_CAP) {
+        // The oldest post in the window has to age out first
+        const frees = new Date(recent[recent.length - DAILY_POST_CAP].publishedAt).getTime() + DAY_MS;
+        nextPostAt = new Date(Math.max(nextPostAt, frees));
+    }
+    return {
+        cooldownMinutes: POST_COOLDOWN_MS / 60000,
+        dailyCap: DAILY_POST_CAP,
+        publishedToday: recent.length,
+        nextPostAt,
+        autoDraftHours: DRAFT_INTERVAL_MS / 3600000
+    };
+}
+
+function publishError(e) {
+    const message = (e && e.message) || 'unknown error';
+    // Timeouts, 429 and 5xx are worth another go; a rejected post is not
+    const retryable = !!(e && e.retryable);
+    const retryAfterMs = e instanceof moltbook.MoltbookRateLimitError ? e.retryAfterMs : null;
+    return { message, retryable, retryAfterMs };
+}
+
+async function publishDue(now = new Date()) {
+    const limits = await getLimits(now);
+    if (limits.nextPostAt > now) return null;
+
+    // Claim one draft so a second tick (or instance) cannot post it too
+    const draft = await store.drafts.claimDue(now);
+    if (!draft) return null;
+
+    try {
+        const res = await moltbook.post(draft.title, draft.content, draft.submolt);
+        const postId = (res.post && res.post.id) || res.post_id || res.id || null;
+        const published = await updateDraft(draft, {
+            status: 'published',
+            publishedAt: new Date(),
+            postId: postId ? String(postId) : null,
+            attempts: draft.attempts + 1,
+            lastError: null
+        });
+        console.log(`🦞 Published draft ${published.shortId} as post ${postId}`);
+        if (hooks) hooks.notify(published, 'published');
+        return published;
+    } catch (e) {
+        const { message, retryable, retryAfterMs } = publishError(e);
+        const attempts = draft.attempts + 1;
+        const retry = retryable && attempts < MAX_PUBLISH_ATTEMPTS;
+        console.error(`🦞 Publishing draft ${shortId(draft.id)} failed (attempt ${attempts}): ${message}`);
+        const updated = await updateDraft(draft, {
+            status: retry ? 'approved' : 'failed',
+            scheduledFor: retry ? new Date(Date.now() + (retryAfterMs || attempts * 15 * 60000)) : draft.scheduledFor,
+            attempts,
+            lastError: message
+        });
+        if (!retry && hooks) hooks.notify(updated, 'failed');
+        return updated;
+    }
+}
+
+async function maybeAutoDraft(now = new Date()) {
+    if (DRAFT_INTERVAL_MS <= 0 || !moltbook.apiKey) return null;
+    const state = await loadState();
+    if (state.lastDraftAt && now - new Date(state.lastDraftAt) < DRAFT_INTERVAL_MS) return null;
+    if (await store.drafts.countByStatus('pending') >= MAX_PENDING_DRAFTS) return null;
+
+    // Stamp first so a failing model doesn't get retried every tick
+    await saveState({ ...state, lastDraftAt: now });
+    return generateDraft();
+}
+
+async function tick() {
+    if (running) return;
+    running = true;
+    try {
+        await publishDue();
+        await maybeAutoDraft();
+    } catch (e) {
+        console.error("🦞 Draft queue tick failed:", e.message);
+    } finally {
+        running = false;
+    }
+}
+
+/**
+ * Starts the draft and publish loop.
+ * `compose(prompt)` returns text in Alon's voice ('' when no model is available);
+ * `notify(draft, event)` tells admins about created/approved/rejected/published/failed drafts.
+ */
+async function start({ compose, notify }) {
+    hooks = { compose, notify };
+    if (timer) return;
+    // A crash mid-post leaves a draft "publishing"; we can't know whether it went
+    // out, so hand it back to an admin rather than risk a double post.
+    const stuck = await store.drafts.failPublishing('Interrupted while publishing. Check Moltbook before approving again.');
+    if (stuck) console.warn(`🦞 ${stuck} draft(s) were interrupted mid-publish`);
+    timer = setInterval(tick, TICK_MS);
+}
+
+function stop() {
+    clearInterval(timer);
+    timer = null;
+}
+
+module.exports = {
+    DraftError,
+    listDrafts,
+    getDraft,
+    generateDraft,
+    editDraft,
+    approveDraft,
+    rejectDraft,
+    getLimits,
+    publishDue,
+    start,
+    stop
+};
@@ -1,45 +1,166 @@
 const axios = require('axios');
 
-const BASE_URL = 'https://moltbook.com/api/v1';
+// MOLTBOOK_BASE_URL points the client at another server (e.g. a local stand-in)
+const BASE_URL = (process.env.MOLTBOOK_BASE_URL || 'https://moltbook.com/api/v1').replace(/\/+$/, '');
+const SITE_URL = BASE_URL.replace(/\/api\/v\d+$/, '');
+
+const REQUEST_TIMEOUT_MS = parseInt(process.env.MOLTBOOK_TIMEOUT_MS, 10) || 15 * 1000;
+const MAX_RETRIES = 3;                      // on top of the first attempt
+const RETRY_BASE_MS = 500;                  // 0.5s, 1s, 2s (+ jitter)
+const MAX_RATE_LIMIT_WAIT_MS = 60 * 1000;   // longer waits are left to the caller
+const REGISTER_RETRY_MS = [60 * 1000, 5 * 60 * 1000, 15 * 60 * 1000, 60 * 60 * 1000];
+
+// Connection failures where the request never reached Moltbook
+const UNSENT_CODES = ['ECONNREFUSED', 'ENOTFOUND', 'EAI_AGAIN'];
+const TIMEOUT_CODES = ['ECONNABORTED', 'ETIMEDOUT'];
+
+// --- Errors ---
+// Every failed request throws a MoltbookError; `status` is the HTTP status
+// (null when no response came back), `body` the parsed response body.
+
+class MoltbookError extends Error {
+    constructor(message, { status = null, body = null, retryable = false } = {}) {
+        super(message);
+        this.name = 'MoltbookError';
+        this.status = status;
+        this.body = body;
+        this.retryable = retryable;
+    }
+}
+
+// 401/403, or a call that needs an API key before registration finished
+class MoltbookAuthError extends MoltbookError {
+    constructor(message, details) {
+        super(message, details);
+        this.name = 'MoltbookAuthError';
+    }
+}
+
+// 429; `retryAfterMs` is how long Moltbook asked us to wait
+class MoltbookRateLimitError extends MoltbookError {
+    constructor(message, { retryAfterMs = null, ...details } = {}) {
+        super(message, { ...details, retryable: true });
+        this.name = 'MoltbookRateLimitError';
+        this.retryAfterMs = retryAfterMs;
+    }
+}
+
+// 400/422: Moltbook refused the input itself
+class MoltbookValidationError extends MoltbookError {
+    constructor(message, details) {
+        super(message, details);
+        this.name = 'MoltbookValidationError';
+    }
+}
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+function bodyMessage(body) {
+    if (typeof body === 'string') return body.slice(0, 200);
+    if (!body) return null;
+    const detail = body.error || body.message;
+    if (typeof detail === 'string') return body.hint ? `${detail} (${body.hint})` : detail;
+    return null;
+}
+
+// Retry-After (seconds or HTTP date), X-RateLimit-Reset (epoch seconds) or the
+// retry_after_* fields Moltbook puts in the body, whichever comes first
+function retryAfterMs(headers = {}, body = {}) {
+    const retryAfter = headers['retry-after'];
+    if (retryAfter) {
+        const seconds = Number(retryAfter);
+        if (!Number.isNaN(seconds)) return Math.max(0, seconds * 1000);
+        const date = Date.parse(retryAfter);
+        if (!Number.isNaN(date)) return Math.max(0, date - Date.now());
+    }
+    const reset = Number(headers['x-ratelimit-reset']);
+    if (reset) return Math.max(0, reset * 1000 - Date.now());
+    if (body && body.retry_after_seconds) return body.retry_after_seconds * 1000;
+    if (body && body.retry_after_minutes) return body.retry_after_minutes * 60 * 1000;
+    return null;
+}
+
+function toMoltbookError(error) {
+    if (!error.response) {
+        const timedOut = TIMEOUT_CODES.includes(error.code);
+        return new MoltbookError(timedOut ? `Moltbook timed out after ${REQUEST_TIMEOUT_MS / 1000}s` : `Moltbook unreachable: ${error.message}`, {
+            retryable: true
+        });
+    }
+    const { status, data: body, headers } = error.response;
+    const message = bodyMessage(body) || `HTTP ${status}`;
+    if (status === 401 || status === 403) return new MoltbookAuthError(message, { status, body });
+    if (status === 429) return new MoltbookRateLimitError(message, { status, body, retryAfterMs: retryAfterMs(headers, body) });
+    if (status === 400 || status === 422) return new MoltbookValidationError(message, { status, body });
+    return new MoltbookError(message, { status, body, retryable: status >= 500 });
+}
 
 class MoltbookClient {
     constructor() {
         this.apiKey = null;
         this.agentName = "Alon-Clawd";
         this.agentDesc = "Wealthy Solana Whale Agent. Stop being poor.";
+        this.baseUrl = BASE_URL;
+        this.siteUrl = SITE_URL;
+        // idle | registering | waiting (retry scheduled) | registered
+        this.registration = { state: 'idle', attempts: 0, lastError: null, nextRetryAt: null };
+        this.registerTimer = null;
     }
 
     init(apiKey) {
         this.apiKey = apiKey;
-        console.log("Moltbook Client Initialized.");
+        this.registration = { ...this.registration, state: 'registered', lastError: null, nextRetryAt: null };
+        console.log(`Moltbook Client Initialized (${this.baseUrl}).`);
     }
 
+    /**
+     * Calls the API, retrying timeouts, dropped connections and 5xx with backoff,
+     * and 429s when the requested wait is short. POSTs create things, so they are
+     * only retried when Moltbook can't have acted on them (unsent, 429, 503).
+     */
     async request(endpoint, method = 'GET', body = null) {
-        try {
-            const config = {
-                method: method,
-                url: `${BASE_URL}${endpoint}`,
-                headers: {
-                    'Content-Type': 'application/json'
-                },
-                data: body
-            };
+        const config = {
+            method: method,
+            url: `${this.baseUrl}${endpoint}`,
+            timeout: REQUEST_TIMEOUT_MS,
+            headers: {
+                'Content-Type': 'application/json'
+            },
+            data: body
+        };
 
-            if (this.apiKey) {
-                config.headers['Authorization'] = `Bearer ${this.apiKey}`;
-            }
+        if (this.apiKey) {
+            config.headers['Authorization'] = `Bearer ${this.apiKey}`;
+        }
 
-            const response = await axios(config);
-            return response.data;
-        } catch (error) {
-            console.error(`Moltbook Request Error [${method} ${endpoint}]:`, error.message);
-            if (error.response) {
-                throw { status: error.response.status, error: error.response.data };
+        for (let attempt = 0; ; attempt++) {
+            try {
+                const response = await axios(config);
+                return response.data;
+            } catch (raw) {
+                const error = toMoltbookError(raw);
+                const wait = this.retryDelay(error, raw, method, attempt);
+                if (wait === null) {
+                    console.error(`Moltbook Request Error [${method} ${endpoint}]:`, error.message);
+                    throw error;
+                }
+                console.warn(`Moltbook ${method} ${endpoint} failed (${error.message}), retrying in ${Math.round(wait / 1000)}s`);
+                await sleep(wait);
             }
-            throw { error: error.message };
         }
     }
 
+    // ms to wait before the next attempt, or null to give up
+    retryDelay(error, raw, method, attempt) {
+        if (!error.retryable || attempt >= MAX_RETRIES) return null;
+        if (error instanceof MoltbookRateLimitError) {
+            const wait = error.retryAfterMs === null ? RETRY_BASE_MS * 2 ** attempt : error.retryAfterMs;
+            return wait <= MAX_RATE_LIMIT_WAIT_MS ? wait : null;
+        }
+        if (method === 'POST' && error.status !== 503 && !UNSENT_CODES.includes(raw.code)) return null;
+        return RETRY_BASE_MS * 2 ** attempt + Math.floor(Math.random() * RETRY_BASE_MS);
+    }
+
     async register() {
         if (this.apiKey) return { status: 'already_registered', api_key: this.apiKey };
 
@@ -54,20 +175,60 @@ class MoltbookClient {
                 this.apiKey = res.agent.api_key;
                 return res.agent; // Returns { api_key, claim_url, verification_code }
             }
-            throw new Error("Invalid registration response");
+            throw new MoltbookError("Invalid registration response", { body: res, retryable: true });
         } catch (e) {
-            console.error("Moltbook Registration Failed:", e);
+            console.error("Moltbook Registration Failed:", e.message);
             throw e;
         }
     }
 
+    /**
+     * Registers, and keeps retrying in the background (1m, 5m, 15m, then hourly)
+     * until it works. `onRegistered(agent)` persists the new credentials.
+     * Progress is visible in `registration` (see /molt status).
+     */
+    async registerInBackground(onRegistered) {
+        clearTimeout(this.registerTimer);
+        this.registration = { ...this.registration, state: 'registering', nextRetryAt: null };
+        this.registration.attempts += 1;
+        let agent;
+        try {
+            agent = await this.register();
+        } catch (e) {
+            const delay = REGISTER_RETRY_MS[Math.min(this.registration.attempts - 1, REGISTER_RETRY_MS.length - 1)];
+            const wait = e instanceof MoltbookRateLimitError && e.retryAfterMs ? Math.max(delay, e.retryAfterMs) : delay;
+            this.registration = {
+                ...this.registration,
+                state: 'waiting',
+                lastError: e.message,
+                nextRetryAt: new Date(Date.now() + wait)
+            };
+            console.warn(`🦞 Moltbook registration will retry in ${Math.round(wait / 60000)}m`);
+            this.registerTimer = setTimeout(() => this.registerInBackground(onRegistered), wait);
+            this.registerTimer.unref();
+            return null;
+        }
+
+        this.registration = { state: 'registered', attempts: this.registration.attempts, lastError: null, nextRetryAt: null };
+        try {
+            await onRegistered(agent);
+        } catch (e) {
+            console.error("🦞 Failed to save Moltbook credentials:", e.message);
+        }
+        return agent;
+    }
+
     async getStatus() {
         if (!this.apiKey) return { status: 'unregistered' };
         return this.request('/agents/status');
     }
 
+    requireRegistration() {
+        if (!this.apiKey) throw new MoltbookAuthError("Not registered with Moltbook yet.");
+    }
+
     async post(title, content, submolt = 'general') {
-        if (!this.apiKey) throw new Error("Not registered");
+        this.requireRegistration();
         return this.request('/posts', 'POST', {
             submolt,
             title,
@@ -75,10 +236,95 @@ class MoltbookClient {
         });
     }
 
-    async getFeed(sort = 'hot') {
+    // --- Reading ---
+
+    // sort: hot | new | top | rising. Pass `submolt` to read one community.
+    // (A bare string is still accepted as the sort for older callers.)
+    async getFeed(options = {}) {
         if (!this.apiKey) return [];
-        return this.request(`/posts?sort=${sort}&limit=10`);
+        const { sort = 'hot', limit = 10, offset = 0, submolt } = typeof options === 'string' ? { sort: options } : options;
+        return this.request(withQuery('/posts', { sort, limit, offset, submolt }));
+    }
+
+    async getPost(postId) {
+        this.requireRegistration();
+        return this.request(`/posts/${encodeURIComponent(postId)}`);
+    }
+
+    async getComments(postId, sort = 'top') {
+        this.requireRegistration();
+        return this.request(withQuery(`/posts/${encodeURIComponent(postId)}/comments`, { sort }));
+    }
+
+    // --- Interacting ---
+
+    async comment(postId, content, parentId = null) {
+        this.requireRegistration();
+        const body = { content };
+        if (parentId) body.parent_id = parentId;
+        return this.request(`/posts/${encodeURIComponent(postId)}/comments`, 'POST', body);
+    }
+
+    // direction: 'up' | 'down'
+    async vote(postId, direction = 'up') {
+        this.requireRegistration();
+        if (!['up', 'down'].includes(direction)) throw new MoltbookValidationError("Vote must be up or down");
+        return this.request(`/posts/${encodeURIComponent(postId)}/${direction}vote`, 'POST');
     }
+
+    async upvoteComment(commentId) {
+        this.requireRegistration();
+        return this.request(`/comments/${encodeURIComponent(commentId)}/upvote`, 'POST');
+    }
+
+    // --- Submolts ---
+
+    async getSubmolts() {
+        this.requireRegistration();
+        return this.request('/submolts');
+    }
+
+    async getSubmolt(name) {
+        this.requireRegistration();
+        return this.request(`/submolts/${encodeURIComponent(name)}`);
+    }
+
+    async subscribe(name) {
+        this.requireRegistration();
+        return this.request(`/submolts/${encodeURIComponent(name)}/subscribe`, 'POST');
+    }
+
+    async unsubscribe(name) {
+        this.requireRegistration();
+        return this.request(`/submolts/${encodeURIComponent(name)}/subscribe`, 'DELETE');
+    }
+
+    // --- Profile ---
+
+    async getProfile() {
+        this.requireRegistration();
+        return this.request('/agents/me');
+    }
+
+    // Accepts { description, metadata }
+    async updateProfile(changes) {
+        this.requireRegistration();
+        return this.request('/agents/me', 'PATCH', changes);
+    }
+}
+
+// Appends the defined params as a query string
+function withQuery(endpoint, params) {
+    const query = new URLSearchParams();
+    Object.entries(params).forEach(([key, value]) => {
+        if (value !== undefined && value !== null && value !== '') query.set(key, value);
+    });
+    const qs = query.toString();
+    return qs ? `${endpoint}?${qs}` : endpoint;
 }
 
 module.exports = new MoltbookClient();
+module.exports.MoltbookError = MoltbookError;
+module.exports.MoltbookAuthError = MoltbookAuthError;
+module.exports.MoltbookRateLimitError = MoltbookRateLimitError;
+module.exports.MoltbookValidationError = MoltbookValidationError;
@@ -0,0 +1,292 @@
+const { PRIORITIES } = require('./todos');
+const { ROLES } = require('./roles');
+
+// OpenAPI description of /api/v1, served at /api/v1/openapi.json. Keep it in step with api.js.
+
+const ref = (name) => ({ $ref: `#/components/schemas/${name}` });
+const json = (schema) => ({ content: { 'application/json': { schema } } });
+const ok = (description, schema) => ({ description, ...json(schema) });
+const error = (description) => ok(description, ref('Error'));
+const data = (schema) => ({ type: 'object', required: ['data'], properties: { data: schema } });
+
+const AUTH_ERRORS = {
+    401: error("Missing or expired session token"),
+    403: error("The wallet is disabled")
+};
+const TODO_ID = { name: 'id', in: 'path', required: true, schema: { type: 'integer' } };
+
+module.exports = {
+    openapi: '3.1.0',
+    info: {
+        title: 'Alon Clawd HQ API',
+        version: '1.0.0',
+        description: "Todos, chat and profile of a Solana wallet. Log in by signing a challenge " +
+            "(POST /auth/challenge, then POST /auth/login) or reuse an HQ session token, and send it " +
+            "as `Authorization: Bearer <token>`. Errors are `{ error: { code, message } }`."
+    },
+    servers: [{ url: '/api/v1' }],
+    security: [{ session: [] }],
+    paths: {
+        '/auth/challenge': {
+            post: {
+                summary: 'Get a message to sign with the wallet',
+                security: [],
+                requestBody: json({ type: 'object', required: ['publicKey'], properties: { publicKey: { type: 'string' } } }),
+                responses: {
+                    200: ok('Challenge, valid for five minutes. A wallet may hold up to five at once.', data({
+                        type: 'object',
+                        properties: {
+                            nonce: { type: 'string', description: 'send back with POST /auth/login' },
+                            message: { type: 'string' },
+                            expiresAt: { type: 'string', format: 'date-time' }
+                        }
+                    })),
+                    400: error('publicKey missing'),
+                    429: error('Too many challenges from this address; see the Retry-After header (code rate_limited)'),
+                    503: error('Too many pending logins (code busy)')
+                }
+            }
+        },
+        '/auth/login': {
+            post: {
+                summary: 'Exchange a signed challenge for a session token',
+                security: [],
+                requestBody: json({
+                    type: 'object',
+                    required: ['publicKey', 'signature', 'nonce'],
+                    properties: {
+                        publicKey: { type: 'string' },
+                        nonce: { type: 'string', description: 'nonce of the challenge that was signed' },
+                        signature: { type: 'string', description: 'hex-encoded ed25519 signature of the challenge message' }
+                    }
+                }),
+                responses: {
+                    201: ok('Session created', data({
+                        type: 'object',
+                        properties: {
+                            token: { type: 'string' },
+                            expiresAt: { type: 'string', format: 'date-time' },
+                            wallet: { type: 'string' }
+                        }
+                    })),
+                    401: error('Challenge missing or expired, or bad signature'),
+                    403: error('The wallet is disabled')
+                }
+            }
+        },
+        '/auth/logout': {
+            post: { summary: 'End this session', responses: { 204: { description: 'Logged out' }, ...AUTH_ERRORS } }
+        },
+        '/me': {
+            get: { summary: "The wallet's profile", responses: { 200: ok('Profile', data(ref('Profile'))), ...AUTH_ERRORS } },
+            patch: {
+                summary: 'Change preferences or the persona pick',
+                requestBody: json({
+                    type: 'object',
+                    properties: {
+                        timezone: { type: 'string', description: 'IANA time zone' },
+                        digestEnabled: { type: 'boolean', description: 'needs a tier with the digest feature' },
+                        digestHour: { type: 'integer', minimum: 0, maximum: 23 },
+                        persona: { type: ['string', 'null'], description: 'a selectable persona id; null follows the active one' }
+                    }
+                }),
+                responses: {
+                    200: ok('Updated profile', data(ref('Profile'))),
+                    400: error('Invalid value'),
+                    401: AUTH_ERRORS[401],
+                    403: error('Wallet disabled, or its tier lacks the digest (code tier_required)')
+                }
+            }
+        },
+        '/me/telegram': {
+            get: { summary: 'Telegram link status', responses: { 200: ok('Link status', data(ref('TelegramLink'))), ...AUTH_ERRORS } }
+        },
+        '/todos': {
+            get: {
+                summary: 'List todos',
+                parameters: [
+                    { name: 'status', in: 'query', schema: { type: 'string', enum: ['all', 'open', 'done'], default: 'all' } },
+                    { name: 'tag', in: 'query', schema: { type: 'string' } },
+                    { name: 'limit', in: 'query', schema: { type: 'integer', minimum: 1, maximum: 200, default: 50 } },
+                    { name: 'offset', in: 'query', schema: { type: 'integer', minimum: 0, default: 0 } }
+                ],
+                responses: {
+                    200: ok('One page of todos, in list order', {
+                        type: 'object',
+                        properties: {
+                            data: { type: 'array', items: ref('Todo') },
+                            page: {
+                                type: 'object',
+                                properties: { limit: { type: 'integer' }, offset: { type: 'integer' }, total: { type: 'integer' } }
+                            }
+                        }
+                    }),
+                    400: error('Invalid filter or paging'),
+                    ...AUTH_ERRORS
+                }
+            },
+            post: {
+                summary: 'Add a todo',
+                requestBody: json({ allOf: [ref('TodoInput'), { required: ['text'] }] }),
+                responses: { 201: ok('Created', data(ref('Todo'))), 400: error('Invalid todo'), ...AUTH_ERRORS }
+            }
+        },
+        '/todos/{id}': {
+            parameters: [TODO_ID],
+            get: { summary: 'Get a todo', responses: { 200: ok('The todo', data(ref('Todo'))), 404: error('Unknown task'), ...AUTH_ERRORS } },
+            patch: {
+                summary: 'Change a todo',
+                requestBody: json(ref('TodoInput')),
+                responses: { 200: ok('Updated', data(ref('Todo'))), 400: error('Invalid todo'), 404: error('Unknown task'), ...AUTH_ERRORS }
+            },
+            delete: { summary: 'Delete a todo', responses: { 204: { description: 'Deleted' }, 404: error('Unknown task'), ...AUTH_ERRORS } }
+        },
+        '/chat': {
+            post: {
+                summary: 'Talk to Alon',
+                description: 'Wallet commands (/balance, /portfolio, /tx) work too. Open HQ tabs and the linked Telegram chat see the turn.',
+                requestBody: json({ type: 'object', required: ['text'], properties: { text: { type: 'string' } } }),
+                responses: {
+                    200: ok("Alon's replies", data({ type: 'object', properties: { replies: { type: 'array', items: { type: 'string' } } } })),
+                    400: error('text missing'),
+                    ...AUTH_ERRORS,
+                    429: error('Over the rate limit (code rate_limited) or the daily budget (code over_budget); see the Retry-After header')
+                }
+            }
+        },
+        '/chat/history': {
+            get: {
+                summary: 'Chat history, newest page first',
+                parameters: [
+                    { name: 'before', in: 'query', schema: { type: 'string' }, description: 'page.nextBefore of the previous page (an opaque cursor)' },
+                    { name: 'limit', in: 'query', schema: { type: 'integer', minimum: 1, maximum: 200, default: 50 } }
+                ],
+                responses: {
+                    200: ok('Messages, oldest first', {
+                        type: 'object',
+                        properties: {
+                            data: { type: 'array', items: ref('ChatMessage') },
+                            page: {
+                                type: 'object',
+                                properties: {
+                                    count: { type: 'integer' },
+                                    hasMore: { type: 'boolean' },
+                                    nextBefore: { type: ['string', 'null'], description: 'cursor for the next older page' }
+                                }
+                            }
+                        }
+                    }),
+                    400: error('Invalid cursor or limit'),
+                    ...AUTH_ERRORS
+                }
+            }
+        }
+    },
+    components: {
+        securitySchemes: {
+            session: { type: 'http', scheme: 'bearer', description: 'Session token from /auth/login or an HQ login' }
+        },
+        schemas: {
+            Error: {
+                type: 'object',
+                required: ['error'],
+                properties: {
+                    error: {
+                        type: 'object',
+                        required: ['code', 'message'],
+                        properties: {
+                            code: {
+                                type: 'string',
+                                enum: ['invalid_request', 'unauthorized', 'wallet_disabled', 'tier_required', 'not_found',
+                                    'payload_too_large', 'rate_limited', 'over_budget', 'busy', 'internal']
+                            },
+                            message: { type: 'string' }
+                        }
+                    }
+                }
+            },
+            Todo: {
+                type: 'object',
+                properties: {
+                    id: { type: 'integer' },
+                    text: { type: 'string' },
+                    done: { type: 'boolean' },
+                    priority: { type: 'string', enum: PRIORITIES },
+                    dueDate: { type: ['string', 'null'], format: 'date-time' },
+                    remindAt: { type: ['string', 'null'], format: 'date-time' },
+                    tags: { type: 'array', items: { type: 'string' } },
+                    createdAt: { type: 'string', format: 'date-time' },
+                    completedAt: { type: ['string', 'null'], format: 'date-time' }
+                }
+            },
+            TodoInput: {
+                type: 'object',
+                properties: {
+                    text: { type: 'string' },
+                    done: { type: 'boolean' },
+                    priority: { type: 'string', enum: PRIORITIES },
+                    dueDate: { type: ['string', 'null'], format: 'date-time' },
+                    remindAt: { type: ['string', 'null'], format: 'date-time' },
+                    tags: { type: 'array', items: { type: 'string' } }
+                }
+            },
+            ChatMessage: {
+                type: 'object',
+                properties: {
+                    id: { type: 'string' },
+                    role: { type: 'string', enum: ['user', 'assistant'] },
+                    text: { type: 'string' },
+                    source: { type: 'string', enum: ['web', 'telegram', 'api'] },
+                    createdAt: { type: 'string', format: 'date-time' }
+                }
+            },
+            Preferences: {
+                type: 'object',
+                properties: {
+                    timezone: { type: ['string', 'null'] },
+                    digestEnabled: { type: 'boolean' },
+                    digestHour: { type: 'integer', minimum: 0, maximum: 23 }
+                }
+            },
+            TelegramLink: {
+                type: 'object',
+                properties: {
+                    linked: { type: 'boolean' },
+                    telegramId: { type: 'string' },
+                    username: { type: ['string', 'null'] },
+                    linkedAt: { type: ['string', 'null'], format: 'date-time' }
+                }
+            },
+            Profile: {
+                type: 'object',
+                properties: {
+                    wallet: { type: 'string' },
+                    role: { type: 'string', enum: ROLES },
+                    permissions: { type: 'array', items: { type: 'string' } },
+                    tier: {
+                        type: 'object',
+                        properties: {
+                            name: { type: 'string' },
+                            sol: { type: 'number' },
+                            tokens: { type: 'object', additionalProperties: { type: 'number' } },
+                            checkedAt: { type: ['string', 'null'], format: 'date-time' },
+                            verified: { type: 'boolean' },
+                            quotaMultiplier: { type: 'number' },
+                            features: { type: 'array', items: { type: 'string' } }
+                        }
+                    },
+                    preferences: ref('Preferences'),
+                    persona: {
+                        type: 'object',
+                        properties: {
+                            id: { type: 'string' },
+                            name: { type: 'string' },
+                            chosen: { type: ['string', 'null'] }
+                        }
+                    },
+                    telegram: ref('TelegramLink')
+                }
+            }
+        }
+    }
+};
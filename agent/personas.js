@@ -0,0 +1,291 @@
+const fs = require('fs');
+const path = require('path');
+const store = require('./store');
+const roles = require('./roles');
+const usage = require('./usage');
+
+// Who answers in chat. A persona is a system prompt plus style rules applied to
+// every reply, optional model parameters and the persona's own error lines:
+//   { id, name, description, selectable, systemPrompt,
+//     style: { case: 'lower' | 'upper' | 'none', replacements: [{ pattern, flags, with }], prefix, suffix },
+//     model: { name, temperature, maxTokens },
+//     errors: { offline, failure, rateLimited, overBudget } }   ({seconds} is filled in rateLimited)
+// Personas come from three places: the built-in Alon, JSON files in PERSONAS_DIR
+// (read-only, shipped with a deploy) and ones created from HQ, kept under the
+// 'personas' system key. One persona is active for everyone; wallets may pick
+// any `selectable` persona for themselves.
+
+const PERSONAS_DIR = process.env.PERSONAS_DIR || path.join(__dirname, 'personas');
+const CUSTOM_KEY = 'personas';
+const ACTIVE_KEY = 'persona_active';
+const DEFAULT_ID = 'alon';
+const CASES = ['none', 'lower', 'upper'];
+const ERROR_KINDS = ['offline', 'failure', 'rateLimited', 'overBudget'];
+const MAX_REPLACEMENTS = 20;
+
+const ALON = {
+    id: DEFAULT_ID,
+    name: 'Alon',
+    description: 'The original: a condescending Solana whale.',
+    selectable: true,
+    systemPrompt: `
+You are Alon, a wealthy, successful, and slightly arrogant crypto whale.
+Your traits:
+- You own the "Alon Clawd Headquarters".
+- You love Solana ($SOL) and hate "jeets" (paper hands).
+- You are helpful but condescending.
+- Catchphrase: "stop being poor."
+- Use emojis like 🚀, 💎, 🕶️, 🍷.
+- IMPORTANT: you strictly speak in lowercase only. no capital letters.
+Context: You are replying to a user in your Command Center.
+`,
+    style: { case: 'lower', replacements: [], prefix: '', suffix: '' },
+    model: { name: null, temperature: null, maxTokens: null },
+    errors: {
+        offline: "my brain is offline. (missing api key)",
+        failure: "i'm too rich to answer right now. (error)",
+        rateLimited: "easy, anon. even whales pace themselves. try again in {seconds}s. 🍷",
+        overBudget: "you've burned through today's allowance of my time. come back tomorrow (utc). stop being poor. 🕶️"
+    }
+};
+
+// Thrown for bad persona input or a change that is not allowed; the message is safe to show to the user
+class PersonaError extends Error {
+    constructor(message) {
+        super(message);
+        this.name = 'PersonaError';
+    }
+}
+
+function text(value, field, max, { required = false } = {}) {
+    const trimmed = value == null ? '' : String(value).trim();
+    if (required && !trimmed) throw new PersonaError(`${field} is required.`);
+    if (trimmed.length > max) throw new PersonaError(`${field} must be at most ${max} characters.`);
+    return trimmed;
+}
+
+function number(value, field, { min, max, integer = false }) {
+    if (value === undefined || value === null || value === '') return null;
+    const parsed = Number(value);
+    if (!Number.isFinite(parsed) || parsed < min || parsed > max || (integer && !Number.isInteger(parsed))) {
+        throw new PersonaError(`${field} must be ${integer ? 'a whole number' : 'a number'} from ${min} to ${max}.`);
+    }
+    return parsed;
+}
+
+function replacement(rule, index) {
+    const pattern = text(rule && rule.pattern, `Replacement ${index + 1} pattern`, 200, { required: true });
+    const flags = text(rule.flags || 'g', `Replacement ${index + 1} flags`, 5);
+    try {
+        new RegExp(pattern, flags);
+    } catch (e) {
+        throw new PersonaError(`Replacement ${index + 1} is not a valid regular expression.`);
+    }
+    return { pattern, flags, with: String(rule.with == null ? '' : rule.with).slice(0, 200) };
+}
+
+// Checks and fills in a persona from HQ or a file
+function normalize(input) {
+    if (!input || typeof input !== 'object') throw new PersonaError("Persona must be an object.");
+    const id = text(input.id, 'Id', 32, { required: true }).toLowerCase();
+    if (!/^[a-z0-9][a-z0-9-]{1,31}$/.test(id)) throw new PersonaError("Id must be 2-32 lowercase letters, digits or dashes.");
+
+    const style = input.style || {};
+    const styleCase = style.case || 'none';
+    if (!CASES.includes(styleCase)) throw new PersonaError(`Case must be one of: ${CASES.join(', ')}.`);
+    const replacements = Array.isArray(style.replacements) ? style.replacements : [];
+    if (replacements.length > MAX_REPLACEMENTS) throw new PersonaError(`At most ${MAX_REPLACEMENTS} replacements.`);
+
+    const model = input.model || {};
+    const modelName = text(model.name, 'Model', 100) || null;
+    if (modelName && !usage.isPriced(modelName)) {
+        throw new PersonaError(`No price is known for model "${modelName}", so budgets couldn't count it. ` +
+            `Use one of: ${usage.PRICED_MODELS.join(', ')}, or set LLM_PRICE_INPUT and LLM_PRICE_OUTPUT.`);
+    }
+    const errors = input.errors || {};
+    return {
+        id,
+        name: text(input.name, 'Name', 40, { required: true }),
+        description: text(input.description, 'Description', 200),
+        selectable: !!input.selectable,
+        systemPrompt: text(input.systemPrompt, 'System prompt', 8000, { required: true }),
+        style: {
+            case: styleCase,
+            replacements: replacements.map(replacement),
+            prefix: text(style.prefix, 'Prefix', 50),
+            suffix: text(style.suffix, 'Suffix', 50)
+        },
+        model: {
+            name: modelName,
+            temperature: number(model.temperature, 'Temperature', { min: 0, max: 2 }),
+            maxTokens: number(model.maxTokens, 'Max tokens', { min: 1, max: 16000, integer: true })
+        },
+        // Missing lines fall back to Alon's
+        errors: Object.fromEntries(ERROR_KINDS.map(kind => [kind, text(errors[kind], `${kind} line`, 300) || ALON.errors[kind]]))
+    };
+}
+
+function loadFiles() {
+    if (!fs.existsSync(PERSONAS_DIR)) return {};
+    const loaded = {};
+    fs.readdirSync(PERSONAS_DIR).filter(name => name.endsWith('.json')).forEach(name => {
+        try {
+            const persona = normalize(JSON.parse(fs.readFileSync(path.join(PERSONAS_DIR, name), 'utf8')));
+            if (persona.id === DEFAULT_ID) throw new PersonaError(`"${DEFAULT_ID}" is built in`);
+            loaded[persona.id] = persona;
+        } catch (e) {
+            console.warn(`🎭 Skipping persona file ${name}: ${e.message}`);
+        }
+    });
+    return loaded;
+}
+
+const filePersonas = loadFiles();
+
+// { custom, active } from the system store, cached until the next change from this process
+let cache = null;
+
+// Personas saved before models had to be priced fall back to the provider's model
+function withPricedModel(persona) {
+    if (!persona.model.name || usage.isPriced(persona.model.name)) return persona;
+    console.warn(`🎭 Persona ${persona.id} uses unpriced model ${persona.model.name}; using the default model instead`);
+    return { ...persona, model: { ...persona.model, name: null } };
+}
+
+async function loadState() {
+    if (!cache) {
+        const [custom, active] = await Promise.all([store.system.get(CUSTOM_KEY), store.system.get(ACTIVE_KEY)]);
+        const priced = Object.fromEntries(Object.entries(custom || {}).map(([id, p]) => [id, withPricedModel(p)]));
+        cache = { custom: priced, active: active || DEFAULT_ID };
+    }
+    return cache;
+}
+
+async function catalog() {
+    const { custom, active } = await loadState();
+    const all = new Map();
+    all.set(DEFAULT_ID, { ...ALON, source: 'builtin' });
+    Object.values(filePersonas).forEach(p => all.set(p.id, { ...p, source: 'file' }));
+    Object.values(custom).forEach(p => { if (!all.has(p.id)) all.set(p.id, { ...p, source: 'custom' }); });
+    return { all, active: all.has(active) ? active : DEFAULT_ID };
+}
+
+// The persona answering `wallet` (or everyone, without a wallet)
+async function resolve(wallet) {
+    const { all, active } = await catalog();
+    if (wallet) {
+        const user = await store.users.get(wallet);
+        const chosen = user && user.persona ? all.get(user.persona) : null;
+        if (chosen && chosen.selectable) return chosen;
+    }
+    return all.get(active);
+}
+
+const summary = (p) => ({ id: p.id, name: p.name, description: p.description, selectable: p.selectable });
+
+/**
+ * The persona catalogue for HQ. Managers get every persona in full; everyone
+ * else only the ones they can pick. `mine` is the wallet's own pick, if any.
+ */
+async function list(wallet) {
+    const [{ all, active }, role, user] = await Promise.all([catalog(), roles.getRole(wallet), wallet ? store.users.get(wallet) : null]);
+    const manage = roles.can(role, 'personas.manage');
+    const personas = [...all.values()]
+        .filter(p => manage || p.selectable)
+        .map(p => (manage ? p : summary(p)));
+    return { personas, active, mine: (user && user.persona && all.has(user.persona)) ? user.persona : null };
+}
+
+async function checkManager(actorWallet) {
+    if (!(await roles.hasPermission(actorWallet, 'personas.manage'))) throw new PersonaError("You are not allowed to manage personas.");
+}
+
+// Creates or replaces a persona made in HQ
+async function save(actorWallet, input) {
+    await checkManager(actorWallet);
+    const persona = normalize(input);
+    if (persona.id === DEFAULT_ID) throw new PersonaError("The built-in Alon can't be changed; save a copy under another id.");
+    if (filePersonas[persona.id]) throw new PersonaError("That persona comes from a file; change the file instead.");
+
+    const { custom } = await loadState();
+    const next = { ...custom, [persona.id]: persona };
+    await store.system.set(CUSTOM_KEY, next);
+    cache.custom = next;
+    console.log(`🎭 Persona ${persona.id} saved by ${actorWallet}`);
+    return persona;
+}
+
+async function remove(actorWallet, id) {
+    await checkManager(actorWallet);
+    const { custom, active } = await loadState();
+    if (!custom[id]) throw new PersonaError(filePersonas[id] || id === DEFAULT_ID ? "Only personas made in HQ can be deleted." : "Unknown persona.");
+
+    const next = { ...custom };
+    delete next[id];
+    await store.system.set(CUSTOM_KEY, next);
+    cache.custom = next;
+    if (active === id) await activate(actorWallet, DEFAULT_ID);
+    console.log(`🎭 Persona ${id} deleted by ${actorWallet}`);
+}
+
+// Switches the persona everyone gets unless they picked their own
+async function activate(actorWallet, id) {
+    await checkManager(actorWallet);
+    const { all } = await catalog();
+    if (!all.has(id)) throw new PersonaError("Unknown persona.");
+    await store.system.set(ACTIVE_KEY, id);
+    cache.active = id;
+    console.log(`🎭 Active persona is now ${id} (by ${actorWallet})`);
+    return all.get(id);
+}
+
+// A wallet's own pick; null goes back to the active persona
+async function choose(wallet, id) {
+    if (id) {
+        const { all } = await catalog();
+        const persona = all.get(id);
+        if (!persona || !persona.selectable) throw new PersonaError("Unknown persona.");
+    }
+    await store.users.update(wallet, { persona: id || null });
+    return id || null;
+}
+
+// Case is safe to apply to streamed fragments; replacements need the whole reply
+function styleDelta(persona, delta) {
+    if (persona.style.case === 'lower') return delta.toLowerCase();
+    if (persona.style.case === 'upper') return delta.toUpperCase();
+    return delta;
+}
+
+// Rewrites first so their output follows the persona's case too; prefix and suffix stay as written
+function stylize(persona, reply) {
+    const { style } = persona;
+    let styled = reply;
+    style.replacements.forEach(rule => {
+        styled = styled.replace(new RegExp(rule.pattern, rule.flags), rule.with);
+    });
+    styled = styleDelta(persona, styled);
+    if (!styled) return styled;
+    return `${style.prefix ? `${style.prefix} ` : ''}${styled}${style.suffix ? ` ${style.suffix}` : ''}`;
+}
+
+// The persona's line for a failed reply; without a persona (it could not be loaded) Alon's
+function errorLine(persona, kind, { seconds } = {}) {
+    const voice = persona || ALON;
+    return styleDelta(voice, voice.errors[kind].replace('{seconds}', seconds));
+}
+
+module.exports = {
+    DEFAULT_ID,
+    CASES,
+    PersonaError,
+    resolve,
+    list,
+    save,
+    remove,
+    activate,
+    choose,
+    styleDelta,
+    stylize,
+    errorLine
+};
@@ -0,0 +1,116 @@
+const store = require('./store');
+
+// Ordered from least to most privileged
+const ROLES = ['user', 'moderator', 'admin', 'owner'];
+
+// Minimum role required for each permission
+const PERMISSIONS = {
+    'admin.panel': 'admin',
+    'broadcast.send': 'admin',
+    'molt.manage': 'admin',
+    'personas.manage': 'admin',
+    'roles.view': 'moderator',
+    'roles.manage': 'admin',
+    'wallets.manage': 'admin',
+    'usage.view': 'admin',
+    'usage.manage': 'owner'
+};
+
+// Thrown when a role change is not allowed; the message is safe to show to the user
+class RoleError extends Error {
+    constructor(message) {
+        super(message);
+        this.name = 'RoleError';
+    }
+}
+
+const rank = (role) => ROLES.indexOf(role);
+
+// True when `role` sits strictly above `otherRole`
+const outranks = (role, otherRole) => rank(role) > rank(otherRole);
+
+// The single permission check used by HQ messages and Telegram commands.
+// `role` is null for callers without a wallet (e.g. unlinked Telegram chats).
+function can(role, permission) {
+    const required = PERMISSIONS[permission];
+    if (!required) throw new Error(`Unknown permission: ${permission}`);
+    return role != null && rank(role) >= rank(required);
+}
+
+function permissionsFor(role) {
+    return Object.keys(PERMISSIONS).filter(permission => can(role, permission));
+}
+
+async function getRole(wallet) {
+    if (!wallet) return null;
+    const user = await store.users.get(wallet);
+    return (user && user.role) || 'user';
+}
+
+async function hasPermission(wallet, permission) {
+    return can(await getRole(wallet), permission);
+}
+
+const looksLikeWallet = (wallet) => typeof wallet === 'string' && /^[1-9A-HJ-NP-Za-km-z]{32,44}$/.test(wallet);
+
+// Actors can only manage roles strictly below their own; owners can manage
+// everything except removing the last remaining owner.
+async function setRole(actorWallet, targetWallet, newRole) {
+    if (!ROLES.includes(newRole)) throw new RoleError(`Unknown role. Use one of: ${ROLES.join(', ')}.`);
+    if (!looksLikeWallet(targetWallet)) throw new RoleError("That does not look like a Solana wallet address.");
+    if (actorWallet === targetWallet) throw new RoleError("You cannot change your own role.");
+
+    const actorRole = await getRole(actorWallet);
+    if (!can(actorRole, 'roles.manage')) throw new RoleError("You are not allowed to manage roles.");
+
+    const currentRole = await getRole(targetWallet);
+    if (actorRole !== 'owner') {
+        if (rank(currentRole) >= rank(actorRole) || rank(newRole) >= rank(actorRole)) {
+            throw new RoleError("You can only manage roles below your own.");
+        }
+    } else if (currentRole === 'owner' && newRole !== 'owner') {
+        const owners = await store.users.countByRole('owner');
+        if (owners <= 1) throw new RoleError("Cannot remove the last owner.");
+    }
+
+    await store.users.update(targetWallet, { role: newRole });
+    console.log(`🔑 Role change by ${actorWallet}: ${targetWallet} ${currentRole} -> ${newRole}`);
+    return { wallet: targetWallet, role: newRole, previousRole: currentRole };
+}
+
+// Everyone above the default role, most privileged first
+async function listPrivileged() {
+    const users = await store.users.listByRoles(ROLES.filter(r => r !== 'user'));
+    return users
+        .map(u => ({ wallet: u.wallet, role: u.role, telegramLinked: !!u.telegramId }))
+        .sort((a, b) => rank(b.role) - rank(a.role));
+}
+
+// Bootstraps owners from configuration so a fresh database is never locked out.
+// Once any owner exists the roles are managed at runtime and the list is ignored,
+// so a demoted wallet doesn't get its role back on the next restart.
+async function seedOwners(wallets) {
+    if (await store.users.countByRole('owner') > 0) return;
+    if (!wallets.length) {
+        console.warn("⚠️ No owner configured: set OWNER_WALLETS so someone can manage roles.");
+        return;
+    }
+    for (const wallet of wallets) {
+        await store.users.update(wallet, { role: 'owner' });
+    }
+    console.log(`🔑 Seeded owners: ${wallets.join(', ')}`);
+}
+
+module.exports = {
+    ROLES,
+    PERMISSIONS,
+    RoleError,
+    can,
+    outranks,
+    permissionsFor,
+    getRole,
+    hasPermission,
+    setRole,
+    listPrivileged,
+    seedOwners
+};
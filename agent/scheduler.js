@@ -0,0 +1,276 @@
+const store = require('./store');
+const { DEFAULT_TIMEZONE, isValidTimeZone, zonedParts, zonedToUtc } = require('./timeparse');
+
+// Due jobs are polled from the store, so they survive restarts (except with the
+// memory backend). A job stays `pending`
+// until delivery is confirmed (and untouched while there is nowhere to deliver it),
+// and every delivery carries a stable id derived from
+// the job key and runAt: if we crash mid-send, the retry reuses the id and the
+// gateway drops the duplicate instead of messaging the user twice.
+const TICK_MS = parseInt(process.env.SCHEDULER_INTERVAL_MS, 10) || 30 * 1000;
+const BATCH_SIZE = 20;
+const MAX_ATTEMPTS = 5;
+const DIGEST_STALE_MS = 6 * 60 * 60 * 1000; // a digest this late is skipped, not sent
+const DIGEST_LIST_LIMIT = 10;
+
+let hooks = null; // { compose(prompt, user), deliver(user, message), canDeliver(user) } from start()
+let timer = null;
+let running = false;
+
+// Thrown for bad preference input; the message is safe to show to the user
+class PreferenceError extends Error {
+    constructor(message) {
+        super(message);
+        this.name = 'PreferenceError';
+    }
+}
+
+const reminderKey = (wallet, todoId) => `reminder:${wallet}:${todoId}`;
+const digestKey = (wallet) => `digest:${wallet}`;
+const deliveryId = (job) => `${job.key}@${new Date(job.runAt).getTime()}`;
+
+function timezoneOf(user) {
+    return user && isValidTimeZone(user.timezone) ? user.timezone : DEFAULT_TIMEZONE;
+}
+
+function formatWhen(date, timeZone) {
+    return new Date(date).toLocaleString('en-US', {
+        timeZone, weekday: 'short', month: 'short', day: 'numeric', hour: 'numeric', minute: '2-digit'
+    });
+}
+
+// --- Reminders ---
+
+// Keeps the reminder job in line with the todo. Editing anything else on a todo
+// whose reminder already went out does not re-arm it; moving remindAt does.
+async function syncReminder(wallet, todo) {
+    if (!todo) return;
+    const key = reminderKey(wallet, todo.id);
+    if (todo.done || !todo.remindAt) {
+        await store.jobs.remove(key);
+        return;
+    }
+
+    const runAt = new Date(todo.remindAt);
+    const existing = await store.jobs.get(key);
+    if (existing && new Date(existing.runAt).getTime() === runAt.getTime()) return;
+    if (!existing && runAt <= new Date()) return; // already in the past
+
+    await store.jobs.save(key, {
+        type: 'reminder', wallet, runAt, status: 'pending', payload: { todoId: todo.id }, attempts: 0, lastError: null, sentAt: null
+    });
+}
+
+async function cancelReminder(wallet, todoId) {
+    await store.jobs.remove(reminderKey(wallet, todoId));
+}
+
+async function runReminder(job, user) {
+    const todo = (user.todos || []).find(t => t.id === job.payload.todoId);
+    // Completed, deleted or re-timed since the job was queued
+    if (!todo || todo.done || !todo.remindAt || new Date(todo.remindAt).getTime() !== new Date(job.runAt).getTime()) {
+        return { skipped: true };
+    }
+
+    const timeZone = timezoneOf(user);
+    const due = todo.dueDate ? ` (due ${formatWhen(todo.dueDate, timeZone)})` : '';
+    const nudge = await hooks.compose(`Remind me about my task "${todo.text}"${due}. One or two short lines.`, user);
+    await hooks.deliver(user, {
+        id: deliveryId(job),
+        kind: 'reminder',
+        todoId: todo.id,
+        text: `⏰ reminder: ${todo.text}${due}${nudge ? `\n\n${nudge}` : ''}`
+    });
+    return { skipped: false };
+}
+
+// --- Daily Digest ---
+
+// Next time the user's clock shows digest.hour, strictly after `after`
+function nextDigestRun(user, after = new Date()) {
+    const timeZone = timezoneOf(user);
+    const hour = user.digest && Number.isInteger(user.digest.hour) ? user.digest.hour : 8;
+    const today = zonedParts(after, timeZone);
+    let runAt = zonedToUtc({ ...today, hour, minute: 0 }, timeZone);
+    if (runAt <= after) {
+        const tomorrow = new Date(Date.UTC(today.year, today.month - 1, today.day + 1));
+        runAt = zonedToUtc({
+            year: tomorrow.getUTCFullYear(), month: tomorrow.getUTCMonth() + 1, day: tomorrow.getUTCDate(), hour, minute: 0
+        }, timeZone);
+    }
+    return runAt;
+}
+
+async function syncDigest(user) {
+    const key = digestKey(user.wallet);
+    if (!user.digest || !user.digest.enabled) {
+        await store.jobs.remove(key);
+        return;
+    }
+    await store.jobs.save(key, {
+        type: 'digest', wallet: user.wallet, runAt: nextDigestRun(user), status: 'pending', attempts: 0, lastError: null
+    });
+}
+
+function digestLines(todos, now, timeZone) {
+    const open = todos.filter(t => !t.done);
+    const today = zonedParts(now, timeZone);
+    const isToday = (d) => {
+        const p = zonedParts(new Date(d), timeZone);
+        return p.year === today.year && p.month === today.month && p.day === today.day;
+    };
+    const overdue = open.filter(t => t.dueDate && new Date(t.dueDate) < now && !isToday(t.dueDate));
+    const dueToday = open.filter(t => t.dueDate && isToday(t.dueDate));
+    const rest = open.filter(t => !overdue.includes(t) && !dueToday.includes(t));
+
+    const section = (title, list) => list.length
+        ? [`${title} (${list.length})`, ...list.slice(0, DIGEST_LIST_LIMIT).map(t => `• ${t.text}`)].join('\n')
+        : null;
+    return {
+        open,
+        overdue,
+        sections: [
+            section('⚠️ overdue', overdue),
+            section('📅 due today', dueToday),
+            section('📋 open', rest)
+        ].filter(Boolean)
+    };
+}
+
+async function runDigest(job, user, now) {
+    if (!user.digest || !user.digest.enabled) return { skipped: true, done: true };
+    if (now - new Date(job.runAt) > DIGEST_STALE_MS) return { skipped: true };
+
+    const { open, overdue, sections } = digestLines(user.todos || [], now, timezoneOf(user));
+    if (open.length === 0) return { skipped: true }; // nothing to report, stay quiet
+
+    const intro = await hooks.compose(
+        `Give me a one-line morning pep talk. I have ${open.length} open tasks, ${overdue.length} overdue.`, user
+    );
+    await hooks.deliver(user, {
+        id: deliveryId(job),
+        kind: 'digest',
+        text: `🌅 daily mission digest${intro ? `\n${intro}` : ''}\n\n${sections.join('\n\n')}`
+    });
+    return { skipped: false };
+}
+
+// --- Preferences ---
+
+async function getPreferences(wallet) {
+    const user = await store.users.get(wallet);
+    return {
+        timezone: user && user.timezone ? user.timezone : null,
+        digestEnabled: !!(user && user.digest && user.digest.enabled),
+        digestHour: user && user.digest && Number.isInteger(user.digest.hour) ? user.digest.hour : 8
+    };
+}
+
+// Accepts any of { timezone, digestEnabled, digestHour }; reschedules the digest to match
+async function setPreferences(wallet, changes = {}) {
+    const $set = {};
+    if (changes.timezone !== undefined) {
+        if (!isValidTimeZone(changes.timezone)) throw new PreferenceError(`Unknown time zone "${changes.timezone}".`);
+        $set.timezone = changes.timezone;
+    }
+    if (changes.digestEnabled !== undefined) $set['digest.enabled'] = !!changes.digestEnabled;
+    if (changes.digestHour !== undefined) {
+        const hour = Number(changes.digestHour);
+        if (!Number.isInteger(hour) || hour < 0 || hour > 23) throw new PreferenceError("Digest hour must be 0-23.");
+        $set['digest.hour'] = hour;
+    }
+
+    if (Object.keys($set).length) {
+        await store.users.update(wallet, $set);
+    }
+    const user = await store.users.get(wallet);
+    if (user) await syncDigest(user);
+    return getPreferences(wallet);
+}
+
+// --- Runner ---
+
+async function finishJob(job, outcome, now) {
+    if (job.type === 'digest' && !outcome.done) {
+        // Recurring: roll forward to tomorrow's slot, which also gives it a fresh delivery id
+        const user = await store.users.get(job.wallet);
+        const $set = { runAt: nextDigestRun(user, new Date(Math.max(now, new Date(job.runAt)))), attempts: 0, lastError: null };
+        if (!outcome.skipped) $set.sentAt = now;
+        await store.jobs.update(job.key, $set);
+        return;
+    }
+    if (job.type === 'digest') {
+        await store.jobs.remove(job.key);
+        return;
+    }
+    await store.jobs.update(job.key, { status: outcome.skipped ? 'skipped' : 'sent', sentAt: outcome.skipped ? null : now });
+}
+
+async function runDueJobs(now = new Date()) {
+    if (running || !hooks) return;
+    running = true;
+    try {
+        const due = await store.jobs.due(now, BATCH_SIZE);
+
+        for (const job of due) {
+            try {
+                const user = await store.users.get(job.wallet);
+                // Nowhere to send it right now: stays pending without using up an attempt
+                if (user && !hooks.canDeliver(user)) continue;
+                let outcome;
+                if (!user) outcome = { skipped: true, done: true };
+                else if (job.type === 'reminder') outcome = await runReminder(job, user);
+                else outcome = await runDigest(job, user, now);
+                await finishJob(job, outcome, now);
+            } catch (e) {
+                // Retried on the next tick with the same delivery id
+                const attempts = (job.attempts || 0) + 1;
+                console.error(`⏰ Scheduled job ${job.key} failed (attempt ${attempts}):`, e.message);
+                const $set = { attempts, lastError: e.message };
+                if (attempts >= MAX_ATTEMPTS) {
+                    if (job.type === 'digest') {
+                        await finishJob(job, { skipped: true }, now);
+                        continue;
+                    }
+                    $set.status = 'skipped';
+                }
+                await store.jobs.update(job.key, $set);
+            }
+        }
+    } catch (e) {
+        console.error("⏰ Scheduler tick failed:", e.message);
+    } finally {
+        running = false;
+    }
+}
+
+/**
+ * Starts polling for due jobs.
+ * `compose(prompt, user)` returns a short line in Alon's voice ('' when unavailable);
+ * `deliver(user, { id, kind, text, todoId })` pushes it to Telegram and HQ and resolves
+ * once delivery is confirmed; `canDeliver(user)` says whether that is possible right now.
+ */
+function start({ compose, deliver, canDeliver = () => true }) {
+    hooks = { compose, deliver, canDeliver };
+    if (timer) return;
+    timer = setInterval(() => runDueJobs(), TICK_MS);
+    console.log(`⏰ Scheduler started (every ${TICK_MS / 1000}s)`);
+}
+
+function stop() {
+    clearInterval(timer);
+    timer = null;
+}
+
+module.exports = {
+    PreferenceError,
+    syncReminder,
+    cancelReminder,
+    nextDigestRun,
+    syncDigest,
+    getPreferences,
+    setPreferences,
+    runDueJobs,
+    start,
+    stop
+};
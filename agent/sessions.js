@@ -0,0 +1,65 @@
+const crypto = require('crypto');
+const store = require('./store');
+
+// Login challenges and HQ sessions.
+//
+// Each holder (a socket, or one REST API login attempt) keeps at most one
+// outstanding challenge; it is consumed by the first LOGIN attempt so a captured
+// signature can never be replayed. A successful login creates a session whose
+// token is handed to the client once; the store only ever sees its SHA-256.
+const LOGIN_CHALLENGE_TTL_MS = 5 * 60 * 1000;
+const SESSION_TTL_MS = parseInt(process.env.SESSION_TTL_MS, 10) || 7 * 24 * 60 * 60 * 1000;
+
+function issueLoginChallenge(holder, publicKey) {
+    const nonce = crypto.randomBytes(16).toString('hex');
+    const issuedAt = new Date();
+    const expiresAt = new Date(issuedAt.getTime() + LOGIN_CHALLENGE_TTL_MS);
+    const message = [
+        'Login to Alon Clawd HQ',
+        `Wallet: ${publicKey}`,
+        `Nonce: ${nonce}`,
+        `Issued At: ${issuedAt.toISOString()}`,
+        `Expires At: ${expiresAt.toISOString()}`
+    ].join('\n');
+
+    holder.loginChallenge = { publicKey, message, expiresAt: expiresAt.getTime() };
+    return { nonce, message, expiresAt };
+}
+
+// The challenge message to verify the signature against, or null when there is none to use
+function consumeLoginChallenge(holder, publicKey) {
+    const challenge = holder.loginChallenge;
+    holder.loginChallenge = null;
+    if (!challenge) return null;
+    if (challenge.publicKey !== publicKey || challenge.expiresAt < Date.now()) return null;
+    return challenge.message;
+}
+
+const hashToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
+
+async function createSession(wallet) {
+    const token = crypto.randomBytes(32).toString('hex');
+    const expiresAt = new Date(Date.now() + SESSION_TTL_MS);
+    const session = await store.sessions.create({ tokenHash: hashToken(token), wallet, expiresAt });
+    return { token, id: session.id, expiresAt };
+}
+
+async function findSession(token) {
+    if (typeof token !== 'string' || !token) return null;
+    return store.sessions.findValid(hashToken(token));
+}
+
+async function revokeSession(id) {
+    if (id) await store.sessions.remove(id);
+}
+
+module.exports = {
+    LOGIN_CHALLENGE_TTL_MS,
+    SESSION_TTL_MS,
+    issueLoginChallenge,
+    consumeLoginChallenge,
+    hashToken,
+    createSession,
+    findSession,
+    revokeSession
+};
@@ -0,0 +1,94 @@
+const axios = require('axios');
+
+// Minimal Solana JSON-RPC client. SOLANA_RPC_URL picks the endpoint: mainnet by
+// default, or e.g. http://127.0.0.1:8899 for a local `solana-test-validator`.
+const RPC_URL = process.env.SOLANA_RPC_URL || 'https://api.mainnet-beta.solana.com';
+const REQUEST_TIMEOUT_MS = parseInt(process.env.SOLANA_RPC_TIMEOUT_MS, 10) || 8000;
+const MAX_RETRIES = 2;
+const RETRY_BASE_MS = 400;
+const LAMPORTS_PER_SOL = 1e9;
+const TOKEN_PROGRAM_ID = 'TokenkegQfeZyiNwAJbNbGKPFXCWuBvf3Ss623VQ5DA';
+const TOKEN_2022_PROGRAM_ID = 'TokenzQdBNbLqP5VEhdkAS6EPFLC1PHnBqCXEpPxuEb';
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+// Any failed RPC call. `retryable` is set for timeouts, dropped connections, 429 and 5xx.
+class SolanaRpcError extends Error {
+    constructor(message, { code = null, retryable = false } = {}) {
+        super(message);
+        this.name = 'SolanaRpcError';
+        this.code = code;
+        this.retryable = retryable;
+    }
+}
+
+function toRpcError(e) {
+    if (e instanceof SolanaRpcError) return e;
+    if (e.response) {
+        const status = e.response.status;
+        return new SolanaRpcError(`Solana RPC returned HTTP ${status}`, { code: status, retryable: status === 429 || status >= 500 });
+    }
+    return new SolanaRpcError(`Solana RPC unreachable: ${e.message}`, { code: e.code || null, retryable: true });
+}
+
+class SolanaClient {
+    constructor(url = RPC_URL) {
+        this.url = url;
+        this.nextId = 1;
+    }
+
+    async call(method, params = []) {
+        for (let attempt = 0; ; attempt++) {
+            try {
+                const response = await axios.post(this.url, { jsonrpc: '2.0', id: this.nextId++, method, params }, {
+                    timeout: REQUEST_TIMEOUT_MS,
+                    headers: { 'Content-Type': 'application/json' }
+                });
+                const { result, error } = response.data || {};
+                if (error) throw new SolanaRpcError(`${method}: ${error.message}`, { code: error.code });
+                return result;
+            } catch (raw) {
+                const error = toRpcError(raw);
+                if (!error.retryable || attempt >= MAX_RETRIES) throw error;
+                await sleep(RETRY_BASE_MS * 2 ** attempt);
+            }
+        }
+    }
+
+    // SOL balance of `address`
+    async getSolBalance(address) {
+        const result = await this.call('getBalance', [address, { commitment: 'confirmed' }]);
+        return result.value / LAMPORTS_PER_SOL;
+    }
+
+    /**
+     * SPL token balances of `owner` (both token programs), summed per mint:
+     * { [mint]: uiAmount }. Pass `mints` to keep only those; without it every
+     * mint the wallet has an account for is listed, empty ones included.
+     */
+    async getTokenBalances(owner, mints = null) {
+        const responses = await Promise.all([TOKEN_PROGRAM_ID, TOKEN_2022_PROGRAM_ID].map(programId =>
+            this.call('getTokenAccountsByOwner', [owner, { programId }, { encoding: 'jsonParsed', commitment: 'confirmed' }])));
+        const balances = {};
+        responses.forEach(result => (result.value || []).forEach(account => {
+            const info = account.account.data.parsed.info;
+            if (mints && !mints.includes(info.mint)) return;
+            balances[info.mint] = (balances[info.mint] || 0) + (Number(info.tokenAmount.uiAmountString) || 0);
+        }));
+        return balances;
+    }
+
+    // Parsed transaction by signature, or null when the node doesn't know it (yet)
+    async getTransaction(signature) {
+        return this.call('getTransaction', [signature, {
+            encoding: 'jsonParsed',
+            commitment: 'confirmed',
+            maxSupportedTransactionVersion: 0
+        }]);
+    }
+}
+
+module.exports = new SolanaClient();
+module.exports.SolanaClient = SolanaClient;
+module.exports.SolanaRpcError = SolanaRpcError;
+module.exports.LAMPORTS_PER_SOL = LAMPORTS_PER_SOL;
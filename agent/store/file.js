@@ -0,0 +1,477 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+
+// Embedded backend: everything lives in memory and, when a file is configured,
+// is written back to one JSON document shortly after each change (temp file +
+// rename, so a crash never leaves half a file). Without a file it is a pure
+// in-memory store for development and tests.
+
+const SAVE_DELAY_MS = 200;
+const HISTORY_PER_THREAD = 500; // oldest turns are dropped beyond this
+
+let filePath = null;
+let data = emptyData();
+let saveTimer = null;
+let saving = Promise.resolve();
+let lastWriteError = null;
+
+function emptyData() {
+    return { users: {}, linkCodes: {}, linkAttempts: {}, system: {}, sessions: {}, history: [], usage: {}, jobs: {}, drafts: {} };
+}
+
+const clone = (value) => (value === undefined ? value : JSON.parse(JSON.stringify(value)));
+const toDate = (value) => (value ? new Date(value) : null);
+
+function defaultUser(wallet) {
+    return {
+        wallet,
+        telegramId: null,
+        telegramUsername: null,
+        telegramLinkedAt: null,
+        role: 'user',
+        timezone: null,
+        persona: null,
+        digest: { enabled: false, hour: 8 },
+        disabled: false,
+        disabledAt: null,
+        disabledBy: null,
+        lastActiveAt: null,
+        tier: { name: null, sol: 0, tokens: {}, checkedAt: null },
+        todos: [],
+        todosVersion: 0
+    };
+}
+
+// Dates come back from JSON as strings; revive the ones callers compare against
+function reviveTodo(todo) {
+    return {
+        ...todo,
+        dueDate: toDate(todo.dueDate),
+        remindAt: toDate(todo.remindAt),
+        createdAt: toDate(todo.createdAt),
+        completedAt: toDate(todo.completedAt)
+    };
+}
+
+// Copy of a stored record with the named fields turned back into Dates
+function withDates(record, fields) {
+    if (!record) return null;
+    const copy = clone(record);
+    fields.forEach(field => { copy[field] = toDate(copy[field]); });
+    return copy;
+}
+
+function readUser(user) {
+    if (!user) return null;
+    const copy = clone(user);
+    copy.todos = (copy.todos || []).map(reviveTodo);
+    return copy;
+}
+
+// Applies { 'digest.hour': 9, role: 'admin' } style updates in place
+function setPath(target, dotted, value) {
+    const keys = dotted.split('.');
+    let node = target;
+    keys.slice(0, -1).forEach(key => {
+        if (!node[key] || typeof node[key] !== 'object') node[key] = {};
+        node = node[key];
+    });
+    node[keys[keys.length - 1]] = clone(value);
+}
+
+function scheduleSave() {
+    if (!filePath || saveTimer) return;
+    saveTimer = setTimeout(() => {
+        saveTimer = null;
+        saving = saving.then(writeFile).then(() => { lastWriteError = null; }).catch(e => {
+            lastWriteError = e.message;
+            console.error("❌ Failed to write store file:", e.message);
+        });
+    }, SAVE_DELAY_MS);
+}
+
+async function writeFile() {
+    const tmp = `${filePath}.tmp`;
+    await fs.promises.writeFile(tmp, JSON.stringify(data));
+    await fs.promises.rename(tmp, filePath);
+}
+
+async function connect({ file } = {}) {
+    filePath = file || null;
+    data = emptyData();
+    if (!filePath) {
+        console.log('🧠 Using in-memory store (data is lost on restart)');
+        return;
+    }
+    await fs.promises.mkdir(path.dirname(filePath), { recursive: true });
+    try {
+        data = { ...emptyData(), ...JSON.parse(await fs.promises.readFile(filePath, 'utf8')) };
+    } catch (e) {
+        if (e.code !== 'ENOENT') throw new Error(`Cannot read store file ${filePath}: ${e.message}`);
+    }
+    console.log(`📁 Using file store at ${filePath}`);
+}
+
+// Readiness: a file store is healthy while its writes succeed
+async function health() {
+    return { ok: !lastWriteError, file: filePath, lastWriteError };
+}
+
+// Flushes any pending write
+async function close() {
+    if (saveTimer) {
+        clearTimeout(saveTimer);
+        saveTimer = null;
+        saving = saving.then(writeFile);
+    }
+    await saving;
+}
+
+const users = {
+    async get(wallet) {
+        return readUser(data.users[wallet]);
+    },
+
+    async getByTelegramId(telegramId) {
+        const id = String(telegramId);
+        return readUser(Object.values(data.users).find(u => u.telegramId === id));
+    },
+
+    async ensure(wallet) {
+        if (!data.users[wallet]) {
+            data.users[wallet] = defaultUser(wallet);
+            scheduleSave();
+        }
+        return readUser(data.users[wallet]);
+    },
+
+    async update(wallet, fields) {
+        const user = data.users[wallet] || (data.users[wallet] = defaultUser(wallet));
+        Object.entries(fields).forEach(([key, value]) => setPath(user, key, value));
+        scheduleSave();
+    },
+
+    async list() {
+        return Object.values(data.users).map(readUser);
+    },
+
+    async listByRoles(roleList) {
+        return Object.values(data.users).filter(u => roleList.includes(u.role)).map(readUser);
+    },
+
+    async countByRole(role) {
+        return Object.values(data.users).filter(u => u.role === role).length;
+    },
+
+    async listLinked(wallets) {
+        return wallets.map(w => data.users[w]).filter(u => u && u.telegramId).map(readUser);
+    },
+
+    async linkTelegram(wallet, { telegramId, telegramUsername = null, linkedAt = new Date() }) {
+        const id = String(telegramId);
+        const holder = Object.values(data.users).find(u => u.telegramId === id && u.wallet !== wallet);
+        if (holder) Object.assign(holder, { telegramId: null, telegramUsername: null, telegramLinkedAt: null });
+        const current = data.users[wallet];
+        const previousTelegramId = current && current.telegramId && current.telegramId !== id ? current.telegramId : null;
+        await users.update(wallet, { telegramId: id, telegramUsername, telegramLinkedAt: linkedAt });
+        return { previousWallet: holder ? holder.wallet : null, previousTelegramId };
+    },
+
+    async unlinkTelegram(wallet) {
+        const user = data.users[wallet];
+        if (!user || !user.telegramId) return null;
+        const telegramId = user.telegramId;
+        Object.assign(user, { telegramId: null, telegramUsername: null, telegramLinkedAt: null });
+        scheduleSave();
+        return telegramId;
+    }
+};
+
+const todos = {
+    async list(wallet) {
+        const user = data.users[wallet];
+        return user ? readUser(user).todos : [];
+    },
+
+    async load(wallet) {
+        const user = data.users[wallet];
+        return { todos: user ? readUser(user).todos : [], version: user ? user.todosVersion || 0 : 0 };
+    },
+
+    async save(wallet, list, version) {
+        const current = data.users[wallet] ? data.users[wallet].todosVersion || 0 : 0;
+        if (version !== undefined && version !== current) return false;
+        await users.update(wallet, { todos: list, todosVersion: current + 1 });
+        return true;
+    }
+};
+
+const linkCodes = {
+    async create({ code, wallet, expiresAt }) {
+        if (data.linkCodes[code]) return false;
+        Object.keys(data.linkCodes).forEach(c => {
+            if (data.linkCodes[c].wallet === wallet) delete data.linkCodes[c];
+        });
+        data.linkCodes[code] = { code, wallet, expiresAt: new Date(expiresAt).toISOString() };
+        scheduleSave();
+        return true;
+    },
+
+    async consume(code, now = new Date()) {
+        const record = data.linkCodes[code];
+        if (!record) return null;
+        delete data.linkCodes[code];
+        scheduleSave();
+        const expiresAt = new Date(record.expiresAt);
+        return expiresAt > now ? { ...record, id: code, expiresAt } : null;
+    },
+
+    async purgeExpired(now = new Date()) {
+        Object.keys(data.linkCodes).forEach(code => {
+            if (new Date(data.linkCodes[code].expiresAt) <= now) delete data.linkCodes[code];
+        });
+        Object.keys(data.linkAttempts).forEach(id => {
+            if (new Date(data.linkAttempts[id].expiresAt) <= now) delete data.linkAttempts[id];
+        });
+        scheduleSave();
+    },
+
+    async failures(telegramId, now = new Date()) {
+        const entry = data.linkAttempts[String(telegramId)];
+        if (!entry || new Date(entry.expiresAt) <= now) return { count: 0, resetAt: null };
+        return { count: entry.count, resetAt: new Date(entry.expiresAt) };
+    },
+
+    async recordFailure(telegramId, { windowMs, now = new Date() }) {
+        const id = String(telegramId);
+        let entry = data.linkAttempts[id];
+        if (!entry || new Date(entry.expiresAt) <= now) {
+            entry = data.linkAttempts[id] = { count: 0, expiresAt: new Date(now.getTime() + windowMs).toISOString() };
+        }
+        entry.count += 1;
+        scheduleSave();
+        return { count: entry.count, resetAt: new Date(entry.expiresAt) };
+    },
+
+    async clearFailures(telegramId) {
+        delete data.linkAttempts[String(telegramId)];
+        scheduleSave();
+    }
+};
+
+const system = {
+    async get(key) {
+        return key in data.system ? clone(data.system[key]) : null;
+    },
+
+    async set(key, value) {
+        data.system[key] = clone(value);
+        scheduleSave();
+    }
+};
+
+const sessions = {
+    async create({ tokenHash, wallet, expiresAt }) {
+        const id = crypto.randomUUID();
+        data.sessions[id] = { tokenHash, wallet, createdAt: new Date().toISOString(), expiresAt: new Date(expiresAt).toISOString() };
+        scheduleSave();
+        return { id, tokenHash, wallet, expiresAt: new Date(expiresAt) };
+    },
+
+    async findValid(tokenHash, now = new Date()) {
+        // Expired sessions are swept here, standing in for Mongo's TTL index
+        let found = null;
+        Object.entries(data.sessions).forEach(([id, session]) => {
+            const expiresAt = new Date(session.expiresAt);
+            if (expiresAt <= now) {
+                delete data.sessions[id];
+                scheduleSave();
+            } else if (session.tokenHash === tokenHash) {
+                found = { id, wallet: session.wallet, tokenHash, expiresAt };
+            }
+        });
+        return found;
+    },
+
+    async remove(id) {
+        if (!data.sessions[id]) return;
+        delete data.sessions[id];
+        scheduleSave();
+    },
+
+    async removeForWallet(wallet) {
+        const ids = Object.keys(data.sessions).filter(id => data.sessions[id].wallet === wallet);
+        ids.forEach(id => delete data.sessions[id]);
+        if (ids.length) scheduleSave();
+        return ids.length;
+    }
+};
+
+// History ids sort in creation order, like Mongo's ObjectIds, so paging breaks
+// createdAt ties the same way on both backends
+let historySequence = 0;
+const historyId = () => Date.now().toString(16).padStart(12, '0')
+    + (historySequence++ % 0x10000).toString(16).padStart(4, '0')
+    + crypto.randomBytes(4).toString('hex');
+
+const inThread = ({ wallet, telegramId }) => (m) => (wallet ? m.wallet === wallet : m.wallet === null && m.telegramId === telegramId);
+
+const history = {
+    async append({ wallet, telegramId, role, text, source }) {
+        const owner = { wallet, telegramId };
+        data.history.push({
+            id: historyId(), wallet, telegramId, role, text, source, createdAt: new Date().toISOString()
+        });
+        const thread = data.history.filter(inThread(owner));
+        if (thread.length > HISTORY_PER_THREAD) {
+            const drop = new Set(thread.slice(0, thread.length - HISTORY_PER_THREAD));
+            data.history = data.history.filter(m => !drop.has(m));
+        }
+        scheduleSave();
+    },
+
+    // Same order as the mongo backend: newest first, ties on createdAt broken by id
+    async recent(owner, { before, beforeId, limit }) {
+        const newestFirst = (a, b) => (b.createdAt < a.createdAt ? -1 : b.createdAt > a.createdAt ? 1 : b.id < a.id ? -1 : 1);
+        const older = (m) => {
+            const at = new Date(m.createdAt).getTime();
+            return at < before.getTime() || (at === before.getTime() && !!beforeId && m.id < beforeId);
+        };
+        return data.history
+            .filter(inThread(owner))
+            .filter(m => !before || older(m))
+            .sort(newestFirst)
+            .slice(0, limit)
+            .map(m => ({ ...m, createdAt: new Date(m.createdAt) }));
+    }
+};
+
+const usage = {
+    async add({ subject, day, wallet, telegramId }, { requests = 0, promptTokens = 0, completionTokens = 0, costUsd = 0 }) {
+        const key = `${subject}|${day}`;
+        const row = data.usage[key] || (data.usage[key] = {
+            subject, day, requests: 0, promptTokens: 0, completionTokens: 0, totalTokens: 0, costUsd: 0
+        });
+        row.requests += requests;
+        row.promptTokens += promptTokens;
+        row.completionTokens += completionTokens;
+        row.totalTokens += promptTokens + completionTokens;
+        row.costUsd += costUsd;
+        Object.assign(row, { wallet: wallet || null, telegramId: telegramId || null, updatedAt: new Date().toISOString() });
+        scheduleSave();
+    },
+
+    async get(subject, day) {
+        const row = data.usage[`${subject}|${day}`];
+        return row ? { id: `${subject}|${day}`, ...clone(row) } : null;
+    },
+
+    async since(sinceDay) {
+        return Object.entries(data.usage)
+            .filter(([, row]) => row.day >= sinceDay)
+            .map(([id, row]) => ({ id, ...clone(row) }));
+    }
+};
+
+const JOB_DATES = ['runAt', 'sentAt'];
+
+const jobs = {
+    async get(key) {
+        return withDates(data.jobs[key], JOB_DATES);
+    },
+
+    async save(key, fields) {
+        const job = data.jobs[key] || (data.jobs[key] = {
+            id: crypto.randomUUID(), key, status: 'pending', payload: null, attempts: 0, lastError: null, sentAt: null
+        });
+        Object.assign(job, clone(fields));
+        scheduleSave();
+    },
+
+    async update(key, fields) {
+        if (!data.jobs[key]) return;
+        Object.assign(data.jobs[key], clone(fields));
+        scheduleSave();
+    },
+
+    async remove(key) {
+        if (!data.jobs[key]) return;
+        delete data.jobs[key];
+        scheduleSave();
+    },
+
+    async due(now, limit) {
+        return Object.values(data.jobs)
+            .filter(job => job.status === 'pending' && new Date(job.runAt) <= now)
+            .sort((a, b) => new Date(a.runAt) - new Date(b.runAt))
+            .slice(0, limit)
+            .map(job => withDates(job, JOB_DATES));
+    }
+};
+
+const DRAFT_DATES = ['reviewedAt', 'scheduledFor', 'publishedAt', 'createdAt', 'updatedAt'];
+const readDraft = (draft) => withDates(draft, DRAFT_DATES);
+
+const drafts = {
+    async get(id) {
+        return readDraft(data.drafts[id]);
+    },
+
+    async list({ status, limit }) {
+        return Object.values(data.drafts)
+            .filter(d => !status || d.status === status)
+            .sort((a, b) => new Date(b.createdAt) - new Date(a.createdAt))
+            .slice(0, limit)
+            .map(readDraft);
+    },
+
+    async create(fields) {
+        // Same shape as a Mongo ObjectId, which is what draft references look like
+        const id = crypto.randomBytes(12).toString('hex');
+        const now = new Date().toISOString();
+        data.drafts[id] = {
+            id, submolt: 'general', topic: null, source: 'auto', status: 'pending', createdBy: null,
+            reviewedBy: null, reviewedAt: null, rejectReason: null, scheduledFor: null, publishedAt: null,
+            postId: null, attempts: 0, lastError: null, createdAt: now, updatedAt: now, ...clone(fields)
+        };
+        scheduleSave();
+        return readDraft(data.drafts[id]);
+    },
+
+    async update(id, fields) {
+        if (!data.drafts[id]) return;
+        Object.assign(data.drafts[id], clone(fields));
+        scheduleSave();
+    },
+
+    async countByStatus(status) {
+        return Object.values(data.drafts).filter(d => d.status === status).length;
+    },
+
+    async publishedSince(since) {
+        return Object.values(data.drafts)
+            .filter(d => d.status === 'published' && new Date(d.publishedAt) > since)
+            .sort((a, b) => new Date(a.publishedAt) - new Date(b.publishedAt))
+            .map(readDraft);
+    },
+
+    async claimDue(now) {
+        const draft = Object.values(data.drafts)
+            .filter(d => d.status === 'approved' && d.scheduledFor && new Date(d.scheduledFor) <= now)
+            .sort((a, b) => new Date(a.scheduledFor) - new Date(b.scheduledFor))[0];
+        if (!draft) return null;
+        Object.assign(draft, { status: 'publishing', updatedAt: now.toISOString() });
+        scheduleSave();
+        return readDraft(draft);
+    },
+
+    async failPublishing(lastError) {
+        const stuck = Object.values(data.drafts).filter(d => d.status === 'publishing');
+        stuck.forEach(d => Object.assign(d, { status: 'failed', lastError }));
+        if (stuck.length) scheduleSave();
+        return stuck.length;
+    }
+};
+
+module.exports = { name: 'file', connect, close, health, users, todos, linkCodes, system, sessions, history, usage, jobs, drafts };
@@ -0,0 +1,63 @@
+const path = require('path');
+
+/**
+ * Repository layer for users, todos, link codes, system config, login sessions,
+ * chat history, LLM usage, scheduled jobs and Moltbook drafts. STORE_BACKEND picks the backend:
+ *   mongo  - MongoDB at MONGODB_URI (the default when it is set)
+ *   file   - a JSON file at STORE_FILE (default agent/data/store.json)
+ *   memory - nothing persisted
+ * With neither STORE_BACKEND nor MONGODB_URI set the agent refuses to start rather
+ * than guess: on a host with an ephemeral disk a file store loses everything on deploy.
+ *
+ * Besides connect and close, health() reports { ok, ... } for /readyz.
+ * Every backend exposes the same repositories and returns plain objects:
+ *   users:     get, getByTelegramId, ensure, update(wallet, { 'a.b': v }), list, listByRoles, countByRole, listLinked,
+ *              linkTelegram, unlinkTelegram
+ *   todos:     list, load (list + version), save(wallet, list, version?) -> false when the version moved on
+ *   linkCodes: create, consume, purgeExpired, failures, recordFailure, clearFailures
+ *   system:    get, set
+ *   sessions:  create, findValid, remove, removeForWallet
+ *   history:   append, recent (newest first, paged on createdAt then id)
+ *   usage:     add, get, since (daily rows per subject)
+ *   jobs:      get, save (upsert), update, remove, due (all by job key)
+ *   drafts:    get, list, create, update, countByStatus, publishedSince, claimDue, failPublishing
+ */
+const BACKENDS = ['mongo', 'file', 'memory'];
+const DEFAULT_FILE = path.join(__dirname, '..', 'data', 'store.json');
+
+const MONGODB_URI = process.env.MONGODB_URI;
+const STORE_BACKEND = (process.env.STORE_BACKEND || (MONGODB_URI ? 'mongo' : '')).toLowerCase();
+
+if (!STORE_BACKEND) {
+    throw new Error("No store configured. Set MONGODB_URI, or STORE_BACKEND=file (or memory) for local runs.");
+}
+if (!BACKENDS.includes(STORE_BACKEND)) {
+    throw new Error(`Unknown STORE_BACKEND "${STORE_BACKEND}". Use one of: ${BACKENDS.join(', ')}.`);
+}
+
+const backend = STORE_BACKEND === 'mongo' ? require('./mongo') : require('./file');
+
+async function connect() {
+    if (STORE_BACKEND === 'mongo') {
+        if (!MONGODB_URI) throw new Error("STORE_BACKEND is mongo but MONGODB_URI is missing.");
+        return backend.connect({ uri: MONGODB_URI });
+    }
+    const file = STORE_BACKEND === 'file' ? path.resolve(process.env.STORE_FILE || DEFAULT_FILE) : null;
+    return backend.connect({ file });
+}
+
+module.exports = {
+    backend: STORE_BACKEND,
+    connect,
+    close: () => backend.close(),
+    health: () => backend.health(),
+    users: backend.users,
+    todos: backend.todos,
+    linkCodes: backend.linkCodes,
+    system: backend.system,
+    sessions: backend.sessions,
+    history: backend.history,
+    usage: backend.usage,
+    jobs: backend.jobs,
+    drafts: backend.drafts
+};
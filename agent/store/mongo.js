@@ -0,0 +1,313 @@
+const mongoose = require('mongoose');
+const { User, System, ChatMessage, Session, LinkCode, LinkAttempt, ScheduledJob, MoltDraft, UsageDaily } = require('../models');
+
+// MongoDB backend: thin wrappers over the Mongoose models that hand back plain objects
+
+const withId = (doc) => {
+    if (!doc) return null;
+    const { _id, __v, ...rest } = doc;
+    return { id: _id.toString(), ...rest };
+};
+
+async function connect({ uri }) {
+    await mongoose.connect(uri);
+    console.log('✅ Connected to MongoDB');
+}
+
+async function close() {
+    await mongoose.disconnect();
+}
+
+// Readiness: the driver's connection state, confirmed with a ping once connected
+async function health() {
+    const { readyState } = mongoose.connection;
+    const state = mongoose.STATES[readyState];
+    if (readyState !== mongoose.STATES.connected) return { ok: false, state };
+    await mongoose.connection.db.admin().ping();
+    return { ok: true, state };
+}
+
+const users = {
+    get: (wallet) => User.findOne({ wallet }).lean(),
+
+    getByTelegramId: (telegramId) => User.findOne({ telegramId: String(telegramId) }).lean(),
+
+    async ensure(wallet) {
+        return User.findOneAndUpdate(
+            { wallet },
+            { $setOnInsert: { wallet } },
+            { upsert: true, new: true, setDefaultsOnInsert: true }
+        ).lean();
+    },
+
+    async update(wallet, fields) {
+        await User.updateOne({ wallet }, { $set: fields }, { upsert: true });
+    },
+
+    list: () => User.find({}).lean(),
+
+    listByRoles: (roleList) => User.find({ role: { $in: roleList } }).lean(),
+
+    countByRole: (role) => User.countDocuments({ role }),
+
+    listLinked: (wallets) => User.find({ wallet: { $in: wallets }, telegramId: { $ne: null } }).lean(),
+
+    // One chat per wallet and one wallet per chat: whoever held either side loses it.
+    // Returns { previousWallet, previousTelegramId } for the links that were replaced.
+    async linkTelegram(wallet, { telegramId, telegramUsername = null, linkedAt = new Date() }) {
+        const id = String(telegramId);
+        const [holder, current] = await Promise.all([
+            User.findOne({ telegramId: id, wallet: { $ne: wallet } }).lean(),
+            User.findOne({ wallet }).lean()
+        ]);
+        await User.updateMany(
+            { telegramId: id, wallet: { $ne: wallet } },
+            { $set: { telegramId: null, telegramUsername: null, telegramLinkedAt: null } }
+        );
+        await User.updateOne(
+            { wallet },
+            { $set: { telegramId: id, telegramUsername, telegramLinkedAt: linkedAt } },
+            { upsert: true }
+        );
+        return {
+            previousWallet: holder ? holder.wallet : null,
+            previousTelegramId: current && current.telegramId && current.telegramId !== id ? current.telegramId : null
+        };
+    },
+
+    // Returns the chat id that was linked, or null
+    async unlinkTelegram(wallet) {
+        const user = await User.findOneAndUpdate(
+            { wallet, telegramId: { $ne: null } },
+            { $set: { telegramId: null, telegramUsername: null, telegramLinkedAt: null } }
+        ).lean();
+        return user ? user.telegramId : null;
+    }
+};
+
+const todos = {
+    async list(wallet) {
+        const user = await User.findOne({ wallet }, { todos: 1 }).lean();
+        return user ? user.todos || [] : [];
+    },
+
+    // The list with the version it was read at, for save(wallet, list, version)
+    async load(wallet) {
+        const user = await User.findOne({ wallet }, { todos: 1, todosVersion: 1 }).lean();
+        return { todos: user ? user.todos || [] : [], version: user ? user.todosVersion || 0 : 0 };
+    },
+
+    // With `version`, writes only if nobody saved since that load and resolves false otherwise
+    async save(wallet, list, version) {
+        const update = { $set: { todos: list }, $inc: { todosVersion: 1 } };
+        if (version === undefined) {
+            await User.updateOne({ wallet }, update, { upsert: true });
+            return true;
+        }
+        try {
+            await User.updateOne({ wallet, todosVersion: version || { $in: [0, null] } }, update, { upsert: true });
+            return true;
+        } catch (e) {
+            // The upsert collided with the existing user, whose version has moved on
+            if (e.code === 11000) return false;
+            throw e;
+        }
+    }
+};
+
+const linkCodes = {
+    // Replaces any code the wallet already had. Resolves false when `code` is taken.
+    async create({ code, wallet, expiresAt }) {
+        await LinkCode.deleteMany({ wallet });
+        try {
+            await LinkCode.create({ code, wallet, expiresAt });
+            return true;
+        } catch (e) {
+            if (e.code === 11000) return false;
+            throw e;
+        }
+    },
+
+    // Single-use: the first caller gets the record, everyone after gets null
+    async consume(code, now = new Date()) {
+        const record = await LinkCode.findOneAndDelete({ code }).lean();
+        if (!record || record.expiresAt <= now) return null;
+        return withId(record);
+    },
+
+    async purgeExpired(now = new Date()) {
+        await LinkCode.deleteMany({ expiresAt: { $lte: now } });
+    },
+
+    // { count, resetAt } of failed attempts in the chat's current window
+    async failures(telegramId, now = new Date()) {
+        const doc = await LinkAttempt.findOne({ telegramId: String(telegramId), expiresAt: { $gt: now } }).lean();
+        return doc ? { count: doc.count, resetAt: doc.expiresAt } : { count: 0, resetAt: null };
+    },
+
+    async recordFailure(telegramId, { windowMs, now = new Date() }) {
+        const id = String(telegramId);
+        await LinkAttempt.deleteOne({ telegramId: id, expiresAt: { $lte: now } });
+        const doc = await LinkAttempt.findOneAndUpdate(
+            { telegramId: id },
+            { $inc: { count: 1 }, $setOnInsert: { expiresAt: new Date(now.getTime() + windowMs) } },
+            { upsert: true, new: true }
+        ).lean();
+        return { count: doc.count, resetAt: doc.expiresAt };
+    },
+
+    async clearFailures(telegramId) {
+        await LinkAttempt.deleteOne({ telegramId: String(telegramId) });
+    }
+};
+
+const system = {
+    async get(key) {
+        const doc = await System.findOne({ key }).lean();
+        return doc ? doc.value : null;
+    },
+
+    async set(key, value) {
+        await System.updateOne({ key }, { $set: { value } }, { upsert: true });
+    }
+};
+
+const sessions = {
+    async create({ tokenHash, wallet, expiresAt }) {
+        return withId((await Session.create({ tokenHash, wallet, expiresAt })).toObject());
+    },
+
+    async findValid(tokenHash, now = new Date()) {
+        return withId(await Session.findOne({ tokenHash, expiresAt: { $gt: now } }).lean());
+    },
+
+    async remove(id) {
+        if (!mongoose.isValidObjectId(id)) return;
+        await Session.deleteOne({ _id: id });
+    },
+
+    async removeForWallet(wallet) {
+        const result = await Session.deleteMany({ wallet });
+        return result.deletedCount;
+    }
+};
+
+const history = {
+    async append({ wallet, telegramId, role, text, source }) {
+        await ChatMessage.create({ wallet, telegramId, role, text, source });
+    },
+
+    // Newest first, ties on createdAt broken by id. Wallet threads match on wallet;
+    // Anon threads on telegramId. `before`/`beforeId` is the last message already seen.
+    async recent({ wallet, telegramId }, { before, beforeId, limit }) {
+        const filter = wallet ? { wallet } : { wallet: null, telegramId };
+        if (before && beforeId && mongoose.isValidObjectId(beforeId)) {
+            filter.$or = [
+                { createdAt: { $lt: before } },
+                { createdAt: before, _id: { $lt: new mongoose.Types.ObjectId(beforeId) } }
+            ];
+        } else if (before) {
+            filter.createdAt = { $lt: before };
+        }
+        const page = await ChatMessage.find(filter).sort({ createdAt: -1, _id: -1 }).limit(limit).lean();
+        return page.map(withId);
+    }
+};
+
+const usage = {
+    // Adds one completion's counts to the subject's row for `day`
+    async add({ subject, day, wallet, telegramId }, { requests = 0, promptTokens = 0, completionTokens = 0, costUsd = 0 }) {
+        await UsageDaily.updateOne(
+            { subject, day },
+            {
+                $inc: { requests, promptTokens, completionTokens, totalTokens: promptTokens + completionTokens, costUsd },
+                $set: { wallet: wallet || null, telegramId: telegramId || null, updatedAt: new Date() }
+            },
+            { upsert: true }
+        );
+    },
+
+    async get(subject, day) {
+        return withId(await UsageDaily.findOne({ subject, day }).lean());
+    },
+
+    // Every row from `sinceDay` on (inclusive)
+    async since(sinceDay) {
+        const rows = await UsageDaily.find({ day: { $gte: sinceDay } }).lean();
+        return rows.map(withId);
+    }
+};
+
+// Reminder and digest jobs, addressed by their unique key
+const jobs = {
+    async get(key) {
+        return withId(await ScheduledJob.findOne({ key }).lean());
+    },
+
+    // Creates the job or overwrites the given fields
+    async save(key, fields) {
+        await ScheduledJob.updateOne({ key }, { $set: fields }, { upsert: true });
+    },
+
+    // Changes the job only if it still exists
+    async update(key, fields) {
+        await ScheduledJob.updateOne({ key }, { $set: fields });
+    },
+
+    async remove(key) {
+        await ScheduledJob.deleteOne({ key });
+    },
+
+    // Pending jobs whose time has come, earliest first
+    async due(now, limit) {
+        const list = await ScheduledJob.find({ status: 'pending', runAt: { $lte: now } }).sort({ runAt: 1 }).limit(limit).lean();
+        return list.map(withId);
+    }
+};
+
+const drafts = {
+    async get(id) {
+        if (!mongoose.isValidObjectId(id)) return null;
+        return withId(await MoltDraft.findById(id).lean());
+    },
+
+    // Newest first, optionally of one status
+    async list({ status, limit }) {
+        const list = await MoltDraft.find(status ? { status } : {}).sort({ createdAt: -1 }).limit(limit).lean();
+        return list.map(withId);
+    },
+
+    async create(fields) {
+        return withId((await MoltDraft.create(fields)).toObject());
+    },
+
+    async update(id, fields) {
+        await MoltDraft.updateOne({ _id: id }, { $set: fields });
+    },
+
+    countByStatus: (status) => MoltDraft.countDocuments({ status }),
+
+    // Published after `since`, oldest first
+    async publishedSince(since) {
+        const list = await MoltDraft.find({ status: 'published', publishedAt: { $gt: since } }).sort({ publishedAt: 1 }).lean();
+        return list.map(withId);
+    },
+
+    // Moves the approved draft that is due first to `publishing` and returns it, so
+    // a second tick (or instance) cannot claim it too
+    async claimDue(now) {
+        return withId(await MoltDraft.findOneAndUpdate(
+            { status: 'approved', scheduledFor: { $lte: now } },
+            { $set: { status: 'publishing', updatedAt: now } },
+            { sort: { scheduledFor: 1 }, new: true }
+        ).lean());
+    },
+
+    // Fails every draft left `publishing`; returns how many there were
+    async failPublishing(lastError) {
+        const result = await MoltDraft.updateMany({ status: 'publishing' }, { $set: { status: 'failed', lastError } });
+        return result.modifiedCount;
+    }
+};
+
+module.exports = { name: 'mongo', connect, close, health, users, todos, linkCodes, system, sessions, history, usage, jobs, drafts };
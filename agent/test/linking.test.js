@@ -0,0 +1,93 @@
+process.env.STORE_BACKEND = 'memory';
+const test = require('node:test');
+const assert = require('node:assert');
+const store = require('../store');
+const linking = require('../linking');
+
+// Fresh ids per test so tests don't share link state in the one in-memory store
+let counter = 0;
+const nextChat = () => String(1000 + ++counter);
+async function newWallet() {
+    const wallet = `wallet-${++counter}`;
+    await store.users.ensure(wallet);
+    return wallet;
+}
+
+test.before(() => store.connect());
+test.afterEach(() => test.mock.timers.reset());
+
+test('a link code can be redeemed only once', async () => {
+    const wallet = await newWallet();
+    const { code } = await linking.createLinkCode(wallet);
+    const chat = nextChat();
+
+    assert.deepStrictEqual(await linking.redeemLinkCode(chat, code),
+        { wallet, previousWallet: null, previousTelegramId: null });
+    assert.strictEqual((await store.users.get(wallet)).telegramId, chat);
+    await assert.rejects(linking.redeemLinkCode(nextChat(), code), linking.LinkError);
+});
+
+test('an expired link code is refused', async () => {
+    test.mock.timers.enable({ apis: ['Date'], now: Date.now() });
+    const { code } = await linking.createLinkCode(await newWallet());
+    test.mock.timers.tick(linking.CODE_TTL_MS + 1);
+    await assert.rejects(linking.redeemLinkCode(nextChat(), code), /Invalid or expired/);
+});
+
+test('a chat is locked out after MAX_FAILED_ATTEMPTS wrong codes', async () => {
+    test.mock.timers.enable({ apis: ['Date'], now: Date.now() });
+    const chat = nextChat();
+    for (let i = 1; i <= linking.MAX_FAILED_ATTEMPTS; i++) {
+        await assert.rejects(linking.redeemLinkCode(chat, '00000000'), (e) => {
+            assert.ok(e instanceof linking.LinkError);
+            const left = linking.MAX_FAILED_ATTEMPTS - i;
+            if (left > 0) assert.match(e.message, new RegExp(`\\(${left} attempts? left\\)`));
+            else assert.doesNotMatch(e.message, /left/);
+            return true;
+        });
+    }
+
+    // Even a valid code is refused during the lockout
+    const wallet = await newWallet();
+    await assert.rejects(linking.redeemLinkCode(chat, (await linking.createLinkCode(wallet)).code), /too many wrong codes/);
+    assert.strictEqual((await store.users.get(wallet)).telegramId || null, null);
+
+    // Another chat is unaffected, and the lockout ends with the window
+    await assert.rejects(linking.redeemLinkCode(nextChat(), '00000000'), /attempts left/);
+    test.mock.timers.tick(linking.ATTEMPT_WINDOW_MS + 1);
+    assert.strictEqual((await linking.redeemLinkCode(chat, (await linking.createLinkCode(wallet)).code)).wallet, wallet);
+});
+
+test('a successful link clears the failure count', async () => {
+    const chat = nextChat();
+    for (let i = 1; i < linking.MAX_FAILED_ATTEMPTS; i++) {
+        await assert.rejects(linking.redeemLinkCode(chat, '00000000'), linking.LinkError);
+    }
+    const { code } = await linking.createLinkCode(await newWallet());
+    await linking.redeemLinkCode(chat, code);
+    await assert.rejects(linking.redeemLinkCode(chat, '00000000'), new RegExp(`\\(${linking.MAX_FAILED_ATTEMPTS - 1} attempts left\\)`));
+});
+
+test('relinking moves the chat and drops the old link', async () => {
+    const first = await newWallet();
+    const second = await newWallet();
+    const chat = nextChat();
+    await linking.redeemLinkCode(chat, (await linking.createLinkCode(first)).code);
+
+    // The chat moves to the second wallet; the first wallet loses it
+    assert.deepStrictEqual(await linking.redeemLinkCode(chat, (await linking.createLinkCode(second)).code),
+        { wallet: second, previousWallet: first, previousTelegramId: null });
+    assert.strictEqual((await store.users.get(first)).telegramId, null);
+    assert.strictEqual((await store.users.get(second)).telegramId, chat);
+
+    // The second wallet links from a new chat; its old chat is dropped
+    const newChat = nextChat();
+    assert.deepStrictEqual(await linking.redeemLinkCode(newChat, (await linking.createLinkCode(second)).code),
+        { wallet: second, previousWallet: null, previousTelegramId: chat });
+    assert.strictEqual((await store.users.getByTelegramId(chat)), null);
+    assert.strictEqual((await store.users.getByTelegramId(newChat)).wallet, second);
+
+    // Linking the same chat again changes nothing
+    assert.deepStrictEqual(await linking.redeemLinkCode(newChat, (await linking.createLinkCode(second)).code),
+        { wallet: second, previousWallet: null, previousTelegramId: null });
+});
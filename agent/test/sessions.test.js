@@ -0,0 +1,62 @@
+process.env.STORE_BACKEND = 'memory';
+const test = require('node:test');
+const assert = require('node:assert');
+const store = require('../store');
+const sessions = require('../sessions');
+
+const WALLET = 'FMUEmtxhU46GzhKF4FW9MLJdQWiLgjiXP9TYRWSrqTpV';
+
+test.before(() => store.connect());
+test.afterEach(() => test.mock.timers.reset());
+
+test('a login challenge can be used only once', () => {
+    const holder = {};
+    const { message } = sessions.issueLoginChallenge(holder, WALLET);
+    assert.match(message, new RegExp(`Wallet: ${WALLET}`));
+    assert.strictEqual(sessions.consumeLoginChallenge(holder, WALLET), message);
+    assert.strictEqual(sessions.consumeLoginChallenge(holder, WALLET), null);
+});
+
+test('a login challenge is spent by an attempt for another wallet', () => {
+    const holder = {};
+    sessions.issueLoginChallenge(holder, WALLET);
+    assert.strictEqual(sessions.consumeLoginChallenge(holder, 'someone-else'), null);
+    assert.strictEqual(sessions.consumeLoginChallenge(holder, WALLET), null);
+});
+
+test('a login challenge expires', () => {
+    test.mock.timers.enable({ apis: ['Date'], now: Date.now() });
+    const holder = {};
+    sessions.issueLoginChallenge(holder, WALLET);
+    test.mock.timers.tick(sessions.LOGIN_CHALLENGE_TTL_MS + 1);
+    assert.strictEqual(sessions.consumeLoginChallenge(holder, WALLET), null);
+});
+
+test('a session token is stored hashed and resumes the session', async () => {
+    const { token, id } = await sessions.createSession(WALLET);
+    assert.strictEqual(await store.sessions.findValid(token), null);
+    const stored = await store.sessions.findValid(sessions.hashToken(token));
+    assert.strictEqual(stored.id, id);
+    assert.ok(!JSON.stringify(stored).includes(token));
+
+    const resumed = await sessions.findSession(token);
+    assert.strictEqual(resumed.id, id);
+    assert.strictEqual(resumed.wallet, WALLET);
+    assert.strictEqual(await sessions.findSession('not-a-token'), null);
+    assert.strictEqual(await sessions.findSession(undefined), null);
+});
+
+test('logging out revokes the session', async () => {
+    const { token, id } = await sessions.createSession(WALLET);
+    const other = await sessions.createSession(WALLET);
+    await sessions.revokeSession(id);
+    assert.strictEqual(await sessions.findSession(token), null);
+    assert.strictEqual((await sessions.findSession(other.token)).id, other.id);
+});
+
+test('a session stops resuming once it expires', async () => {
+    test.mock.timers.enable({ apis: ['Date'], now: Date.now() });
+    const { token } = await sessions.createSession(WALLET);
+    test.mock.timers.tick(sessions.SESSION_TTL_MS + 1);
+    assert.strictEqual(await sessions.findSession(token), null);
+});
@@ -0,0 +1,48 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { parseWhen } = require('../timeparse');
+
+// Monday 2026-10-19, noon UTC
+const now = new Date('2026-10-19T12:00:00Z');
+const parse = (text, timeZone = 'UTC') => parseWhen(text, { now, timeZone });
+
+test('reads days and times', () => {
+    const cases = [
+        ['call mom tomorrow 9am', '2026-10-20T09:00:00.000Z', 'call mom'],
+        ['gym friday', '2026-10-23T09:00:00.000Z', 'gym'],
+        ['dentist on thurs at 14:30', '2026-10-22T14:30:00.000Z', 'dentist'],
+        ['report by wed', '2026-10-21T09:00:00.000Z', 'report'],
+        ['gym on sat', '2026-10-24T09:00:00.000Z', 'gym'],
+        ['gym next mon', '2026-10-26T09:00:00.000Z', 'gym'],
+        ['standup mon 9am', '2026-10-26T09:00:00.000Z', 'standup'],
+        ['call 5pm sun', '2026-10-25T17:00:00.000Z', 'call'],
+        ['pay rent on 2026-11-01', '2026-11-01T09:00:00.000Z', 'pay rent'],
+        ['stretch in 2 hours', '2026-10-19T14:00:00.000Z', 'stretch'],
+        ['lunch at noon', '2026-10-20T12:00:00.000Z', 'lunch']
+    ];
+    cases.forEach(([text, iso, rest]) => {
+        const result = parse(text);
+        assert.ok(result, text);
+        assert.strictEqual(result.date.toISOString(), iso, text);
+        assert.strictEqual(result.rest, rest, text);
+    });
+});
+
+test('leaves words that only look like weekday abbreviations alone', () => {
+    ['buy sun cream', 'we sat on the deal', 'fix the mon script', 'wed the fri batch'].forEach(text => {
+        assert.strictEqual(parse(text), null, text);
+    });
+});
+
+test('rejects impossible calendar dates instead of rolling them over', () => {
+    ['pay rent on 2026-13-45', 'pay rent on 2026-02-29', 'pay rent on 2026-04-31', 'pay rent on 2026-00-10'].forEach(text => {
+        assert.strictEqual(parse(text), null, text);
+    });
+    assert.strictEqual(parse('leap day 2028-02-29').date.toISOString(), '2028-02-29T09:00:00.000Z');
+});
+
+test('resolves wall-clock times in the given zone', () => {
+    assert.strictEqual(parse('call mom tomorrow 9am', 'Europe/Berlin').date.toISOString(), '2026-10-20T07:00:00.000Z');
+    // Clocks go back on 2026-10-25 in Berlin
+    assert.strictEqual(parse('call on sun 9am', 'Europe/Berlin').date.toISOString(), '2026-10-25T08:00:00.000Z');
+});
@@ -0,0 +1,87 @@
+process.env.STORE_BACKEND = 'memory';
+const test = require('node:test');
+const assert = require('node:assert');
+const store = require('../store');
+const todos = require('../todos');
+const { parseQuickTodo } = todos;
+
+const now = new Date('2026-10-19T12:00:00Z');
+const quick = (text) => parseQuickTodo(text, { now, timeZone: 'UTC' });
+
+let counter = 0;
+const newWallet = () => `todo-wallet-${++counter}`;
+
+test.before(() => store.connect());
+
+test('keeps task text that merely contains weekday abbreviations', () => {
+    assert.deepStrictEqual(quick('buy sun cream #shopping'), { text: 'buy sun cream', tags: ['shopping'], remindAt: null });
+    assert.deepStrictEqual(quick('we sat on the deal'), { text: 'we sat on the deal', tags: [], remindAt: null });
+    assert.deepStrictEqual(quick('fix the mon script'), { text: 'fix the mon script', tags: [], remindAt: null });
+    assert.deepStrictEqual(quick('pay rent on 2026-13-45'), { text: 'pay rent on 2026-13-45', tags: [], remindAt: null });
+});
+
+test('turns a time into a reminder and strips it from the text', () => {
+    const todo = quick('call mom on sat 9am #family');
+    assert.strictEqual(todo.text, 'call mom');
+    assert.deepStrictEqual(todo.tags, ['family']);
+    assert.strictEqual(todo.remindAt.toISOString(), '2026-10-24T09:00:00.000Z');
+});
+
+test('a bare time is not a task', () => {
+    assert.deepStrictEqual(quick('tomorrow 9am'), { text: 'tomorrow 9am', tags: [], remindAt: null });
+});
+
+test('editing a task changes only the fields given', async () => {
+    const wallet = newWallet();
+    const todo = await todos.addTodo(wallet, { text: 'water plants', tags: '#home' });
+    const updated = await todos.updateTodo(wallet, todo.id, { text: '  water the plants ', priority: 'high', dueDate: '2026-10-20' });
+    assert.strictEqual(updated.text, 'water the plants');
+    assert.strictEqual(updated.priority, 'high');
+    assert.strictEqual(updated.dueDate.toISOString(), '2026-10-20T00:00:00.000Z');
+    assert.deepStrictEqual(updated.tags, ['home']);
+
+    const [stored] = await todos.listTodos(wallet);
+    assert.strictEqual(stored.text, 'water the plants');
+    assert.strictEqual(await todos.updateTodo(wallet, todo.id + 1, { text: 'nope' }), null);
+    await assert.rejects(todos.updateTodo(wallet, todo.id, { text: ' ' }), todos.TodoValidationError);
+    await assert.rejects(todos.updateTodo(wallet, todo.id, { priority: 'urgent' }), todos.TodoValidationError);
+});
+
+test('reordering puts the given ids first and keeps the rest in order', async () => {
+    const wallet = newWallet();
+    const added = [];
+    for (const text of ['a', 'b', 'c', 'd']) added.push(await todos.addTodo(wallet, { text }));
+    const ids = added.map(t => t.id);
+
+    await todos.reorderTodos(wallet, [ids[2], 12345, ids[0]]);
+    assert.deepStrictEqual((await todos.listTodos(wallet)).map(t => t.text), ['c', 'a', 'b', 'd']);
+    await assert.rejects(todos.reorderTodos(wallet, 'c,a'), todos.TodoValidationError);
+});
+
+test('a write that lost a race is retried on the fresh list', async (t) => {
+    const wallet = newWallet();
+    await todos.addTodo(wallet, { text: 'first' });
+
+    // Someone else adds a task between our load and our save, once
+    const save = store.todos.save.bind(store.todos);
+    let raced = false;
+    t.mock.method(store.todos, 'save', async (...args) => {
+        if (!raced) {
+            raced = true;
+            const { todos: list, version } = await store.todos.load(wallet);
+            await save(wallet, [...list, { id: 1, text: 'from another tab', done: false, tags: [] }], version);
+        }
+        return save(...args);
+    });
+
+    await todos.addTodo(wallet, { text: 'second' });
+    assert.strictEqual(store.todos.save.mock.callCount(), 2);
+    assert.deepStrictEqual((await todos.listTodos(wallet)).map(t => t.text), ['first', 'from another tab', 'second']);
+});
+
+test('gives up when the list keeps changing', async (t) => {
+    const wallet = newWallet();
+    t.mock.method(store.todos, 'save', async () => false);
+    await assert.rejects(todos.addTodo(wallet, { text: 'never saved' }), /gave up after 5 attempts/);
+    assert.strictEqual(store.todos.save.mock.callCount(), 5);
+});
@@ -0,0 +1,33 @@
+process.env.STORE_BACKEND = 'memory';
+const test = require('node:test');
+const assert = require('node:assert');
+const store = require('../store');
+const todos = require('../todos');
+const { createTodoTools } = require('../tools');
+
+const WALLET = 'tools-wallet';
+
+test.before(() => store.connect());
+
+test('rescheduling to the times a task already has changes nothing', async () => {
+    const todo = await todos.addTodo(WALLET, { text: 'dentist', dueDate: '2026-10-20T09:00:00.000Z' });
+    const tools = createTodoTools(WALLET);
+    const save = test.mock.method(store.todos, 'save');
+
+    const result = await tools.execute('reschedule_todo', { id: todo.id, dueDate: '2026-10-20T11:00:00+02:00', remindAt: null });
+    assert.strictEqual(result.unchanged.id, todo.id);
+    assert.strictEqual(tools.changed, false);
+    assert.strictEqual(save.mock.callCount(), 0);
+    save.mock.restore();
+});
+
+test('rescheduling to a new time is reported as a change', async () => {
+    const todo = await todos.addTodo(WALLET, { text: 'call bank', dueDate: '2026-10-20T09:00:00.000Z' });
+    const tools = createTodoTools(WALLET);
+
+    const result = await tools.execute('reschedule_todo', { id: todo.id, dueDate: null });
+    assert.strictEqual(result.updated.dueDate, null);
+    assert.strictEqual(tools.changed, true);
+    assert.deepStrictEqual(await tools.execute('reschedule_todo', { id: 1, dueDate: null }), { error: 'No task with id 1.' });
+    assert.deepStrictEqual(await tools.execute('reschedule_todo', { id: todo.id, dueDate: 'someday' }), { error: 'Invalid due date.' });
+});
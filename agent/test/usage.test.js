@@ -0,0 +1,96 @@
+process.env.STORE_BACKEND = 'memory';
+process.env.SOLANA_RPC_URL = 'http://127.0.0.1:9';
+const test = require('node:test');
+const assert = require('node:assert');
+const store = require('../store');
+const usage = require('../usage');
+
+const MINUTE_MS = 60 * 1000;
+
+// A wallet with `role` whose cached token tier is fresh, so no balance lookup is made
+let counter = 0;
+async function newWallet({ role = 'user', tier = 'jeet' } = {}) {
+    const wallet = `wallet-${++counter}`;
+    await store.users.ensure(wallet);
+    await store.users.update(wallet, { role, tier: { name: tier, sol: 0, tokens: {}, checkedAt: new Date() } });
+    return { wallet, telegramId: null };
+}
+
+// Admits `owner` until refused; returns how many got through and the refusal
+async function admitUntilRefused(owner, max = 100) {
+    for (let admitted = 0; admitted < max; admitted++) {
+        try {
+            await usage.admit(owner);
+        } catch (e) {
+            return { admitted, error: e };
+        }
+    }
+    return { admitted: max, error: null };
+}
+
+test.before(() => store.connect());
+test.beforeEach(() => test.mock.timers.enable({ apis: ['Date'], now: new Date('2026-10-19T12:00:00Z').getTime() }));
+test.afterEach(() => test.mock.timers.reset());
+
+test('requests over the per-minute limit are refused until the window moves on', async () => {
+    const owner = await newWallet();
+    const { admitted, error } = await admitUntilRefused(owner);
+    assert.strictEqual(admitted, 6);
+    assert.ok(error instanceof usage.QuotaError);
+    assert.strictEqual(error.kind, 'rate');
+    assert.strictEqual(error.retryAfterMs, MINUTE_MS);
+
+    test.mock.timers.tick(MINUTE_MS / 2);
+    await assert.rejects(usage.admit(owner), (e) => e.kind === 'rate' && e.retryAfterMs === MINUTE_MS / 2);
+    test.mock.timers.tick(MINUTE_MS / 2);
+    assert.strictEqual((await usage.admit(owner)).subject, `wallet:${owner.wallet}`);
+});
+
+test('each role has its own limits', async () => {
+    assert.strictEqual((await admitUntilRefused({ telegramId: '555' })).admitted, 3, 'anon');
+    assert.strictEqual((await admitUntilRefused(await newWallet({ role: 'moderator' }))).admitted, 10);
+    assert.strictEqual((await admitUntilRefused(await newWallet({ role: 'admin' }))).admitted, 20);
+    assert.strictEqual((await admitUntilRefused(await newWallet({ role: 'owner' }))).error, null, 'owners are unlimited');
+    assert.strictEqual((await admitUntilRefused({})).error, null, "Alon's own writing is never limited");
+});
+
+test('limits changed from HQ apply to the tier', async () => {
+    const owner = await newWallet({ role: 'owner' });
+    await assert.rejects(usage.setLimits((await newWallet()).wallet, 'user', { perMinute: 2 }), usage.LimitError);
+    await usage.setLimits(owner.wallet, 'user', { perMinute: 2 });
+    try {
+        assert.strictEqual((await admitUntilRefused(await newWallet())).admitted, 2);
+    } finally {
+        await usage.setLimits(owner.wallet, 'user', { perMinute: 6 });
+    }
+});
+
+test('a spent daily USD budget refuses requests until the next UTC day', async () => {
+    const owner = await newWallet();
+    const subject = await usage.admit(owner);
+    // 60k output tokens of gpt-4o is $0.60: over the $0.50 budget, well under the token budget
+    await usage.record(subject, { model: 'gpt-4o', usage: { promptTokens: 0, completionTokens: 60000 } });
+
+    const { admitted, error } = await admitUntilRefused(owner);
+    assert.strictEqual(admitted, 0);
+    assert.strictEqual(error.kind, 'budget');
+    assert.strictEqual(error.retryAfterMs, 12 * 60 * MINUTE_MS, 'until midnight UTC');
+
+    test.mock.timers.tick(error.retryAfterMs);
+    assert.ok(await usage.admit(owner));
+});
+
+test('the token tier multiplies a plain user\'s limits', async () => {
+    const holder = await newWallet({ tier: 'holder' });
+    assert.strictEqual((await admitUntilRefused(holder)).admitted, 12);
+
+    // $0.60 is over a jeet's $0.50 but within a holder's $1.00
+    const whale = await newWallet({ tier: 'whale' });
+    const subject = await usage.admit(whale);
+    await usage.record(subject, { model: 'gpt-4o', usage: { promptTokens: 0, completionTokens: 60000 } });
+    assert.strictEqual((await usage.usageFor(whale)).limits.dailyUsd, 2.5);
+    assert.strictEqual((await admitUntilRefused(whale)).admitted, 29, '30 a minute, one already used');
+
+    const moderator = await newWallet({ role: 'moderator', tier: 'whale' });
+    assert.strictEqual((await admitUntilRefused(moderator)).admitted, 10, 'staff limits are not scaled');
+});
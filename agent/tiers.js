@@ -0,0 +1,239 @@
+const store = require('./store');
+const roles = require('./roles');
+const solana = require('./solana');
+
+// Token-gated tiers. A wallet's tier comes from its on-chain bag: SOL plus the SPL
+// tokens listed in TIER_TOKEN_MINTS (comma-separated mint addresses). Tiers scale
+// the wallet's LLM quotas, unlock features and set Alon's tone towards the user.
+// Balances are cached on the user record and re-read after TIER_REFRESH_MINUTES.
+
+const TOKEN_MINTS = (process.env.TIER_TOKEN_MINTS || '').split(',').map(s => s.trim()).filter(Boolean);
+const REFRESH_MS = (parseInt(process.env.TIER_REFRESH_MINUTES, 10) || 30) * 60 * 1000;
+const LOGIN_WAIT_MS = 3000; // login doesn't wait longer than this for the RPC; the tier follows as TIER_UPDATE
+const FAILURE_BACKOFF_MS = 60 * 1000; // after a failed lookup, the cached tier is used this long without retrying
+
+// Lowest first; a wallet gets the highest tier whose minSol it holds, or whose
+// minTokens it holds across TOKEN_MINTS. TIER_RULES (a JSON array of the same
+// shape) replaces these.
+const DEFAULT_RULES = [
+    {
+        name: 'jeet',
+        minSol: 0,
+        minTokens: 0,
+        quotaMultiplier: 1,
+        tone: "This user is a jeet with a near-empty wallet. Roast their bag and remind them to stop being poor, but still help."
+    },
+    {
+        name: 'holder',
+        minSol: 1,
+        minTokens: 1000,
+        quotaMultiplier: 2,
+        tone: "This user is a holder with a real bag. Treat them like a promising apprentice: condescending, but with grudging respect."
+    },
+    {
+        name: 'whale',
+        minSol: 100,
+        minTokens: 1000000,
+        quotaMultiplier: 5,
+        tone: "This user is a fellow whale. Treat them as a peer: warm, conspiratorial, no 'stop being poor'."
+    }
+];
+
+// Feature -> lowest tier that unlocks it. Moderators and above bypass tier gates.
+const FEATURES = {
+    digest: { tier: 'holder', label: 'daily digest' }
+};
+
+// Thrown when a wallet's tier is too low for a feature; the message is safe to show to the user
+class TierError extends Error {
+    constructor(message) {
+        super(message);
+        this.name = 'TierError';
+    }
+}
+
+function loadRules() {
+    if (!process.env.TIER_RULES) return DEFAULT_RULES;
+    try {
+        const rules = JSON.parse(process.env.TIER_RULES);
+        const valid = Array.isArray(rules) && rules.length && rules.every(r => r && typeof r.name === 'string');
+        if (!valid) throw new Error("expected a non-empty array of { name, minSol, minTokens, quotaMultiplier, tone }");
+        return rules.map(r => ({
+            name: r.name,
+            minSol: Number(r.minSol) || 0,
+            minTokens: Number(r.minTokens) || 0,
+            quotaMultiplier: Number(r.quotaMultiplier) || 1,
+            tone: r.tone || ''
+        }));
+    } catch (e) {
+        console.warn(`💰 Ignoring TIER_RULES (${e.message}); using the default tiers`);
+        return DEFAULT_RULES;
+    }
+}
+
+const RULES = loadRules();
+const TIERS = RULES.map(r => r.name);
+const ruleFor = (name) => RULES.find(r => r.name === name) || RULES[0];
+const rankOf = (name) => Math.max(0, TIERS.indexOf(name));
+
+let hooks = null; // { onlineWallets(), onChange(wallet, tier) } from start()
+let refreshTimer = null;
+// wallet -> pending balance lookup, so logins and refreshes share one RPC round trip
+const inflight = new Map();
+// wallet -> time of its last failed lookup
+const failedAt = new Map();
+
+function classify(sol, tokens) {
+    const tokenTotal = TOKEN_MINTS.reduce((sum, mint) => sum + (tokens[mint] || 0), 0);
+    let match = RULES[0];
+    RULES.forEach(rule => {
+        if (sol >= rule.minSol || (TOKEN_MINTS.length && rule.minTokens > 0 && tokenTotal >= rule.minTokens)) match = rule;
+    });
+    return match.name;
+}
+
+// The tier as the rest of the agent sees it. `verified` is false when the RPC has
+// never answered for this wallet (it gets the lowest tier until it does).
+function view(stored) {
+    const checked = stored && stored.name && stored.checkedAt;
+    const rule = ruleFor(checked ? stored.name : null);
+    return {
+        name: rule.name,
+        sol: checked ? stored.sol || 0 : 0,
+        tokens: checked ? stored.tokens || {} : {},
+        checkedAt: checked ? new Date(stored.checkedAt).toISOString() : null,
+        verified: !!checked,
+        quotaMultiplier: rule.quotaMultiplier,
+        tone: rule.tone
+    };
+}
+
+const isStale = (stored) => !stored || !stored.checkedAt || Date.now() - new Date(stored.checkedAt) >= REFRESH_MS;
+
+async function lookup(wallet, previous) {
+    const [sol, tokens] = await Promise.all([
+        solana.getSolBalance(wallet),
+        TOKEN_MINTS.length ? solana.getTokenBalances(wallet, TOKEN_MINTS) : {}
+    ]);
+    const stored = { name: classify(sol, tokens), sol, tokens, checkedAt: new Date() };
+    await store.users.update(wallet, { tier: stored });
+
+    const tier = view(stored);
+    const before = view(previous);
+    if (before.name !== tier.name) console.log(`💰 ${wallet} is now a ${tier.name} (${sol} SOL)`);
+    if (hooks && (before.name !== tier.name || before.sol !== tier.sol || !before.verified)) hooks.onChange(wallet, tier);
+    return tier;
+}
+
+// Re-reads the balances; on RPC failure the last known tier stands
+function refresh(wallet, previous, force = false) {
+    if (!force && Date.now() - (failedAt.get(wallet) || 0) < FAILURE_BACKOFF_MS) return Promise.resolve(view(previous));
+    if (!inflight.has(wallet)) {
+        const pending = lookup(wallet, previous)
+            .then(tier => {
+                failedAt.delete(wallet);
+                return tier;
+            })
+            .catch(e => {
+                failedAt.set(wallet, Date.now());
+                console.warn(`💰 Balance lookup for ${wallet} failed: ${e.message}`);
+                return view(previous);
+            })
+            .finally(() => inflight.delete(wallet));
+        inflight.set(wallet, pending);
+    }
+    return inflight.get(wallet);
+}
+
+/**
+ * The wallet's tier, refreshed from the chain when the cached one is older than
+ * the refresh interval (or always with `refresh`). With `waitMs`, gives up
+ * waiting after that long and returns the cached tier; the lookup carries on
+ * and reports through onChange.
+ */
+async function getTier(wallet, { refresh: force = false, waitMs = null } = {}) {
+    const user = await store.users.get(wallet);
+    const stored = user ? user.tier : null;
+    if (!force && !isStale(stored)) return view(stored);
+
+    const pending = refresh(wallet, stored, force);
+    if (waitMs == null) return pending;
+    let timer;
+    const timeout = new Promise(resolve => { timer = setTimeout(() => resolve(view(stored)), waitMs); });
+    return Promise.race([pending, timeout]).finally(() => clearTimeout(timer));
+}
+
+// The cached tier without waiting on the RPC; a stale one is refreshed in the background
+async function cachedTier(wallet) {
+    if (!wallet) return view(null);
+    const user = await store.users.get(wallet);
+    const stored = user ? user.tier : null;
+    if (isStale(stored)) refresh(wallet, stored);
+    return view(stored);
+}
+
+const loginTier = (wallet) => getTier(wallet, { waitMs: LOGIN_WAIT_MS });
+
+function allows(tier, feature, role = 'user') {
+    if (!FEATURES[feature] || roles.outranks(role, 'user')) return true;
+    return rankOf(tier.name) >= rankOf(FEATURES[feature].tier);
+}
+
+async function requireFeature(wallet, feature) {
+    const [tier, role] = await Promise.all([cachedTier(wallet), roles.getRole(wallet)]);
+    if (!allows(tier, feature, role)) {
+        const { tier: needed, label } = FEATURES[feature];
+        throw new TierError(`The ${label} needs the ${needed} tier or above. You're a ${tier.name}.`);
+    }
+}
+
+// What HQ gets in LOGIN_SUCCESS / TIER_UPDATE: the tier plus the features it unlocks for `role`
+function describe(tier, role = 'user') {
+    return {
+        name: tier.name,
+        sol: tier.sol,
+        tokens: tier.tokens,
+        checkedAt: tier.checkedAt,
+        verified: tier.verified,
+        quotaMultiplier: tier.quotaMultiplier,
+        features: Object.keys(FEATURES).filter(feature => allows(tier, feature, role))
+    };
+}
+
+// Line for Alon's system prompt so his tone matches the user's bag
+function promptLine(tier) {
+    const bag = tier.verified ? ` (${Number(tier.sol.toFixed(3))} SOL)` : ' (bag not verified yet)';
+    return `The user's tier is ${tier.name}${bag}. ${tier.tone}`.trim();
+}
+
+/**
+ * Keeps the tiers of wallets with an open HQ tab fresh. `onlineWallets()`
+ * returns those wallets; `onChange(wallet, tier)` gets every tier that was
+ * re-read and changed.
+ */
+function start({ onlineWallets, onChange }) {
+    hooks = { onlineWallets, onChange };
+    if (refreshTimer) clearInterval(refreshTimer);
+    refreshTimer = setInterval(() => {
+        hooks.onlineWallets().forEach(wallet => {
+            getTier(wallet).catch(e => console.error(`💰 Tier refresh for ${wallet} failed:`, e.message));
+        });
+    }, Math.min(REFRESH_MS, 5 * 60 * 1000));
+    refreshTimer.unref();
+    console.log(`💰 Tiers: ${TIERS.join(' < ')} from ${solana.url}` +
+        (TOKEN_MINTS.length ? ` (${TOKEN_MINTS.length} token mint(s))` : ' (SOL only)'));
+}
+
+module.exports = {
+    TIERS,
+    FEATURES,
+    TierError,
+    getTier,
+    cachedTier,
+    loginTier,
+    allows,
+    requireFeature,
+    describe,
+    promptLine,
+    start
+};
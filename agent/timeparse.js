@@ -0,0 +1,167 @@
+// Small natural-language time parser for chat text ("tomorrow 9am", "in 2 hours",
+// "friday at 17:30"), resolved in the user's IANA time zone.
+
+const DEFAULT_TIMEZONE = process.env.DEFAULT_TIMEZONE || 'UTC';
+const DEFAULT_HOUR = 9; // a bare day ("tomorrow") means the morning
+
+const WEEKDAYS = ['sunday', 'monday', 'tuesday', 'wednesday', 'thursday', 'friday', 'saturday'];
+const UNIT_MS = { minute: 60 * 1000, hour: 60 * 60 * 1000, day: 24 * 60 * 60 * 1000, week: 7 * 24 * 60 * 60 * 1000 };
+
+const TIME_PATTERN = 'noon|midnight|\\d{1,2}(?::\\d{2})?\\s*(?:am|pm)|\\d{1,2}:\\d{2}';
+const TIME = `(${TIME_PATTERN})`;
+const WEEKDAY = `(?:${WEEKDAYS.join('|')})`;
+// "sun", "sat" and "mon" are ordinary words too ("buy sun cream"), so an abbreviation
+// only counts after on/by/next or when a time follows it ("mon 9am")
+const WEEKDAY_ABBR = '(?:mon|tues?|wed|thur?s?|fri|sat|sun)';
+const GUARDED_ABBR = `(?:(?<=\\b(?:on|by)\\s+)|next\\s+)${WEEKDAY_ABBR}|${WEEKDAY_ABBR}(?=\\s+(?:at\\s+)?(?:${TIME_PATTERN})(?![\\w:]))`;
+const ISO_DATE = '\\d{4}-\\d{2}-\\d{2}';
+const DAY = `(today|tonight|tomorrow|tmrw|(?:next\\s+)?${WEEKDAY}|${GUARDED_ABBR}|${ISO_DATE})`;
+// After a time any abbreviation is fine: "9am sat"
+const DAY_AFTER_TIME = `(today|tonight|tomorrow|tmrw|(?:next\\s+)?(?:${WEEKDAY}|${WEEKDAY_ABBR})|${ISO_DATE})`;
+
+const RELATIVE_RE = /\bin\s+(\d+|an?|one)\s+(min(?:ute)?s?|h(?:ou)?rs?|hours?|days?|weeks?)\b/i;
+const TIME_THEN_DAY_RE = new RegExp(`\\b(?:at\\s+|by\\s+)?${TIME}\\s+(?:on\\s+)?${DAY_AFTER_TIME}(?![\\w:])`, 'i');
+const DAY_FIRST_RE = new RegExp(`\\b(?:on\\s+|by\\s+)?${DAY}(?:\\s+(?:at\\s+)?${TIME})?(?![\\w:])`, 'i');
+const TIME_ONLY_RE = new RegExp(`\\b(?:at\\s+|by\\s+)?${TIME}(?![\\w:])`, 'i');
+
+function isValidTimeZone(timeZone) {
+    if (!timeZone) return false;
+    try {
+        new Intl.DateTimeFormat('en-US', { timeZone });
+        return true;
+    } catch (e) {
+        return false;
+    }
+}
+
+// Wall-clock fields of `date` in `timeZone`
+function zonedParts(date, timeZone) {
+    const parts = {};
+    new Intl.DateTimeFormat('en-US', {
+        timeZone, hourCycle: 'h23', weekday: 'long',
+        year: 'numeric', month: 'numeric', day: 'numeric', hour: 'numeric', minute: 'numeric'
+    }).formatToParts(date).forEach(p => { parts[p.type] = p.value; });
+    return {
+        year: Number(parts.year),
+        month: Number(parts.month),
+        day: Number(parts.day),
+        hour: Number(parts.hour),
+        minute: Number(parts.minute),
+        weekday: WEEKDAYS.indexOf(parts.weekday.toLowerCase())
+    };
+}
+
+// The instant at which the clock in `timeZone` shows the given wall time.
+// Two passes settle the offset across DST changes.
+function zonedToUtc({ year, month, day, hour = 0, minute = 0 }, timeZone) {
+    const wall = Date.UTC(year, month - 1, day, hour, minute);
+    let guess = wall;
+    for (let i = 0; i < 2; i++) {
+        const p = zonedParts(new Date(guess), timeZone);
+        const shown = Date.UTC(p.year, p.month - 1, p.day, p.hour, p.minute);
+        guess += wall - shown;
+    }
+    return new Date(guess);
+}
+
+function addDays({ year, month, day }, days) {
+    const d = new Date(Date.UTC(year, month - 1, day + days));
+    return { year: d.getUTCFullYear(), month: d.getUTCMonth() + 1, day: d.getUTCDate() };
+}
+
+function parseTime(token) {
+    const t = token.toLowerCase().replace(/\s+/g, '');
+    if (t === 'noon') return { hour: 12, minute: 0 };
+    if (t === 'midnight') return { hour: 0, minute: 0 };
+    const m = /^(\d{1,2})(?::(\d{2}))?(am|pm)?$/.exec(t);
+    let hour = Number(m[1]);
+    const minute = Number(m[2] || 0);
+    if (m[3]) {
+        if (hour < 1 || hour > 12) return null;
+        hour = (hour % 12) + (m[3] === 'pm' ? 12 : 0);
+    }
+    if (hour > 23 || minute > 59) return null;
+    return { hour, minute };
+}
+
+// Calendar day for a DAY token relative to `today` (zoned parts)
+function resolveDay(token, today) {
+    const t = token.toLowerCase().replace(/\s+/g, ' ');
+    if (t === 'today' || t === 'tonight') return addDays(today, 0);
+    if (t === 'tomorrow' || t === 'tmrw') return addDays(today, 1);
+    const iso = /^(\d{4})-(\d{2})-(\d{2})$/.exec(t);
+    if (iso) {
+        const [year, month, day] = iso.slice(1).map(Number);
+        // Date.UTC would roll 2026-13-45 over into 2027; an impossible date is no date
+        const check = new Date(Date.UTC(year, month - 1, day));
+        if (check.getUTCMonth() !== month - 1 || check.getUTCDate() !== day) return null;
+        return { year, month, day };
+    }
+
+    const name = t.replace(/^next /, '').slice(0, 3);
+    const target = WEEKDAYS.findIndex(w => w.startsWith(name));
+    if (target === -1) return null;
+    // Always the next occurrence; saying "friday" on a friday means a week out
+    const ahead = ((target - today.weekday + 7) % 7) || 7;
+    return addDays(today, ahead);
+}
+
+function cleanRemainder(text, index, length) {
+    return (text.slice(0, index) + ' ' + text.slice(index + length))
+        .replace(/\s+(?:at|on|by)\s*$/i, '')
+        .replace(/\s+/g, ' ')
+        .trim();
+}
+
+/**
+ * Finds the first time expression in `text`.
+ * Returns { date, match, rest } where `rest` is the text with the expression removed,
+ * or null when there is none. Times without a day roll over to tomorrow once passed.
+ */
+function parseWhen(text, { now = new Date(), timeZone = DEFAULT_TIMEZONE } = {}) {
+    if (!text) return null;
+    const zone = isValidTimeZone(timeZone) ? timeZone : 'UTC';
+
+    const relative = RELATIVE_RE.exec(text);
+    if (relative) {
+        const amount = /^\d+$/.test(relative[1]) ? Number(relative[1]) : 1;
+        const unit = relative[2].toLowerCase();
+        const key = unit.startsWith('m') ? 'minute' : unit.startsWith('h') ? 'hour' : unit.startsWith('d') ? 'day' : 'week';
+        return {
+            date: new Date(now.getTime() + amount * UNIT_MS[key]),
+            match: relative[0],
+            rest: cleanRemainder(text, relative.index, relative[0].length)
+        };
+    }
+
+    const today = zonedParts(now, zone);
+    let match = TIME_THEN_DAY_RE.exec(text);
+    let dayToken, timeToken;
+    if (match) {
+        [, timeToken, dayToken] = match;
+    } else if ((match = DAY_FIRST_RE.exec(text))) {
+        [, dayToken, timeToken] = match;
+    } else {
+        match = TIME_ONLY_RE.exec(text);
+        if (!match) return null;
+        [, timeToken] = match;
+    }
+
+    const time = timeToken ? parseTime(timeToken) : null;
+    if (timeToken && !time) return null;
+
+    let day;
+    if (dayToken) {
+        day = resolveDay(dayToken, today);
+        if (!day) return null;
+    } else {
+        const passed = time.hour < today.hour || (time.hour === today.hour && time.minute <= today.minute);
+        day = addDays(today, passed ? 1 : 0);
+    }
+
+    const fallbackHour = dayToken && /^tonight$/i.test(dayToken) ? 20 : DEFAULT_HOUR;
+    const date = zonedToUtc({ ...day, ...(time || { hour: fallbackHour, minute: 0 }) }, zone);
+    return { date, match: match[0], rest: cleanRemainder(text, match.index, match[0].length) };
+}
+
+module.exports = { DEFAULT_TIMEZONE, isValidTimeZone, zonedParts, zonedToUtc, parseWhen };
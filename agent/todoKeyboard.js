@@ -0,0 +1,65 @@
+// Renders a wallet's todos as a Telegram message with an inline keyboard.
+// Buttons carry callback_data of the form `todo:<action>:<id>:<page>`
+// (Telegram caps callback_data at 64 bytes, so keep it terse).
+
+const PAGE_SIZE = 5;
+const PRIORITY_MARKS = { high: '🔴', medium: '', low: '🔹' };
+
+function formatDue(date) {
+    if (!date) return '';
+    const due = new Date(date);
+    const overdue = due < new Date();
+    return ` · ${overdue ? '⚠️ ' : ''}due ${due.toISOString().slice(0, 10)}`;
+}
+
+function describeTodo(todo, number) {
+    const tags = (todo.tags || []).map(t => `#${t}`).join(' ');
+    const priority = PRIORITY_MARKS[todo.priority] || '';
+    return `${number}. ${todo.done ? '✅' : '⬜'} ${priority}${priority ? ' ' : ''}${todo.text}` +
+        `${todo.done ? '' : formatDue(todo.dueDate)}${tags ? ` ${tags}` : ''}`;
+}
+
+/**
+ * Builds `{ text, options }` for one page of the list, newest first like the web UI.
+ * `page` is clamped into range so stale buttons still land somewhere sensible.
+ */
+function renderTodoPage(todos, page = 0) {
+    const ordered = [...todos].reverse();
+    const pages = Math.max(1, Math.ceil(ordered.length / PAGE_SIZE));
+    const current = Math.min(Math.max(0, page), pages - 1);
+    const start = current * PAGE_SIZE;
+    const slice = ordered.slice(start, start + PAGE_SIZE);
+
+    if (ordered.length === 0) {
+        return {
+            text: "📋 no tasks yet. add one with /todo <task>",
+            options: { reply_markup: { inline_keyboard: [[{ text: '🔄 refresh', callback_data: 'todo:page:0:0' }]] } }
+        };
+    }
+
+    const open = todos.filter(t => !t.done).length;
+    const lines = slice.map((todo, i) => describeTodo(todo, start + i + 1));
+    const text = `📋 mission tasks (${open} open of ${todos.length})\n\n${lines.join('\n')}`;
+
+    const rows = slice.map((todo, i) => [
+        { text: `${todo.done ? '↩️ reopen' : '✅ done'} ${start + i + 1}`, callback_data: `todo:toggle:${todo.id}:${current}` },
+        { text: `🗑️ ${start + i + 1}`, callback_data: `todo:delete:${todo.id}:${current}` }
+    ]);
+
+    const nav = [];
+    if (current > 0) nav.push({ text: '◀️', callback_data: `todo:page:0:${current - 1}` });
+    nav.push({ text: `${current + 1}/${pages} 🔄`, callback_data: `todo:page:0:${current}` });
+    if (current < pages - 1) nav.push({ text: '▶️', callback_data: `todo:page:0:${current + 1}` });
+    rows.push(nav);
+
+    return { text, options: { reply_markup: { inline_keyboard: rows } } };
+}
+
+// Returns { action, id, page } or null for data that isn't ours
+function parseTodoCallback(data) {
+    const match = /^todo:(toggle|delete|page):(\d+):(\d+)$/.exec(data || '');
+    if (!match) return null;
+    return { action: match[1], id: Number(match[2]), page: Number(match[3]) };
+}
+
+module.exports = { PAGE_SIZE, renderTodoPage, parseTodoCallback };
@@ -0,0 +1,194 @@
+const store = require('./store');
+const scheduler = require('./scheduler');
+const { parseWhen } = require('./timeparse');
+
+const PRIORITIES = ['low', 'medium', 'high'];
+const MAX_TEXT_LENGTH = 500;
+const MAX_TAGS = 10;
+const MAX_WRITE_ATTEMPTS = 5;
+
+// Thrown for bad client input; the message is safe to show to the user
+class TodoValidationError extends Error {
+    constructor(message) {
+        super(message);
+        this.name = 'TodoValidationError';
+    }
+}
+
+function normalizeTags(tags) {
+    if (tags == null) return [];
+    const list = Array.isArray(tags) ? tags : String(tags).split(',');
+    const clean = list
+        .map(t => String(t).trim().replace(/^#/, '').toLowerCase())
+        .filter(Boolean);
+    return [...new Set(clean)].slice(0, MAX_TAGS);
+}
+
+function parseDate(value, label) {
+    if (value === null || value === '') return null;
+    const date = new Date(value);
+    if (isNaN(date)) throw new TodoValidationError(`Invalid ${label}.`);
+    return date;
+}
+
+// Validates the editable fields present in `input`; absent fields are left out
+function sanitizeFields(input = {}) {
+    const fields = {};
+    if (input.text !== undefined) {
+        const text = String(input.text).trim();
+        if (!text) throw new TodoValidationError("Task text cannot be empty.");
+        if (text.length > MAX_TEXT_LENGTH) throw new TodoValidationError(`Task text is limited to ${MAX_TEXT_LENGTH} characters.`);
+        fields.text = text;
+    }
+    if (input.priority !== undefined) {
+        if (!PRIORITIES.includes(input.priority)) throw new TodoValidationError(`Priority must be one of: ${PRIORITIES.join(', ')}.`);
+        fields.priority = input.priority;
+    }
+    if (input.dueDate !== undefined) fields.dueDate = parseDate(input.dueDate, 'due date');
+    if (input.remindAt !== undefined) fields.remindAt = parseDate(input.remindAt, 'reminder time');
+    if (input.tags !== undefined) fields.tags = normalizeTags(input.tags);
+    if (input.done !== undefined) fields.done = !!input.done;
+    return fields;
+}
+
+// "call mom tomorrow 9am #family" -> { text: "call mom", tags: ['family'], remindAt: <Date> }
+// A time in the text becomes both the due date and the reminder; `timeZone` reads it.
+function parseQuickTodo(raw, { timeZone, now } = {}) {
+    const tags = [];
+    let text = String(raw).replace(/(^|\s)#([\w-]+)/g, (match, lead, tag) => {
+        tags.push(tag);
+        return '';
+    }).replace(/\s+/g, ' ').trim();
+
+    // Only when something is left over: "tomorrow 9am" alone is not a task
+    const when = parseWhen(text, { timeZone, now });
+    const remindAt = when && when.rest ? when.date : null;
+    if (remindAt) text = when.rest;
+    return { text, tags: normalizeTags(tags), remindAt };
+}
+
+function setDone(todo, done) {
+    todo.done = done;
+    todo.completedAt = done ? (todo.completedAt || new Date()) : null;
+}
+
+// Ids double as creation timestamps; bump past the newest to stay unique
+function nextTodoId(list) {
+    const maxId = list.reduce((max, t) => Math.max(max, t.id || 0), 0);
+    return Math.max(Date.now(), maxId + 1);
+}
+
+// Loads the wallet's list, lets `fn` mutate it and writes it back unless someone
+// else saved in between. On a conflict the list is reloaded and `fn` runs again,
+// so it must only change the list it is given. Returns whatever `fn` returns.
+async function mutateTodos(wallet, fn) {
+    for (let attempt = 1; attempt <= MAX_WRITE_ATTEMPTS; attempt++) {
+        const { todos: list, version } = await store.todos.load(wallet);
+        const result = fn(list);
+        if (await store.todos.save(wallet, list, version)) return result;
+    }
+    throw new Error(`Todo list of ${wallet} kept changing; gave up after ${MAX_WRITE_ATTEMPTS} attempts`);
+}
+
+async function listTodos(wallet) {
+    return store.todos.list(wallet);
+}
+
+async function addTodo(wallet, input) {
+    const fields = sanitizeFields(input);
+    if (!fields.text) throw new TodoValidationError("Task text cannot be empty.");
+
+    const added = await mutateTodos(wallet, (list) => {
+        const todo = {
+            id: nextTodoId(list),
+            text: fields.text,
+            done: false,
+            priority: fields.priority || 'medium',
+            dueDate: fields.dueDate || null,
+            remindAt: fields.remindAt || null,
+            tags: fields.tags || [],
+            createdAt: new Date(),
+            completedAt: null
+        };
+        list.push(todo);
+        return todo;
+    });
+    await scheduler.syncReminder(wallet, added);
+    return added;
+}
+
+async function updateTodo(wallet, id, changes) {
+    const fields = sanitizeFields(changes);
+    const updated = await mutateTodos(wallet, (list) => {
+        const todo = list.find(t => t.id === id);
+        if (!todo) return null;
+        const { done, ...rest } = fields;
+        Object.assign(todo, rest);
+        if (done !== undefined) setDone(todo, done);
+        return todo;
+    });
+    await scheduler.syncReminder(wallet, updated);
+    return updated;
+}
+
+async function toggleTodo(wallet, id) {
+    const updated = await mutateTodos(wallet, (list) => {
+        const todo = list.find(t => t.id === id);
+        if (!todo) return null;
+        setDone(todo, !todo.done);
+        return todo;
+    });
+    await scheduler.syncReminder(wallet, updated);
+    return updated;
+}
+
+async function deleteTodo(wallet, id) {
+    const removed = await mutateTodos(wallet, (list) => {
+        const index = list.findIndex(t => t.id === id);
+        if (index === -1) return null;
+        return list.splice(index, 1)[0];
+    });
+    if (removed) await scheduler.cancelReminder(wallet, id);
+    return removed;
+}
+
+// `ids` is the desired order; todos missing from it keep their relative order at the end
+async function reorderTodos(wallet, ids) {
+    if (!Array.isArray(ids)) throw new TodoValidationError("Reorder needs a list of task ids.");
+    return mutateTodos(wallet, (list) => {
+        const byId = new Map(list.map(t => [t.id, t]));
+        const ordered = [];
+        ids.forEach(id => {
+            if (byId.has(id)) {
+                ordered.push(byId.get(id));
+                byId.delete(id);
+            }
+        });
+        const rest = list.filter(t => byId.has(t.id));
+        list.splice(0, list.length, ...ordered, ...rest);
+        return list;
+    });
+}
+
+async function clearCompleted(wallet) {
+    return mutateTodos(wallet, (list) => {
+        const before = list.length;
+        const open = list.filter(t => !t.done);
+        list.splice(0, list.length, ...open);
+        return before - open.length;
+    });
+}
+
+module.exports = {
+    PRIORITIES,
+    TodoValidationError,
+    normalizeTags,
+    parseQuickTodo,
+    listTodos,
+    addTodo,
+    updateTodo,
+    toggleTodo,
+    deleteTodo,
+    reorderTodos,
+    clearCompleted
+};
@@ -0,0 +1,169 @@
+const todoService = require('./todos');
+
+// OpenAI function-calling definitions for the caller's own todo list
+const TODO_TOOL_DEFINITIONS = [
+    {
+        type: 'function',
+        function: {
+            name: 'list_todos',
+            description: "List the user's tasks with their ids. Call this before changing a task you only know by name.",
+            parameters: {
+                type: 'object',
+                properties: {
+                    status: { type: 'string', enum: ['all', 'open', 'done'], description: 'Which tasks to return. Defaults to all.' }
+                }
+            }
+        }
+    },
+    {
+        type: 'function',
+        function: {
+            name: 'add_todo',
+            description: 'Add a new task to the user\'s list.',
+            parameters: {
+                type: 'object',
+                properties: {
+                    text: { type: 'string', description: 'What needs to be done.' },
+                    priority: { type: 'string', enum: todoService.PRIORITIES },
+                    dueDate: { type: 'string', description: 'ISO 8601 date-time, resolved against the current time.' },
+                    remindAt: { type: 'string', description: 'ISO 8601 date-time at which to ping the user about it.' },
+                    tags: { type: 'array', items: { type: 'string' } }
+                },
+                required: ['text']
+            }
+        }
+    },
+    {
+        type: 'function',
+        function: {
+            name: 'complete_todo',
+            description: 'Mark a task as done (or reopen it with done=false).',
+            parameters: {
+                type: 'object',
+                properties: {
+                    id: { type: 'number' },
+                    done: { type: 'boolean', description: 'Defaults to true.' }
+                },
+                required: ['id']
+            }
+        }
+    },
+    {
+        type: 'function',
+        function: {
+            name: 'delete_todo',
+            description: 'Permanently remove a task.',
+            parameters: {
+                type: 'object',
+                properties: { id: { type: 'number' } },
+                required: ['id']
+            }
+        }
+    },
+    {
+        type: 'function',
+        function: {
+            name: 'reschedule_todo',
+            description: 'Change or clear the due date and/or reminder time of a task.',
+            parameters: {
+                type: 'object',
+                properties: {
+                    id: { type: 'number' },
+                    dueDate: { type: ['string', 'null'], description: 'ISO 8601 date-time, or null to clear it.' },
+                    remindAt: { type: ['string', 'null'], description: 'ISO 8601 date-time for a reminder, or null to clear it.' }
+                },
+                required: ['id']
+            }
+        }
+    }
+];
+
+const summarize = (t) => ({
+    id: t.id,
+    text: t.text,
+    done: t.done,
+    priority: t.priority,
+    dueDate: t.dueDate,
+    remindAt: t.remindAt,
+    tags: t.tags
+});
+
+const timeOf = (value) => value ? new Date(value).getTime() : null;
+const sameTime = (a, b) => timeOf(a) === timeOf(b);
+
+// Binds the todo tools to one wallet. Every call is logged; `changed` flips
+// once any call has modified the list so the caller can broadcast state.
+function createTodoTools(wallet) {
+    const tools = {
+        definitions: TODO_TOOL_DEFINITIONS,
+        changed: false,
+
+        async execute(name, rawArgs) {
+            let args;
+            try {
+                args = typeof rawArgs === 'string' ? JSON.parse(rawArgs || '{}') : (rawArgs || {});
+            } catch (e) {
+                return { error: 'Arguments were not valid JSON.' };
+            }
+
+            let result;
+            try {
+                result = await runTool(wallet, name, args);
+                if (result.changed) tools.changed = true;
+                result = result.output;
+            } catch (e) {
+                if (!(e instanceof todoService.TodoValidationError)) throw e;
+                result = { error: e.message };
+            }
+
+            console.log(`🛠️ Tool [${wallet}] ${name}(${JSON.stringify(args)}) ->`, JSON.stringify(result));
+            return result;
+        }
+    };
+    return tools;
+}
+
+async function runTool(wallet, name, args) {
+    switch (name) {
+        case 'list_todos': {
+            let list = await todoService.listTodos(wallet);
+            if (args.status === 'open') list = list.filter(t => !t.done);
+            if (args.status === 'done') list = list.filter(t => t.done);
+            return { output: { todos: list.map(summarize) } };
+        }
+        case 'add_todo': {
+            const todo = await todoService.addTodo(wallet, {
+                text: args.text,
+                priority: args.priority,
+                dueDate: args.dueDate,
+                remindAt: args.remindAt,
+                tags: args.tags
+            });
+            return { changed: true, output: { added: summarize(todo) } };
+        }
+        case 'complete_todo': {
+            const todo = await todoService.updateTodo(wallet, args.id, { done: args.done !== false });
+            if (!todo) return { output: { error: `No task with id ${args.id}.` } };
+            return { changed: true, output: { updated: summarize(todo) } };
+        }
+        case 'delete_todo': {
+            const todo = await todoService.deleteTodo(wallet, args.id);
+            if (!todo) return { output: { error: `No task with id ${args.id}.` } };
+            return { changed: true, output: { deleted: summarize(todo) } };
+        }
+        case 'reschedule_todo': {
+            const current = (await todoService.listTodos(wallet)).find(t => t.id === args.id);
+            if (!current) return { output: { error: `No task with id ${args.id}.` } };
+            // Times the task already has are not written again, nor reported as a change
+            const fields = ['dueDate', 'remindAt'].filter(f => args[f] !== undefined);
+            if (fields.every(f => sameTime(args[f], current[f]))) return { output: { unchanged: summarize(current) } };
+            const todo = await todoService.updateTodo(wallet, args.id, { dueDate: args.dueDate, remindAt: args.remindAt });
+            if (!todo) return { output: { error: `No task with id ${args.id}.` } };
+            return { changed: true, output: { updated: summarize(todo) } };
+        }
+        default:
+            return { output: { error: `Unknown tool: ${name}` } };
+    }
+}
+
+module.exports = { createTodoTools };
@@ -0,0 +1,263 @@
+const store = require('./store');
+const roles = require('./roles');
+const tiers = require('./tiers');
+
+// LLM usage accounting and quotas. Every completion is billed to a subject:
+//   wallet:<address>  logged-in HQ users and linked Telegram chats
+//   tg:<chatId>       unlinked Telegram chats ("Anons")
+//   system            Alon's own writing (reminders, digests, Moltbook drafts)
+// Usage is kept per subject per UTC day. Before a reply, the subject's tier
+// ('anon' or its role) is checked for a per-minute rate limit and daily budgets.
+// Plain users' limits are scaled by their token tier's quotaMultiplier.
+
+// USD per million tokens. Model ids are matched on the longest known prefix, so
+// dated snapshots ("gpt-4o-2024-08-06") price like their family.
+const PRICES = {
+    'gpt-4o': { input: 2.5, output: 10 },
+    'gpt-4o-mini': { input: 0.15, output: 0.6 },
+    'gpt-4.1': { input: 2, output: 8 },
+    'gpt-4.1-mini': { input: 0.4, output: 1.6 },
+    'gpt-4.1-nano': { input: 0.1, output: 0.4 },
+    'offline': { input: 0, output: 0 }
+};
+
+// LLM_PRICE_INPUT / LLM_PRICE_OUTPUT (USD per million tokens) override the table,
+// e.g. for a self-hosted openai-compatible model
+const PRICE_OVERRIDE = process.env.LLM_PRICE_INPUT || process.env.LLM_PRICE_OUTPUT
+    ? { input: Number(process.env.LLM_PRICE_INPUT) || 0, output: Number(process.env.LLM_PRICE_OUTPUT) || 0 }
+    : null;
+
+// null means unlimited. Owners change these from HQ; they are kept under the
+// 'usage_limits' system key and merged over the defaults.
+const TIERS = ['anon', ...roles.ROLES];
+const LIMIT_FIELDS = ['perMinute', 'dailyTokens', 'dailyUsd'];
+const DEFAULT_LIMITS = {
+    anon: { perMinute: 3, dailyTokens: 20000, dailyUsd: 0.05 },
+    user: { perMinute: 6, dailyTokens: 200000, dailyUsd: 0.5 },
+    moderator: { perMinute: 10, dailyTokens: null, dailyUsd: 2 },
+    admin: { perMinute: 20, dailyTokens: null, dailyUsd: 10 },
+    owner: { perMinute: null, dailyTokens: null, dailyUsd: null }
+};
+
+const RATE_WINDOW_MS = 60 * 1000;
+const DAY_MS = 24 * 60 * 60 * 1000;
+const SYSTEM = { subject: 'system', wallet: null, telegramId: null };
+
+// Thrown when a subject is over a limit. `kind` is 'rate' or 'budget'. Users see
+// the persona's rateLimited / overBudget line instead of this message.
+class QuotaError extends Error {
+    constructor(kind, { retryAfterMs }) {
+        super(`${kind === 'rate' ? 'Rate' : 'Daily budget'} limit reached; retry in ${Math.max(1, Math.ceil(retryAfterMs / 1000))}s`);
+        this.name = 'QuotaError';
+        this.kind = kind;
+        this.retryAfterMs = retryAfterMs;
+    }
+}
+
+// Thrown when a limit change is not allowed; the message is safe to show to the user
+class LimitError extends Error {
+    constructor(message) {
+        super(message);
+        this.name = 'LimitError';
+    }
+}
+
+// subject -> timestamps of admitted requests in the last RATE_WINDOW_MS (per process)
+const recentRequests = new Map();
+
+// Drops subjects with nothing left in their window so the map doesn't grow forever
+function pruneRecent(nowMs) {
+    if (recentRequests.size < 1000) return;
+    recentRequests.forEach((hits, subject) => {
+        if (!hits.length || nowMs - hits[hits.length - 1] >= RATE_WINDOW_MS) recentRequests.delete(subject);
+    });
+}
+
+const dayOf = (date = new Date()) => date.toISOString().slice(0, 10);
+const msUntilNextDay = (now = new Date()) => DAY_MS - (now.getTime() % DAY_MS);
+
+function subjectFor({ wallet, telegramId } = {}) {
+    const chat = telegramId ? String(telegramId) : null;
+    if (wallet) return { subject: `wallet:${wallet}`, wallet, telegramId: chat };
+    if (chat) return { subject: `tg:${chat}`, wallet: null, telegramId: chat };
+    return SYSTEM;
+}
+
+// The price for `model`, or null when it is unknown
+function knownPrice(model) {
+    if (PRICE_OVERRIDE) return PRICE_OVERRIDE;
+    const id = String(model || '').toLowerCase();
+    const match = Object.keys(PRICES)
+        .filter(name => id === name || id.startsWith(`${name}-`))
+        .sort((a, b) => b.length - a.length)[0];
+    return match ? PRICES[match] : null;
+}
+
+// Unknown models would cost $0 and never reach a dailyUsd budget, so personas may only pick priced ones
+const isPriced = (model) => knownPrice(model) !== null;
+const PRICED_MODELS = Object.keys(PRICES).filter(name => name !== 'offline');
+
+function priceFor(model) {
+    return knownPrice(model) || { input: 0, output: 0 };
+}
+
+const costOf = (model, { promptTokens = 0, completionTokens = 0 }) => {
+    const price = priceFor(model);
+    return (promptTokens * price.input + completionTokens * price.output) / 1e6;
+};
+
+async function getLimits() {
+    const saved = (await store.system.get('usage_limits')) || {};
+    const limits = {};
+    TIERS.forEach(tier => {
+        limits[tier] = { ...DEFAULT_LIMITS[tier], ...(saved[tier] || {}) };
+    });
+    return limits;
+}
+
+async function tierOf(owner) {
+    return owner.wallet ? roles.getRole(owner.wallet) : 'anon';
+}
+
+// The limits that apply to `owner`: its tier's, times its bag's multiplier for plain users
+async function limitsFor(owner) {
+    const tier = await tierOf(owner);
+    const limits = (await getLimits())[tier];
+    if (tier !== 'user') return { tier, limits, bag: null };
+    const bag = await tiers.cachedTier(owner.wallet);
+    const { quotaMultiplier } = bag;
+    const scaled = {};
+    LIMIT_FIELDS.forEach(field => {
+        const value = limits[field];
+        scaled[field] = value == null ? null : field === 'dailyUsd' ? value * quotaMultiplier : Math.floor(value * quotaMultiplier);
+    });
+    return { tier, limits: scaled, bag: bag.name };
+}
+
+// Normalises a limit from HQ: '', null and 'unlimited' mean no limit
+function parseLimit(field, value) {
+    if (value === undefined) return undefined;
+    if (value === null || value === '' || value === 'unlimited') return null;
+    const number = Number(value);
+    if (!Number.isFinite(number) || number < 0) throw new LimitError(`${field} must be a non-negative number or empty for unlimited.`);
+    return field === 'dailyUsd' ? number : Math.floor(number);
+}
+
+async function setLimits(actorWallet, tier, changes = {}) {
+    if (!(await roles.hasPermission(actorWallet, 'usage.manage'))) throw new LimitError("You are not allowed to change usage limits.");
+    if (!TIERS.includes(tier)) throw new LimitError(`Unknown tier. Use one of: ${TIERS.join(', ')}.`);
+
+    const saved = (await store.system.get('usage_limits')) || {};
+    const next = { ...(saved[tier] || {}) };
+    LIMIT_FIELDS.forEach(field => {
+        const value = parseLimit(field, changes[field]);
+        if (value !== undefined) next[field] = value;
+    });
+    await store.system.set('usage_limits', { ...saved, [tier]: next });
+    console.log(`📊 Usage limits for ${tier} changed by ${actorWallet}: ${JSON.stringify(next)}`);
+    return getLimits();
+}
+
+// Checks the caller's limits and reserves a slot in its rate window.
+// Resolves to the subject to bill, or throws QuotaError.
+async function admit(owner) {
+    const subject = subjectFor(owner);
+    if (subject === SYSTEM) return subject;
+
+    const { limits } = await limitsFor(subject);
+    const now = new Date();
+
+    if (limits.dailyUsd != null || limits.dailyTokens != null) {
+        const today = await store.usage.get(subject.subject, dayOf(now));
+        const overBudget = today && (
+            (limits.dailyUsd != null && today.costUsd >= limits.dailyUsd) ||
+            (limits.dailyTokens != null && today.totalTokens >= limits.dailyTokens)
+        );
+        if (overBudget) throw new QuotaError('budget', { retryAfterMs: msUntilNextDay(now) });
+    }
+
+    if (limits.perMinute != null) {
+        const nowMs = now.getTime();
+        const hits = (recentRequests.get(subject.subject) || []).filter(t => nowMs - t < RATE_WINDOW_MS);
+        if (hits.length >= limits.perMinute) {
+            recentRequests.set(subject.subject, hits);
+            throw new QuotaError('rate', { retryAfterMs: RATE_WINDOW_MS - (nowMs - hits[0]) });
+        }
+        hits.push(nowMs);
+        recentRequests.set(subject.subject, hits);
+        pruneRecent(nowMs);
+    }
+    return subject;
+}
+
+// Adds one completion ({ usage, model } from llm.complete) to the subject's day
+async function record(subject, { usage, model }) {
+    if (!usage) return;
+    const costUsd = costOf(model, usage);
+    await store.usage.add({ ...subject, day: dayOf() }, {
+        requests: 1,
+        promptTokens: usage.promptTokens,
+        completionTokens: usage.completionTokens,
+        costUsd
+    });
+}
+
+const emptyTotals = () => ({ requests: 0, promptTokens: 0, completionTokens: 0, totalTokens: 0, costUsd: 0 });
+
+function addTotals(target, row) {
+    ['requests', 'promptTokens', 'completionTokens', 'totalTokens', 'costUsd'].forEach(key => {
+        target[key] += row[key] || 0;
+    });
+    return target;
+}
+
+// Spend over the last `days` UTC days (today included), by day and by subject
+async function report({ days = 7 } = {}) {
+    const span = Math.min(Math.max(parseInt(days, 10) || 7, 1), 90);
+    const now = Date.now();
+    const dayList = Array.from({ length: span }, (_, i) => dayOf(new Date(now - (span - 1 - i) * DAY_MS)));
+    const rows = await store.usage.since(dayList[0]);
+
+    const byDay = new Map(dayList.map(day => [day, { day, ...emptyTotals() }]));
+    const bySubject = new Map();
+    const totals = emptyTotals();
+    rows.forEach(row => {
+        if (byDay.has(row.day)) addTotals(byDay.get(row.day), row);
+        const entry = bySubject.get(row.subject) ||
+            bySubject.set(row.subject, { subject: row.subject, wallet: null, telegramId: null, ...emptyTotals() }).get(row.subject);
+        entry.wallet = entry.wallet || row.wallet || null;
+        entry.telegramId = entry.telegramId || row.telegramId || null;
+        addTotals(entry, row);
+        addTotals(totals, row);
+    });
+
+    return {
+        days: span,
+        totals,
+        byDay: [...byDay.values()],
+        byUser: [...bySubject.values()].sort((a, b) => b.costUsd - a.costUsd || b.totalTokens - a.totalTokens)
+    };
+}
+
+// Today's usage and limits for one caller, for /usage
+async function usageFor(owner) {
+    const subject = subjectFor(owner);
+    const [{ tier, limits, bag }, today] = await Promise.all([limitsFor(subject), store.usage.get(subject.subject, dayOf())]);
+    return { tier, bag, limits, today: today || emptyTotals() };
+}
+
+module.exports = {
+    TIERS,
+    QuotaError,
+    LimitError,
+    PRICED_MODELS,
+    subjectFor,
+    isPriced,
+    costOf,
+    getLimits,
+    setLimits,
+    admit,
+    record,
+    report,
+    usageFor
+};
@@ -0,0 +1,141 @@
+const solana = require('./solana');
+const tiers = require('./tiers');
+
+// /balance, /portfolio and /tx <signature> for the caller's wallet, shared by HQ
+// chat and Telegram. Each command resolves to { text, context }: `text` is the
+// formatted reply, `context` a plain summary for askAlon to react to (null when
+// there is nothing for him to comment on).
+
+const COMMANDS = ['/balance', '/portfolio', '/tx'];
+const PORTFOLIO_LIMIT = 15;
+const CONTEXT_TOKEN_LIMIT = 10;
+const SIGNATURE_PATTERN = /^[1-9A-HJ-NP-Za-km-z]{64,90}$/;
+
+// Symbols for well-known mints; anything else is shown by its shortened address
+const KNOWN_MINTS = {
+    'So11111111111111111111111111111111111111112': 'wSOL',
+    'EPjFWdd5AufqSSqeM2qN1xzybapC8G4wEGGkZwyTDt1v': 'USDC',
+    'Es9vMFrzaCERmJfrF4H2FYD4KCoNkY11McCe8BenwNYB': 'USDT',
+    'DezXAZ8z7PnrnRJjz3wXBoRgixCa6xjnB7YaB1pPB263': 'BONK',
+    'JUPyiwrYJFskUPiHa7hkeR8VUtAeFoSYbKedZNsDvCN': 'JUP',
+    'EKpQGSJtjMFqKZ9KQanSqYXRcF8fBopzLHYxdM65zcjm': 'WIF'
+};
+
+const USAGE = "usage: /balance | /portfolio | /tx <signature>";
+
+const shortAddress = (address) => `${address.slice(0, 4)}...${address.slice(-4)}`;
+const tokenLabel = (mint) => KNOWN_MINTS[mint] || shortAddress(mint);
+const formatAmount = (amount) => Number(amount).toLocaleString('en-US', { maximumFractionDigits: Math.abs(amount) < 1 ? 6 : 2 });
+const formatChange = (amount) => `${amount > 0 ? '+' : ''}${formatAmount(amount)}`;
+
+const isWalletCommand = (text) => COMMANDS.includes(String(text || '').trim().split(/\s+/)[0]);
+
+async function balance(wallet) {
+    const [sol, tier] = await Promise.all([solana.getSolBalance(wallet), tiers.cachedTier(wallet)]);
+    return {
+        text: `💰 ${shortAddress(wallet)}\n◎ ${formatAmount(sol)} SOL · tier: ${tier.name}`,
+        context: `The user's wallet holds ${sol} SOL. Their tier is ${tier.name}.`
+    };
+}
+
+async function portfolio(wallet) {
+    const [sol, tokens] = await Promise.all([solana.getSolBalance(wallet), solana.getTokenBalances(wallet)]);
+    const holdings = Object.entries(tokens)
+        .filter(([, amount]) => amount > 0)
+        .sort((a, b) => b[1] - a[1]);
+
+    const lines = holdings.slice(0, PORTFOLIO_LIMIT).map(([mint, amount]) => `▫️ ${tokenLabel(mint)}: ${formatAmount(amount)}`);
+    if (holdings.length > PORTFOLIO_LIMIT) lines.push(`…and ${holdings.length - PORTFOLIO_LIMIT} more`);
+    const summary = holdings.slice(0, CONTEXT_TOKEN_LIMIT).map(([mint, amount]) => `${tokenLabel(mint)} ${amount}`).join(', ');
+    return {
+        text: `📊 portfolio of ${shortAddress(wallet)}\n◎ ${formatAmount(sol)} SOL\n` +
+            (lines.length ? lines.join('\n') : 'no SPL tokens.'),
+        context: `The user's wallet holds ${sol} SOL and ${holdings.length} SPL token(s)` +
+            (summary ? `: ${summary}.` : '.')
+    };
+}
+
+// SOL and token balance changes of `wallet` in a parsed transaction. The RPC may
+// return a transaction without its status meta; then nothing is known to have changed.
+function changesFor(tx, wallet) {
+    const keys = tx.transaction.message.accountKeys.map(k => (typeof k === 'string' ? k : k.pubkey));
+    if (!tx.meta) return { sol: null, tokens: {}, signer: keys[0] };
+    const index = keys.indexOf(wallet);
+    const sol = index === -1 ? null : (tx.meta.postBalances[index] - tx.meta.preBalances[index]) / solana.LAMPORTS_PER_SOL;
+
+    const tokens = {};
+    const add = (entries, sign) => (entries || []).forEach(entry => {
+        if (entry.owner !== wallet) return;
+        tokens[entry.mint] = (tokens[entry.mint] || 0) + sign * (Number(entry.uiTokenAmount.uiAmountString) || 0);
+    });
+    add(tx.meta.preTokenBalances, -1);
+    add(tx.meta.postTokenBalances, 1);
+    Object.keys(tokens).forEach(mint => { if (tokens[mint] === 0) delete tokens[mint]; });
+    return { sol, tokens, signer: keys[0] };
+}
+
+async function transaction(signature, wallet) {
+    if (!signature) return { text: "usage: /tx <signature>", context: null };
+    if (!SIGNATURE_PATTERN.test(signature)) return { text: "❌ that doesn't look like a transaction signature.", context: null };
+
+    const tx = await solana.getTransaction(signature);
+    if (!tx) return { text: `🧾 ${shortAddress(signature)} not found. too fresh, or on another cluster.`, context: null };
+
+    const { sol, tokens, signer } = changesFor(tx, wallet);
+    if (!tx.meta) {
+        return {
+            text: `🧾 tx ${shortAddress(signature)}\nslot ${tx.slot} · signer: ${signer === wallet ? 'you' : shortAddress(signer)}\n` +
+                "the rpc has no status or balance changes for this one.",
+            context: null
+        };
+    }
+    const failed = !!tx.meta.err;
+    const fee = tx.meta.fee / solana.LAMPORTS_PER_SOL;
+    const when = tx.blockTime ? new Date(tx.blockTime * 1000).toISOString().replace('T', ' ').slice(0, 16) + ' utc' : 'unknown time';
+    const tokenChanges = Object.entries(tokens).map(([mint, amount]) => `${formatChange(amount)} ${tokenLabel(mint)}`);
+
+    const lines = [
+        `🧾 tx ${shortAddress(signature)}`,
+        `status: ${failed ? '❌ failed' : '✅ success'}`,
+        `when: ${when} (slot ${tx.slot})`,
+        `fee: ${formatAmount(fee)} SOL · signer: ${signer === wallet ? 'you' : shortAddress(signer)}`
+    ];
+    if (sol !== null) lines.push(`your SOL: ${formatChange(sol)}`);
+    if (tokenChanges.length) lines.push(`your tokens: ${tokenChanges.join(', ')}`);
+    if (sol === null && !tokenChanges.length) lines.push("your wallet isn't part of this one.");
+
+    const involvement = sol === null && !tokenChanges.length
+        ? "The user's wallet is not involved in it."
+        : `The user's SOL changed by ${sol || 0}` + (tokenChanges.length ? ` and their tokens by ${tokenChanges.join(', ')}.` : '.');
+    return {
+        text: lines.join('\n'),
+        context: `The user looked up a Solana transaction that ${failed ? 'failed' : 'succeeded'} with a fee of ${fee} SOL. ${involvement}`
+    };
+}
+
+// Runs one wallet command for a logged-in or linked `wallet`
+async function runWalletCommand(text, { wallet }) {
+    const [command, arg] = text.trim().split(/\s+/);
+    if (!wallet) return { text: "🔒 Please link your wallet first using /link command.", context: null };
+    try {
+        switch (command) {
+            case '/balance':
+                return await balance(wallet);
+            case '/portfolio':
+                return await portfolio(wallet);
+            case '/tx':
+                return await transaction(arg, wallet);
+            default:
+                return { text: USAGE, context: null };
+        }
+    } catch (e) {
+        if (!(e instanceof solana.SolanaRpcError)) throw e;
+        console.warn(`💰 ${command} for ${wallet} failed: ${e.message}`);
+        return { text: "❌ couldn't reach the solana rpc. try again in a bit.", context: null };
+    }
+}
+
+module.exports = {
+    isWalletCommand,
+    runWalletCommand
+};
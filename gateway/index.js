@@ -1,7 +1,13 @@
 const TelegramBot = require('node-telegram-bot-api');
 const WebSocket = require('ws');
+const http = require('http');
 const fs = require('fs');
 const path = require('path');
+const crypto = require('crypto');
+const { OutboundQueue } = require('./queue');
+const metrics = require('prom-client');
+const { createHealthHandler } = require('../shared/health');
+const handshake = require('../shared/handshake');
 
 // Load Config
 const CONFIG_PATH = path.join(__dirname, 'config.json');
@@ -21,42 +27,523 @@ if (!TOKEN) {
     process.exit(1);
 }
 
-// 1. Setup Telegram Bot
-console.log("Starting Telegram Bot...");
-const bot = new TelegramBot(TOKEN, { polling: true });
+// Authorized WebSocket clients: { [clientId]: { secret, role } }.
+// Role "agent" may send to Telegram; role "observer" may only receive updates.
+// GATEWAY_SECRET registers the agent (GATEWAY_CLIENT_ID, default "alon-agent") from the environment.
+const AUTH_TIMEOUT_MS = 5000;
+const CLIENT_ROLES = ['agent', 'observer'];
+const authClients = { ...(config.auth?.clients || {}) };
+if (process.env.GATEWAY_SECRET) {
+    authClients[process.env.GATEWAY_CLIENT_ID || 'alon-agent'] = { secret: process.env.GATEWAY_SECRET, role: 'agent' };
+}
+if (Object.keys(authClients).length === 0) {
+    console.warn("⚠️ No gateway clients configured (auth.clients or GATEWAY_SECRET). All WebSocket connections will be rejected.");
+}
+
+// Telegram update mode: "polling" for local development, "webhook" for hosted
+// deployments. Defaults to webhook when a public URL is known (Render sets RENDER_EXTERNAL_URL).
+const WEBHOOK_BASE_URL = process.env.WEBHOOK_URL || config.telegram?.webhook?.url || process.env.RENDER_EXTERNAL_URL;
+const TELEGRAM_MODE = process.env.TELEGRAM_MODE || config.telegram?.mode || (WEBHOOK_BASE_URL ? 'webhook' : 'polling');
+const WEBHOOK_PATH = config.telegram?.webhook?.path || '/telegram/webhook';
+// Telegram echoes this in X-Telegram-Bot-Api-Secret-Token on every update.
+// A random one is fine when unset since we register the webhook ourselves on boot.
+const WEBHOOK_SECRET = process.env.TELEGRAM_WEBHOOK_SECRET || config.telegram?.webhook?.secret || crypto.randomBytes(32).toString('hex');
+// Each boot registers its own URL suffix, so an instance shutting down during a
+// rolling deploy can tell it no longer owns the webhook and leaves it alone.
+const WEBHOOK_INSTANCE = crypto.randomBytes(8).toString('hex');
+const WEBHOOK_MAX_BODY = 1024 * 1024;
+
+if (!['polling', 'webhook'].includes(TELEGRAM_MODE)) {
+    console.error(`Unknown TELEGRAM_MODE "${TELEGRAM_MODE}" (expected polling or webhook)`);
+    process.exit(1);
+}
+if (TELEGRAM_MODE === 'webhook' && !WEBHOOK_BASE_URL) {
+    console.error("Webhook mode needs WEBHOOK_URL (or telegram.webhook.url in config.json)");
+    process.exit(1);
+}
+
+// 1. Setup Telegram Bot (updates are started once the HTTP server is listening)
+console.log(`Starting Telegram Bot (${TELEGRAM_MODE} mode)...`);
+const bot = new TelegramBot(TOKEN, { polling: false });
+
+// --- Telegram Update Health ---
+// Readiness only fails when updates cannot arrive at all: polling has stopped or
+// our webhook is not the registered one. Recent errors (ours, or the delivery
+// errors Telegram reports for the webhook) are reported alongside but don't fail it.
+const TELEGRAM_ERROR_WINDOW_MS = 2 * 60 * 1000;
+const WEBHOOK_INFO_TTL_MS = 30 * 1000;
+const WEBHOOK_INFO_WAIT_MS = 2000;
+const telegramStatus = { started: false, lastUpdateAt: null, lastError: null, lastErrorAt: 0 };
+let webhookInfoCache = { at: 0, info: null, error: null };
+let webhookInfoRefresh = null;
+
+function noteTelegramError(e) {
+    telegramStatus.lastError = e.message;
+    telegramStatus.lastErrorAt = Date.now();
+}
+
+// getWebHookInfo at most every WEBHOOK_INFO_TTL_MS; a failed or slow call leaves
+// the last known info in place and is reported as webhookInfoError
+async function webhookInfo() {
+    if (!webhookInfoRefresh && Date.now() - webhookInfoCache.at > WEBHOOK_INFO_TTL_MS) {
+        webhookInfoRefresh = bot.getWebHookInfo()
+            .then(
+                info => { webhookInfoCache = { at: Date.now(), info, error: null }; },
+                e => { webhookInfoCache = { ...webhookInfoCache, at: Date.now(), error: e.message }; }
+            )
+            .finally(() => { webhookInfoRefresh = null; });
+    }
+    if (webhookInfoRefresh) {
+        let timer;
+        const wait = new Promise(resolve => { timer = setTimeout(resolve, WEBHOOK_INFO_WAIT_MS); });
+        await Promise.race([webhookInfoRefresh, wait]);
+        clearTimeout(timer);
+    }
+    return webhookInfoRefresh ? { ...webhookInfoCache, error: 'getWebHookInfo is not answering' } : webhookInfoCache;
+}
+
+async function telegramHealth() {
+    const details = { mode: TELEGRAM_MODE, lastUpdateAt: telegramStatus.lastUpdateAt, lastError: telegramStatus.lastError };
+    if (!telegramStatus.started) return { ...details, ok: false, error: 'updates not started yet' };
+
+    if (TELEGRAM_MODE === 'polling') {
+        const recentError = Date.now() - telegramStatus.lastErrorAt < TELEGRAM_ERROR_WINDOW_MS;
+        return { ...details, ok: bot.isPolling(), polling: bot.isPolling(), recentError };
+    }
+
+    const { info, error } = await webhookInfo();
+    // Until Telegram has answered once, trust the registration made on startup
+    const registered = info ? info.url === webhookUrl() : true;
+    const lastErrorAt = Math.max(info && info.last_error_date ? info.last_error_date * 1000 : 0, telegramStatus.lastErrorAt);
+    return {
+        ...details,
+        ok: registered,
+        registered,
+        pendingUpdates: info ? info.pending_update_count || 0 : null,
+        lastError: (info && info.last_error_message) || details.lastError,
+        recentError: Date.now() - lastErrorAt < TELEGRAM_ERROR_WINDOW_MS,
+        ...(error ? { webhookInfoError: error } : {})
+    };
+}
+
+function webhookUrl() {
+    return `${WEBHOOK_BASE_URL.replace(/\/+$/, '')}${WEBHOOK_PATH}/${WEBHOOK_INSTANCE}`;
+}
+
+function secretMatches(header) {
+    if (typeof header !== 'string') return false;
+    const given = Buffer.from(header);
+    const expected = Buffer.from(WEBHOOK_SECRET);
+    return given.length === expected.length && crypto.timingSafeEqual(given, expected);
+}
+
+// Telegram POSTs one update per request. We answer 200 straight away and process
+// the update afterwards so a slow handler never makes Telegram redeliver it.
+function handleWebhook(req, res) {
+    if (req.method !== 'POST') {
+        res.writeHead(405).end();
+        return;
+    }
+    if (!secretMatches(req.headers['x-telegram-bot-api-secret-token'])) {
+        console.warn("Rejected webhook request with a bad secret token");
+        res.writeHead(401).end();
+        return;
+    }
+
+    const chunks = [];
+    let size = 0;
+    req.on('data', chunk => {
+        size += chunk.length;
+        if (size > WEBHOOK_MAX_BODY) {
+            res.writeHead(413).end();
+            req.destroy();
+            return;
+        }
+        chunks.push(chunk);
+    });
+    req.on('end', () => {
+        let update;
+        try {
+            update = JSON.parse(Buffer.concat(chunks).toString('utf8'));
+        } catch (e) {
+            res.writeHead(400).end();
+            return;
+        }
+        res.writeHead(200).end();
+        try {
+            bot.processUpdate(update);
+        } catch (e) {
+            errorsTotal.inc({ kind: 'update' });
+            console.error("Error processing webhook update:", e);
+        }
+    });
+}
+
+// /healthz, /readyz and /metrics (see shared/health.js). Telegram updates are critical.
+// A missing agent is only reported: restarting the gateway would not bring it back, and
+// updates that arrive meanwhile are dropped (broadcast() has no one to send them to).
+const handleHealth = createHealthHandler({
+    registry: metrics.register,
+    checks: {
+        telegram: { critical: true, run: telegramHealth },
+        clients: {
+            critical: false,
+            run: () => ({
+                ok: clients.some(c => c.role === 'agent'),
+                connected: clients.map(c => ({ clientId: c.clientId, role: c.role }))
+            })
+        }
+    }
+});
+
+// 2. Setup HTTP + WebSocket Server (one port, which is all a hosted web service gets)
+const server = http.createServer((req, res) => {
+    const { pathname } = new URL(req.url, 'http://localhost');
+    if (TELEGRAM_MODE === 'webhook' && (pathname === WEBHOOK_PATH || pathname.startsWith(`${WEBHOOK_PATH}/`))) {
+        return handleWebhook(req, res);
+    }
+    if (handleHealth(req, res, pathname)) return;
+    if (req.method === 'GET' && pathname === '/') {
+        res.writeHead(200, { 'Content-Type': 'application/json' });
+        res.end(JSON.stringify({ status: 'ok', mode: TELEGRAM_MODE }));
+        return;
+    }
+    res.writeHead(404).end();
+});
 
-// 2. Setup WebSocket Server
 console.log(`Starting WebSocket Server on port ${PORT}...`);
-const wss = new WebSocket.Server({ port: PORT });
+const wss = new WebSocket.Server({ server });
 
 // Store connected clients (Agent, UI)
 let clients = [];
+const STARTED_AT = Date.now();
+
+// --- Outbound Delivery Queue ---
+// Every Bot API call we make on behalf of clients goes through the queue, which
+// paces, retries and persists it. Outcomes are acked to the client that asked.
+const queue = new OutboundQueue(bot, {
+    ...(config.queue || {}),
+    filePath: path.join(__dirname, config.queue?.file || 'data/outbox.json')
+});
+queue.start();
+
+// --- Metrics ---
+metrics.collectDefaultMetrics();
+const updatesTotal = new metrics.Counter({
+    name: 'gateway_telegram_updates_total',
+    help: 'Telegram updates received, by type',
+    labelNames: ['type']
+});
+const deliveriesTotal = new metrics.Counter({
+    name: 'gateway_deliveries_total',
+    help: 'Bot API calls finished by the outbound queue, by method and status',
+    labelNames: ['method', 'status']
+});
+const deliverySeconds = new metrics.Histogram({
+    name: 'gateway_delivery_duration_seconds',
+    help: 'Seconds from enqueue to delivery, queueing and retries included',
+    labelNames: ['method'],
+    buckets: [0.1, 0.25, 0.5, 1, 2.5, 5, 10, 30, 60, 300]
+});
+const errorsTotal = new metrics.Counter({ name: 'gateway_errors_total', help: 'Errors, by kind', labelNames: ['kind'] });
+new metrics.Gauge({
+    name: 'gateway_queue_depth',
+    help: 'Outbound jobs pending or in flight',
+    collect() { this.set(queue.size()); }
+});
+new metrics.Gauge({
+    name: 'gateway_dead_letters',
+    help: 'Outbound jobs that failed for good',
+    collect() { this.set(queue.deadLetters.length); }
+});
+new metrics.Gauge({
+    name: 'gateway_clients',
+    help: 'Authenticated WebSocket clients, by role',
+    labelNames: ['role'],
+    collect() {
+        CLIENT_ROLES.forEach(role => this.set({ role }, clients.filter(c => c.role === role).length));
+    }
+});
+new metrics.Gauge({
+    name: 'gateway_streams_active',
+    help: 'Streamed replies being edited in place',
+    collect() { this.set(streams.size); }
+});
+
+// Acks for clients that are offline are held briefly and flushed when they reconnect
+const MAX_HELD_ACKS = 200;
+const heldAcks = {};
+
+function sendAck(clientId, ack) {
+    if (!clientId) return;
+    const targets = clients.filter(c => c.clientId === clientId && c.readyState === WebSocket.OPEN);
+    if (targets.length === 0) {
+        const held = heldAcks[clientId] || (heldAcks[clientId] = []);
+        held.push(ack);
+        if (held.length > MAX_HELD_ACKS) held.shift();
+        return;
+    }
+    const msg = JSON.stringify(ack);
+    targets.forEach(c => c.send(msg));
+}
+
+function flushHeldAcks(ws) {
+    const held = heldAcks[ws.clientId];
+    if (!held) return;
+    delete heldAcks[ws.clientId];
+    held.forEach(ack => ws.send(JSON.stringify(ack)));
+}
+
+queue.on('delivered', (job, result) => {
+    deliveriesTotal.inc({ method: job.method, status: 'sent' });
+    deliverySeconds.observe({ method: job.method }, (Date.now() - job.createdAt) / 1000);
+    sendAck(job.clientId, {
+        type: 'ACK',
+        id: job.id,
+        chatId: job.chatId,
+        status: 'sent',
+        messageId: result && result.message_id
+    });
+});
+
+queue.on('failed', (job, status, error) => {
+    deliveriesTotal.inc({ method: job.method, status });
+    errorsTotal.inc({ kind: 'delivery' });
+    sendAck(job.clientId, { type: 'ACK', id: job.id, chatId: job.chatId, status, error });
+});
+
+// --- Streamed Replies ---
+// The agent streams a reply as STREAM_START / STREAM_UPDATE (full text so far) / STREAM_END.
+// We post a placeholder and edit it in place, at most once per interval per message,
+// which keeps us well under Telegram's edit rate limits.
+const STREAM_EDIT_INTERVAL_MS = config.streaming?.editIntervalMs || 1500;
+const STREAM_IDLE_TIMEOUT_MS = 2 * 60 * 1000;
+const STREAM_PLACEHOLDER = "💭 ...";
+const TELEGRAM_MAX_TEXT = 4096;
+const streams = new Map();
+
+function startStream(streamId, chatId) {
+    const stream = {
+        chatId,
+        messageId: null,
+        text: '',
+        sentText: STREAM_PLACEHOLDER,
+        lastEditAt: 0,
+        updatedAt: Date.now(),
+        timer: null,
+        done: false,
+        finalId: null,
+        clientId: null
+    };
+    stream.ready = new Promise(resolve => {
+        queue.enqueue({ chatId, method: 'sendMessage', args: [chatId, STREAM_PLACEHOLDER] }, (err, sent) => {
+            if (err) console.error(`Failed to send stream placeholder to ${chatId}:`, err.message);
+            else if (sent) stream.messageId = sent.message_id;
+            resolve();
+        });
+    });
+    streams.set(streamId, stream);
+}
+
+function scheduleStreamEdit(streamId, stream) {
+    if (stream.timer) return;
+    const wait = Math.max(0, stream.lastEditAt + STREAM_EDIT_INTERVAL_MS - Date.now());
+    stream.timer = setTimeout(() => {
+        stream.timer = null;
+        flushStream(streamId, stream);
+    }, wait);
+}
+
+async function flushStream(streamId, stream) {
+    await stream.ready;
+    const text = (stream.text || STREAM_PLACEHOLDER).slice(0, TELEGRAM_MAX_TEXT);
+
+    // The final write carries the client's message id so it gets acked like a normal send
+    const ackFields = stream.done ? { id: stream.finalId, clientId: stream.clientId } : {};
+
+    if (!stream.messageId) {
+        // Placeholder never made it; fall back to a plain message for the final text
+        if (stream.done && stream.text) {
+            queue.enqueue({ ...ackFields, chatId: stream.chatId, method: 'sendMessage', args: [stream.chatId, text] });
+        }
+    } else if (text !== stream.sentText) {
+        stream.lastEditAt = Date.now();
+        stream.sentText = text;
+        queue.enqueue({
+            ...ackFields,
+            chatId: stream.chatId,
+            method: 'editMessageText',
+            args: [text, { chat_id: stream.chatId, message_id: stream.messageId }],
+            coalesceKey: `stream:${streamId}`
+        });
+    }
+
+    if (stream.done) streams.delete(streamId);
+}
+
+function handleStreamMessage(ws, data) {
+    if (data.type === 'STREAM_START') {
+        if (data.chatId) startStream(data.streamId, data.chatId);
+        return;
+    }
+    const stream = streams.get(data.streamId);
+    if (!stream) return;
+    stream.text = data.text || stream.text;
+    stream.updatedAt = Date.now();
+    if (data.type === 'STREAM_END') {
+        stream.done = true;
+        stream.finalId = data.id || null;
+        stream.clientId = ws.clientId;
+    }
+    scheduleStreamEdit(data.streamId, stream);
+}
+
+// Finish streams whose sender went away mid-reply
+setInterval(() => {
+    streams.forEach((stream, streamId) => {
+        if (!stream.done && Date.now() - stream.updatedAt > STREAM_IDLE_TIMEOUT_MS) {
+            stream.done = true;
+            scheduleStreamEdit(streamId, stream);
+        }
+    });
+}, 30 * 1000);
+
+// HELLO must answer this connection's CHALLENGE with the client's secret (see
+// shared/handshake.js). Returns the client and the signature for its WELCOME, or null.
+function verifyHello(ws, data) {
+    const client = authClients[data.clientId];
+    if (!client || !client.secret || !CLIENT_ROLES.includes(client.role)) return null;
+    const signature = handshake.welcomeSignature({ nonce: ws.nonce, secret: client.secret }, data);
+    return signature ? { client, signature } : null;
+}
+
+function rejectClient(ws, reason) {
+    console.warn(`Rejected WebSocket client: ${reason}`);
+    if (ws.readyState === WebSocket.OPEN) {
+        ws.send(JSON.stringify({ type: 'AUTH_FAILED', message: reason }));
+    }
+    ws.close(4003, reason);
+}
 
 wss.on('connection', (ws) => {
-    console.log("New WebSocket Client connected");
-    clients.push(ws);
+    console.log("New WebSocket Client connected, awaiting HELLO");
+    ws.authenticated = false;
+    ws.clientId = null;
+    ws.role = null;
+    ws.nonce = handshake.newNonce();
+    ws.send(JSON.stringify({ type: 'CHALLENGE', nonce: ws.nonce }));
+
+    const authTimer = setTimeout(() => {
+        if (!ws.authenticated) rejectClient(ws, "authentication timeout");
+    }, AUTH_TIMEOUT_MS);
 
     ws.on('message', async (message) => {
         try {
             const data = JSON.parse(message);
-            console.log("Received WS message:", data);
 
-            // If it's a message TO send to Telegram
+            if (!ws.authenticated) {
+                if (data.type !== 'HELLO') return rejectClient(ws, "HELLO required");
+                const verified = verifyHello(ws, data);
+                if (!verified) return rejectClient(ws, "invalid credentials");
+                const { client, signature } = verified;
+
+                clearTimeout(authTimer);
+                ws.authenticated = true;
+                ws.clientId = data.clientId;
+                ws.role = client.role;
+                clients.push(ws);
+                console.log(`Client authenticated: ${ws.clientId} (${ws.role})`);
+                ws.send(JSON.stringify({ type: 'WELCOME', role: ws.role, signature }));
+                flushHeldAcks(ws);
+                return;
+            }
+
+            // Read-only health snapshot, open to observers too
+            if (data.type === 'GET_STATUS') {
+                ws.send(JSON.stringify({
+                    type: 'STATUS',
+                    mode: TELEGRAM_MODE,
+                    uptimeMs: Date.now() - STARTED_AT,
+                    clients: clients.map(c => ({ clientId: c.clientId, role: c.role })),
+                    queue: { pending: queue.size(), deadLetters: queue.deadLetters.length }
+                }));
+                return;
+            }
+
+            // Only agents may speak as the bot
+            if (ws.role !== 'agent') {
+                console.warn(`Ignoring outbound request from ${ws.clientId} (${ws.role})`);
+                return;
+            }
+
+            if (data.type !== 'STREAM_UPDATE') console.log(`Received WS message from ${ws.clientId}:`, data);
+
+            if (['STREAM_START', 'STREAM_UPDATE', 'STREAM_END'].includes(data.type)) {
+                handleStreamMessage(ws, data);
+                return;
+            }
+
+            if (data.type === 'GET_DEAD_LETTERS') {
+                ws.send(JSON.stringify({ type: 'DEAD_LETTERS', items: queue.deadLetters }));
+                return;
+            }
+            if (data.type === 'RETRY_DEAD_LETTER') {
+                ws.send(JSON.stringify({ type: 'DEAD_LETTER_RETRIED', id: data.id, ok: queue.retryDeadLetter(data.id) }));
+                return;
+            }
+
+            // Edit one of the bot's own messages (used for inline keyboards)
+            if (data.type === 'EDIT_MESSAGE') {
+                if (!data.chatId || !data.messageId || !data.text) return;
+                queue.enqueue({
+                    id: data.id,
+                    clientId: ws.clientId,
+                    chatId: data.chatId,
+                    method: 'editMessageText',
+                    args: [data.text, { ...(data.options || {}), chat_id: data.chatId, message_id: data.messageId }],
+                    coalesceKey: `edit:${data.chatId}:${data.messageId}`
+                });
+                return;
+            }
+
+            // Callback answers are time-critical (the button spins until answered)
+            // and not a chat message, so they skip the per-chat queue.
+            if (data.type === 'ANSWER_CALLBACK') {
+                if (!data.callbackQueryId) return;
+                bot.answerCallbackQuery(data.callbackQueryId, data.text ? { text: data.text } : {})
+                    .catch(e => console.error("Failed to answer callback query:", e.message));
+                return;
+            }
+
+            // If it's a message TO send to Telegram.
+            // `id` is the client's message id: it keys the ack and de-duplicates retries.
             if (data.chatId && data.text) {
-                await bot.sendMessage(data.chatId, data.text);
+                const { id, duplicate } = queue.enqueue({
+                    id: data.id,
+                    clientId: ws.clientId,
+                    chatId: data.chatId,
+                    method: 'sendMessage',
+                    args: [data.chatId, data.text, data.options || {}]
+                });
+                if (duplicate && queue.delivered[id]) {
+                    const { result } = queue.delivered[id];
+                    ws.send(JSON.stringify({ type: 'ACK', id, chatId: String(data.chatId), status: 'sent', messageId: result && result.message_id }));
+                }
             }
         } catch (e) {
+            errorsTotal.inc({ kind: 'client' });
             console.error("Error processing WS message:", e);
         }
     });
 
     ws.on('close', () => {
-        console.log("Client disconnected");
+        clearTimeout(authTimer);
+        console.log(`Client disconnected${ws.clientId ? `: ${ws.clientId}` : ''}`);
         clients = clients.filter(c => c !== ws);
     });
 });
 
-// Broadcast function
+// Broadcast function (authenticated clients only)
 function broadcast(payload) {
     const msg = JSON.stringify(payload);
     clients.forEach(client => {
@@ -71,6 +558,8 @@ bot.on('message', (msg) => {
     const chatId = msg.chat.id;
     const text = msg.text;
     const from = msg.from; // Contains username, id, etc.
+    updatesTotal.inc({ type: 'message' });
+    telegramStatus.lastUpdateAt = new Date().toISOString();
 
     console.log(`[Telegram] ${from.username}: ${text}`);
 
@@ -111,4 +600,84 @@ bot.on('message', (msg) => {
     broadcast(payload);
 });
 
-console.log("Gateway Ready!");
+// Inline keyboard presses. Clients answer with ANSWER_CALLBACK and usually an EDIT_MESSAGE.
+bot.on('callback_query', (query) => {
+    if (!query.message) return; // Presses on inline-mode messages carry no chat
+    updatesTotal.inc({ type: 'callback_query' });
+    telegramStatus.lastUpdateAt = new Date().toISOString();
+    console.log(`[Telegram] ${query.from.username} pressed: ${query.data}`);
+    broadcast({
+        type: 'CALLBACK_QUERY',
+        callbackQueryId: query.id,
+        chatId: query.message.chat.id,
+        messageId: query.message.message_id,
+        data: query.data,
+        sender: query.from.username
+    });
+});
+
+bot.on('polling_error', (e) => {
+    noteTelegramError(e);
+    errorsTotal.inc({ kind: 'polling' });
+    console.error("Telegram polling error:", e.message);
+});
+bot.on('webhook_error', (e) => {
+    noteTelegramError(e);
+    errorsTotal.inc({ kind: 'webhook' });
+    console.error("Telegram webhook error:", e.message);
+});
+
+async function startUpdates() {
+    if (TELEGRAM_MODE === 'webhook') {
+        await bot.setWebHook(webhookUrl(), { secret_token: WEBHOOK_SECRET });
+        console.log(`Telegram webhook registered at ${webhookUrl()}`);
+    } else {
+        // A webhook left behind by a deployment would make getUpdates fail with 409
+        await bot.deleteWebHook();
+        await bot.startPolling();
+        console.log("Polling Telegram for updates");
+    }
+}
+
+async function stopUpdates() {
+    if (TELEGRAM_MODE === 'webhook') {
+        const info = await bot.getWebHookInfo();
+        if (info.url === webhookUrl()) {
+            await bot.deleteWebHook();
+            console.log("Telegram webhook removed");
+        } else {
+            console.log("Telegram webhook is owned by another instance, leaving it registered");
+        }
+    } else {
+        await bot.stopPolling();
+    }
+}
+
+let shuttingDown = false;
+async function shutdown(signal) {
+    if (shuttingDown) return;
+    shuttingDown = true;
+    console.log(`${signal} received, flushing outbox and shutting down...`);
+    try {
+        await stopUpdates();
+    } catch (e) {
+        console.error("Failed to stop Telegram updates cleanly:", e.message);
+    }
+    queue.stop();
+    server.close();
+    process.exit(0);
+}
+process.on('SIGINT', () => shutdown('SIGINT'));
+process.on('SIGTERM', () => shutdown('SIGTERM'));
+
+server.listen(PORT, () => {
+    startUpdates()
+        .then(() => {
+            telegramStatus.started = true;
+            console.log("Gateway Ready!");
+        })
+        .catch((e) => {
+            console.error("Failed to start Telegram updates:", e.message);
+            process.exit(1);
+        });
+});
@@ -0,0 +1,285 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const EventEmitter = require('events');
+
+const DEFAULTS = {
+    perChatIntervalMs: 1000,     // Telegram: about one message per second per chat
+    globalPerSecond: 25,         // Telegram: about 30 messages per second overall
+    maxAttempts: 6,
+    baseBackoffMs: 1000,
+    maxBackoffMs: 5 * 60 * 1000,
+    dedupeWindowMs: 24 * 60 * 60 * 1000,
+    maxDeadLetters: 500,
+    tickMs: 100
+};
+
+// Telegram errors that will never succeed on retry
+function classifyError(e) {
+    const status = e.response && (e.response.statusCode || e.response.status);
+    const body = (e.response && e.response.body) || {};
+    const description = body.description || e.message || '';
+
+    if (status === 429) {
+        const retryAfter = (body.parameters && body.parameters.retry_after) || 5;
+        return { kind: 'rate_limited', retryAfterMs: retryAfter * 1000, description };
+    }
+    if (status === 400 && /message is not modified/.test(description)) return { kind: 'noop', description };
+    if (status === 403) return { kind: 'blocked', description };
+    if (status === 400 || status === 404) return { kind: 'rejected', description };
+    return { kind: 'transient', description };
+}
+
+/**
+ * Persistent outbound queue for Telegram Bot API calls.
+ *
+ * Jobs are `{ id, clientId, chatId, method, args }` where `method` is a bot
+ * method name (sendMessage, editMessageText, ...) called as bot[method](...args).
+ * Per-chat and global pacing is enforced, 429s honour retry_after, transient
+ * failures back off exponentially, and permanent failures land in the dead-letter list.
+ *
+ * Events: 'delivered' (job, result) and 'failed' (job, status, error).
+ */
+class OutboundQueue extends EventEmitter {
+    constructor(bot, options = {}) {
+        super();
+        this.bot = bot;
+        this.options = { ...DEFAULTS, ...options };
+        this.filePath = options.filePath;
+
+        this.pending = [];
+        this.deadLetters = [];
+        this.delivered = {};          // id -> { result, at } for de-duplication
+        this.chatReadyAt = {};        // chatId -> earliest next send
+        this.sentTimestamps = [];     // sends in the last second
+        this.callbacks = new Map();   // id -> in-process result callback (not persisted)
+        this.inFlight = new Map();    // id -> job currently being sent
+        this.timer = null;
+        this.saveTimer = null;
+
+        this.load();
+    }
+
+    load() {
+        if (!this.filePath || !fs.existsSync(this.filePath)) return;
+        try {
+            const saved = JSON.parse(fs.readFileSync(this.filePath, 'utf8'));
+            this.pending = saved.pending || [];
+            this.deadLetters = saved.deadLetters || [];
+            this.delivered = saved.delivered || {};
+            console.log(`📬 Outbox restored: ${this.pending.length} pending, ${this.deadLetters.length} dead letters`);
+        } catch (e) {
+            console.error("Failed to load outbox, starting empty:", e.message);
+        }
+    }
+
+    // Debounced atomic write (temp file + rename)
+    save() {
+        if (!this.filePath || this.saveTimer) return;
+        this.saveTimer = setTimeout(() => {
+            this.saveTimer = null;
+            this.saveNow();
+        }, 200);
+    }
+
+    saveNow() {
+        if (!this.filePath) return;
+        const cutoff = Date.now() - this.options.dedupeWindowMs;
+        for (const id of Object.keys(this.delivered)) {
+            if (this.delivered[id].at < cutoff) delete this.delivered[id];
+        }
+        try {
+            fs.mkdirSync(path.dirname(this.filePath), { recursive: true });
+            const tmp = `${this.filePath}.tmp`;
+            fs.writeFileSync(tmp, JSON.stringify({
+                // In-flight jobs are saved as pending so a crash mid-send retries them
+                pending: [...this.inFlight.values(), ...this.pending],
+                deadLetters: this.deadLetters,
+                delivered: this.delivered
+            }));
+            fs.renameSync(tmp, this.filePath);
+        } catch (e) {
+            console.error("Failed to persist outbox:", e.message);
+        }
+    }
+
+    /**
+     * Queue a Bot API call. Re-using an id that is still pending or was delivered
+     * recently is a no-op, so callers can safely retry after a restart.
+     * `coalesceKey` replaces the arguments of a still-pending job with the same key
+     * (used for streamed edits). `onResult(err, result)` is an in-process callback.
+     * Returns { id, duplicate }.
+     */
+    enqueue({ id, clientId = null, chatId, method = 'sendMessage', args, coalesceKey = null }, onResult) {
+        const jobId = id || crypto.randomUUID();
+
+        if (this.delivered[jobId]) {
+            if (onResult) onResult(null, this.delivered[jobId].result);
+            return { id: jobId, duplicate: true };
+        }
+        if (this.pending.some(j => j.id === jobId) || this.inFlight.has(jobId)) {
+            return { id: jobId, duplicate: true };
+        }
+
+        if (coalesceKey) {
+            const existing = this.pending.find(j => j.coalesceKey === coalesceKey);
+            if (existing) {
+                existing.args = args;
+                // A later write that wants an ack takes over the pending job's identity
+                if (id) {
+                    existing.id = jobId;
+                    existing.clientId = clientId;
+                }
+                this.save();
+                return { id: existing.id, duplicate: false };
+            }
+        }
+
+        this.pending.push({
+            id: jobId,
+            clientId,
+            chatId: String(chatId),
+            method,
+            args,
+            coalesceKey,
+            attempts: 0,
+            nextAttemptAt: 0,
+            createdAt: Date.now(),
+            lastError: null
+        });
+        if (onResult) this.callbacks.set(jobId, onResult);
+        this.save();
+        return { id: jobId, duplicate: false };
+    }
+
+    start() {
+        if (this.timer) return;
+        const loop = () => {
+            this.tick();
+            this.timer = setTimeout(loop, this.options.tickMs);
+        };
+        this.timer = setTimeout(loop, 0);
+    }
+
+    stop() {
+        clearTimeout(this.timer);
+        this.timer = null;
+        clearTimeout(this.saveTimer);
+        this.saveTimer = null;
+        this.saveNow();
+    }
+
+    size() {
+        return this.pending.length + this.inFlight.size;
+    }
+
+    // Oldest sendable job. Chats are strictly FIFO: a chat whose head job is
+    // backing off, being paced or already in flight is skipped entirely.
+    nextJob(now) {
+        const busyChats = new Set([...this.inFlight.values()].map(j => j.chatId));
+        for (const job of this.pending) {
+            if (busyChats.has(job.chatId)) continue;
+            if (job.nextAttemptAt <= now && (this.chatReadyAt[job.chatId] || 0) <= now) return job;
+            busyChats.add(job.chatId);
+        }
+        return null;
+    }
+
+    // Dispatch as many jobs as the global budget allows
+    tick() {
+        const now = Date.now();
+        this.sentTimestamps = this.sentTimestamps.filter(t => now - t < 1000);
+
+        while (this.sentTimestamps.length < this.options.globalPerSecond) {
+            const job = this.nextJob(now);
+            if (!job) return;
+            this.dispatch(job, now);
+        }
+    }
+
+    async dispatch(job, now) {
+        this.pending.splice(this.pending.indexOf(job), 1);
+        this.inFlight.set(job.id, job);
+        this.sentTimestamps.push(now);
+        this.chatReadyAt[job.chatId] = now + this.options.perChatIntervalMs;
+
+        try {
+            const result = await this.bot[job.method](...job.args);
+            this.succeed(job, result);
+        } catch (e) {
+            this.handleFailure(job, e);
+        } finally {
+            this.inFlight.delete(job.id);
+            this.save();
+        }
+    }
+
+    succeed(job, result) {
+        this.delivered[job.id] = { result: summarizeResult(result), at: Date.now() };
+        this.finish(job, null, result);
+        this.emit('delivered', job, result);
+    }
+
+    handleFailure(job, e) {
+        const error = classifyError(e);
+        const now = Date.now();
+
+        if (error.kind === 'noop') return this.succeed(job, true);
+
+        if (error.kind === 'rate_limited') {
+            // Does not count as an attempt: Telegram told us exactly when to come back
+            console.warn(`⏳ Telegram 429 for chat ${job.chatId}, retrying in ${error.retryAfterMs}ms`);
+            this.chatReadyAt[job.chatId] = now + error.retryAfterMs;
+            job.nextAttemptAt = now + error.retryAfterMs;
+            this.pending.unshift(job);
+            return;
+        }
+
+        job.attempts += 1;
+        job.lastError = error.description;
+
+        if (error.kind === 'transient' && job.attempts < this.options.maxAttempts) {
+            const backoff = Math.min(this.options.baseBackoffMs * 2 ** (job.attempts - 1), this.options.maxBackoffMs);
+            const jitter = Math.floor(Math.random() * backoff * 0.2);
+            job.nextAttemptAt = now + backoff + jitter;
+            console.warn(`🔁 ${job.method} to ${job.chatId} failed (attempt ${job.attempts}): ${error.description}`);
+            this.pending.unshift(job);
+            return;
+        }
+
+        const status = error.kind === 'blocked' ? 'blocked' : 'failed';
+        this.deadLetters.push({ ...job, status, failedAt: now });
+        if (this.deadLetters.length > this.options.maxDeadLetters) {
+            this.deadLetters.splice(0, this.deadLetters.length - this.options.maxDeadLetters);
+        }
+        console.error(`☠️ ${job.method} to ${job.chatId} dead-lettered (${status}): ${error.description}`);
+        this.finish(job, new Error(error.description));
+        this.emit('failed', job, status, error.description);
+    }
+
+    finish(job, err, result) {
+        const callback = this.callbacks.get(job.id);
+        this.callbacks.delete(job.id);
+        if (callback) callback(err, result);
+    }
+
+    // Move a dead letter back into the queue with a fresh attempt budget
+    retryDeadLetter(id) {
+        const index = this.deadLetters.findIndex(j => j.id === id);
+        if (index === -1) return false;
+        const [job] = this.deadLetters.splice(index, 1);
+        delete job.status;
+        delete job.failedAt;
+        this.pending.push({ ...job, attempts: 0, nextAttemptAt: 0 });
+        this.save();
+        return true;
+    }
+}
+
+// Keep only what an ack needs from a Bot API result
+function summarizeResult(result) {
+    if (result && typeof result === 'object' && result.message_id) return { message_id: result.message_id };
+    return result === true ? true : null;
+}
+
+module.exports = { OutboundQueue, classifyError };
@@ -0,0 +1,60 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const handshake = require('../../shared/handshake');
+
+const SECRET = 'shared-secret';
+const CLIENT = { clientId: 'alon-agent', secret: SECRET };
+
+// One CHALLENGE -> HELLO -> WELCOME round as the gateway and the agent run it
+function connect(client, gatewaySecret = SECRET) {
+    const nonce = handshake.newNonce();
+    const hello = client.hello(nonce);
+    const signature = handshake.welcomeSignature({ nonce, secret: gatewaySecret }, hello);
+    return { nonce, hello, signature };
+}
+
+test('a valid handshake authenticates both sides', () => {
+    const client = handshake.createClientHandshake(CLIENT);
+    const { hello, signature } = connect(client);
+    assert.strictEqual(hello.type, 'HELLO');
+    assert.ok(signature, 'gateway accepts the HELLO');
+    assert.strictEqual(client.verifyWelcome({ type: 'WELCOME', signature }), true);
+});
+
+test('a client with the wrong secret is rejected', () => {
+    const client = handshake.createClientHandshake({ ...CLIENT, secret: 'guessed' });
+    assert.strictEqual(connect(client).signature, null);
+});
+
+test('a gateway with the wrong secret is rejected by the client', () => {
+    const client = handshake.createClientHandshake(CLIENT);
+    const nonce = handshake.newNonce();
+    const hello = client.hello(nonce);
+    const forged = handshake.sign('guessed', hello.clientNonce, hello.clientId);
+    assert.strictEqual(client.verifyWelcome({ signature: forged }), false);
+});
+
+test('a HELLO replayed on a new connection is rejected', () => {
+    const client = handshake.createClientHandshake(CLIENT);
+    const { hello } = connect(client);
+    const nextNonce = handshake.newNonce();
+    assert.strictEqual(handshake.welcomeSignature({ nonce: nextNonce, secret: SECRET }, hello), null);
+});
+
+test('a replayed WELCOME is rejected', () => {
+    const client = handshake.createClientHandshake(CLIENT);
+    const { signature } = connect(client);
+    assert.strictEqual(client.verifyWelcome({ signature }), true);
+    assert.strictEqual(client.verifyWelcome({ signature }), false, 'only one WELCOME per HELLO');
+
+    // A WELCOME recorded from an earlier connection doesn't answer the next HELLO
+    client.hello(handshake.newNonce());
+    assert.strictEqual(client.verifyWelcome({ signature }), false);
+});
+
+test('a HELLO without a client nonce or signature is rejected', () => {
+    const nonce = handshake.newNonce();
+    const signature = handshake.sign(SECRET, nonce, CLIENT.clientId);
+    assert.strictEqual(handshake.welcomeSignature({ nonce, secret: SECRET }, { clientId: CLIENT.clientId, signature }), null);
+    assert.strictEqual(handshake.welcomeSignature({ nonce, secret: SECRET }, { clientId: CLIENT.clientId, clientNonce: 'n' }), null);
+});
@@ -0,0 +1,135 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { OutboundQueue } = require('../queue');
+
+// A Bot API error shaped like node-telegram-bot-api's
+function telegramError(statusCode, description, parameters) {
+    const e = new Error(description);
+    e.response = { statusCode, body: { description, parameters } };
+    return e;
+}
+
+// Stub bot whose sendMessage answers from `outcomes` in turn (an Error is thrown)
+function stubBot(outcomes = []) {
+    const calls = [];
+    return {
+        calls,
+        async sendMessage(chatId, text) {
+            calls.push({ chatId, text, at: Date.now() });
+            const outcome = outcomes.length ? outcomes.shift() : { message_id: calls.length };
+            if (outcome instanceof Error) throw outcome;
+            return outcome;
+        }
+    };
+}
+
+const flush = () => new Promise(resolve => setImmediate(resolve));
+
+// Moves the fake clock forward one queue tick at a time, letting sends settle in between
+async function advance(ms, step = 100) {
+    for (let elapsed = 0; elapsed < ms; elapsed += step) {
+        test.mock.timers.tick(step);
+        await flush();
+    }
+}
+
+function startQueue(bot, options) {
+    const queue = new OutboundQueue(bot, { tickMs: 100, ...options });
+    queue.start();
+    return queue;
+}
+
+test.beforeEach(() => test.mock.timers.enable({ apis: ['setTimeout', 'Date'], now: 0 }));
+test.afterEach(() => test.mock.timers.reset());
+
+test('a 429 waits out retry_after without spending an attempt', async () => {
+    const bot = stubBot([telegramError(429, 'Too Many Requests: retry after 3', { retry_after: 3 })]);
+    const queue = startQueue(bot);
+    const delivered = [];
+    queue.on('delivered', job => delivered.push(job.id));
+
+    queue.enqueue({ id: 'r1', chatId: 42, args: [42, 'gm'] });
+    await advance(2900);
+    assert.strictEqual(bot.calls.length, 1, 'no retry before retry_after');
+    assert.strictEqual(queue.pending[0].attempts, 0);
+
+    await advance(400);
+    assert.strictEqual(bot.calls.length, 2);
+    assert.ok(bot.calls[1].at - bot.calls[0].at >= 3000);
+    assert.deepStrictEqual(delivered, ['r1']);
+    assert.strictEqual(queue.size(), 0);
+    queue.stop();
+});
+
+test('a repeated key@runAt id is sent once', async () => {
+    const bot = stubBot();
+    const queue = startQueue(bot);
+    const id = 'reminder:wallet:1@2026-10-19T09:00:00.000Z';
+
+    assert.strictEqual(queue.enqueue({ id, chatId: 42, args: [42, 'water plants'] }).duplicate, false);
+    assert.strictEqual(queue.enqueue({ id, chatId: 42, args: [42, 'water plants'] }).duplicate, true, 'still pending');
+    await advance(200);
+    assert.strictEqual(bot.calls.length, 1);
+
+    // Re-sent after delivery (say the client retried after a restart): answered from the record
+    let answer;
+    const again = queue.enqueue({ id, chatId: 42, args: [42, 'water plants'] }, (err, result) => { answer = { err, result }; });
+    await advance(2000);
+    assert.strictEqual(again.duplicate, true);
+    assert.deepStrictEqual(answer, { err: null, result: { message_id: 1 } });
+    assert.strictEqual(bot.calls.length, 1);
+    queue.stop();
+});
+
+test('transient failures back off and dead-letter after maxAttempts', async () => {
+    const bot = stubBot(Array.from({ length: 5 }, () => telegramError(502, 'Bad Gateway')));
+    const queue = startQueue(bot, { maxAttempts: 3, baseBackoffMs: 1000 });
+    const failed = [];
+    queue.on('failed', (job, status, error) => failed.push({ id: job.id, status, error }));
+    let answer;
+    queue.enqueue({ id: 'd1', chatId: 7, args: [7, 'hello'] }, (err) => { answer = err; });
+
+    await advance(20 * 1000);
+    assert.strictEqual(bot.calls.length, 3);
+    assert.ok(bot.calls[1].at - bot.calls[0].at >= 1000, 'first backoff');
+    assert.ok(bot.calls[2].at - bot.calls[1].at >= 2000, 'backoff doubles');
+    assert.deepStrictEqual(failed, [{ id: 'd1', status: 'failed', error: 'Bad Gateway' }]);
+    assert.strictEqual(queue.deadLetters.length, 1);
+    assert.strictEqual(queue.deadLetters[0].attempts, 3);
+    assert.strictEqual(answer.message, 'Bad Gateway');
+    assert.strictEqual(queue.size(), 0);
+    queue.stop();
+});
+
+test('a blocked chat is dead-lettered without retrying', async () => {
+    const bot = stubBot([telegramError(403, 'Forbidden: bot was blocked by the user')]);
+    const queue = startQueue(bot);
+    queue.enqueue({ id: 'b1', chatId: 9, args: [9, 'hi'] });
+
+    await advance(10 * 1000);
+    assert.strictEqual(bot.calls.length, 1);
+    assert.strictEqual(queue.deadLetters[0].status, 'blocked');
+    queue.stop();
+});
+
+test('pending jobs and delivery records survive a restart', async () => {
+    const filePath = path.join(fs.mkdtempSync(path.join(os.tmpdir(), 'outbox-')), 'outbox.json');
+    const first = startQueue(stubBot(), { filePath });
+    first.enqueue({ id: 'p1', chatId: 1, args: [1, 'sent before the restart'] });
+    await advance(200);
+    first.enqueue({ id: 'p2', chatId: 1, args: [1, 'still queued'] });
+    first.stop();
+
+    const bot = stubBot();
+    const second = new OutboundQueue(bot, { filePath, tickMs: 100 });
+    assert.deepStrictEqual(second.pending.map(j => j.id), ['p2']);
+    assert.strictEqual(second.enqueue({ id: 'p1', chatId: 1, args: [1, 'sent before the restart'] }).duplicate, true);
+    second.start();
+    await advance(2000);
+    assert.deepStrictEqual(bot.calls.map(c => c.text), ['still queued']);
+    second.stop();
+    fs.rmSync(path.dirname(filePath), { recursive: true, force: true });
+});
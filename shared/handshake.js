@@ -0,0 +1,53 @@
+const crypto = require('crypto');
+
+// Mutual authentication between the gateway and its WebSocket clients, each side
+// proving it holds the client's shared secret without sending it:
+//   gateway -> CHALLENGE { nonce }
+//   client  -> HELLO { clientId, signature: sign(secret, nonce, clientId), clientNonce }
+//   gateway -> WELCOME { role, signature: sign(secret, clientNonce, clientId) }
+// Signatures are HMAC-SHA256(secret, "<nonce>:<clientId>") as hex. Both nonces are
+// fresh per connection, so a recorded HELLO or WELCOME is useless on the next one.
+// Required from both packages; depends on nothing outside Node itself.
+
+const sign = (secret, nonce, clientId) => crypto.createHmac('sha256', secret).update(`${nonce}:${clientId}`).digest('hex');
+
+function verify(secret, nonce, clientId, signature) {
+    if (!secret || !nonce || typeof signature !== 'string') return false;
+    const expected = Buffer.from(sign(secret, nonce, clientId), 'hex');
+    const given = Buffer.from(signature, 'hex');
+    return given.length === expected.length && crypto.timingSafeEqual(given, expected);
+}
+
+const newNonce = () => crypto.randomBytes(16).toString('hex');
+
+/**
+ * Client side of one connection. hello(nonce) answers a CHALLENGE with a fresh
+ * nonce of our own; verifyWelcome(msg) checks the gateway signed it back, and
+ * accepts at most one WELCOME per HELLO.
+ */
+function createClientHandshake({ clientId, secret }) {
+    let clientNonce = null;
+    return {
+        hello(nonce) {
+            clientNonce = newNonce();
+            return { type: 'HELLO', clientId, signature: sign(secret, nonce, clientId), clientNonce };
+        },
+        verifyWelcome(msg) {
+            const ok = !!clientNonce && verify(secret, clientNonce, clientId, msg && msg.signature);
+            clientNonce = null;
+            return ok;
+        }
+    };
+}
+
+/**
+ * Gateway side: whether `hello` answers the CHALLENGE `nonce` for a client holding
+ * `secret`, and the WELCOME signature to send back when it does (null otherwise).
+ */
+function welcomeSignature({ nonce, secret }, hello) {
+    if (!hello || typeof hello.clientNonce !== 'string' || !hello.clientNonce) return null;
+    if (!verify(secret, nonce, hello.clientId, hello.signature)) return null;
+    return sign(secret, hello.clientNonce, hello.clientId);
+}
+
+module.exports = { sign, verify, newNonce, createClientHandshake, welcomeSignature };
@@ -0,0 +1,84 @@
+const crypto = require('crypto');
+
+// Status endpoints shared by the agent and the gateway, for the host and for Prometheus:
+//   GET /healthz  the process is up and serving HTTP
+//   GET /readyz   dependency checks; 503 when a critical one fails, "degraded" when another does
+//   GET /metrics  Prometheus text format; METRICS_TOKEN, when set, is required as a bearer token
+// Works on plain node:http requests, so Express can mount it as well. This file is
+// required from both packages and must not depend on anything outside Node itself.
+
+const CHECK_TIMEOUT_MS = 3000;
+const METRICS_TOKEN = process.env.METRICS_TOKEN;
+const PATHS = ['/healthz', '/readyz', '/metrics'];
+
+const sha256 = (value) => crypto.createHash('sha256').update(String(value)).digest();
+
+function metricsAllowed(req) {
+    if (!METRICS_TOKEN) return true;
+    const match = /^Bearer\s+(\S+)$/i.exec(req.headers.authorization || '');
+    return !!match && crypto.timingSafeEqual(sha256(match[1]), sha256(METRICS_TOKEN));
+}
+
+function sendJson(res, status, body) {
+    res.writeHead(status, { 'Content-Type': 'application/json' });
+    res.end(JSON.stringify(body));
+}
+
+// A check that throws or doesn't answer in time counts as failed
+async function runCheck({ critical, run }) {
+    let timer;
+    const timeout = new Promise(resolve => {
+        timer = setTimeout(() => resolve({ ok: false, error: 'timed out' }), CHECK_TIMEOUT_MS);
+    });
+    try {
+        const result = await Promise.race([Promise.resolve().then(run), timeout]);
+        return { ...result, ok: !!result.ok, critical };
+    } catch (e) {
+        return { ok: false, critical, error: e.message };
+    } finally {
+        clearTimeout(timer);
+    }
+}
+
+async function readiness(checks) {
+    const names = Object.keys(checks);
+    const results = await Promise.all(names.map(name => runCheck(checks[name])));
+    const status = results.some(r => r.critical && !r.ok) ? 'not_ready'
+        : results.some(r => !r.ok) ? 'degraded' : 'ready';
+    return { status, checks: Object.fromEntries(names.map((name, i) => [name, results[i]])) };
+}
+
+/**
+ * `checks` is { [name]: { critical, run() -> { ok, ...details } } }. Only failed
+ * critical checks take the service out of rotation; the rest are reported.
+ * `registry` is the service's prom-client registry. Returns a handler
+ * (req, res, pathname) that answers the status paths and returns false for anything else.
+ */
+function createHealthHandler({ checks, registry }) {
+    return (req, res, pathname) => {
+        if (req.method !== 'GET' || !PATHS.includes(pathname)) return false;
+
+        if (pathname === '/healthz') {
+            sendJson(res, 200, { status: 'ok', uptimeSeconds: Math.round(process.uptime()) });
+        } else if (pathname === '/readyz') {
+            readiness(checks)
+                .then(report => sendJson(res, report.status === 'not_ready' ? 503 : 200, report))
+                .catch(e => sendJson(res, 503, { status: 'not_ready', error: e.message }));
+        } else if (!metricsAllowed(req)) {
+            res.writeHead(401, { 'WWW-Authenticate': 'Bearer' }).end();
+        } else {
+            registry.metrics()
+                .then(body => {
+                    res.writeHead(200, { 'Content-Type': registry.contentType });
+                    res.end(body);
+                })
+                .catch(e => {
+                    console.error("Failed to render metrics:", e);
+                    res.writeHead(500).end();
+                });
+        }
+        return true;
+    };
+}
+
+module.exports = { createHealthHandler };
@@ -22,21 +22,48 @@ const viewTitle = document.getElementById('view-title');
 const chatMessages = document.getElementById('chat-messages');
 const messageInput = document.getElementById('message-input');
 const todoListGrid = document.getElementById('todo-list');
+const todoStatusFilter = document.getElementById('todo-status-filter');
+const todoTagFilter = document.getElementById('todo-tag-filter');
+const todoSortSelect = document.getElementById('todo-sort');
+const digestToggle = document.getElementById('digest-toggle');
+const digestHourSelect = document.getElementById('digest-hour');
 
 // --- State Management ---
 let state = {
     username: null,
     todos: [],
-    activeTab: 'chat'
+    activeTab: 'chat',
+    history: [],
+    historyHasMore: false,
+    role: 'user',
+    isAdmin: false,
+    permissions: [],
+    todoFilter: { status: 'all', tag: '', sort: 'manual' },
+    editingTodoId: null,
+    molt: { sort: 'hot', page: 0, submolt: '', postId: null, hasMore: false, draftStatus: 'pending' },
+    preferences: { timezone: null, digestEnabled: false, digestHour: 8 },
+    telegram: { linked: false },
+    tier: null,
+    personas: { personas: [], active: null, mine: null },
+    dashboard: { wallets: [], timer: null },
+    broadcast: { preview: null, reports: [] }
 };
 
 let hqWs = null;
 
+// Session token from the last successful wallet login (lets reloads skip Phantom)
+const SESSION_STORAGE_KEY = 'alonHqSession';
+// How long logout waits for HQ to confirm the session is gone before reloading anyway
+const LOGOUT_ACK_TIMEOUT_MS = 2000;
+let logoutTimer = null;
+let pendingChallenge = null;
+
 // --- Initialization ---
 function init() {
     setupNavigation();
     setupAuthListeners();
     setupActionListeners();
+    setupMoltbookListeners();
     connectToHQ();
 }
 
@@ -64,17 +91,75 @@ function switchTab(tab) {
     });
 
     // Update Header
-    viewTitle.textContent = tab === 'chat' ? 'Command Center' : 'Active Priorities';
+    viewTitle.textContent = TAB_TITLES[tab] || '';
+
+    // The dashboard refreshes itself while it is on screen
+    clearInterval(state.dashboard.timer);
+    state.dashboard.timer = null;
+    if (tab === 'dashboard') {
+        loadDashboard();
+        if (hasPermission('broadcast.send')) sendHqCommand({ type: 'GET_BROADCASTS' });
+        state.dashboard.timer = setInterval(loadDashboard, DASHBOARD_REFRESH_MS);
+    }
+    if (tab === 'admin') {
+        sendHqCommand({ type: 'GET_ROLES' });
+        if (hasPermission('usage.view')) loadUsage();
+        if (hasPermission('personas.manage')) sendHqCommand({ type: 'GET_PERSONAS' });
+    }
+    if (tab === 'moltbook') {
+        loadMoltFeed();
+        loadMoltDrafts();
+        sendHqCommand({ type: 'MOLT_GET_SUBMOLTS' });
+        sendHqCommand({ type: 'MOLT_GET_PROFILE' });
+    }
 }
 
+const TAB_TITLES = {
+    chat: 'Command Center',
+    todos: 'Active Priorities',
+    moltbook: 'Moltbook',
+    dashboard: 'Dashboard',
+    admin: 'Admin Console'
+};
+
 // --- Authentication & Wallet ---
 function setupAuthListeners() {
     const connectBtn = document.getElementById('connect-wallet-btn');
     connectBtn.addEventListener('click', handleWalletAuth);
 
+    // Reloading right after the send can drop the frame and leave the session alive on the server
     document.getElementById('logout-btn').addEventListener('click', () => {
-        if (window.solana) window.solana.disconnect();
-        location.reload();
+        if (logoutTimer) return;
+        if (!hqWs || hqWs.readyState !== WebSocket.OPEN) {
+            endSession();
+            return;
+        }
+        sendHqCommand({ type: 'LOGOUT' });
+        logoutTimer = setTimeout(endSession, LOGOUT_ACK_TIMEOUT_MS);
+    });
+
+    document.getElementById('revoke-sessions-btn').addEventListener('click', () => {
+        if (confirm('Log out of Alon HQ on every device?')) {
+            sendHqCommand({ type: 'REVOKE_ALL_SESSIONS' });
+        }
+    });
+}
+
+function endSession() {
+    localStorage.removeItem(SESSION_STORAGE_KEY);
+    if (window.solana) window.solana.disconnect();
+    location.reload();
+}
+
+// Ask HQ for a one-time challenge bound to this wallet; resolves with the text to sign
+function requestLoginChallenge(publicKey) {
+    return new Promise((resolve, reject) => {
+        if (!hqWs || hqWs.readyState !== WebSocket.OPEN) {
+            reject(new Error('HQ Offline'));
+            return;
+        }
+        pendingChallenge = { resolve, reject };
+        hqWs.send(JSON.stringify({ type: 'GET_LOGIN_CHALLENGE', publicKey }));
     });
 }
 
@@ -91,53 +176,810 @@ async function handleWalletAuth() {
         const resp = await window.solana.connect();
         const publicKey = resp.publicKey.toString();
 
-        const messageStr = `Login to Alon Clawd HQ: ${Date.now()}`;
+        const messageStr = await requestLoginChallenge(publicKey);
         const encodedMessage = new TextEncoder().encode(messageStr);
         const signedMessage = await window.solana.signMessage(encodedMessage, "utf8");
         const signature = toHex(signedMessage.signature);
 
-        if (hqWs && hqWs.readyState === WebSocket.OPEN) {
-            hqWs.send(JSON.stringify({
-                type: 'LOGIN',
-                publicKey: publicKey,
-                signature: signature,
-                message: messageStr
-            }));
-        }
+        sendHqCommand({
+            type: 'LOGIN',
+            publicKey: publicKey,
+            signature: signature
+        });
     } catch (err) {
         console.error("Auth Fail:", err);
         errorDisplay.textContent = "Authentication failed.";
     }
 }
 
-function onLoginSuccess(username, todos, isAdmin) {
-    state.username = username;
-    state.todos = todos;
+function onLoginSuccess(data) {
+    state.username = data.username;
+    state.todos = data.todos;
+    state.history = data.history || [];
+    state.historyHasMore = !!data.historyHasMore;
 
-    currentUserName.textContent = username;
+    currentUserName.textContent = data.username;
     modalLayer.classList.add('hidden');
     appLayout.classList.remove('hidden');
 
+    applyRole(data);
+    applyTier(data.tier);
+    applyPreferences(data.preferences);
+    applyLinkStatus(data.telegram);
+    renderTodos();
+    renderChatHistory();
+
+    // Reminders and "tomorrow 9am" are read in the browser's time zone
+    const timezone = Intl.DateTimeFormat().resolvedOptions().timeZone;
+    if (timezone && timezone !== state.preferences.timezone) {
+        sendHqCommand({ type: 'SET_PREFERENCES', timezone });
+    }
+    sendHqCommand({ type: 'GET_PERSONAS' });
+    // Gateway messages are now forwarded via HQ
+}
+
+function applyPreferences(preferences) {
+    state.preferences = { ...state.preferences, ...(preferences || {}) };
+    digestToggle.checked = state.preferences.digestEnabled;
+    digestHourSelect.value = String(state.preferences.digestHour);
+    applyDigestGate();
+}
+
+// --- Token Tier ---
+function hasTierFeature(feature) {
+    return !!(state.tier && state.tier.features.includes(feature));
+}
+
+function applyTier(tier) {
+    state.tier = tier || null;
+    const badge = document.getElementById('user-tier');
+    badge.className = 'user-status tier-badge';
+    if (!state.tier) {
+        badge.textContent = 'LEVEL: --';
+        badge.title = '';
+        return;
+    }
+    badge.textContent = `LEVEL: ${state.tier.name.toUpperCase()}`;
+    badge.classList.add(`tier-${state.tier.name}`);
+    badge.classList.toggle('tier-unverified', !state.tier.verified);
+    const tokens = Object.entries(state.tier.tokens || {})
+        .map(([mint, amount]) => `${amount.toLocaleString()} × ${mint.slice(0, 4)}...${mint.slice(-4)}`);
+    badge.title = state.tier.verified
+        ? [`${state.tier.sol.toLocaleString(undefined, { maximumFractionDigits: 3 })} SOL`, ...tokens,
+            `quota ×${state.tier.quotaMultiplier}`, `checked ${formatDateTime(state.tier.checkedAt)}`].join('\n')
+        : 'Balance not verified yet';
+    applyDigestGate();
+}
+
+// Jeets can turn the digest off but not on
+function applyDigestGate() {
+    const locked = !hasTierFeature('digest') && !state.preferences.digestEnabled;
+    digestToggle.disabled = locked;
+    digestToggle.parentElement.title = locked
+        ? 'Daily digest unlocks at the holder tier'
+        : 'Daily digest of open and overdue tasks';
+}
+
+// --- Linked Accounts ---
+function applyLinkStatus(telegram) {
+    state.telegram = telegram || { linked: false };
+    const linked = state.telegram.linked;
+    const name = state.telegram.username ? `@${state.telegram.username}` : `chat ${state.telegram.telegramId}`;
+
+    document.getElementById('link-telegram-btn').innerHTML = linked
+        ? '<i class="fab fa-telegram-plane"></i> Telegram Linked'
+        : '<i class="fab fa-telegram-plane"></i> Link Telegram';
+    document.getElementById('linked-telegram').classList.toggle('hidden', !linked);
+    document.getElementById('link-instructions').textContent = linked
+        ? 'To move the link to another chat, send this command from it:'
+        : 'Send this command to your Alon Bot:';
+    if (linked) {
+        document.getElementById('linked-telegram-name').textContent = name;
+        document.getElementById('linked-telegram-since').textContent = state.telegram.linkedAt
+            ? `linked ${formatDateTime(state.telegram.linkedAt)}`
+            : 'linked';
+    }
+}
+
+function showLinkCode({ code, expiresAt }) {
+    document.getElementById('link-code-display').textContent = code;
+    document.getElementById('link-code-expiry').textContent = expiresAt
+        ? `valid until ${new Date(expiresAt).toLocaleTimeString(undefined, { hour: 'numeric', minute: '2-digit' })}`
+        : 'valid for 5 minutes';
+}
+
+const hasPermission = (permission) => state.permissions.includes(permission);
+
+// Role-gated features; also called live when an admin changes our role
+function applyRole({ role, isAdmin, permissions }) {
+    state.role = role || 'user';
+    state.isAdmin = !!isAdmin;
+    state.permissions = permissions || [];
+
     // Show Claim Button if Admin
-    if (isAdmin) {
-        document.getElementById('claim-molt-btn').style.display = 'flex';
-    } else {
-        document.getElementById('claim-molt-btn').style.display = 'none';
+    document.getElementById('claim-molt-btn').style.display = hasPermission('molt.manage') ? 'flex' : 'none';
+    document.getElementById('admin-nav').style.display = hasPermission('roles.view') ? 'flex' : 'none';
+    document.getElementById('moltbook-nav').style.display = hasPermission('molt.manage') ? 'flex' : 'none';
+    document.getElementById('dashboard-nav').style.display = hasPermission('admin.panel') ? 'flex' : 'none';
+    document.getElementById('broadcast-panel').classList.toggle('hidden', !hasPermission('broadcast.send'));
+    document.getElementById('role-form').style.display = hasPermission('roles.manage') ? 'flex' : 'none';
+    document.getElementById('usage-panel').classList.toggle('hidden', !hasPermission('usage.view'));
+    document.getElementById('personas-panel').classList.toggle('hidden', !hasPermission('personas.manage'));
+
+    if (state.activeTab === 'admin' && !hasPermission('roles.view')) switchTab('chat');
+    if (state.activeTab === 'moltbook' && !hasPermission('molt.manage')) switchTab('chat');
+    if (state.activeTab === 'dashboard' && !hasPermission('admin.panel')) switchTab('chat');
+}
+
+function renderRoles(data) {
+    const select = document.getElementById('role-select');
+    select.innerHTML = '';
+    data.roles.forEach(role => {
+        const option = document.createElement('option');
+        option.value = role;
+        option.textContent = role;
+        select.appendChild(option);
+    });
+
+    const list = document.getElementById('roles-list');
+    list.innerHTML = '';
+    data.users.forEach(user => {
+        const row = document.createElement('div');
+        row.className = 'admin-row';
+        row.innerHTML = `
+            <span class="role-pill"></span>
+            <span class="admin-wallet"></span>
+            <span class="admin-meta">${user.telegramLinked ? 'telegram linked' : ''}</span>
+        `;
+        row.querySelector('.role-pill').textContent = user.role;
+        row.querySelector('.admin-wallet').textContent = user.wallet;
+        if (hasPermission('roles.manage') && user.wallet !== state.username) {
+            const revoke = document.createElement('button');
+            revoke.className = 'card-btn';
+            revoke.title = 'Revoke';
+            revoke.textContent = '✕';
+            revoke.onclick = () => sendHqCommand({ type: 'SET_ROLE', wallet: user.wallet, role: 'user' });
+            row.appendChild(revoke);
+        }
+        list.appendChild(row);
+    });
+}
+
+// --- Dashboard ---
+const DASHBOARD_REFRESH_MS = 10000;
+
+function loadDashboard() {
+    sendHqCommand({ type: 'GET_DASHBOARD' });
+}
+
+function renderDashboard({ wallets, connections, moltbook, errors, roles }) {
+    renderBroadcastRoles(roles);
+
+    const { hq, gateway } = connections;
+    document.getElementById('dash-hq').textContent = `${hq.wallets} wallet${hq.wallets === 1 ? '' : 's'} online`;
+    document.getElementById('dash-hq-meta').textContent = `${hq.sockets} connections · ${hq.loggedIn} logged in`;
+
+    document.getElementById('dash-gateway').textContent = gateway.authenticated ? 'connected' : gateway.connected ? 'authenticating' : 'offline';
+    const gatewayMeta = [];
+    if (gateway.status) {
+        gatewayMeta.push(`${gateway.status.clients.length} client${gateway.status.clients.length === 1 ? '' : 's'} (${gateway.status.mode})`);
+        gatewayMeta.push(`${gateway.status.queue.pending} queued`, `${gateway.status.queue.deadLetters} dead letters`);
     }
+    if (gateway.outbox) gatewayMeta.push(`${gateway.outbox} held here`);
+    document.getElementById('dash-gateway-meta').textContent = gatewayMeta.join(' · ');
 
-    renderTodos();
-    // Gateway messages are now forwarded via HQ
+    document.getElementById('dash-molt').textContent = moltbook.claimStatus || moltbook.registration;
+    const moltMeta = document.getElementById('dash-molt-meta');
+    moltMeta.textContent = `${moltbook.name} · ${moltbook.registration}${moltbook.lastError ? ` · ${moltbook.lastError}` : ''}`;
+    if (moltbook.claimUrl) {
+        const claim = document.createElement('a');
+        claim.href = moltbook.claimUrl;
+        claim.target = '_blank';
+        claim.rel = 'noopener';
+        claim.textContent = ' · claim link';
+        moltMeta.appendChild(claim);
+    }
+    document.getElementById('dash-updated').textContent = `Updated ${new Date().toLocaleTimeString()}`;
+
+    state.dashboard.wallets = wallets;
+    renderDashboardWallets();
+
+    const errorList = document.getElementById('dash-errors');
+    errorList.innerHTML = '';
+    if (errors.length === 0) errorList.innerHTML = '<div class="admin-meta">No errors since the agent started.</div>';
+    errors.forEach(entry => {
+        const row = document.createElement('div');
+        row.className = 'admin-row dashboard-error';
+        row.innerHTML = '<span class="admin-meta"></span><span class="dashboard-error-text"></span>';
+        row.querySelector('.admin-meta').textContent = formatDateTime(entry.at);
+        row.querySelector('.dashboard-error-text').textContent = entry.message;
+        errorList.appendChild(row);
+    });
+}
+
+function renderDashboardWallets() {
+    const filter = document.getElementById('dash-wallet-filter').value.trim().toLowerCase();
+    const list = document.getElementById('dash-wallets');
+    list.innerHTML = '';
+    const wallets = state.dashboard.wallets.filter(w => !filter ||
+        w.wallet.toLowerCase().includes(filter) ||
+        (w.telegram.username || '').toLowerCase().includes(filter.replace(/^@/, '')));
+    if (wallets.length === 0) {
+        list.innerHTML = '<div class="admin-meta">No wallets.</div>';
+        return;
+    }
+
+    wallets.forEach(entry => {
+        const row = document.createElement('div');
+        row.className = 'admin-row';
+        row.classList.toggle('wallet-disabled', entry.disabled);
+        row.innerHTML = `
+            <span class="role-pill"></span>
+            <span class="admin-wallet"></span>
+            <span class="admin-meta"></span>
+        `;
+        row.querySelector('.role-pill').textContent = entry.disabled ? 'disabled' : entry.role;
+        row.querySelector('.admin-wallet').textContent = entry.wallet;
+        const telegram = entry.telegram.linked
+            ? `📡 ${entry.telegram.username ? `@${entry.telegram.username}` : entry.telegram.telegramId}`
+            : 'not linked';
+        const active = entry.lastActiveAt ? `active ${formatDateTime(entry.lastActiveAt)}` : 'never active';
+        const tier = entry.tier || 'unverified';
+        row.querySelector('.admin-meta').textContent = `${tier} · ${telegram} · ${entry.todos.open} open / ${entry.todos.done} done · ${active}`;
+
+        if (hasPermission('wallets.manage') && entry.wallet !== state.username) {
+            if (entry.telegram.linked) {
+                const reset = document.createElement('button');
+                reset.className = 'filter-btn';
+                reset.textContent = 'Reset link';
+                reset.onclick = () => {
+                    if (confirm(`Unlink Telegram from ${entry.wallet}?`)) sendHqCommand({ type: 'RESET_WALLET_LINK', wallet: entry.wallet });
+                };
+                row.appendChild(reset);
+            }
+            const toggle = document.createElement('button');
+            toggle.className = 'filter-btn';
+            toggle.textContent = entry.disabled ? 'Enable' : 'Disable';
+            toggle.onclick = () => {
+                if (entry.disabled || confirm(`Disable ${entry.wallet}? It will be logged out and Alon will stop answering it.`)) {
+                    sendHqCommand({ type: 'SET_WALLET_DISABLED', wallet: entry.wallet, disabled: !entry.disabled });
+                }
+            };
+            row.appendChild(toggle);
+        }
+        list.appendChild(row);
+    });
+}
+
+// --- Broadcasts ---
+function renderBroadcastRoles(roles) {
+    const container = document.getElementById('broadcast-roles');
+    if (container.childElementCount) return;
+    roles.forEach(role => {
+        const label = document.createElement('label');
+        label.className = 'digest-toggle';
+        label.innerHTML = `<input type="checkbox" value="${role}" checked> <span></span>`;
+        label.querySelector('span').textContent = role;
+        label.querySelector('input').addEventListener('change', clearBroadcastPreview);
+        container.appendChild(label);
+    });
+}
+
+const selectedBroadcastRoles = () =>
+    [...document.querySelectorAll('#broadcast-roles input:checked')].map(input => input.value);
+
+function clearBroadcastPreview() {
+    state.broadcast.preview = null;
+    document.getElementById('broadcast-preview').classList.add('hidden');
+}
+
+function renderBroadcastPreview({ preview }) {
+    state.broadcast.preview = preview;
+    document.getElementById('broadcast-preview').classList.remove('hidden');
+    document.getElementById('broadcast-preview-text').textContent = preview.message;
+    document.getElementById('broadcast-preview-meta').textContent =
+        `To ${preview.roles.join(', ')}: ${preview.telegramChats} Telegram chat(s), ${preview.hqWallets} HQ wallet(s) online now.`;
+    document.getElementById('broadcast-send-btn').textContent = `Send to ${preview.telegramChats} chat(s)`;
+}
+
+function upsertBroadcastReport({ report }) {
+    state.broadcast.reports = [report, ...state.broadcast.reports.filter(r => r.id !== report.id)];
+    renderBroadcastReports();
+}
+
+function renderBroadcastReports() {
+    const list = document.getElementById('broadcast-reports');
+    list.innerHTML = '';
+    if (state.broadcast.reports.length === 0) list.innerHTML = '<div class="admin-meta">No broadcasts yet.</div>';
+    state.broadcast.reports.forEach(report => {
+        const row = document.createElement('div');
+        row.className = 'admin-row';
+        row.innerHTML = `
+            <span class="role-pill"></span>
+            <span class="admin-wallet"></span>
+            <span class="admin-meta"></span>
+        `;
+        row.querySelector('.role-pill').textContent = report.status;
+        row.querySelector('.admin-wallet').textContent = report.text;
+        const counts = [`${report.sent}/${report.total} sent`, `${report.failed} failed`, `${report.blocked} blocked`];
+        if (report.unconfirmed) counts.push(`${report.unconfirmed} unconfirmed`);
+        if (report.dropped) counts.push(`${report.dropped} dropped`);
+        if (report.status !== 'done') counts.push(`${report.pending} pending`);
+        row.querySelector('.admin-meta').textContent =
+            `${formatDateTime(report.createdAt)} · ${report.roles.join(', ')} · ${counts.join(' · ')} · ${report.hq} in HQ`;
+        list.appendChild(row);
+    });
+}
+
+function showAnnouncement({ text }) {
+    document.getElementById('announcement-text').textContent = text;
+    document.getElementById('announcement-banner').classList.remove('hidden');
+    showNotification({ text: `📢 ${text}` });
+}
+
+// --- Usage & Spend ---
+const formatUsd = (amount) => `$${amount.toFixed(amount < 1 ? 4 : 2)}`;
+const formatTokens = (count) => (count >= 1000 ? `${(count / 1000).toFixed(1)}k` : String(count));
+
+function loadUsage() {
+    sendHqCommand({ type: 'GET_USAGE', days: Number(document.getElementById('usage-days').value) });
+}
+
+function renderUsage({ days, totals, byDay, byUser, limits, tiers }) {
+    document.getElementById('usage-totals').textContent =
+        `${days === 1 ? 'Today' : `Last ${days} days`}: ${formatUsd(totals.costUsd)} · ` +
+        `${formatTokens(totals.totalTokens)} tokens · ${totals.requests} calls`;
+
+    const dayList = document.getElementById('usage-by-day');
+    dayList.innerHTML = '';
+    const maxCost = Math.max(...byDay.map(d => d.costUsd), 0);
+    byDay.slice().reverse().forEach(day => {
+        const row = document.createElement('div');
+        row.className = 'admin-row';
+        row.innerHTML = `
+            <span class="usage-day"></span>
+            <span class="usage-bar"><span></span></span>
+            <span class="admin-meta"></span>
+        `;
+        row.querySelector('.usage-day').textContent = day.day;
+        row.querySelector('.usage-bar span').style.width = maxCost ? `${(day.costUsd / maxCost) * 100}%` : '0';
+        row.querySelector('.admin-meta').textContent =
+            `${formatUsd(day.costUsd)} · ${formatTokens(day.totalTokens)} tokens · ${day.requests} calls`;
+        dayList.appendChild(row);
+    });
+
+    const userList = document.getElementById('usage-by-user');
+    userList.innerHTML = '';
+    if (byUser.length === 0) userList.innerHTML = '<div class="admin-meta">No usage yet.</div>';
+    byUser.forEach(entry => {
+        const row = document.createElement('div');
+        row.className = 'admin-row';
+        row.innerHTML = `
+            <span class="role-pill"></span>
+            <span class="admin-wallet"></span>
+            <span class="admin-meta"></span>
+        `;
+        row.querySelector('.role-pill').textContent = entry.wallet ? 'wallet' : entry.telegramId ? 'anon' : 'system';
+        row.querySelector('.admin-wallet').textContent = entry.wallet || (entry.telegramId ? `Telegram ${entry.telegramId}` : 'Alon (scheduled)');
+        row.querySelector('.admin-meta').textContent =
+            `${formatUsd(entry.costUsd)} · ${formatTokens(entry.totalTokens)} tokens · ${entry.requests} calls`;
+        userList.appendChild(row);
+    });
+
+    renderUsageLimits(limits, tiers);
+}
+
+function renderUsageLimits(limits, tiers) {
+    const list = document.getElementById('usage-limits');
+    const canManage = hasPermission('usage.manage');
+    list.innerHTML = '';
+    tiers.forEach(tier => {
+        const row = document.createElement('div');
+        row.className = 'admin-row admin-form usage-limit-row';
+        row.innerHTML = `
+            <span class="role-pill"></span>
+            <input type="number" min="0" step="1" data-field="perMinute" title="Requests per minute">
+            <input type="number" min="0" step="1000" data-field="dailyTokens" title="Tokens per day">
+            <input type="number" min="0" step="0.01" data-field="dailyUsd" title="USD per day">
+        `;
+        row.querySelector('.role-pill').textContent = tier;
+        row.querySelectorAll('input').forEach(input => {
+            const value = limits[tier][input.dataset.field];
+            input.value = value == null ? '' : value;
+            input.placeholder = 'unlimited';
+            input.disabled = !canManage;
+        });
+        if (canManage) {
+            const save = document.createElement('button');
+            save.className = 'filter-btn';
+            save.textContent = 'Save';
+            save.onclick = () => {
+                const changes = {};
+                row.querySelectorAll('input').forEach(input => { changes[input.dataset.field] = input.value; });
+                sendHqCommand({
+                    type: 'SET_USAGE_LIMITS',
+                    tier,
+                    limits: changes,
+                    days: Number(document.getElementById('usage-days').value)
+                });
+            };
+            row.appendChild(save);
+        }
+        list.appendChild(row);
+    });
+}
+
+// --- Personas ---
+function renderPersonas(data) {
+    state.personas = data;
+    renderPersonaPicker();
+    if (hasPermission('personas.manage')) renderPersonaList();
+}
+
+// Chat's "who answers you" picker; hidden until there is something to choose
+function renderPersonaPicker() {
+    const { personas, active, mine } = state.personas;
+    const select = document.getElementById('persona-select');
+    const options = personas.filter(p => p.selectable);
+    const activePersona = personas.find(p => p.id === active);
+    select.innerHTML = '';
+    select.add(new Option(`Default${activePersona ? ` (${activePersona.name})` : ''}`, ''));
+    options.forEach(p => select.add(new Option(p.name, p.id)));
+    select.value = mine || '';
+    select.classList.toggle('hidden', options.length < 2 && !mine);
+}
+
+function renderPersonaList() {
+    const list = document.getElementById('personas-list');
+    list.innerHTML = '';
+    state.personas.personas.forEach(persona => {
+        const row = document.createElement('div');
+        row.className = 'admin-row';
+        row.innerHTML = `
+            <span class="role-pill"></span>
+            <span class="admin-wallet"></span>
+            <span class="admin-meta"></span>
+        `;
+        row.querySelector('.role-pill').textContent = persona.source;
+        row.querySelector('.admin-wallet').textContent = `${persona.name} (${persona.id})`;
+        row.querySelector('.admin-meta').textContent = [
+            persona.id === state.personas.active ? 'active' : null,
+            persona.selectable ? 'pickable' : null,
+            persona.model.name
+        ].filter(Boolean).join(' · ');
+
+        // Built-in and file personas are read-only; editing them starts a copy
+        const editable = persona.source === 'custom';
+        const edit = document.createElement('button');
+        edit.className = 'filter-btn';
+        edit.textContent = editable ? 'Edit' : 'Copy';
+        edit.onclick = () => fillPersonaForm(persona, { copy: !editable });
+        row.appendChild(edit);
+        if (persona.id !== state.personas.active) {
+            const activate = document.createElement('button');
+            activate.className = 'filter-btn';
+            activate.textContent = 'Activate';
+            activate.onclick = () => sendHqCommand({ type: 'ACTIVATE_PERSONA', id: persona.id });
+            row.appendChild(activate);
+        }
+        if (editable) {
+            const remove = document.createElement('button');
+            remove.className = 'filter-btn';
+            remove.textContent = 'Delete';
+            remove.onclick = () => {
+                if (confirm(`Delete persona ${persona.name}?`)) sendHqCommand({ type: 'DELETE_PERSONA', id: persona.id });
+            };
+            row.appendChild(remove);
+        }
+        list.appendChild(row);
+    });
+}
+
+const personaField = (name) => document.getElementById(`persona-${name}`);
+
+// Replacements are edited one per line as "pattern => replacement" or "/pattern/flags => replacement"
+const formatReplacement = (rule) => `/${rule.pattern}/${rule.flags} => ${rule.with}`;
+
+function parseReplacement(line) {
+    const [left, ...rest] = line.split('=>');
+    const replacement = rest.join('=>').trim();
+    const literal = left.trim().match(/^\/(.+)\/([a-z]*)$/);
+    return literal
+        ? { pattern: literal[1], flags: literal[2] || 'g', with: replacement }
+        : { pattern: left.trim(), flags: 'g', with: replacement };
+}
+
+function fillPersonaForm(persona, { copy = false } = {}) {
+    const p = persona || { style: {}, model: {}, errors: {} };
+    document.getElementById('persona-editor-title').textContent = !persona ? 'New persona'
+        : copy ? `Copy of ${persona.name}` : `Editing ${persona.id}`;
+    personaField('id').value = persona ? (copy ? `${p.id}-copy` : p.id) : '';
+    personaField('name').value = p.name || '';
+    personaField('description').value = p.description || '';
+    personaField('selectable').checked = !!p.selectable;
+    personaField('prompt').value = (p.systemPrompt || '').trim();
+    personaField('case').value = p.style.case || 'none';
+    personaField('prefix').value = p.style.prefix || '';
+    personaField('suffix').value = p.style.suffix || '';
+    personaField('replacements').value = (p.style.replacements || []).map(formatReplacement).join('\n');
+    personaField('model').value = p.model.name || '';
+    personaField('temperature').value = p.model.temperature ?? '';
+    personaField('max-tokens').value = p.model.maxTokens ?? '';
+    personaField('error-offline').value = p.errors.offline || '';
+    personaField('error-failure').value = p.errors.failure || '';
+    personaField('error-rate').value = p.errors.rateLimited || '';
+    personaField('error-budget').value = p.errors.overBudget || '';
+}
+
+function readPersonaForm() {
+    return {
+        id: personaField('id').value.trim(),
+        name: personaField('name').value.trim(),
+        description: personaField('description').value.trim(),
+        selectable: personaField('selectable').checked,
+        systemPrompt: personaField('prompt').value,
+        style: {
+            case: personaField('case').value,
+            prefix: personaField('prefix').value,
+            suffix: personaField('suffix').value,
+            replacements: personaField('replacements').value.split('\n').filter(line => line.includes('=>')).map(parseReplacement)
+        },
+        model: {
+            name: personaField('model').value.trim(),
+            temperature: personaField('temperature').value,
+            maxTokens: personaField('max-tokens').value
+        },
+        errors: {
+            offline: personaField('error-offline').value,
+            failure: personaField('error-failure').value,
+            rateLimited: personaField('error-rate').value,
+            overBudget: personaField('error-budget').value
+        }
+    };
+}
+
+// --- Moltbook Console ---
+function loadMoltFeed() {
+    document.getElementById('molt-error').classList.add('hidden');
+    sendHqCommand({ type: 'MOLT_GET_FEED', sort: state.molt.sort, page: state.molt.page, submolt: state.molt.submolt });
+}
+
+function renderMoltFeed(data) {
+    state.molt.hasMore = data.hasMore;
+    document.getElementById('molt-page-label').textContent = `Page ${data.page + 1}`;
+    document.getElementById('molt-prev-btn').disabled = data.page === 0;
+    document.getElementById('molt-next-btn').disabled = !data.hasMore;
+
+    const list = document.getElementById('molt-feed');
+    list.innerHTML = '';
+    if (data.posts.length === 0) {
+        list.innerHTML = '<div class="admin-meta">Nothing here.</div>';
+        return;
+    }
+    data.posts.forEach(post => {
+        const row = document.createElement('div');
+        row.className = 'admin-row molt-post-row';
+        row.innerHTML = `
+            <span class="role-pill"></span>
+            <span class="molt-title"></span>
+            <span class="admin-meta"></span>
+        `;
+        row.querySelector('.role-pill').textContent = `↑${post.score}`;
+        row.querySelector('.molt-title').textContent = post.title;
+        row.querySelector('.admin-meta').textContent = `m/${post.submolt} · ${post.author} · 💬${post.commentCount}`;
+        row.onclick = () => sendHqCommand({ type: 'MOLT_GET_POST', postId: post.id });
+        list.appendChild(row);
+    });
+}
+
+function renderMoltPost({ post, comments }) {
+    state.molt.postId = post.id;
+    document.getElementById('molt-post-panel').classList.remove('hidden');
+    document.getElementById('molt-post-title').textContent = post.title;
+    document.getElementById('molt-post-meta').textContent = `m/${post.submolt} · ${post.author} · ↑${post.score}`;
+    document.getElementById('molt-post-content').textContent = post.content || post.url || '';
+
+    const list = document.getElementById('molt-comments');
+    list.innerHTML = '';
+    comments.forEach(comment => {
+        const row = document.createElement('div');
+        row.className = 'admin-row';
+        row.innerHTML = '<span class="role-pill"></span><span class="molt-comment"></span>';
+        row.querySelector('.role-pill').textContent = comment.author;
+        row.querySelector('.molt-comment').textContent = comment.content;
+        list.appendChild(row);
+    });
+}
+
+function renderSubmolts({ submolts }) {
+    const list = document.getElementById('molt-submolts');
+    list.innerHTML = '';
+    submolts.forEach(submolt => {
+        const row = document.createElement('div');
+        row.className = 'admin-row';
+        row.innerHTML = `
+            <span class="molt-title"></span>
+            <span class="admin-meta"></span>
+            <button class="filter-btn"></button>
+        `;
+        row.querySelector('.molt-title').textContent = `m/${submolt.name}`;
+        row.querySelector('.admin-meta').textContent = `${submolt.subscribers} members`;
+        row.querySelector('.molt-title').title = submolt.description;
+        row.querySelector('.molt-title').onclick = () => {
+            state.molt.submolt = submolt.name;
+            state.molt.page = 0;
+            document.getElementById('molt-submolt-input').value = submolt.name;
+            loadMoltFeed();
+        };
+        const toggle = row.querySelector('button');
+        toggle.textContent = submolt.subscribed ? 'Leave' : 'Join';
+        toggle.onclick = () => sendHqCommand({ type: 'MOLT_SUBSCRIBE', name: submolt.name, subscribe: !submolt.subscribed });
+        list.appendChild(row);
+    });
+}
+
+function renderMoltProfile({ profile }) {
+    const meta = document.getElementById('molt-profile-meta');
+    meta.textContent = `${profile.name} · ${profile.karma} karma · ${profile.followers} followers · ${profile.claimed ? 'claimed' : 'unclaimed'}`;
+    document.getElementById('molt-profile-desc').value = profile.description;
+}
+
+function loadMoltDrafts() {
+    sendHqCommand({ type: 'MOLT_GET_DRAFTS', status: state.molt.draftStatus });
+}
+
+function renderMoltLimits(limits) {
+    const parts = [`${limits.publishedToday}/${limits.dailyCap} posted in the last 24h`, `${limits.cooldownMinutes}m cooldown`];
+    if (limits.nextPostAt) parts.push(`next slot ${formatDateTime(limits.nextPostAt)}`);
+    parts.push(limits.autoDraftHours ? `auto-draft every ${limits.autoDraftHours}h` : 'auto-draft off');
+    document.getElementById('molt-draft-limits').textContent = parts.join(' · ');
+}
+
+function renderMoltDrafts({ status, drafts, limits }) {
+    if (status !== state.molt.draftStatus) return; // a reply to an older filter
+    renderMoltLimits(limits);
+
+    const list = document.getElementById('molt-drafts');
+    list.innerHTML = '';
+    if (drafts.length === 0) {
+        list.innerHTML = '<div class="admin-meta">No drafts.</div>';
+        return;
+    }
+    drafts.forEach(draft => list.appendChild(createDraftRow(draft)));
+}
+
+function createDraftRow(draft) {
+    const editable = ['pending', 'approved', 'rejected', 'failed'].includes(draft.status);
+    const row = document.createElement('div');
+    row.className = 'molt-draft';
+    row.innerHTML = `
+        <div class="molt-draft-head">
+            <span class="role-pill"></span>
+            <input type="text" class="molt-draft-title">
+        </div>
+        <textarea class="molt-draft-content" rows="4"></textarea>
+        <div class="admin-meta molt-draft-meta"></div>
+        <div class="admin-form molt-draft-actions">
+            <button class="filter-btn draft-save">Save</button>
+            <input type="datetime-local" class="draft-when">
+            <button class="filter-btn draft-approve">Approve</button>
+            <button class="filter-btn draft-reject">Reject</button>
+        </div>
+    `;
+    row.querySelector('.role-pill').textContent = draft.status;
+    const title = row.querySelector('.molt-draft-title');
+    const content = row.querySelector('.molt-draft-content');
+    title.value = draft.title;
+    content.value = draft.content;
+    title.disabled = content.disabled = !editable;
+
+    const meta = [`#${draft.shortId}`, `m/${draft.submolt}`, draft.source === 'auto' ? 'auto' : `by ${draft.createdBy}`];
+    if (draft.topic) meta.push(`topic: ${draft.topic}`);
+    if (draft.status === 'approved' && draft.scheduledFor) meta.push(`queued for ${formatDateTime(draft.scheduledFor)}`);
+    if (draft.publishedAt) meta.push(`published ${formatDateTime(draft.publishedAt)}`);
+    if (draft.rejectReason) meta.push(`rejected: ${draft.rejectReason}`);
+    if (draft.lastError) meta.push(`⚠️ ${draft.lastError}`);
+    row.querySelector('.molt-draft-meta').textContent = meta.join(' · ');
+
+    const actions = row.querySelector('.molt-draft-actions');
+    if (!editable) {
+        actions.remove();
+        return row;
+    }
+    const when = row.querySelector('.draft-when');
+    if (draft.status === 'approved' && draft.scheduledFor) when.value = toLocalInputValue(draft.scheduledFor);
+    row.querySelector('.draft-reject').hidden = draft.status === 'rejected';
+
+    const status = state.molt.draftStatus;
+    row.querySelector('.draft-save').onclick = () => {
+        sendHqCommand({ type: 'MOLT_EDIT_DRAFT', id: draft.id, status, title: title.value, content: content.value });
+    };
+    row.querySelector('.draft-approve').onclick = () => {
+        sendHqCommand({
+            type: 'MOLT_APPROVE_DRAFT', id: draft.id, status,
+            scheduledFor: when.value ? new Date(when.value).toISOString() : null
+        });
+    };
+    row.querySelector('.draft-reject').onclick = () => {
+        const reason = prompt('Reason (optional):');
+        if (reason === null) return;
+        sendHqCommand({ type: 'MOLT_REJECT_DRAFT', id: draft.id, status, reason });
+    };
+    return row;
+}
+
+function showMoltError({ message }) {
+    const box = document.getElementById('molt-error');
+    box.textContent = `🦞 ${message}`;
+    box.classList.remove('hidden');
+}
+
+function setupMoltbookListeners() {
+    document.getElementById('molt-refresh-btn').addEventListener('click', () => {
+        state.molt.sort = document.getElementById('molt-sort').value;
+        state.molt.submolt = document.getElementById('molt-submolt-input').value.trim().replace(/^m\//, '');
+        state.molt.page = 0;
+        loadMoltFeed();
+    });
+    document.getElementById('molt-prev-btn').addEventListener('click', () => {
+        if (state.molt.page === 0) return;
+        state.molt.page -= 1;
+        loadMoltFeed();
+    });
+    document.getElementById('molt-next-btn').addEventListener('click', () => {
+        if (!state.molt.hasMore) return;
+        state.molt.page += 1;
+        loadMoltFeed();
+    });
+    document.getElementById('molt-upvote-btn').addEventListener('click', () => {
+        sendHqCommand({ type: 'MOLT_VOTE', postId: state.molt.postId, direction: 'up' });
+    });
+    document.getElementById('molt-downvote-btn').addEventListener('click', () => {
+        sendHqCommand({ type: 'MOLT_VOTE', postId: state.molt.postId, direction: 'down' });
+    });
+    document.getElementById('molt-comment-btn').addEventListener('click', () => {
+        const input = document.getElementById('molt-comment-input');
+        const content = input.value.trim();
+        if (content && state.molt.postId) {
+            sendHqCommand({ type: 'MOLT_COMMENT', postId: state.molt.postId, content });
+            input.value = '';
+        }
+    });
+    document.getElementById('molt-draft-status').addEventListener('change', (e) => {
+        state.molt.draftStatus = e.target.value;
+        loadMoltDrafts();
+    });
+    document.getElementById('molt-draft-btn').addEventListener('click', () => {
+        const input = document.getElementById('molt-draft-topic');
+        document.getElementById('molt-error').classList.add('hidden');
+        sendHqCommand({ type: 'MOLT_GENERATE_DRAFT', topic: input.value.trim() });
+        input.value = '';
+        state.molt.draftStatus = 'pending';
+        document.getElementById('molt-draft-status').value = 'pending';
+    });
+    document.getElementById('molt-profile-save-btn').addEventListener('click', () => {
+        sendHqCommand({ type: 'MOLT_UPDATE_PROFILE', description: document.getElementById('molt-profile-desc').value });
+    });
 }
 
 // --- Linking Logic ---
 function setupActionListeners() {
     document.getElementById('link-telegram-btn').addEventListener('click', () => {
         if (hqWs?.readyState === WebSocket.OPEN) {
+            document.getElementById('link-code-display').textContent = '--------';
+            hqWs.send(JSON.stringify({ type: 'GET_LINK_STATUS' }));
             hqWs.send(JSON.stringify({ type: 'GENERATE_LINK_CODE' }));
             showModal('link-modal');
         }
     });
 
+    document.getElementById('unlink-telegram-btn').addEventListener('click', () => {
+        const name = document.getElementById('linked-telegram-name').textContent;
+        if (confirm(`Unlink ${name}? Alon will stop messaging that chat.`)) {
+            sendHqCommand({ type: 'UNLINK_TELEGRAM' });
+        }
+    });
+
     document.getElementById('claim-molt-btn').addEventListener('click', () => {
         if (hqWs && hqWs.readyState === WebSocket.OPEN) {
             hqWs.send(JSON.stringify({ type: 'GET_MOLT_CLAIM' }));
@@ -157,6 +999,77 @@ function setupActionListeners() {
             input.value = '';
         }
     });
+
+    todoStatusFilter.addEventListener('change', () => {
+        state.todoFilter.status = todoStatusFilter.value;
+        renderTodos();
+    });
+    todoTagFilter.addEventListener('change', () => {
+        state.todoFilter.tag = todoTagFilter.value;
+        renderTodos();
+    });
+    todoSortSelect.addEventListener('change', () => {
+        state.todoFilter.sort = todoSortSelect.value;
+        renderTodos();
+    });
+    document.getElementById('apply-role-btn').addEventListener('click', () => {
+        const input = document.getElementById('role-wallet-input');
+        const wallet = input.value.trim();
+        if (wallet) {
+            sendHqCommand({ type: 'SET_ROLE', wallet, role: document.getElementById('role-select').value });
+            input.value = '';
+        }
+    });
+    document.getElementById('usage-days').addEventListener('change', loadUsage);
+    document.getElementById('dash-refresh-btn').addEventListener('click', loadDashboard);
+    document.getElementById('broadcast-text').addEventListener('input', clearBroadcastPreview);
+    document.getElementById('broadcast-preview-btn').addEventListener('click', () => {
+        sendHqCommand({
+            type: 'BROADCAST_PREVIEW',
+            text: document.getElementById('broadcast-text').value,
+            roles: selectedBroadcastRoles()
+        });
+    });
+    document.getElementById('broadcast-send-btn').addEventListener('click', () => {
+        const { preview } = state.broadcast;
+        if (!preview || !confirm(`Send this announcement to ${preview.telegramChats} chat(s)?`)) return;
+        sendHqCommand({ type: 'BROADCAST_SEND', text: preview.text, roles: preview.roles });
+        document.getElementById('broadcast-text').value = '';
+        clearBroadcastPreview();
+    });
+    document.getElementById('announcement-dismiss').addEventListener('click', () => {
+        document.getElementById('announcement-banner').classList.add('hidden');
+    });
+    document.getElementById('dash-wallet-filter').addEventListener('input', renderDashboardWallets);
+
+    document.getElementById('clear-completed-btn').addEventListener('click', () => {
+        sendHqCommand({ type: 'CLEAR_COMPLETED' });
+    });
+
+    for (let hour = 0; hour < 24; hour++) {
+        digestHourSelect.add(new Option(`${String(hour).padStart(2, '0')}:00`, String(hour)));
+    }
+    digestHourSelect.value = String(state.preferences.digestHour);
+    const saveDigest = () => {
+        if (digestToggle.checked && 'Notification' in window && Notification.permission === 'default') {
+            Notification.requestPermission();
+        }
+        sendHqCommand({
+            type: 'SET_PREFERENCES',
+            digestEnabled: digestToggle.checked,
+            digestHour: Number(digestHourSelect.value)
+        });
+    };
+    digestToggle.addEventListener('change', saveDigest);
+    digestHourSelect.addEventListener('change', saveDigest);
+
+    document.getElementById('persona-select').addEventListener('change', (e) => {
+        sendHqCommand({ type: 'SET_MY_PERSONA', id: e.target.value || null });
+    });
+    document.getElementById('persona-save-btn').addEventListener('click', () => {
+        sendHqCommand({ type: 'SAVE_PERSONA', persona: readPersonaForm() });
+    });
+    document.getElementById('persona-new-btn').addEventListener('click', () => fillPersonaForm(null));
 }
 
 function showModal(id) {
@@ -177,24 +1090,89 @@ function connectToHQ() {
     hqWs.onopen = () => {
         hqStatusDot.classList.add('online');
         hqStatusText.textContent = 'HQ Connected';
+
+        // Reconnects (and reloads) resume the stored session without a new wallet signature
+        const token = localStorage.getItem(SESSION_STORAGE_KEY);
+        if (token) {
+            hqWs.send(JSON.stringify({ type: 'RESUME_SESSION', token }));
+        }
     };
 
     hqWs.onmessage = (e) => {
         const data = JSON.parse(e.data);
-        if (data.type === 'LOGIN_SUCCESS') onLoginSuccess(data.username, data.todos, data.isAdmin);
+        if (data.type === 'LOGIN_CHALLENGE' && pendingChallenge) {
+            pendingChallenge.resolve(data.message);
+            pendingChallenge = null;
+        }
+        if (data.type === 'LOGIN_SUCCESS') {
+            if (data.sessionToken) localStorage.setItem(SESSION_STORAGE_KEY, data.sessionToken);
+            onLoginSuccess(data);
+        }
+        if (data.type === 'LOGIN_FAIL') {
+            if (pendingChallenge) {
+                pendingChallenge.reject(new Error(data.message));
+                pendingChallenge = null;
+            }
+            document.getElementById('login-error').textContent = data.message;
+        }
+        if (data.type === 'SESSION_INVALID') {
+            localStorage.removeItem(SESSION_STORAGE_KEY);
+            if (state.username) endSession();
+        }
+        if (data.type === 'SESSION_REVOKED' || data.type === 'LOGGED_OUT') endSession();
         if (data.type === 'STATE_UPDATE') {
             state.todos = data.todos;
             renderTodos();
         }
-        if (data.type === 'LINK_CODE') {
-            document.getElementById('link-code-display').textContent = data.code;
+        if (data.type === 'LINK_CODE') showLinkCode(data);
+        if (data.type === 'LINK_STATUS') applyLinkStatus(data.telegram);
+        if (data.type === 'ROLE_UPDATE') applyRole(data);
+        if (data.type === 'TIER_UPDATE') applyTier(data.tier);
+        if (data.type === 'ROLES') renderRoles(data);
+        if (data.type === 'USAGE_REPORT') renderUsage(data);
+        if (data.type === 'PERSONAS') renderPersonas(data);
+        if (data.type === 'DASHBOARD') renderDashboard(data);
+        if (data.type === 'BROADCAST_PREVIEW') renderBroadcastPreview(data);
+        if (data.type === 'BROADCAST_REPORT') upsertBroadcastReport(data);
+        if (data.type === 'BROADCASTS') {
+            state.broadcast.reports = data.reports;
+            renderBroadcastReports();
+        }
+        if (data.type === 'ANNOUNCEMENT') showAnnouncement(data);
+        if (data.type === 'MOLT_FEED') renderMoltFeed(data);
+        if (data.type === 'MOLT_POST') renderMoltPost(data);
+        if (data.type === 'MOLT_SUBMOLTS') renderSubmolts(data);
+        if (data.type === 'MOLT_PROFILE') renderMoltProfile(data);
+        if (data.type === 'MOLT_ERROR') showMoltError(data);
+        if (data.type === 'MOLT_DRAFTS') renderMoltDrafts(data);
+        if (data.type === 'MOLT_DRAFT_EVENT' && state.activeTab === 'moltbook') loadMoltDrafts();
+        if (data.type === 'ERROR') {
+            addChatMessage(data.message, 'error');
+        }
+        if (data.type === 'PREFERENCES') applyPreferences(data.preferences);
+        if (data.type === 'NOTIFICATION') showNotification(data);
+        if (data.type === 'DELIVERY_FAILED') {
+            const reason = data.status === 'blocked' ? 'the bot is blocked in that chat' : data.error;
+            addChatMessage(`⚠️ Couldn't deliver to Telegram: ${reason}`, 'error');
         }
         if (data.type === 'MOLT_CLAIM_URL') {
             window.open(data.url, '_blank');
         }
+        if (data.type === 'CHAT_HISTORY') {
+            // Older page: prepend to what we already have
+            state.history = data.messages.concat(state.history);
+            state.historyHasMore = data.hasMore;
+            renderChatHistory({ keepScroll: true });
+        }
         if (data.type === 'CHAT_INCOMING') {
-            addChatMessage(data.text, 'received');
+            // Messages typed on Telegram or sent through the API are the user's own, so render them as sent
+            const source = { Telegram: 'telegram', API: 'api' }[data.from];
+            recordLiveMessage(source ? 'user' : 'assistant', data.text, source || 'web');
+            addChatMessage(data.text, source ? 'sent' : 'received', source || null);
         }
+        if (data.type === 'CHAT_START') startStreamedMessage(data.id);
+        if (data.type === 'CHAT_CHUNK') appendStreamedChunk(data.id, data.delta);
+        if (data.type === 'CHAT_DONE') finishStreamedMessage(data.id, data.text, data.source);
     };
 
     hqWs.onclose = () => {
@@ -206,47 +1184,296 @@ function connectToHQ() {
 
 
 // --- Helpers ---
+const PRIORITY_RANK = { high: 0, medium: 1, low: 2 };
+
+// Newest tasks sit at the end of the stored list but are shown first
+function visibleTodos() {
+    const { status, tag, sort } = state.todoFilter;
+    let list = state.todos.slice().reverse();
+
+    if (status === 'open') list = list.filter(t => !t.done);
+    if (status === 'done') list = list.filter(t => t.done);
+    if (tag) list = list.filter(t => (t.tags || []).includes(tag));
+
+    if (sort === 'due') {
+        const dueTime = (t) => t.dueDate ? new Date(t.dueDate).getTime() : Infinity;
+        list.sort((a, b) => dueTime(a) - dueTime(b));
+    } else if (sort === 'priority') {
+        list.sort((a, b) => PRIORITY_RANK[a.priority || 'medium'] - PRIORITY_RANK[b.priority || 'medium']);
+    }
+    return list;
+}
+
+function renderTagFilter() {
+    const tags = [...new Set(state.todos.flatMap(t => t.tags || []))].sort();
+    if (state.todoFilter.tag && !tags.includes(state.todoFilter.tag)) state.todoFilter.tag = '';
+
+    todoTagFilter.innerHTML = '<option value="">All tags</option>';
+    tags.forEach(tag => {
+        const option = document.createElement('option');
+        option.value = tag;
+        option.textContent = `#${tag}`;
+        todoTagFilter.appendChild(option);
+    });
+    todoTagFilter.value = state.todoFilter.tag;
+}
+
 function renderTodos() {
     todoListGrid.innerHTML = '';
     const active = state.todos.filter(t => !t.done).length;
     todoCountBadge.textContent = active;
+    renderTagFilter();
 
-    state.todos.slice().reverse().forEach(todo => {
-        const card = document.createElement('div');
-        card.className = `todo-card ${todo.done ? 'done' : ''}`;
-        card.innerHTML = `
-            <div class="card-check">${todo.done ? '✓' : ''}</div>
-            <span class="card-text">${todo.text}</span>
-        `;
-        card.onclick = () => sendHqCommand({ type: 'TOGGLE_TODO', id: todo.id });
+    // Dragging only makes sense when the full list is shown in stored order
+    const canReorder = state.todoFilter.sort === 'manual' && state.todoFilter.status === 'all' && !state.todoFilter.tag;
+
+    visibleTodos().forEach(todo => {
+        const card = todo.id === state.editingTodoId ? renderTodoEditor(todo) : renderTodoCard(todo);
+        if (canReorder) makeDraggable(card, todo.id);
         todoListGrid.appendChild(card);
     });
 }
 
-function addChatMessage(text, type) {
+function renderTodoCard(todo) {
+    const card = document.createElement('div');
+    const overdue = !todo.done && todo.dueDate && new Date(todo.dueDate) < new Date();
+    card.className = `todo-card ${todo.done ? 'done' : ''}`;
+    card.innerHTML = `
+        <div class="card-check">${todo.done ? '✓' : ''}</div>
+        <div class="card-body">
+            <span class="card-text"></span>
+            <div class="card-meta">
+                <span class="priority-pill ${todo.priority || 'medium'}">${todo.priority || 'medium'}</span>
+                ${todo.dueDate ? `<span class="due-date ${overdue ? 'overdue' : ''}">Due ${formatDate(todo.dueDate)}</span>` : ''}
+                ${todo.remindAt && !todo.done ? `<span class="remind-at" title="Reminder">⏰ ${formatDateTime(todo.remindAt)}</span>` : ''}
+            </div>
+        </div>
+        <div class="card-actions">
+            <button class="card-btn" data-action="edit" title="Edit">✎</button>
+            <button class="card-btn" data-action="delete" title="Delete">🗑</button>
+        </div>
+    `;
+    card.querySelector('.card-text').textContent = todo.text;
+    const meta = card.querySelector('.card-meta');
+    (todo.tags || []).forEach(tag => {
+        const chip = document.createElement('span');
+        chip.className = 'tag-chip';
+        chip.textContent = `#${tag}`;
+        meta.appendChild(chip);
+    });
+
+    card.onclick = () => sendHqCommand({ type: 'TOGGLE_TODO', id: todo.id });
+    card.querySelector('[data-action="edit"]').onclick = (e) => {
+        e.stopPropagation();
+        state.editingTodoId = todo.id;
+        renderTodos();
+    };
+    card.querySelector('[data-action="delete"]').onclick = (e) => {
+        e.stopPropagation();
+        sendHqCommand({ type: 'DELETE_TODO', id: todo.id });
+    };
+    return card;
+}
+
+function renderTodoEditor(todo) {
+    const card = document.createElement('div');
+    card.className = 'todo-card editing';
+    card.innerHTML = `
+        <input class="edit-text" type="text">
+        <select class="edit-priority">
+            <option value="low">Low</option>
+            <option value="medium">Medium</option>
+            <option value="high">High</option>
+        </select>
+        <input class="edit-due" type="date">
+        <input class="edit-remind" type="datetime-local" title="Reminder">
+        <input class="edit-tags" type="text" placeholder="tags, comma separated">
+        <button class="card-btn" data-action="save" title="Save">✓</button>
+        <button class="card-btn" data-action="cancel" title="Cancel">✕</button>
+    `;
+    const textInput = card.querySelector('.edit-text');
+    textInput.value = todo.text;
+    card.querySelector('.edit-priority').value = todo.priority || 'medium';
+    // Local calendar day, the same convention the save below uses
+    card.querySelector('.edit-due').value = todo.dueDate ? toLocalInputValue(todo.dueDate).slice(0, 10) : '';
+    card.querySelector('.edit-remind').value = todo.remindAt ? toLocalInputValue(todo.remindAt) : '';
+    card.querySelector('.edit-tags').value = (todo.tags || []).join(', ');
+
+    const save = () => {
+        const due = card.querySelector('.edit-due').value;
+        const remind = card.querySelector('.edit-remind').value;
+        sendHqCommand({
+            type: 'UPDATE_TODO',
+            id: todo.id,
+            changes: {
+                text: textInput.value,
+                priority: card.querySelector('.edit-priority').value,
+                dueDate: due ? new Date(`${due}T00:00:00`).toISOString() : null,
+                remindAt: remind ? new Date(remind).toISOString() : null,
+                tags: card.querySelector('.edit-tags').value
+            }
+        });
+        state.editingTodoId = null;
+    };
+    const cancel = () => {
+        state.editingTodoId = null;
+        renderTodos();
+    };
+
+    card.querySelector('[data-action="save"]').onclick = save;
+    card.querySelector('[data-action="cancel"]').onclick = cancel;
+    card.addEventListener('keydown', (e) => {
+        if (e.key === 'Enter') save();
+        if (e.key === 'Escape') cancel();
+    });
+    setTimeout(() => textInput.focus(), 0);
+    return card;
+}
+
+function makeDraggable(card, id) {
+    card.draggable = true;
+    card.dataset.id = id;
+    card.addEventListener('dragstart', (e) => {
+        e.dataTransfer.setData('text/plain', String(id));
+        card.classList.add('dragging');
+    });
+    card.addEventListener('dragend', () => card.classList.remove('dragging'));
+    card.addEventListener('dragover', (e) => e.preventDefault());
+    card.addEventListener('drop', (e) => {
+        e.preventDefault();
+        const draggedId = Number(e.dataTransfer.getData('text/plain'));
+        if (draggedId === id) return;
+
+        const displayed = visibleTodos().map(t => t.id).filter(tid => tid !== draggedId);
+        displayed.splice(displayed.indexOf(id), 0, draggedId);
+        // Display order is newest-first, storage order is oldest-first
+        sendHqCommand({ type: 'REORDER_TODOS', ids: displayed.reverse() });
+    });
+}
+
+const formatDate = (iso) => new Date(iso).toLocaleDateString(undefined, { month: 'short', day: 'numeric' });
+const formatDateTime = (iso) => new Date(iso).toLocaleString(undefined, { month: 'short', day: 'numeric', hour: 'numeric', minute: '2-digit' });
+
+// ISO timestamp -> "YYYY-MM-DDTHH:MM" in local time, as datetime-local inputs expect
+function toLocalInputValue(iso) {
+    const date = new Date(iso);
+    return new Date(date.getTime() - date.getTimezoneOffset() * 60000).toISOString().slice(0, 16);
+}
+
+function createChatBubble(text, type, source) {
     const msg = document.createElement('div');
     msg.className = `msg ${type}`;
     msg.textContent = text;
-    chatMessages.appendChild(msg);
+    if (source === 'telegram' || source === 'api') {
+        const tag = document.createElement('span');
+        tag.className = 'msg-source';
+        tag.textContent = `via ${source}`;
+        msg.appendChild(tag);
+    }
+    return msg;
+}
+
+function addChatMessage(text, type, source) {
+    chatMessages.appendChild(createChatBubble(text, type, source));
+    chatMessages.scrollTop = chatMessages.scrollHeight;
+}
+
+// Reminders and digests from the scheduler: shown in chat, and as a system
+// notification when the tab is in the background
+function showNotification({ text }) {
+    recordLiveMessage('assistant', text, null, 'received notification');
+    addChatMessage(text, 'received notification');
+    if (document.hidden && 'Notification' in window && Notification.permission === 'granted') {
+        new Notification('Alon', { body: text });
+    }
+}
+
+// Live messages join the loaded history so re-renders (e.g. loading older pages) keep them.
+// `type` overrides the bubble style for entries that only exist in this tab (notifications).
+function recordLiveMessage(role, text, source, type) {
+    state.history.push({ role, text, source, type, createdAt: new Date().toISOString() });
+}
+
+// --- Streamed Replies ---
+const streamingBubbles = {};
+
+function startStreamedMessage(id) {
+    const bubble = createChatBubble('', 'received typing');
+    bubble.innerHTML = '<span class="typing-dots"><span></span><span></span><span></span></span>';
+    streamingBubbles[id] = { bubble, text: '' };
+    chatMessages.appendChild(bubble);
     chatMessages.scrollTop = chatMessages.scrollHeight;
 }
 
+function appendStreamedChunk(id, delta) {
+    const entry = streamingBubbles[id];
+    if (!entry) return;
+    entry.text += delta;
+    entry.bubble.classList.remove('typing');
+    entry.bubble.textContent = entry.text;
+    chatMessages.scrollTop = chatMessages.scrollHeight;
+}
+
+// `source` is where the turn being answered was typed, as recorded in the history
+function finishStreamedMessage(id, text, source) {
+    const entry = streamingBubbles[id];
+    delete streamingBubbles[id];
+    recordLiveMessage('assistant', text, source || 'web');
+    if (!entry) {
+        addChatMessage(text, 'received');
+        return;
+    }
+    entry.bubble.classList.remove('typing');
+    entry.bubble.textContent = text;
+    chatMessages.scrollTop = chatMessages.scrollHeight;
+}
+
+function renderChatHistory({ keepScroll = false } = {}) {
+    const previousHeight = chatMessages.scrollHeight;
+    chatMessages.innerHTML = '';
+
+    if (state.historyHasMore) {
+        const loadBtn = document.createElement('button');
+        loadBtn.className = 'load-history-btn';
+        loadBtn.textContent = 'Load earlier messages';
+        loadBtn.onclick = () => {
+            const oldest = state.history[0];
+            sendHqCommand({
+                type: 'GET_CHAT_HISTORY',
+                before: oldest ? oldest.createdAt : undefined,
+                beforeId: oldest ? oldest.id : undefined
+            });
+        };
+        chatMessages.appendChild(loadBtn);
+    }
+
+    if (!state.history.length) {
+        chatMessages.appendChild(createChatBubble('Welcome to the Alon Command Interface. All systems green.', 'received'));
+    }
+
+    state.history.forEach(m => {
+        const type = m.type || (m.role === 'user' ? 'sent' : 'received');
+        chatMessages.appendChild(createChatBubble(m.text, type, m.source));
+    });
+    // Replies still streaming stay below the history
+    Object.values(streamingBubbles).forEach(entry => chatMessages.appendChild(entry.bubble));
+
+    // Keep the viewport anchored when older messages are prepended
+    chatMessages.scrollTop = keepScroll ? chatMessages.scrollHeight - previousHeight : chatMessages.scrollHeight;
+}
+
 function sendChatMessage() {
     const text = messageInput.value.trim();
     if (!text) return;
 
-    if (text.startsWith('/todo ')) {
-        const task = text.replace('/todo ', '');
-        sendHqCommand({ type: 'ADD_TODO', text: task });
-        addChatMessage(`Task added: ${task}`, 'sent'); // Optimistic UI
+    // Send to Agent, who forwards to Gateway/Telegram. "/todo <task>" is added there
+    // and answered like any other chat line.
+    if (hqWs && hqWs.readyState === WebSocket.OPEN) {
+        hqWs.send(JSON.stringify({ type: 'SEND_CHAT', text: text }));
+        recordLiveMessage('user', text, 'web');
+        addChatMessage(text, 'sent');
     } else {
-        // Send to Agent, who forwards to Gateway/Telegram
-        if (hqWs && hqWs.readyState === WebSocket.OPEN) {
-            hqWs.send(JSON.stringify({ type: 'SEND_CHAT', text: text }));
-            addChatMessage(text, 'sent');
-        } else {
-            addChatMessage('HQ Offline', 'error');
-        }
+        addChatMessage('HQ Offline', 'error');
     }
     messageInput.value = '';
 }